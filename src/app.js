@@ -2,14 +2,45 @@ require('dotenv').config();
 const express = require('express');
 const helmet = require('helmet');
 const cors = require('cors');
-const rateLimit = require('express-rate-limit');
 const connectDB = require('./config/database');
 const gameRoutes = require('./routes/gameRoutes');
 const steamRoutes = require('./routes/steamRoutes');
+const adminRoutes = require('./routes/adminRoutes');
+const authRoutes = require('./routes/authRoutes');
+const meRoutes = require('./routes/meRoutes');
+const webhookRoutes = require('./routes/webhookRoutes');
+const savedSearchRoutes = require('./routes/savedSearchRoutes');
+const jobRoutes = require('./routes/jobRoutes');
+const catalogRoutes = require('./routes/catalogRoutes');
 const updateService = require('./services/updateService');
+const webhookService = require('./services/webhookService');
+const digestService = require('./services/digestService');
+const usageService = require('./services/usageService');
+const jobService = require('./services/jobService');
+const lockService = require('./services/lockService');
+const steamService = require('./services/steamService');
 const swaggerConfig = require('./config/swagger');
 const logger = require('./utils/logger');
+const { authenticateApiKey } = require('./middleware/auth');
+const { apiLimiter, authFailureLimiter, trackUsage } = require('./middleware/rateLimit');
+const { JOB_TYPES, LOCKS } = require('./config/constants');
 const Game = require('./models/Game');
+const MatchOverride = require('./models/MatchOverride');
+const ExchangeRate = require('./models/ExchangeRate');
+const PriceObservation = require('./models/PriceObservation');
+const User = require('./models/User');
+const Alert = require('./models/Alert');
+const Webhook = require('./models/Webhook');
+const WebhookDelivery = require('./models/WebhookDelivery');
+const ApiKey = require('./models/ApiKey');
+const ApiKeyUsage = require('./models/ApiKeyUsage');
+const RateLimitCounter = require('./models/RateLimitCounter');
+const Job = require('./models/Job');
+const Lock = require('./models/Lock');
+const CatalogApp = require('./models/CatalogApp');
+const CatalogChange = require('./models/CatalogChange');
+const SavedSearch = require('./models/SavedSearch');
+const SavedSearchMatch = require('./models/SavedSearchMatch');
 
 const app = express();
 const port = process.env.PORT || 3000;
@@ -18,39 +49,48 @@ app.use(helmet());
 app.use(cors({
   origin: process.env.CORS_ORIGIN || '*',
   methods: ['GET', 'POST', 'PUT', 'DELETE'],
-  allowedHeaders: ['Content-Type', 'Authorization']
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-API-Key']
 }));
 
-const apiLimiter = rateLimit({
-  windowMs: 15 * 60 * 1000,
-  max: 100,
-  standardHeaders: true,
-  legacyHeaders: false,
-  message: {
-    status: 429,
-    message: 'Too many requests, please try again later.'
-  }
-});
-app.use('/api', apiLimiter);
-
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
+// The API key decides the rate limit tier, so it is read before limiting;
+// rejected keys are limited by IP before they get that far
+app.use('/api', authFailureLimiter, authenticateApiKey, apiLimiter, trackUsage);
 
 connectDB();
 
 app.use('/api-docs', swaggerConfig.serve, swaggerConfig.setup);
 
-app.get('/health', (req, res) => {
+app.get('/health', async (req, res) => {
+  // The health check must answer even when MongoDB does not
+  const steamSyncLock = await lockService.getHolder(LOCKS.STEAM_SYNC).catch(() => null);
+  const steamCircuit = steamService.getCircuitStatus();
+
   res.status(200).json({
-    status: 'ok',
+    status: steamCircuit.state === 'closed' ? 'ok' : 'degraded',
     timestamp: new Date().toISOString(),
     uptime: process.uptime(),
-    version: process.env.npm_package_version || '1.0.0'
+    version: process.env.npm_package_version || '1.0.0',
+    instance: lockService.holderId,
+    locks: {
+      steamSync: steamSyncLock
+    },
+    steam: {
+      circuitBreaker: steamCircuit
+    }
   });
 });
 
 app.use('/api/games', gameRoutes);
 app.use('/api/steam', steamRoutes);
+app.use('/api/admin', adminRoutes);
+app.use('/api/auth', authRoutes);
+app.use('/api/me', meRoutes);
+app.use('/api/webhooks', webhookRoutes);
+app.use('/api/saved-searches', savedSearchRoutes);
+app.use('/api/jobs', jobRoutes);
+app.use('/api/catalog', catalogRoutes);
 
 app.use((req, res, next) => {
   res.status(404).json({
@@ -77,9 +117,34 @@ app.use((err, req, res, next) => {
 const server = app.listen(port, () => {
   logger.info(`Server running on port ${port}`);
   
-  Game.createIndexesInBackground();
+  [
+    Game, MatchOverride, ExchangeRate, PriceObservation, User, Alert, Webhook, WebhookDelivery,
+    SavedSearch, SavedSearchMatch, ApiKey, ApiKeyUsage, RateLimitCounter, Job, Lock, CatalogApp, CatalogChange
+  ]
+    .forEach((model) => model.createIndexesInBackground());
   
+  // These jobs all call Steam for every game, so only one of them runs at a time across all instances
+  jobService.registerHandler(JOB_TYPES.SYNC_NEW_GAMES, async (job) => {
+    const { games } = await updateService.syncNewGames(job);
+    return { added: games.length };
+  }, { lock: LOCKS.STEAM_SYNC });
+  jobService.registerHandler(
+    JOB_TYPES.UPDATE_ALL_GAMES,
+    (job) => updateService.updateAllGames(job),
+    { lock: LOCKS.STEAM_SYNC }
+  );
+  jobService.registerHandler(
+    JOB_TYPES.PRICE_SWEEP,
+    (job) => updateService.sweepPrices(job),
+    { lock: LOCKS.STEAM_SYNC }
+  );
+  jobService.startWorker();
+
   updateService.startUpdateCron();
+  updateService.startPriceSweepCron();
+  webhookService.startDeliveryWorker();
+  digestService.startDigestCron();
+  usageService.startFlushing();
 });
 
 process.on('SIGTERM', gracefulShutdown);
@@ -87,11 +152,15 @@ process.on('SIGINT', gracefulShutdown);
 
 function gracefulShutdown() {
   logger.info('Received shutdown signal, starting graceful shutdown');
+  // The running job finishes the games in progress and saves its checkpoint before the connection closes
+  const jobsStopped = jobService.shutdown();
   
   server.close(() => {
     logger.info('HTTP server closed');
     
-    connectDB.disconnect()
+    jobsStopped
+      .then(() => usageService.stopFlushing())
+      .then(() => connectDB.disconnect())
       .then(() => {
         logger.info('Database connection closed');
         process.exit(0);
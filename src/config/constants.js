@@ -4,6 +4,102 @@ const PAGINATION = {
     MAX_PAGE_SIZE: 50 
 };
 
+const REGIONS = {
+    DEFAULT: (process.env.DEFAULT_PRICE_REGION || 'us').toLowerCase(),
+    SUPPORTED: (process.env.PRICE_REGIONS || 'us,ar,br,mx,cl,co,pe,uy,es,de,fr,gb,pl,tr')
+        .split(',')
+        .map((region) => region.trim().toLowerCase())
+        .filter(Boolean)
+};
+
+const SEARCH_SORTS = {
+    DEAL_SCORE: 'dealScore'
+};
+
+const ALERT_TYPES = {
+    TARGET_PRICE: 'target_price',
+    TARGET_DISCOUNT: 'target_discount',
+    SAVED_SEARCH: 'saved_search'
+};
+
+const WEBHOOK_EVENTS = {
+    PRICE_CHANGED: 'price.changed',
+    PRICE_HISTORICAL_LOW: 'price.historical_low',
+    GAME_ADDED: 'game.added',
+    GAME_DELISTED: 'game.delisted'
+};
+
+const DIGEST_FREQUENCIES = {
+    OFF: 'off',
+    DAILY: 'daily',
+    WEEKLY: 'weekly'
+};
+
+// Ordered from least to most privileged
+const API_KEY_ROLES = {
+    PUBLIC: 'public',
+    PARTNER: 'partner',
+    ADMIN: 'admin'
+};
+
+const RATE_LIMIT_TIERS = {
+    ANONYMOUS: 'anonymous',
+    FREE: 'free',
+    PARTNER: 'partner'
+};
+
+const JOB_TYPES = {
+    SYNC_NEW_GAMES: 'sync_new_games',
+    UPDATE_ALL_GAMES: 'update_all_games',
+    PRICE_SWEEP: 'price_sweep'
+};
+
+const JOB_STATUSES = {
+    QUEUED: 'queued',
+    RUNNING: 'running',
+    SUCCEEDED: 'succeeded',
+    FAILED: 'failed',
+    CANCELLED: 'cancelled'
+};
+
+const LOCKS = {
+    STEAM_SYNC: 'steam_sync',
+    UPDATE_SCHEDULER: 'update_scheduler',
+    PRICE_SWEEP_SCHEDULER: 'price_sweep_scheduler',
+    DIGEST: 'digest'
+};
+
+const CATALOG_SYNC_MODES = {
+    FULL: 'full',
+    INCREMENTAL: 'incremental'
+};
+
+const CATALOG_CHANGE_TYPES = {
+    ADDED: 'added',
+    RENAMED: 'renamed',
+    REMOVED: 'removed'
+};
+
+const GAME_LIFECYCLES = {
+    ACTIVE: 'active',
+    COMING_SOON: 'coming_soon',
+    DELISTED: 'delisted',
+    UNAVAILABLE_IN_REGION: 'unavailable_in_region'
+};
+
 module.exports = {
-    PAGINATION
+    PAGINATION,
+    REGIONS,
+    SEARCH_SORTS,
+    ALERT_TYPES,
+    WEBHOOK_EVENTS,
+    DIGEST_FREQUENCIES,
+    API_KEY_ROLES,
+    RATE_LIMIT_TIERS,
+    JOB_TYPES,
+    JOB_STATUSES,
+    LOCKS,
+    CATALOG_SYNC_MODES,
+    CATALOG_CHANGE_TYPES,
+    GAME_LIFECYCLES
 };
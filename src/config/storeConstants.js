@@ -0,0 +1,12 @@
+const STORES = {
+    STEAM: 'steam',
+    XBOX: 'xbox',
+    PLAYSTATION: 'playstation'
+};
+
+const PRIMARY_STORE = STORES.STEAM;
+
+module.exports = {
+    STORES,
+    PRIMARY_STORE
+};
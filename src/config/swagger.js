@@ -23,6 +23,19 @@ const options = {
       }
     ],
     components: {
+      securitySchemes: {
+        bearerAuth: {
+          type: 'http',
+          scheme: 'bearer',
+          bearerFormat: 'JWT'
+        },
+        apiKeyAuth: {
+          type: 'apiKey',
+          in: 'header',
+          name: 'X-API-Key',
+          description: 'Also accepted as `Authorization: ApiKey <key>`'
+        }
+      },
       schemas: {
         Game: {
           type: 'object',
@@ -73,6 +86,80 @@ const options = {
               type: 'string',
               description: 'Game website URL'
             },
+            regionalPrices: {
+              type: 'object',
+              additionalProperties: {
+                $ref: '#/components/schemas/Price'
+              },
+              description: 'Price in each supported region, keyed by country code'
+            },
+            offers: {
+              type: 'array',
+              items: {
+                $ref: '#/components/schemas/StoreOffer'
+              },
+              description: 'Current offer in each store that sells the game'
+            },
+            dealScore: {
+              type: 'integer',
+              minimum: 0,
+              maximum: 100,
+              description: 'Deal quality combining discount, distance from the historical low, metacritic score '
+                + 'and recommendations; discounts weigh less the more often the game is on sale'
+            },
+            isHistoricalLow: {
+              type: 'boolean',
+              description: 'Discounted, at the lowest price ever recorded and below its usual sale price'
+            },
+            isNewLow: {
+              type: 'boolean',
+              description: 'Price dropped below the previous historical low in the last update'
+            },
+            historicalLow: {
+              type: 'object',
+              properties: {
+                final: {
+                  type: 'number'
+                },
+                currency: {
+                  type: 'string'
+                },
+                date: {
+                  type: 'string',
+                  format: 'date-time'
+                }
+              },
+              description: 'Lowest price ever recorded in the default region'
+            },
+            refresh: {
+              type: 'object',
+              description: 'Refresh schedule computed from popularity, wishlists, discounts and price history',
+              properties: {
+                nextAt: {
+                  type: 'string',
+                  format: 'date-time'
+                },
+                priority: {
+                  type: 'number',
+                  minimum: 0,
+                  maximum: 1
+                },
+                priceChanges: {
+                  type: 'integer'
+                }
+              }
+            },
+            lifecycle: {
+              type: 'string',
+              enum: ['active', 'coming_soon', 'delisted', 'unavailable_in_region'],
+              description: 'Delisted when the app left the Steam app list; otherwise from the store page '
+                + 'in the default region'
+            },
+            delistedAt: {
+              type: 'string',
+              format: 'date-time',
+              nullable: true
+            },
             lastUpdated: {
               type: 'string',
               format: 'date-time',
@@ -80,6 +167,629 @@ const options = {
             }
           }
         },
+        Price: {
+          type: 'object',
+          properties: {
+            currency: {
+              type: 'string',
+              description: 'ISO currency code'
+            },
+            initial: {
+              type: 'number',
+              description: 'Price before discount'
+            },
+            final: {
+              type: 'number',
+              description: 'Price after discount'
+            },
+            discount_percent: {
+              type: 'number',
+              description: 'Discount percentage'
+            },
+            subscription: {
+              type: 'object',
+              nullable: true,
+              description: 'Subscription-only price (e.g. PS Plus)',
+              properties: {
+                service: {
+                  type: 'string'
+                },
+                final: {
+                  type: 'number'
+                },
+                discount_percent: {
+                  type: 'number'
+                },
+                final_formatted: {
+                  type: 'string'
+                }
+              }
+            },
+            lastChecked: {
+              type: 'string',
+              format: 'date-time',
+              description: 'When the price was read from the store'
+            }
+          }
+        },
+        StoreOffer: {
+          type: 'object',
+          properties: {
+            store: {
+              type: 'string',
+              enum: ['steam', 'xbox', 'playstation'],
+              description: 'Store that sells the product'
+            },
+            productId: {
+              type: 'string',
+              description: 'Product identifier in the store'
+            },
+            url: {
+              type: 'string',
+              description: 'Product page in the store'
+            },
+            price: {
+              $ref: '#/components/schemas/Price'
+            },
+            lastChecked: {
+              type: 'string',
+              format: 'date-time',
+              description: 'Last time the offer was refreshed'
+            }
+          }
+        },
+        Session: {
+          type: 'object',
+          properties: {
+            token: {
+              type: 'string',
+              description: 'JWT to send in the Authorization header as a Bearer token'
+            },
+            user: {
+              type: 'object',
+              properties: {
+                id: {
+                  type: 'string'
+                },
+                email: {
+                  type: 'string'
+                },
+                name: {
+                  type: 'string'
+                }
+              }
+            }
+          }
+        },
+        Alert: {
+          type: 'object',
+          properties: {
+            _id: {
+              type: 'string'
+            },
+            appid: {
+              type: 'integer',
+              description: 'Steam application ID'
+            },
+            name: {
+              type: 'string',
+              description: 'Game name'
+            },
+            type: {
+              type: 'string',
+              enum: ['target_price', 'target_discount', 'saved_search'],
+              description: 'Which wishlist target was reached, or saved_search when a saved search has new matches'
+            },
+            savedSearch: {
+              type: 'string',
+              description: 'Saved search with new matches'
+            },
+            matchCount: {
+              type: 'integer',
+              description: 'Number of games that newly match the saved search'
+            },
+            target: {
+              type: 'object',
+              properties: {
+                price: {
+                  type: 'number'
+                },
+                discount: {
+                  type: 'number'
+                }
+              }
+            },
+            price: {
+              $ref: '#/components/schemas/Price'
+            },
+            previousPrice: {
+              $ref: '#/components/schemas/Price'
+            },
+            read: {
+              type: 'boolean'
+            },
+            triggeredAt: {
+              type: 'string',
+              format: 'date-time'
+            }
+          }
+        },
+        DigestSettings: {
+          type: 'object',
+          properties: {
+            frequency: {
+              type: 'string',
+              enum: ['off', 'daily', 'weekly']
+            },
+            filters: {
+              type: 'object',
+              properties: {
+                genre: {
+                  type: 'string'
+                },
+                publisher: {
+                  type: 'string'
+                },
+                developer: {
+                  type: 'string'
+                },
+                minDiscount: {
+                  type: 'integer',
+                  minimum: 0,
+                  maximum: 100
+                }
+              }
+            },
+            lastSentAt: {
+              type: 'string',
+              format: 'date-time',
+              readOnly: true
+            }
+          }
+        },
+        ApiKeyInput: {
+          type: 'object',
+          properties: {
+            name: {
+              type: 'string',
+              maxLength: 100,
+              description: 'Who or what uses the key'
+            },
+            role: {
+              type: 'string',
+              enum: ['public', 'partner', 'admin'],
+              default: 'public'
+            },
+            expiresAt: {
+              type: 'string',
+              format: 'date-time',
+              description: 'The key never expires when omitted'
+            }
+          }
+        },
+        ApiKey: {
+          type: 'object',
+          properties: {
+            id: {
+              type: 'string'
+            },
+            name: {
+              type: 'string'
+            },
+            prefix: {
+              type: 'string',
+              description: 'First characters of the key'
+            },
+            role: {
+              type: 'string',
+              enum: ['public', 'partner', 'admin']
+            },
+            createdBy: {
+              type: 'string',
+              description: 'Prefix of the key that created it'
+            },
+            expiresAt: {
+              type: 'string',
+              format: 'date-time'
+            },
+            revokedAt: {
+              type: 'string',
+              format: 'date-time'
+            },
+            lastUsedAt: {
+              type: 'string',
+              format: 'date-time',
+              description: 'Updated at most every 5 minutes'
+            },
+            createdAt: {
+              type: 'string',
+              format: 'date-time'
+            }
+          }
+        },
+        ApiKeyUsage: {
+          type: 'object',
+          properties: {
+            key: {
+              $ref: '#/components/schemas/ApiKey'
+            },
+            tier: {
+              type: 'string',
+              enum: ['anonymous', 'free', 'partner']
+            },
+            rateLimit: {
+              type: 'object',
+              properties: {
+                limit: {
+                  type: 'integer',
+                  description: 'Requests allowed per window'
+                },
+                windowMs: {
+                  type: 'integer'
+                },
+                remaining: {
+                  type: 'integer'
+                },
+                resetTime: {
+                  type: 'string',
+                  format: 'date-time'
+                }
+              }
+            },
+            usage: {
+              type: 'object',
+              properties: {
+                today: {
+                  type: 'integer'
+                },
+                thisMonth: {
+                  type: 'integer'
+                },
+                daily: {
+                  type: 'array',
+                  items: {
+                    type: 'object',
+                    properties: {
+                      day: {
+                        type: 'string',
+                        example: '2024-05-01'
+                      },
+                      requests: {
+                        type: 'integer'
+                      }
+                    }
+                  }
+                },
+                monthly: {
+                  type: 'array',
+                  items: {
+                    type: 'object',
+                    properties: {
+                      month: {
+                        type: 'string',
+                        example: '2024-05'
+                      },
+                      requests: {
+                        type: 'integer'
+                      }
+                    }
+                  }
+                }
+              }
+            }
+          }
+        },
+        ThrottleStatus: {
+          type: 'object',
+          properties: {
+            host: {
+              type: 'string'
+            },
+            configuredRatePerMinute: {
+              type: 'number'
+            },
+            ratePerMinute: {
+              type: 'number',
+              description: 'Current rate, lower than the configured one after a 429'
+            },
+            burst: {
+              type: 'integer'
+            },
+            tokens: {
+              type: 'integer'
+            },
+            queued: {
+              type: 'integer',
+              description: 'Requests waiting for a token'
+            },
+            requests: {
+              type: 'integer'
+            },
+            throttled: {
+              type: 'integer',
+              description: 'Responses with status 429'
+            },
+            waitedMs: {
+              type: 'integer',
+              description: 'Total time requests spent waiting for a token'
+            },
+            pausedUntil: {
+              type: 'string',
+              format: 'date-time',
+              nullable: true
+            },
+            lastThrottledAt: {
+              type: 'string',
+              format: 'date-time',
+              nullable: true
+            }
+          }
+        },
+        CatalogChange: {
+          type: 'object',
+          properties: {
+            type: {
+              type: 'string',
+              enum: ['added', 'renamed', 'removed']
+            },
+            appid: {
+              type: 'integer'
+            },
+            name: {
+              type: 'string'
+            },
+            previousName: {
+              type: 'string',
+              description: 'Name before the rename, only for renamed apps'
+            },
+            detectedAt: {
+              type: 'string',
+              format: 'date-time'
+            }
+          }
+        },
+        Job: {
+          type: 'object',
+          properties: {
+            id: {
+              type: 'string'
+            },
+            type: {
+              type: 'string',
+              enum: ['sync_new_games', 'update_all_games', 'price_sweep']
+            },
+            status: {
+              type: 'string',
+              enum: ['queued', 'running', 'succeeded', 'failed', 'cancelled']
+            },
+            requestedBy: {
+              type: 'string',
+              description: 'Prefix of the API key that queued the job, or cron'
+            },
+            progress: {
+              type: 'object',
+              description: 'Counters of the current phase, saved every few seconds',
+              properties: {
+                phase: {
+                  type: 'string',
+                  description: 'Current step of jobs that run in several phases'
+                },
+                total: {
+                  type: 'integer'
+                },
+                processed: {
+                  type: 'integer'
+                },
+                succeeded: {
+                  type: 'integer'
+                },
+                failed: {
+                  type: 'integer'
+                }
+              }
+            },
+            cancelRequested: {
+              type: 'boolean'
+            },
+            checkpoint: {
+              type: 'object',
+              nullable: true,
+              description: 'Position an interrupted run resumes from'
+            },
+            attempts: {
+              type: 'integer',
+              description: 'Number of times a worker has started the job'
+            },
+            result: {
+              type: 'object',
+              description: 'Summary returned by a finished job'
+            },
+            errors: {
+              type: 'array',
+              description: 'Latest 50 errors, only returned by GET /api/jobs/{id}',
+              items: {
+                type: 'object',
+                properties: {
+                  message: {
+                    type: 'string'
+                  },
+                  at: {
+                    type: 'string',
+                    format: 'date-time'
+                  }
+                }
+              }
+            },
+            createdAt: {
+              type: 'string',
+              format: 'date-time'
+            },
+            startedAt: {
+              type: 'string',
+              format: 'date-time'
+            },
+            finishedAt: {
+              type: 'string',
+              format: 'date-time'
+            },
+            durationMs: {
+              type: 'integer',
+              description: 'Time running so far, or until it finished'
+            }
+          }
+        },
+        SavedSearchInput: {
+          type: 'object',
+          properties: {
+            name: {
+              type: 'string',
+              maxLength: 100
+            },
+            filters: {
+              type: 'object',
+              description: 'Same filters accepted by GET /api/games',
+              properties: {
+                genre: {
+                  type: 'string'
+                },
+                publisher: {
+                  type: 'string'
+                },
+                developer: {
+                  type: 'string'
+                },
+                discountPercent: {
+                  type: 'integer',
+                  minimum: 0,
+                  maximum: 100
+                },
+                minDiscount: {
+                  type: 'integer',
+                  minimum: 0,
+                  maximum: 100
+                },
+                maxDiscount: {
+                  type: 'integer',
+                  minimum: 0,
+                  maximum: 100
+                },
+                isFree: {
+                  type: 'boolean'
+                },
+                subscriptionDiscount: {
+                  type: 'boolean'
+                },
+                onlyHistoricalLows: {
+                  type: 'boolean'
+                },
+                region: {
+                  type: 'string'
+                }
+              }
+            }
+          }
+        },
+        SavedSearch: {
+          type: 'object',
+          properties: {
+            id: {
+              type: 'string'
+            },
+            name: {
+              type: 'string'
+            },
+            filters: {
+              type: 'object'
+            },
+            matchCount: {
+              type: 'integer',
+              description: 'Games matching the search in the last evaluation'
+            },
+            overLimit: {
+              type: 'boolean',
+              description: 'Too many games match, so new matches are not tracked until the filters are narrowed'
+            },
+            newMatches: {
+              type: 'integer',
+              description: 'Games that started matching and have not been seen yet'
+            },
+            lastEvaluatedAt: {
+              type: 'string',
+              format: 'date-time'
+            },
+            createdAt: {
+              type: 'string',
+              format: 'date-time'
+            }
+          }
+        },
+        WebhookInput: {
+          type: 'object',
+          properties: {
+            url: {
+              type: 'string',
+              format: 'uri',
+              description: 'Endpoint that receives the POST requests'
+            },
+            events: {
+              type: 'array',
+              items: {
+                type: 'string',
+                enum: ['price.changed', 'price.historical_low', 'game.added', 'game.delisted']
+              },
+              description: 'Events to subscribe to'
+            },
+            secret: {
+              type: 'string',
+              minLength: 16,
+              description: 'Signing secret, generated when omitted'
+            },
+            description: {
+              type: 'string'
+            },
+            active: {
+              type: 'boolean'
+            }
+          }
+        },
+        WebhookDelivery: {
+          type: 'object',
+          properties: {
+            _id: {
+              type: 'string'
+            },
+            event: {
+              type: 'string'
+            },
+            payload: {
+              type: 'object',
+              description: 'Body sent to the webhook'
+            },
+            status: {
+              type: 'string',
+              enum: ['delivering', 'retrying', 'succeeded', 'failed']
+            },
+            attempts: {
+              type: 'integer'
+            },
+            responseStatus: {
+              type: 'integer',
+              description: 'HTTP status returned by the last attempt'
+            },
+            error: {
+              type: 'string',
+              description: 'Error of the last failed attempt'
+            },
+            nextAttemptAt: {
+              type: 'string',
+              format: 'date-time'
+            },
+            deliveredAt: {
+              type: 'string',
+              format: 'date-time'
+            }
+          }
+        },
         PaginationResponse: {
           type: 'object',
           properties: {
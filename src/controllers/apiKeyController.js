@@ -0,0 +1,224 @@
+const logger = require('../utils/logger');
+const apiKeyService = require('../services/apiKeyService');
+const usageService = require('../services/usageService');
+const { getTier, TIER_LIMITS, RATE_LIMIT_WINDOW_MS } = require('../middleware/rateLimit');
+const { API_KEY_ROLES } = require('../config/constants');
+
+const MAX_NAME_LENGTH = 100;
+const MAX_USAGE_DAYS = 90;
+const MAX_USAGE_MONTHS = 12;
+
+const parsePeriod = (value, { defaultValue, max }) => {
+    if (value === undefined) return defaultValue;
+
+    const number = Number(value);
+    return Number.isInteger(number) && number >= 1 && number <= max ? number : null;
+};
+
+const parseUsagePeriods = (query) => {
+    const days = parsePeriod(query.days, { defaultValue: 30, max: MAX_USAGE_DAYS });
+    const months = parsePeriod(query.months, { defaultValue: MAX_USAGE_MONTHS, max: MAX_USAGE_MONTHS });
+
+    if (days === null) {
+        return { error: `days must be between 1 and ${MAX_USAGE_DAYS}` };
+    }
+
+    if (months === null) {
+        return { error: `months must be between 1 and ${MAX_USAGE_MONTHS}` };
+    }
+
+    return { value: { days, months } };
+};
+
+const parseApiKey = (body, { partial = false } = {}) => {
+    const result = {};
+
+    if (!partial || body.name !== undefined) {
+        if (typeof body.name !== 'string' || !body.name.trim() || body.name.length > MAX_NAME_LENGTH) {
+            return { error: `name is required and must be at most ${MAX_NAME_LENGTH} characters long` };
+        }
+        result.name = body.name.trim();
+    }
+
+    if (body.role !== undefined) {
+        if (!apiKeyService.isValidRole(body.role)) {
+            return { error: `role must be one of: ${Object.values(API_KEY_ROLES).join(', ')}` };
+        }
+        result.role = body.role;
+    }
+
+    if (body.expiresAt !== undefined) {
+        const expiresAt = new Date(body.expiresAt);
+
+        if (Number.isNaN(expiresAt.getTime()) || expiresAt <= new Date()) {
+            return { error: 'expiresAt must be a date in the future' };
+        }
+        result.expiresAt = expiresAt;
+    }
+
+    return { value: result };
+};
+
+const listApiKeys = async (req, res) => {
+    try {
+        const keys = await apiKeyService.listKeys({
+            includeRevoked: req.query.includeRevoked === 'true'
+        });
+
+        res.json({
+            total: keys.length,
+            keys
+        });
+    } catch (error) {
+        logger.error(`Error listing API keys: ${error.message}`);
+        res.status(500).json({ error: 'Error listing API keys' });
+    }
+};
+
+const createApiKey = async (req, res) => {
+    try {
+        const { value, error } = parseApiKey(req.body);
+
+        if (error) {
+            return res.status(400).json({ error });
+        }
+
+        const apiKey = await apiKeyService.createKey({
+            ...value,
+            createdBy: req.apiKey.prefix
+        });
+
+        res.status(201).json(apiKey);
+    } catch (error) {
+        logger.error(`Error creating API key: ${error.message}`);
+        res.status(500).json({ error: 'Error creating API key' });
+    }
+};
+
+const getApiKey = async (req, res) => {
+    try {
+        const apiKey = await apiKeyService.getKey(req.params.id);
+
+        if (!apiKey) {
+            return res.status(404).json({ error: 'API key not found' });
+        }
+
+        res.json(apiKey);
+    } catch (error) {
+        logger.error(`Error fetching API key: ${error.message}`);
+        res.status(500).json({ error: 'Error fetching API key' });
+    }
+};
+
+const updateApiKey = async (req, res) => {
+    try {
+        const { value, error } = parseApiKey(req.body, { partial: true });
+
+        if (error) {
+            return res.status(400).json({ error });
+        }
+
+        // Prevents an admin from locking everyone out by demoting the key in use
+        if (req.params.id === req.apiKey.id && value.role && value.role !== API_KEY_ROLES.ADMIN) {
+            return res.status(409).json({ error: 'You cannot change the role of the API key in use' });
+        }
+
+        const apiKey = await apiKeyService.updateKey(req.params.id, value);
+
+        if (!apiKey) {
+            return res.status(404).json({ error: 'API key not found' });
+        }
+
+        res.json(apiKey);
+    } catch (error) {
+        logger.error(`Error updating API key: ${error.message}`);
+        res.status(500).json({ error: 'Error updating API key' });
+    }
+};
+
+const revokeApiKey = async (req, res) => {
+    try {
+        if (req.params.id === req.apiKey.id) {
+            return res.status(409).json({ error: 'You cannot revoke the API key in use' });
+        }
+
+        const revoked = await apiKeyService.revokeKey(req.params.id);
+
+        if (!revoked) {
+            return res.status(404).json({ error: 'API key not found' });
+        }
+
+        res.json({
+            success: true,
+            message: `API key ${req.params.id} revoked`
+        });
+    } catch (error) {
+        logger.error(`Error revoking API key: ${error.message}`);
+        res.status(500).json({ error: 'Error revoking API key' });
+    }
+};
+
+const getApiKeyUsage = async (req, res) => {
+    try {
+        const { value, error } = parseUsagePeriods(req.query);
+
+        if (error) {
+            return res.status(400).json({ error });
+        }
+
+        const apiKey = await apiKeyService.getKey(req.params.id);
+
+        if (!apiKey) {
+            return res.status(404).json({ error: 'API key not found' });
+        }
+
+        const usage = await usageService.getUsage(apiKey.id, value);
+
+        res.json({
+            key: apiKey,
+            usage
+        });
+    } catch (error) {
+        logger.error(`Error fetching API key usage: ${error.message}`);
+        res.status(500).json({ error: 'Error fetching API key usage' });
+    }
+};
+
+// Usage of the API key making the request, including the state of its current rate limit window
+const getOwnUsage = async (req, res) => {
+    try {
+        const { value, error } = parseUsagePeriods(req.query);
+
+        if (error) {
+            return res.status(400).json({ error });
+        }
+
+        const tier = getTier(req);
+        const usage = await usageService.getUsage(req.apiKey.id, value);
+
+        res.json({
+            key: req.apiKey,
+            tier,
+            rateLimit: {
+                limit: TIER_LIMITS[tier],
+                windowMs: RATE_LIMIT_WINDOW_MS,
+                remaining: req.rateLimit ? req.rateLimit.remaining : null,
+                resetTime: req.rateLimit ? req.rateLimit.resetTime : null
+            },
+            usage
+        });
+    } catch (error) {
+        logger.error(`Error fetching API key usage: ${error.message}`);
+        res.status(500).json({ error: 'Error fetching API key usage' });
+    }
+};
+
+module.exports = {
+    listApiKeys,
+    createApiKey,
+    getApiKey,
+    updateApiKey,
+    revokeApiKey,
+    getApiKeyUsage,
+    getOwnUsage
+};
@@ -0,0 +1,55 @@
+const logger = require('../utils/logger');
+const userService = require('../services/userService');
+
+const register = async (req, res) => {
+    try {
+        const { email, password, name } = req.body;
+
+        if (!userService.isValidEmail(email)) {
+            return res.status(400).json({ error: 'A valid email is required' });
+        }
+
+        if (!userService.isValidPassword(password)) {
+            return res.status(400).json({
+                error: `Password must be at least ${userService.minPasswordLength} characters long`
+            });
+        }
+
+        const session = await userService.register({ email, password, name });
+
+        if (!session) {
+            return res.status(409).json({ error: 'Email already registered' });
+        }
+
+        res.status(201).json(session);
+    } catch (error) {
+        logger.error(`Error registering user: ${error.message}`);
+        res.status(500).json({ error: 'Error registering user' });
+    }
+};
+
+const login = async (req, res) => {
+    try {
+        const { email, password } = req.body;
+
+        if (!email || !password) {
+            return res.status(400).json({ error: 'Email and password are required' });
+        }
+
+        const session = await userService.authenticate(email, password);
+
+        if (!session) {
+            return res.status(401).json({ error: 'Invalid email or password' });
+        }
+
+        res.json(session);
+    } catch (error) {
+        logger.error(`Error logging in: ${error.message}`);
+        res.status(500).json({ error: 'Error logging in' });
+    }
+};
+
+module.exports = {
+    register,
+    login
+};
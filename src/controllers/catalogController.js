@@ -0,0 +1,47 @@
+const logger = require('../utils/logger');
+const catalogService = require('../services/catalogService');
+const { PAGINATION, CATALOG_CHANGE_TYPES } = require('../config/constants');
+
+const getChanges = async (req, res) => {
+    try {
+        const { type } = req.query;
+        const since = req.query.since ? new Date(req.query.since) : null;
+
+        if (since && Number.isNaN(since.getTime())) {
+            return res.status(400).json({ error: 'since must be an ISO 8601 date' });
+        }
+
+        if (type && !catalogService.isValidType(type)) {
+            const types = Object.values(CATALOG_CHANGE_TYPES).join(', ');
+            return res.status(400).json({ error: `type must be one of: ${types}` });
+        }
+
+        const page = parseInt(req.query.page, 10) || PAGINATION.DEFAULT_PAGE;
+        const pageSize = Math.min(
+            parseInt(req.query.pageSize, 10) || PAGINATION.DEFAULT_PAGE_SIZE,
+            PAGINATION.MAX_PAGE_SIZE
+        );
+        const { syncedAt, total, changes } = await catalogService.getChanges({
+            since, type, page, pageSize
+        });
+
+        res.json({
+            since,
+            syncedAt,
+            pagination: {
+                currentPage: page,
+                pageSize,
+                totalChanges: total,
+                totalPages: Math.ceil(total / pageSize)
+            },
+            changes
+        });
+    } catch (error) {
+        logger.error(`Error fetching catalog changes: ${error.message}`);
+        res.status(500).json({ error: 'Error fetching catalog changes' });
+    }
+};
+
+module.exports = {
+    getChanges
+};
@@ -0,0 +1,78 @@
+const logger = require('../utils/logger');
+const jobService = require('../services/jobService');
+const { JOB_STATUSES, JOB_TYPES } = require('../config/constants');
+
+const listJobs = async (req, res) => {
+    try {
+        const { status, type } = req.query;
+
+        if (status && !jobService.isValidStatus(status)) {
+            return res.status(400).json({ error: `status must be one of: ${Object.values(JOB_STATUSES).join(', ')}` });
+        }
+
+        if (type && !Object.values(JOB_TYPES).includes(type)) {
+            return res.status(400).json({ error: `type must be one of: ${Object.values(JOB_TYPES).join(', ')}` });
+        }
+
+        const jobs = await jobService.listJobs({
+            status,
+            type,
+            limit: parseInt(req.query.limit, 10) || 50
+        });
+
+        res.json({
+            total: jobs.length,
+            jobs
+        });
+    } catch (error) {
+        logger.error(`Error listing jobs: ${error.message}`);
+        res.status(500).json({ error: 'Error listing jobs' });
+    }
+};
+
+const getJob = async (req, res) => {
+    try {
+        const job = await jobService.getJob(req.params.id);
+
+        if (!job) {
+            return res.status(404).json({ error: 'Job not found' });
+        }
+
+        res.json(job);
+    } catch (error) {
+        logger.error(`Error fetching job: ${error.message}`);
+        res.status(500).json({ error: 'Error fetching job' });
+    }
+};
+
+const cancelJob = async (req, res) => {
+    try {
+        const job = await jobService.cancelJob(req.params.id);
+
+        if (!job) {
+            return res.status(404).json({ error: 'Job not found' });
+        }
+
+        // Cancelling twice is harmless, but finished jobs cannot be cancelled
+        if (![JOB_STATUSES.RUNNING, JOB_STATUSES.CANCELLED].includes(job.status)) {
+            return res.status(409).json({ error: `Job already ${job.status}`, job });
+        }
+
+        res.status(job.status === JOB_STATUSES.RUNNING ? 202 : 200).json({
+            success: true,
+            message: job.status === JOB_STATUSES.RUNNING
+                ? 'Cancellation requested, the job stops after the items in progress'
+                : 'Job cancelled',
+            job
+        });
+    } catch (error) {
+        logger.error(`Error cancelling job: ${error.message}`);
+        res.status(500).json({ error: 'Error cancelling job' });
+    }
+};
+
+module.exports = {
+    listJobs,
+    getJob,
+    cancelJob
+};
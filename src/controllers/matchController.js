@@ -0,0 +1,88 @@
+const logger = require('../utils/logger');
+const matchingService = require('../services/matchingService');
+const providerRegistry = require('../services/providers');
+
+const listMatches = async (req, res) => {
+    try {
+        const maxConfidence = req.query.maxConfidence !== undefined ? parseFloat(req.query.maxConfidence) : undefined;
+
+        if (maxConfidence !== undefined && Number.isNaN(maxConfidence)) {
+            return res.status(400).json({ error: 'maxConfidence must be a number between 0 and 1' });
+        }
+
+        const matches = await matchingService.listMatches({
+            store: req.query.store,
+            method: req.query.method,
+            maxConfidence
+        });
+
+        res.json({
+            total: matches.length,
+            matches
+        });
+    } catch (error) {
+        logger.error(`Error listing store matches: ${error.message}`);
+        res.status(500).json({ error: 'Error listing store matches' });
+    }
+};
+
+const setMatch = async (req, res) => {
+    try {
+        const { store, productId } = req.params;
+        const appid = req.body.appid === null ? null : parseInt(req.body.appid, 10);
+
+        if (!providerRegistry.get(store) || store === providerRegistry.getPrimary().store) {
+            return res.status(400).json({ error: `Unknown or non-matchable store: ${store}` });
+        }
+
+        if (appid !== null && Number.isNaN(appid)) {
+            return res.status(400).json({ error: 'appid must be a Steam application ID or null' });
+        }
+
+        const result = await matchingService.setManualMatch(store, productId, appid, req.body.reason);
+
+        if (!result) {
+            return res.status(404).json({ error: `Game not found: ${appid}` });
+        }
+
+        res.json({
+            success: true,
+            store,
+            productId,
+            appid,
+            offer: result.offer || null
+        });
+    } catch (error) {
+        logger.error(`Error setting manual match: ${error.message}`);
+        res.status(500).json({
+            success: false,
+            error: 'Error setting manual match',
+            message: error.message
+        });
+    }
+};
+
+const removeMatch = async (req, res) => {
+    try {
+        const { store, productId } = req.params;
+        const removed = await matchingService.removeManualMatch(store, productId);
+
+        if (!removed) {
+            return res.status(404).json({ error: 'No manual match found for this product' });
+        }
+
+        res.json({
+            success: true,
+            message: `Manual match removed for ${store} product ${productId}`
+        });
+    } catch (error) {
+        logger.error(`Error removing manual match: ${error.message}`);
+        res.status(500).json({ error: 'Error removing manual match' });
+    }
+};
+
+module.exports = {
+    listMatches,
+    setMatch,
+    removeMatch
+};
@@ -0,0 +1,227 @@
+const logger = require('../utils/logger');
+const savedSearchService = require('../services/savedSearchService');
+const { resolveRegion } = require('../utils/regionUtils');
+const { REGIONS } = require('../config/constants');
+
+const MAX_NAME_LENGTH = 100;
+const TEXT_FILTERS = ['genre', 'publisher', 'developer'];
+const DISCOUNT_FILTERS = ['discountPercent', 'minDiscount', 'maxDiscount'];
+const BOOLEAN_FILTERS = ['isFree', 'subscriptionDiscount', 'onlyHistoricalLows'];
+
+const parseBoolean = (value) => {
+    if (value === true || value === 'true') return true;
+    if (value === false || value === 'false') return false;
+    return null;
+};
+
+const isPercentage = (value) => Number.isInteger(value) && value >= 0 && value <= 100;
+
+const presentFields = (input, fields) => fields.filter((field) => input[field] !== undefined && input[field] !== '');
+
+// Accepts the same filters as GET /api/games, either typed or as query string values
+const parseFilters = (input) => {
+    if (typeof input !== 'object' || input === null || Array.isArray(input)) {
+        return { error: 'filters must be an object' };
+    }
+
+    const filters = {};
+
+    const textFields = presentFields(input, TEXT_FILTERS);
+    const invalidText = textFields.find((field) => typeof input[field] !== 'string');
+    if (invalidText) {
+        return { error: `${invalidText} must be a string` };
+    }
+    textFields.forEach((field) => {
+        filters[field] = input[field];
+    });
+
+    const discountFields = presentFields(input, DISCOUNT_FILTERS);
+    const invalidDiscount = discountFields.find((field) => !isPercentage(Number(input[field])));
+    if (invalidDiscount) {
+        return { error: `${invalidDiscount} must be a percentage between 0 and 100` };
+    }
+    discountFields.forEach((field) => {
+        filters[field] = Number(input[field]);
+    });
+
+    if (filters.minDiscount !== undefined && filters.maxDiscount !== undefined
+        && filters.minDiscount > filters.maxDiscount) {
+        return { error: 'minDiscount cannot be greater than maxDiscount' };
+    }
+
+    const booleanFields = presentFields(input, BOOLEAN_FILTERS);
+    const invalidBoolean = booleanFields.find((field) => parseBoolean(input[field]) === null);
+    if (invalidBoolean) {
+        return { error: `${invalidBoolean} must be a boolean` };
+    }
+    booleanFields.forEach((field) => {
+        filters[field] = parseBoolean(input[field]);
+    });
+
+    if (input.region !== undefined && input.region !== '') {
+        const region = resolveRegion(input.region);
+
+        if (!region) {
+            return { error: `region must be one of: ${REGIONS.SUPPORTED.join(', ')}` };
+        }
+        filters.region = region;
+    }
+
+    return { filters };
+};
+
+const parseSavedSearch = (body, { partial = false } = {}) => {
+    const result = {};
+
+    if (!partial || body.name !== undefined) {
+        if (typeof body.name !== 'string' || !body.name.trim() || body.name.length > MAX_NAME_LENGTH) {
+            return { error: `name is required and must be at most ${MAX_NAME_LENGTH} characters long` };
+        }
+        result.name = body.name.trim();
+    }
+
+    if (!partial || body.filters !== undefined) {
+        const { filters, error } = parseFilters(body.filters === undefined ? {} : body.filters);
+
+        if (error) {
+            return { error };
+        }
+        result.filters = filters;
+    }
+
+    return { value: result };
+};
+
+const listSavedSearches = async (req, res) => {
+    try {
+        const searches = await savedSearchService.listSearches(req.user.id);
+
+        res.json({
+            total: searches.length,
+            searches
+        });
+    } catch (error) {
+        logger.error(`Error listing saved searches: ${error.message}`);
+        res.status(500).json({ error: 'Error listing saved searches' });
+    }
+};
+
+const createSavedSearch = async (req, res) => {
+    try {
+        const { value, error } = parseSavedSearch(req.body);
+
+        if (error) {
+            return res.status(400).json({ error });
+        }
+
+        const search = await savedSearchService.createSearch(req.user.id, value);
+
+        if (!search) {
+            return res.status(409).json({
+                error: `You can have at most ${savedSearchService.maxSearchesPerUser} saved searches`
+            });
+        }
+
+        res.status(201).json(search);
+    } catch (error) {
+        logger.error(`Error creating saved search: ${error.message}`);
+        res.status(500).json({ error: 'Error creating saved search' });
+    }
+};
+
+const getSavedSearch = async (req, res) => {
+    try {
+        const search = await savedSearchService.getSearch(req.user.id, req.params.id);
+
+        if (!search) {
+            return res.status(404).json({ error: 'Saved search not found' });
+        }
+
+        res.json(search);
+    } catch (error) {
+        logger.error(`Error fetching saved search: ${error.message}`);
+        res.status(500).json({ error: 'Error fetching saved search' });
+    }
+};
+
+const updateSavedSearch = async (req, res) => {
+    try {
+        const { value, error } = parseSavedSearch(req.body, { partial: true });
+
+        if (error) {
+            return res.status(400).json({ error });
+        }
+
+        const search = await savedSearchService.updateSearch(req.user.id, req.params.id, value);
+
+        if (!search) {
+            return res.status(404).json({ error: 'Saved search not found' });
+        }
+
+        res.json(search);
+    } catch (error) {
+        logger.error(`Error updating saved search: ${error.message}`);
+        res.status(500).json({ error: 'Error updating saved search' });
+    }
+};
+
+const deleteSavedSearch = async (req, res) => {
+    try {
+        const deleted = await savedSearchService.deleteSearch(req.user.id, req.params.id);
+
+        if (!deleted) {
+            return res.status(404).json({ error: 'Saved search not found' });
+        }
+
+        res.json({
+            success: true,
+            message: `Saved search ${req.params.id} deleted`
+        });
+    } catch (error) {
+        logger.error(`Error deleting saved search: ${error.message}`);
+        res.status(500).json({ error: 'Error deleting saved search' });
+    }
+};
+
+const getNewMatches = async (req, res) => {
+    try {
+        const result = await savedSearchService.getNewMatches(req.user.id, req.params.id);
+
+        if (!result) {
+            return res.status(404).json({ error: 'Saved search not found' });
+        }
+
+        res.json(result);
+    } catch (error) {
+        logger.error(`Error fetching saved search matches: ${error.message}`);
+        res.status(500).json({ error: 'Error fetching saved search matches' });
+    }
+};
+
+const markNewMatchesAsSeen = async (req, res) => {
+    try {
+        const updated = await savedSearchService.markMatchesAsSeen(req.user.id, req.params.id);
+
+        if (updated === null) {
+            return res.status(404).json({ error: 'Saved search not found' });
+        }
+
+        res.json({
+            success: true,
+            updated
+        });
+    } catch (error) {
+        logger.error(`Error updating saved search matches: ${error.message}`);
+        res.status(500).json({ error: 'Error updating saved search matches' });
+    }
+};
+
+module.exports = {
+    listSavedSearches,
+    createSavedSearch,
+    getSavedSearch,
+    updateSavedSearch,
+    deleteSavedSearch,
+    getNewMatches,
+    markNewMatchesAsSeen
+};
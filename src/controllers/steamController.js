@@ -1,8 +1,15 @@
-const axios = require('axios');
 const Game = require('../models/Game');
 const logger = require('../utils/logger');
-const { PAGINATION } = require('../config/constants');
+const {
+    PAGINATION, REGIONS, JOB_TYPES, GAME_LIFECYCLES
+} = require('../config/constants');
 const steamService = require('../services/steamService');
+const exchangeRateService = require('../services/exchangeRateService');
+const priceHistoryService = require('../services/priceHistoryService');
+const jobService = require('../services/jobService');
+const { resolveRegion, getRegionalPrice } = require('../utils/regionUtils');
+
+const REGIONAL_PRICE_MAX_AGE = 24 * 60 * 60 * 1000;
 
 const getSteamGames = async (req, res) => {
     try {
@@ -11,9 +18,9 @@ const getSteamGames = async (req, res) => {
         
         logger.info(`Fetching Steam games - Page: ${page}, PageSize: ${pageSize}`);
         
-        const response = await axios.get(`https://api.steampowered.com/ISteamApps/GetAppList/v2/?key=${process.env.STEAM_API_KEY}`);
+        const apps = await steamService.getAppList();
         
-        const filteredGames = response.data.applist.apps.filter(game => 
+        const filteredGames = apps.filter((game) =>
             game.name && 
             game.name.trim() !== '' && 
             !game.name.toLowerCase().includes('test')
@@ -86,9 +93,9 @@ const getSteamGames = async (req, res) => {
 
 const checkDifferences = async (req, res) => {
     try {
-        const response = await axios.get(`https://api.steampowered.com/ISteamApps/GetAppList/v2/?key=${process.env.STEAM_API_KEY}`);
+        const apps = await steamService.getAppList();
         
-        const steamGames = response.data.applist.apps.filter(game => 
+        const steamGames = apps.filter((game) =>
             game.name && 
             game.name.trim() !== '' && 
             !game.name.toLowerCase().includes('test')
@@ -160,13 +167,34 @@ const getGameDetails = async (req, res) => {
     try {
         const appid = parseInt(req.params.appid);
         
-        if (!appid || isNaN(appid)) {
+        if (!appid || Number.isNaN(appid)) {
             logger.warn(`Intento de acceso con ID de aplicación inválido: ${req.params.appid}`);
             return res.status(400).json({ 
                 error: 'ID de aplicación inválido',
                 message: 'El ID de aplicación debe ser un número entero válido'
             });
         }
+
+        const region = resolveRegion(req.query.region);
+
+        if (!region) {
+            logger.warn(`Intento de acceso con región no soportada: ${req.query.region}`);
+            return res.status(400).json({
+                error: 'Región no soportada',
+                message: `Las regiones soportadas son: ${REGIONS.SUPPORTED.join(', ')}`
+            });
+        }
+
+        const currency = req.query.currency ? req.query.currency.toUpperCase() : undefined;
+
+        if (currency && !(await exchangeRateService.isSupportedCurrency(currency))) {
+            logger.warn(`Intento de acceso con moneda no soportada: ${req.query.currency}`);
+            const supportedCurrencies = await exchangeRateService.getSupportedCurrencies();
+            return res.status(400).json({
+                error: 'Moneda no soportada',
+                message: `Las monedas soportadas son: ${supportedCurrencies.join(', ')}`
+            });
+        }
         
         logger.info(`Fetching details for game with appid: ${appid}`);
         
@@ -207,7 +235,12 @@ const getGameDetails = async (req, res) => {
                 } else {
                     const updatedGame = { ...game.toObject() };
                     
+                    // Only the catalog sync takes a game out of delisted
+                    const keepLifecycle = game.lifecycle === GAME_LIFECYCLES.DELISTED;
+
                     Object.keys(gameDetails).forEach(key => {
+                        if (key === 'lifecycle' && keepLifecycle) return;
+
                         if (gameDetails[key] !== undefined) {
                             if ((key === 'metacritic' || key === 'recommendations' || key === 'price') && gameDetails[key]) {
                                 updatedGame[key] = gameDetails[key];
@@ -262,9 +295,40 @@ const getGameDetails = async (req, res) => {
             });
         }
         
-        const gameObject = game.toObject();
+        const gameObject = game.toObject({ flattenMaps: true });
         
         delete gameObject.__v;
+
+        if (region !== REGIONS.DEFAULT && !gameObject.is_free) {
+            let regionalPrice = getRegionalPrice(gameObject, region);
+            const isStale = !regionalPrice
+                || (new Date() - new Date(regionalPrice.lastChecked)) > REGIONAL_PRICE_MAX_AGE;
+
+            if (isStale) {
+                try {
+                    const previousPrice = regionalPrice;
+                    regionalPrice = await steamService.getRegionalPrice(appid, region);
+                    await Game.updateOne({ appid }, { $set: { [`regionalPrices.${region}`]: regionalPrice } });
+
+                    if (priceHistoryService.hasPriceChanged(previousPrice, regionalPrice)) {
+                        await priceHistoryService.recordObservations([
+                            priceHistoryService.toObservation(appid, regionalPrice, { region })
+                        ]);
+                    }
+                } catch (priceError) {
+                    logger.warn(`Could not refresh ${region} price for game ${appid}: ${priceError.message}`);
+                }
+            }
+
+            gameObject.price = regionalPrice;
+        }
+
+        gameObject.region = region;
+        delete gameObject.regionalPrices;
+
+        if (currency) {
+            gameObject.price = exchangeRateService.convertPrice(gameObject.price, currency);
+        }
         
         // Eliminar el campo price_overview de la respuesta si existe
         if (gameObject.price_overview) {
@@ -281,189 +345,48 @@ const getGameDetails = async (req, res) => {
     }
 };
 
-const syncNewGames = async (req, res) => {
+const enqueueJob = (type, label) => async (req, res) => {
     try {
-        const startTime = Date.now();
-        logger.info('Starting sync of new games from Steam API');
-
-        // Obtener lista de juegos de Steam
-        const response = await axios.get(`https://api.steampowered.com/ISteamApps/GetAppList/v2/?key=${process.env.STEAM_API_KEY}`);
-        
-        const steamGames = response.data.applist.apps.filter(game => 
-            game.name && 
-            game.name.trim() !== '' && 
-            !game.name.toLowerCase().includes('test')
-        );
+        const { job, created } = await jobService.enqueue(type, {}, {
+            requestedBy: req.apiKey ? req.apiKey.prefix : undefined
+        });
 
-        // Obtener IDs de juegos existentes en la base de datos
-        const existingAppIds = await Game.distinct('appid');
-        const existingAppIdSet = new Set(existingAppIds);
-        
-        // Filtrar juegos nuevos
-        const newGames = steamGames.filter(game => !existingAppIdSet.has(game.appid));
-        
-        logger.info(`Found ${newGames.length} new games to sync`);
-        
-        // Procesar en lotes para evitar sobrecarga
-        const batchSize = 50;
-        let syncedCount = 0;
-        
-        for (let i = 0; i < newGames.length; i += batchSize) {
-            const batch = newGames.slice(i, i + batchSize);
-            
-            // Crear documentos para inserción masiva
-            const gamesToInsert = batch.map(game => ({
-                appid: game.appid,
-                name: game.name,
-                lastUpdated: new Date()
-            }));
-            
-            // Insertar lote
-            if (gamesToInsert.length > 0) {
-                await Game.insertMany(gamesToInsert, { 
-                    ordered: false,
-                    bypassDocumentValidation: true
-                });
-                syncedCount += gamesToInsert.length;
-                logger.info(`Synced batch of ${gamesToInsert.length} games. Total: ${syncedCount}/${newGames.length}`);
-            }
+        if (!created) {
+            return res.status(409).json({
+                error: `A ${label} job is already ${job.status}`,
+                job
+            });
         }
-        
-        const timeElapsed = ((Date.now() - startTime) / 1000).toFixed(2);
-        
-        res.json({
-            success: true,
-            message: `Successfully synced ${syncedCount} new games`,
-            syncedGames: syncedCount,
-            timeElapsed: `${timeElapsed} seconds`
-        });
+
+        res.status(202)
+            .location(`/api/jobs/${job.id}`)
+            .json({
+                success: true,
+                message: `${label} job queued`,
+                job
+            });
     } catch (error) {
-        logger.error(`Error syncing new games: ${error.message}`);
-        res.status(500).json({ 
+        logger.error(`Error queuing ${label} job: ${error.message}`);
+        res.status(500).json({
             success: false,
-            error: 'Error syncing new games',
+            error: `Error queuing ${label} job`,
             message: error.message
         });
     }
 };
 
-const updateAllGames = async (req, res) => {
+const syncNewGames = enqueueJob(JOB_TYPES.SYNC_NEW_GAMES, 'New games sync');
+
+const updateAllGames = enqueueJob(JOB_TYPES.UPDATE_ALL_GAMES, 'Update');
+
+const sweepPrices = enqueueJob(JOB_TYPES.PRICE_SWEEP, 'Price sweep');
+
+const getThrottleStatus = async (req, res) => {
     try {
-        const startTime = Date.now();
-        logger.info('Starting update of all games');
-        
-        // Actualizar en lotes ordenados por fecha de última actualización
-        const batchSize = 20;
-        let updatedCount = 0;
-        let hasMore = true;
-        let lastId = null;
-        
-        while (hasMore) {
-            // Consulta para obtener el siguiente lote
-            const query = lastId ? { _id: { $gt: lastId } } : {};
-            
-            const games = await Game.find(query)
-                .sort({ lastUpdated: 1, _id: 1 })
-                .limit(batchSize)
-                .lean();
-            
-            if (games.length === 0) {
-                hasMore = false;
-                break;
-            }
-            
-            // Actualizar el último ID para la próxima iteración
-            lastId = games[games.length - 1]._id;
-            
-            // Actualizar cada juego en el lote
-            for (const game of games) {
-                try {
-                    // Obtener detalles actualizados de Steam
-                    const detailsResponse = await axios.get(
-                        `https://store.steampowered.com/api/appdetails?appids=${game.appid}&cc=us&l=en`
-                    );
-                    
-                    // Si la respuesta es exitosa, actualizar el juego
-                    if (detailsResponse.data[game.appid] && detailsResponse.data[game.appid].success) {
-                        const gameData = detailsResponse.data[game.appid].data;
-                        
-                        // Preparar datos para actualización
-                        const updateData = {
-                            name: gameData.name,
-                            type: gameData.type,
-                            is_free: gameData.is_free,
-                            developers: gameData.developers || [],
-                            publishers: gameData.publishers || [],
-                            genres: gameData.genres ? gameData.genres.map(g => g.description) : [],
-                            lastUpdated: new Date()
-                        };
-                        
-                        // Si hay información de precio, actualizarla y guardar historial
-                        if (gameData.price_overview) {
-                            // Si el precio ha cambiado, añadirlo al historial
-                            if (game.price && JSON.stringify(game.price) !== JSON.stringify(gameData.price_overview)) {
-                                await Game.updateOne(
-                                    { appid: game.appid },
-                                    { 
-                                        $push: { priceHistory: game.price },
-                                        $set: {
-                                            ...updateData,
-                                            price: gameData.price_overview
-                                        }
-                                    }
-                                );
-                            } else {
-                                // Si no ha cambiado, solo actualizar los otros datos
-                                await Game.updateOne(
-                                    { appid: game.appid },
-                                    { 
-                                        $set: {
-                                            ...updateData,
-                                            price: gameData.price_overview
-                                        }
-                                    }
-                                );
-                            }
-                        } else {
-                            // Si no hay información de precio, solo actualizar los otros datos
-                            await Game.updateOne(
-                                { appid: game.appid },
-                                { $set: updateData }
-                            );
-                        }
-                        
-                        updatedCount++;
-                        logger.info(`Updated game: ${game.name} (${game.appid}). Total: ${updatedCount}`);
-                    }
-                    
-                    // Esperar un poco para no sobrecargar la API de Steam
-                    await new Promise(resolve => setTimeout(resolve, 200));
-                    
-                } catch (gameError) {
-                    logger.error(`Error updating game ${game.appid}: ${gameError.message}`);
-                    // Continuar con el siguiente juego
-                    continue;
-                }
-            }
-            
-            logger.info(`Processed batch of ${games.length} games. Total updated: ${updatedCount}`);
-        }
-        
-        const timeElapsed = ((Date.now() - startTime) / 1000).toFixed(2);
-        
-        res.json({
-            success: true,
-            message: `Successfully updated ${updatedCount} games`,
-            updatedGames: updatedCount,
-            timeElapsed: `${timeElapsed} seconds`
-        });
+        res.json({ hosts: steamService.getThrottleStatus() });
     } catch (error) {
-        logger.error(`Error updating all games: ${error.message}`);
-        res.status(500).json({ 
-            success: false,
-            error: 'Error updating all games',
-            message: error.message
-        });
+        logger.error(`Error fetching Steam throttle status: ${error.message}`);
+        res.status(500).json({ error: 'Error fetching Steam throttle status' });
     }
 };
 
@@ -473,5 +396,7 @@ module.exports = {
     getStoredGames,
     getGameDetails,
     syncNewGames,
-    updateAllGames
+    updateAllGames,
+    sweepPrices,
+    getThrottleStatus
 };
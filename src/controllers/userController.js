@@ -0,0 +1,251 @@
+const logger = require('../utils/logger');
+const userService = require('../services/userService');
+const alertService = require('../services/alertService');
+const digestService = require('../services/digestService');
+const { DIGEST_FREQUENCIES } = require('../config/constants');
+
+const parseTarget = (value, { min, max }) => {
+    if (value === undefined || value === null || value === '') return { value: undefined };
+
+    const number = Number(value);
+    if (Number.isNaN(number) || number < min || (max !== undefined && number > max)) {
+        return { error: true };
+    }
+
+    return { value: number };
+};
+
+const getProfile = async (req, res) => {
+    try {
+        const user = await userService.getUser(req.user.id);
+
+        if (!user) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+
+        res.json(user);
+    } catch (error) {
+        logger.error(`Error fetching user profile: ${error.message}`);
+        res.status(500).json({ error: 'Error fetching user profile' });
+    }
+};
+
+const getWishlist = async (req, res) => {
+    try {
+        const wishlist = await userService.getWishlist(req.user.id);
+
+        if (!wishlist) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+
+        res.json({
+            total: wishlist.length,
+            wishlist
+        });
+    } catch (error) {
+        logger.error(`Error fetching wishlist: ${error.message}`);
+        res.status(500).json({ error: 'Error fetching wishlist' });
+    }
+};
+
+const saveWishlistItem = async (req, res) => {
+    try {
+        const appid = parseInt(req.params.appid, 10);
+
+        if (Number.isNaN(appid)) {
+            return res.status(400).json({ error: 'Invalid game ID' });
+        }
+
+        const targetPrice = parseTarget(req.body.targetPrice, { min: 0 });
+        const targetDiscount = parseTarget(req.body.targetDiscount, { min: 1, max: 100 });
+
+        if (targetPrice.error) {
+            return res.status(400).json({ error: 'targetPrice must be a positive number' });
+        }
+
+        if (targetDiscount.error) {
+            return res.status(400).json({ error: 'targetDiscount must be a percentage between 1 and 100' });
+        }
+
+        const item = await userService.saveWishlistItem(req.user.id, appid, {
+            targetPrice: targetPrice.value,
+            targetDiscount: targetDiscount.value
+        });
+
+        if (!item) {
+            return res.status(404).json({ error: 'Game not found' });
+        }
+
+        res.json({
+            success: true,
+            item
+        });
+    } catch (error) {
+        logger.error(`Error saving wishlist item: ${error.message}`);
+        res.status(500).json({ error: 'Error saving wishlist item' });
+    }
+};
+
+const removeWishlistItem = async (req, res) => {
+    try {
+        const appid = parseInt(req.params.appid, 10);
+
+        if (Number.isNaN(appid)) {
+            return res.status(400).json({ error: 'Invalid game ID' });
+        }
+
+        const removed = await userService.removeWishlistItem(req.user.id, appid);
+
+        if (!removed) {
+            return res.status(404).json({ error: 'Game not in wishlist' });
+        }
+
+        res.json({
+            success: true,
+            message: `Game ${appid} removed from wishlist`
+        });
+    } catch (error) {
+        logger.error(`Error removing wishlist item: ${error.message}`);
+        res.status(500).json({ error: 'Error removing wishlist item' });
+    }
+};
+
+const getAlerts = async (req, res) => {
+    try {
+        const limit = parseInt(req.query.limit, 10) || 50;
+        const result = await alertService.getAlerts(req.user.id, {
+            unreadOnly: req.query.unread === 'true',
+            limit
+        });
+
+        res.json(result);
+    } catch (error) {
+        logger.error(`Error fetching alerts: ${error.message}`);
+        res.status(500).json({ error: 'Error fetching alerts' });
+    }
+};
+
+const markAlertAsRead = async (req, res) => {
+    try {
+        const updated = await alertService.markAsRead(req.user.id, req.params.id);
+
+        if (!updated) {
+            return res.status(404).json({ error: 'Alert not found' });
+        }
+
+        res.json({ success: true });
+    } catch (error) {
+        logger.error(`Error updating alert: ${error.message}`);
+        res.status(500).json({ error: 'Error updating alert' });
+    }
+};
+
+const markAllAlertsAsRead = async (req, res) => {
+    try {
+        const updated = await alertService.markAllAsRead(req.user.id);
+
+        res.json({
+            success: true,
+            updated
+        });
+    } catch (error) {
+        logger.error(`Error updating alerts: ${error.message}`);
+        res.status(500).json({ error: 'Error updating alerts' });
+    }
+};
+
+const getDigestSettings = async (req, res) => {
+    try {
+        const settings = await digestService.getSettings(req.user.id);
+
+        if (!settings) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+
+        res.json(settings);
+    } catch (error) {
+        logger.error(`Error fetching digest settings: ${error.message}`);
+        res.status(500).json({ error: 'Error fetching digest settings' });
+    }
+};
+
+const updateDigestSettings = async (req, res) => {
+    try {
+        const { frequency, filters = {} } = req.body;
+
+        if (!digestService.isValidFrequency(frequency)) {
+            return res.status(400).json({
+                error: `frequency must be one of: ${Object.values(DIGEST_FREQUENCIES).join(', ')}`
+            });
+        }
+
+        const minDiscount = parseTarget(filters.minDiscount, { min: 0, max: 100 });
+
+        if (minDiscount.error) {
+            return res.status(400).json({ error: 'minDiscount must be a percentage between 0 and 100' });
+        }
+
+        const settings = await digestService.updateSettings(req.user.id, {
+            frequency,
+            filters: {
+                genre: filters.genre,
+                publisher: filters.publisher,
+                developer: filters.developer,
+                minDiscount: minDiscount.value
+            }
+        });
+
+        if (!settings) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+
+        res.json(settings);
+    } catch (error) {
+        logger.error(`Error updating digest settings: ${error.message}`);
+        res.status(500).json({ error: 'Error updating digest settings' });
+    }
+};
+
+const previewDigest = async (req, res) => {
+    try {
+        const [user, settings] = await Promise.all([
+            userService.getUser(req.user.id),
+            digestService.getSettings(req.user.id)
+        ]);
+
+        if (!user) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+
+        const frequency = settings.frequency === DIGEST_FREQUENCIES.OFF
+            ? DIGEST_FREQUENCIES.WEEKLY
+            : settings.frequency;
+        const digest = await digestService.buildDigest({ ...user, digest: settings }, frequency);
+
+        if (!digest) {
+            return res.status(404).json({ error: 'No deals match the digest filters right now' });
+        }
+
+        if (req.query.format === 'html') {
+            return res.type('html').send(digest.html);
+        }
+
+        res.json(digest);
+    } catch (error) {
+        logger.error(`Error building digest preview: ${error.message}`);
+        res.status(500).json({ error: 'Error building digest preview' });
+    }
+};
+
+module.exports = {
+    getProfile,
+    getWishlist,
+    saveWishlistItem,
+    removeWishlistItem,
+    getAlerts,
+    markAlertAsRead,
+    markAllAlertsAsRead,
+    getDigestSettings,
+    updateDigestSettings,
+    previewDigest
+};
@@ -0,0 +1,153 @@
+const logger = require('../utils/logger');
+const webhookService = require('../services/webhookService');
+const { WEBHOOK_EVENTS } = require('../config/constants');
+
+const DELIVERY_STATUSES = ['delivering', 'retrying', 'succeeded', 'failed'];
+
+const validateWebhook = (body, { partial = false } = {}) => {
+    if ((!partial || body.url !== undefined) && !webhookService.isValidUrl(body.url)) {
+        return 'url must be a valid http or https URL';
+    }
+
+    if ((!partial || body.events !== undefined) && !webhookService.isValidEventList(body.events)) {
+        return `events must be a non-empty list of: ${Object.values(WEBHOOK_EVENTS).join(', ')}`;
+    }
+
+    if (body.secret !== undefined && (typeof body.secret !== 'string' || body.secret.length < 16)) {
+        return 'secret must be at least 16 characters long';
+    }
+
+    if (body.active !== undefined && typeof body.active !== 'boolean') {
+        return 'active must be a boolean';
+    }
+
+    return null;
+};
+
+// Checked apart from validateWebhook because it needs a DNS lookup
+const validateWebhookUrl = async (url) => {
+    if (url === undefined || await webhookService.isAllowedUrl(url)) return null;
+
+    return 'url must resolve to a public address';
+};
+
+const listWebhooks = async (req, res) => {
+    try {
+        const webhooks = await webhookService.listWebhooks(req.user.id);
+
+        res.json({
+            total: webhooks.length,
+            webhooks
+        });
+    } catch (error) {
+        logger.error(`Error listing webhooks: ${error.message}`);
+        res.status(500).json({ error: 'Error listing webhooks' });
+    }
+};
+
+const createWebhook = async (req, res) => {
+    try {
+        const validationError = validateWebhook(req.body) || await validateWebhookUrl(req.body.url);
+
+        if (validationError) {
+            return res.status(400).json({ error: validationError });
+        }
+
+        const webhook = await webhookService.createWebhook(req.user.id, req.body);
+
+        res.status(201).json(webhook);
+    } catch (error) {
+        logger.error(`Error creating webhook: ${error.message}`);
+        res.status(500).json({ error: 'Error creating webhook' });
+    }
+};
+
+const getWebhook = async (req, res) => {
+    try {
+        const webhook = await webhookService.getWebhook(req.user.id, req.params.id);
+
+        if (!webhook) {
+            return res.status(404).json({ error: 'Webhook not found' });
+        }
+
+        res.json(webhook);
+    } catch (error) {
+        logger.error(`Error fetching webhook: ${error.message}`);
+        res.status(500).json({ error: 'Error fetching webhook' });
+    }
+};
+
+const updateWebhook = async (req, res) => {
+    try {
+        const validationError = validateWebhook(req.body, { partial: true }) || await validateWebhookUrl(req.body.url);
+
+        if (validationError) {
+            return res.status(400).json({ error: validationError });
+        }
+
+        const webhook = await webhookService.updateWebhook(req.user.id, req.params.id, req.body);
+
+        if (!webhook) {
+            return res.status(404).json({ error: 'Webhook not found' });
+        }
+
+        res.json(webhook);
+    } catch (error) {
+        logger.error(`Error updating webhook: ${error.message}`);
+        res.status(500).json({ error: 'Error updating webhook' });
+    }
+};
+
+const deleteWebhook = async (req, res) => {
+    try {
+        const deleted = await webhookService.deleteWebhook(req.user.id, req.params.id);
+
+        if (!deleted) {
+            return res.status(404).json({ error: 'Webhook not found' });
+        }
+
+        res.json({
+            success: true,
+            message: `Webhook ${req.params.id} deleted`
+        });
+    } catch (error) {
+        logger.error(`Error deleting webhook: ${error.message}`);
+        res.status(500).json({ error: 'Error deleting webhook' });
+    }
+};
+
+const getDeliveries = async (req, res) => {
+    try {
+        const { status } = req.query;
+
+        if (status && !DELIVERY_STATUSES.includes(status)) {
+            return res.status(400).json({ error: `status must be one of: ${DELIVERY_STATUSES.join(', ')}` });
+        }
+
+        const deliveries = await webhookService.getDeliveries(req.user.id, req.params.id, {
+            status,
+            limit: parseInt(req.query.limit, 10) || 50
+        });
+
+        if (!deliveries) {
+            return res.status(404).json({ error: 'Webhook not found' });
+        }
+
+        res.json({
+            total: deliveries.length,
+            deliveries
+        });
+    } catch (error) {
+        logger.error(`Error fetching webhook deliveries: ${error.message}`);
+        res.status(500).json({ error: 'Error fetching webhook deliveries' });
+    }
+};
+
+module.exports = {
+    listWebhooks,
+    createWebhook,
+    getWebhook,
+    updateWebhook,
+    deleteWebhook,
+    getDeliveries
+};
@@ -0,0 +1,79 @@
+const userService = require('../services/userService');
+const apiKeyService = require('../services/apiKeyService');
+const logger = require('../utils/logger');
+
+const readApiKey = (req) => {
+  const [scheme, key] = (req.headers.authorization || '').split(' ');
+
+  if (scheme === 'ApiKey' && key) {
+    return key;
+  }
+
+  return req.headers['x-api-key'];
+};
+
+const requireAuth = (req, res, next) => {
+  const [scheme, token] = (req.headers.authorization || '').split(' ');
+
+  if (scheme !== 'Bearer' || !token) {
+    return res.status(401).json({ error: 'Authentication required' });
+  }
+
+  try {
+    req.user = userService.verifyToken(token);
+    next();
+  } catch (error) {
+    if (error.name === 'TokenExpiredError' || error.name === 'JsonWebTokenError') {
+      return res.status(401).json({ error: 'Invalid or expired token' });
+    }
+
+    logger.error(`Error verifying token: ${error.message}`);
+    res.status(500).json({ error: 'Error verifying token' });
+  }
+};
+
+// Identifies the API key of the request, if any; requests without a key continue anonymously
+const authenticateApiKey = async (req, res, next) => {
+  const key = readApiKey(req);
+
+  if (!key) {
+    return next();
+  }
+
+  try {
+    const apiKey = await apiKeyService.authenticate(key);
+
+    if (!apiKey) {
+      // Counted by authFailureLimiter against the client IP
+      req.apiKeyRejected = true;
+      return res.status(401).json({ error: 'Invalid, expired or revoked API key' });
+    }
+
+    req.apiKey = apiKey;
+    next();
+  } catch (error) {
+    logger.error(`Error verifying API key: ${error.message}`);
+    res.status(500).json({ error: 'Error verifying API key' });
+  }
+};
+
+// Must run after authenticateApiKey; roles are ranked, so admin keys also pass partner checks
+const requireRole = (requiredRole) => (req, res, next) => {
+  if (!req.apiKey) {
+    return res.status(401).json({ error: 'API key required' });
+  }
+
+  if (!apiKeyService.hasRole(req.apiKey.role, requiredRole)) {
+    logger.warn(`API key ${req.apiKey.prefix} (${req.apiKey.role}) denied access to ${req.method} ${req.originalUrl}`);
+    return res.status(403).json({ error: `This operation requires the ${requiredRole} role` });
+  }
+
+  next();
+};
+
+module.exports = {
+  readApiKey,
+  requireAuth,
+  authenticateApiKey,
+  requireRole
+};
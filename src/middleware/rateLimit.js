@@ -0,0 +1,88 @@
+const rateLimit = require('express-rate-limit');
+const MongoRateLimitStore = require('../utils/mongoRateLimitStore');
+const usageService = require('../services/usageService');
+const { readApiKey } = require('./auth');
+const logger = require('../utils/logger');
+const { API_KEY_ROLES, RATE_LIMIT_TIERS } = require('../config/constants');
+
+const RATE_LIMIT_WINDOW_MS = parseInt(process.env.RATE_LIMIT_WINDOW_MS || String(15 * 60 * 1000), 10);
+
+const AUTH_FAILURE_LIMIT = parseInt(process.env.RATE_LIMIT_AUTH_FAILURES || '20', 10);
+
+const TIER_LIMITS = {
+  [RATE_LIMIT_TIERS.ANONYMOUS]: parseInt(process.env.RATE_LIMIT_ANONYMOUS || '100', 10),
+  [RATE_LIMIT_TIERS.FREE]: parseInt(process.env.RATE_LIMIT_FREE || '1000', 10),
+  [RATE_LIMIT_TIERS.PARTNER]: parseInt(process.env.RATE_LIMIT_PARTNER || '10000', 10)
+};
+
+const ROLE_TIERS = {
+  [API_KEY_ROLES.PUBLIC]: RATE_LIMIT_TIERS.FREE,
+  [API_KEY_ROLES.PARTNER]: RATE_LIMIT_TIERS.PARTNER,
+  [API_KEY_ROLES.ADMIN]: RATE_LIMIT_TIERS.PARTNER
+};
+
+// Requests without an API key share the anonymous tier and are limited by IP
+const getTier = (req) => (req.apiKey ? ROLE_TIERS[req.apiKey.role] : RATE_LIMIT_TIERS.ANONYMOUS);
+
+const apiLimiter = rateLimit({
+  windowMs: RATE_LIMIT_WINDOW_MS,
+  limit: (req) => TIER_LIMITS[getTier(req)],
+  keyGenerator: (req) => (req.apiKey ? `key:${req.apiKey.id}` : `ip:${req.ip}`),
+  store: new MongoRateLimitStore(),
+  // A database outage should not take the whole API down with it
+  passOnStoreError: true,
+  standardHeaders: true,
+  legacyHeaders: false,
+  handler: (req, res) => {
+    const tier = getTier(req);
+
+    logger.warn(`Rate limit exceeded for ${req.apiKey ? `API key ${req.apiKey.prefix}` : `IP ${req.ip}`} (${tier})`);
+    res.status(429).json({
+      status: 429,
+      message: 'Too many requests, please try again later.',
+      tier,
+      limit: TIER_LIMITS[tier],
+      resetTime: req.rateLimit.resetTime
+    });
+  }
+});
+
+// Runs before authenticateApiKey, so guessing keys is limited by IP even though rejected keys never reach apiLimiter
+const authFailureLimiter = rateLimit({
+  windowMs: RATE_LIMIT_WINDOW_MS,
+  limit: AUTH_FAILURE_LIMIT,
+  keyGenerator: (req) => `auth-failure:ip:${req.ip}`,
+  store: new MongoRateLimitStore(),
+  passOnStoreError: true,
+  // Only rejected keys count; requests without a key are left to apiLimiter
+  skip: (req) => !readApiKey(req),
+  skipSuccessfulRequests: true,
+  requestWasSuccessful: (req) => !req.apiKeyRejected,
+  standardHeaders: false,
+  legacyHeaders: false,
+  handler: (req, res) => {
+    logger.warn(`Too many rejected API keys from IP ${req.ip}`);
+    res.status(429).json({
+      status: 429,
+      message: 'Too many invalid API keys, please try again later.',
+      limit: AUTH_FAILURE_LIMIT,
+      resetTime: req.rateLimit.resetTime
+    });
+  }
+});
+
+const trackUsage = (req, res, next) => {
+  if (req.apiKey) {
+    usageService.record(req.apiKey.id);
+  }
+  next();
+};
+
+module.exports = {
+  apiLimiter,
+  authFailureLimiter,
+  trackUsage,
+  getTier,
+  TIER_LIMITS,
+  RATE_LIMIT_WINDOW_MS
+};
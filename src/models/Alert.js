@@ -0,0 +1,39 @@
+const mongoose = require('mongoose');
+const backgroundIndexes = require('./plugins/backgroundIndexes');
+const { ALERT_TYPES } = require('../config/constants');
+
+const alertPriceSchema = new mongoose.Schema({
+    currency: { type: String },
+    initial: { type: Number },
+    final: { type: Number },
+    discount_percent: { type: Number, default: 0 },
+    final_formatted: { type: String }
+}, { _id: false });
+
+const alertSchema = new mongoose.Schema({
+    user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    appid: { type: Number },
+    name: { type: String },
+    type: { type: String, enum: Object.values(ALERT_TYPES), required: true },
+    savedSearch: { type: mongoose.Schema.Types.ObjectId, ref: 'SavedSearch' },
+    matchCount: { type: Number },
+    target: {
+        price: { type: Number },
+        discount: { type: Number }
+    },
+    price: alertPriceSchema,
+    previousPrice: alertPriceSchema,
+    read: { type: Boolean, default: false },
+    triggeredAt: { type: Date, default: Date.now }
+}, {
+    autoIndex: false,
+    timestamps: true
+});
+
+alertSchema.index({ user: 1, triggeredAt: -1 });
+alertSchema.index({ user: 1, read: 1 });
+alertSchema.plugin(backgroundIndexes);
+
+const Alert = mongoose.model('Alert', alertSchema);
+
+module.exports = Alert;
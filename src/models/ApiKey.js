@@ -0,0 +1,31 @@
+const mongoose = require('mongoose');
+const backgroundIndexes = require('./plugins/backgroundIndexes');
+const { API_KEY_ROLES } = require('../config/constants');
+
+const apiKeySchema = new mongoose.Schema({
+    name: { type: String, required: true, trim: true },
+    // First characters of the key, enough to recognize it in listings and logs
+    prefix: { type: String, required: true },
+    // SHA-256 of the key; the key itself is only shown once, when it is created
+    keyHash: { type: String, required: true, select: false },
+    role: {
+        type: String,
+        enum: Object.values(API_KEY_ROLES),
+        default: API_KEY_ROLES.PUBLIC
+    },
+    createdBy: { type: String },
+    expiresAt: { type: Date },
+    revokedAt: { type: Date },
+    lastUsedAt: { type: Date }
+}, {
+    autoIndex: false,
+    timestamps: true
+});
+
+apiKeySchema.index({ keyHash: 1 }, { unique: true });
+apiKeySchema.index({ createdAt: -1 });
+apiKeySchema.plugin(backgroundIndexes);
+
+const ApiKey = mongoose.model('ApiKey', apiKeySchema);
+
+module.exports = ApiKey;
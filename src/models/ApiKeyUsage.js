@@ -0,0 +1,21 @@
+const mongoose = require('mongoose');
+const backgroundIndexes = require('./plugins/backgroundIndexes');
+
+// Requests made with an API key in one UTC day
+const apiKeyUsageSchema = new mongoose.Schema({
+    apiKey: { type: mongoose.Schema.Types.ObjectId, ref: 'ApiKey', required: true },
+    day: { type: String, required: true },
+    requests: { type: Number, default: 0 },
+    expiresAt: { type: Date, required: true }
+}, {
+    autoIndex: false,
+    versionKey: false
+});
+
+apiKeyUsageSchema.index({ apiKey: 1, day: -1 }, { unique: true });
+apiKeyUsageSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+apiKeyUsageSchema.plugin(backgroundIndexes);
+
+const ApiKeyUsage = mongoose.model('ApiKeyUsage', apiKeyUsageSchema);
+
+module.exports = ApiKeyUsage;
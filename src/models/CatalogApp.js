@@ -0,0 +1,26 @@
+const mongoose = require('mongoose');
+const backgroundIndexes = require('./plugins/backgroundIndexes');
+
+// Every app Steam lists, games or not, as of the last catalog sync. Unlike Game it is cheap to
+// keep in step with Steam, so additions, renames and removals are found without the full list.
+const catalogAppSchema = new mongoose.Schema({
+    appid: { type: Number, required: true },
+    name: { type: String },
+    // Unix time of the last change Steam reported, only known from the incremental app list
+    lastModified: { type: Number },
+    firstSeenAt: { type: Date },
+    removedAt: { type: Date, default: null },
+    // Set once the app is stored as a Game; apps without it are fetched by the next new games sync
+    gameStoredAt: { type: Date, default: null }
+}, {
+    autoIndex: false,
+    versionKey: false
+});
+
+catalogAppSchema.index({ appid: 1 }, { unique: true });
+catalogAppSchema.index({ removedAt: 1, gameStoredAt: 1 });
+catalogAppSchema.plugin(backgroundIndexes);
+
+const CatalogApp = mongoose.model('CatalogApp', catalogAppSchema);
+
+module.exports = CatalogApp;
@@ -0,0 +1,24 @@
+const mongoose = require('mongoose');
+const backgroundIndexes = require('./plugins/backgroundIndexes');
+const { CATALOG_CHANGE_TYPES } = require('../config/constants');
+
+const catalogChangeSchema = new mongoose.Schema({
+    type: { type: String, enum: Object.values(CATALOG_CHANGE_TYPES), required: true },
+    appid: { type: Number, required: true },
+    name: { type: String },
+    // Only for renames
+    previousName: { type: String },
+    detectedAt: { type: Date, required: true }
+}, {
+    autoIndex: false,
+    versionKey: false
+});
+
+catalogChangeSchema.index({ detectedAt: -1 });
+catalogChangeSchema.index({ type: 1, detectedAt: -1 });
+catalogChangeSchema.index({ appid: 1, detectedAt: -1 });
+catalogChangeSchema.plugin(backgroundIndexes);
+
+const CatalogChange = mongoose.model('CatalogChange', catalogChangeSchema);
+
+module.exports = CatalogChange;
@@ -0,0 +1,19 @@
+const mongoose = require('mongoose');
+const { CATALOG_SYNC_MODES } = require('../config/constants');
+
+// Where the next catalog sync starts from, one document per source
+const catalogSyncStateSchema = new mongoose.Schema({
+    _id: { type: String },
+    // Unix time passed as if_modified_since to the incremental app list
+    lastModified: { type: Number, default: 0 },
+    lastMode: { type: String, enum: Object.values(CATALOG_SYNC_MODES) },
+    lastSyncAt: { type: Date },
+    lastFullSyncAt: { type: Date }
+}, {
+    autoIndex: false,
+    versionKey: false
+});
+
+const CatalogSyncState = mongoose.model('CatalogSyncState', catalogSyncStateSchema);
+
+module.exports = CatalogSyncState;
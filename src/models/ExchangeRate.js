@@ -0,0 +1,23 @@
+const mongoose = require('mongoose');
+const backgroundIndexes = require('./plugins/backgroundIndexes');
+
+const exchangeRateSchema = new mongoose.Schema({
+    currency: { type: String, required: true, uppercase: true },
+    base: {
+        type: String, required: true, uppercase: true, default: 'USD'
+    },
+    // units of `currency` per 1 unit of `base`
+    rate: { type: Number, required: true, min: 0 },
+    date: { type: Date, required: true },
+    source: { type: String }
+}, {
+    autoIndex: false,
+    timestamps: true
+});
+
+exchangeRateSchema.index({ currency: 1, date: 1 }, { unique: true });
+exchangeRateSchema.plugin(backgroundIndexes);
+
+const ExchangeRate = mongoose.model('ExchangeRate', exchangeRateSchema);
+
+module.exports = ExchangeRate;
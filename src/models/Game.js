@@ -1,6 +1,15 @@
 const mongoose = require('mongoose');
 const { STEAM_TYPES } = require('../config/steamConstants');
-const logger = require('../utils/logger');
+const { STORES } = require('../config/storeConstants');
+const backgroundIndexes = require('./plugins/backgroundIndexes');
+const { GAME_LIFECYCLES } = require('../config/constants');
+
+const subscriptionPriceSchema = new mongoose.Schema({
+    service: { type: String, required: true },
+    final: { type: Number },
+    discount_percent: { type: Number, default: 0 },
+    final_formatted: { type: String }
+}, { _id: false });
 
 const priceSchema = new mongoose.Schema({
     currency: { type: String, required: true },
@@ -9,9 +18,16 @@ const priceSchema = new mongoose.Schema({
     discount_percent: { type: Number, default: 0 },
     initial_formatted: { type: String },
     final_formatted: { type: String },
+    subscription: subscriptionPriceSchema,
     lastChecked: { type: Date, default: Date.now }
 }, { _id: false });
 
+const historicalLowSchema = new mongoose.Schema({
+    final: { type: Number, required: true },
+    currency: { type: String, required: true },
+    date: { type: Date }
+}, { _id: false });
+
 const metacriticSchema = new mongoose.Schema({
     score: { type: Number },
     url: { type: String }
@@ -21,6 +37,30 @@ const recommendationsSchema = new mongoose.Schema({
     total: { type: Number, default: 0 }
 }, { _id: false });
 
+// When the refresh scheduler fetches the game from Steam next
+const refreshSchema = new mongoose.Schema({
+    nextAt: { type: Date },
+    priority: { type: Number, min: 0, max: 1 },
+    priceChanges: { type: Number, default: 0 }
+}, { _id: false });
+
+const matchSchema = new mongoose.Schema({
+    confidence: { type: Number, min: 0, max: 1 },
+    method: { type: String, enum: ['auto', 'manual'], default: 'auto' },
+    matchedAt: { type: Date, default: Date.now }
+}, { _id: false });
+
+const offerSchema = new mongoose.Schema({
+    store: { type: String, enum: Object.values(STORES), required: true },
+    productId: { type: String, required: true },
+    name: { type: String },
+    url: { type: String },
+    price: priceSchema,
+    is_free: { type: Boolean, default: false },
+    match: matchSchema,
+    lastChecked: { type: Date, default: Date.now }
+}, { _id: false });
+
 const gameSchema = new mongoose.Schema({
     appid: { type: Number, required: true, unique: true },
     type: { 
@@ -40,6 +80,7 @@ const gameSchema = new mongoose.Schema({
         index: true
     },
     name: { type: String, required: true },
+    normalizedName: { type: String },
     required_age: { type: Number },
     developers: [String],
     publishers: [String],
@@ -53,10 +94,27 @@ const gameSchema = new mongoose.Schema({
     dlc: [Number],
     header_image: String,
     website: String,
+    releaseDate: Date,
     price: priceSchema,
+    regionalPrices: {
+        type: Map,
+        of: priceSchema
+    },
     metacritic: metacriticSchema,
     recommendations: recommendationsSchema,
-    priceHistory: [priceSchema],
+    offers: [offerSchema],
+    historicalLow: historicalLowSchema,
+    dealScore: { type: Number, min: 0, max: 100 },
+    isHistoricalLow: { type: Boolean, default: false },
+    isNewLow: { type: Boolean, default: false },
+    refresh: refreshSchema,
+    // Delisted follows the Steam app list; the other states follow the store page in the default region
+    lifecycle: {
+        type: String,
+        enum: Object.values(GAME_LIFECYCLES),
+        default: GAME_LIFECYCLES.ACTIVE
+    },
+    delistedAt: { type: Date, default: null },
     lastUpdated: { type: Date, default: Date.now, index: true }
 }, { 
     autoIndex: false,
@@ -64,24 +122,36 @@ const gameSchema = new mongoose.Schema({
 });
 
 gameSchema.index({ name: 1 });
+gameSchema.index({ normalizedName: 1 });
+// Store matching ranks candidates by how many title words they share; titles are already normalized
+gameSchema.index({ normalizedName: 'text' }, { default_language: 'none' });
 gameSchema.index({ 'price.discount_percent': 1 });
 gameSchema.index({ genres: 1 });
 gameSchema.index({ publishers: 1 });
 gameSchema.index({ developers: 1 });
 gameSchema.index({ 'metacritic.score': 1 });
+gameSchema.index({ dealScore: -1 });
+gameSchema.index({ isHistoricalLow: 1, dealScore: -1 });
 gameSchema.index({ lastUpdated: 1 });
+gameSchema.index({ 'refresh.nextAt': 1, lastUpdated: 1 });
+gameSchema.index({ lifecycle: 1, delistedAt: -1 });
 gameSchema.index({ appid: 1 }, { unique: true });
+gameSchema.index({ 'offers.store': 1, 'offers.productId': 1 });
+gameSchema.index({ 'offers.price.subscription.discount_percent': 1 });
+
+gameSchema.plugin(backgroundIndexes);
 
-gameSchema.statics.createIndexesInBackground = async function() {
-    try {
-        logger.info('Creating Game model indexes in background...');
-        await this.createIndexes({ background: true });
-        logger.info('Game model indexes created successfully');
-        return true;
-    } catch (error) {
-        logger.error(`Error creating Game model indexes: ${error.message}`);
-        return false;
+gameSchema.statics.upsertOffer = async function upsertOffer(filter, offer) {
+    const result = await this.updateOne(
+        { ...filter, 'offers.store': offer.store },
+        { $set: { 'offers.$': offer } }
+    );
+
+    if (result.matchedCount > 0) {
+        return result;
     }
+
+    return this.updateOne(filter, { $push: { offers: offer } });
 };
 
 const Game = mongoose.model('Game', gameSchema);
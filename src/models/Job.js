@@ -0,0 +1,54 @@
+const mongoose = require('mongoose');
+const backgroundIndexes = require('./plugins/backgroundIndexes');
+const { JOB_TYPES, JOB_STATUSES } = require('../config/constants');
+
+const JOB_RETENTION_SECONDS = 30 * 24 * 60 * 60;
+
+const progressSchema = new mongoose.Schema({
+    phase: { type: String },
+    total: { type: Number },
+    processed: { type: Number, default: 0 },
+    succeeded: { type: Number, default: 0 },
+    failed: { type: Number, default: 0 }
+}, { _id: false });
+
+const jobErrorSchema = new mongoose.Schema({
+    message: { type: String },
+    at: { type: Date }
+}, { _id: false });
+
+const jobSchema = new mongoose.Schema({
+    type: { type: String, enum: Object.values(JOB_TYPES), required: true },
+    status: {
+        type: String,
+        enum: Object.values(JOB_STATUSES),
+        default: JOB_STATUSES.QUEUED
+    },
+    params: { type: mongoose.Schema.Types.Mixed, default: () => ({}) },
+    requestedBy: { type: String },
+    progress: { type: progressSchema, default: () => ({}) },
+    // Latest errors only; "errors" is reserved by mongoose
+    errorLog: [jobErrorSchema],
+    result: { type: mongoose.Schema.Types.Mixed },
+    // Where an interrupted run picks up again; the shape is up to each job type
+    checkpoint: { type: mongoose.Schema.Types.Mixed },
+    attempts: { type: Number, default: 0 },
+    cancelRequested: { type: Boolean, default: false },
+    workerId: { type: String },
+    startedAt: { type: Date },
+    heartbeatAt: { type: Date },
+    finishedAt: { type: Date }
+}, {
+    autoIndex: false,
+    timestamps: true
+});
+
+jobSchema.index({ status: 1, createdAt: 1 });
+jobSchema.index({ type: 1, status: 1 });
+jobSchema.index({ createdAt: -1 });
+jobSchema.index({ finishedAt: 1 }, { expireAfterSeconds: JOB_RETENTION_SECONDS });
+jobSchema.plugin(backgroundIndexes);
+
+const Job = mongoose.model('Job', jobSchema);
+
+module.exports = Job;
@@ -0,0 +1,23 @@
+const mongoose = require('mongoose');
+const backgroundIndexes = require('./plugins/backgroundIndexes');
+
+// Lease on a named resource shared by every instance of the API. The holder renews expiresAt
+// while it works; once it passes, any instance can take the lock over.
+const lockSchema = new mongoose.Schema({
+    _id: { type: String },
+    holder: { type: String, required: true },
+    acquiredAt: { type: Date },
+    renewedAt: { type: Date },
+    expiresAt: { type: Date, required: true }
+}, {
+    autoIndex: false,
+    versionKey: false
+});
+
+// Only tidies up; expired leases are already treated as free when acquiring
+lockSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+lockSchema.plugin(backgroundIndexes);
+
+const Lock = mongoose.model('Lock', lockSchema);
+
+module.exports = Lock;
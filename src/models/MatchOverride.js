@@ -0,0 +1,21 @@
+const mongoose = require('mongoose');
+const { STORES } = require('../config/storeConstants');
+const backgroundIndexes = require('./plugins/backgroundIndexes');
+
+const matchOverrideSchema = new mongoose.Schema({
+    store: { type: String, enum: Object.values(STORES), required: true },
+    productId: { type: String, required: true },
+    // null marks the product as "never match automatically"
+    appid: { type: Number, default: null },
+    reason: { type: String }
+}, {
+    autoIndex: false,
+    timestamps: true
+});
+
+matchOverrideSchema.index({ store: 1, productId: 1 }, { unique: true });
+matchOverrideSchema.plugin(backgroundIndexes);
+
+const MatchOverride = mongoose.model('MatchOverride', matchOverrideSchema);
+
+module.exports = MatchOverride;
@@ -0,0 +1,37 @@
+const mongoose = require('mongoose');
+const { STORES } = require('../config/storeConstants');
+const backgroundIndexes = require('./plugins/backgroundIndexes');
+
+const metaSchema = new mongoose.Schema({
+    appid: { type: Number, required: true },
+    store: { type: String, required: true, enum: Object.values(STORES) },
+    region: { type: String, required: true, lowercase: true }
+}, { _id: false });
+
+const priceObservationSchema = new mongoose.Schema({
+    meta: { type: metaSchema, required: true },
+    observedAt: { type: Date, required: true },
+    currency: { type: String, required: true },
+    initial: { type: Number },
+    final: { type: Number },
+    discount_percent: { type: Number, default: 0 },
+    initial_formatted: { type: String },
+    final_formatted: { type: String }
+}, {
+    autoIndex: false,
+    versionKey: false,
+    timeseries: {
+        timeField: 'observedAt',
+        metaField: 'meta',
+        granularity: 'hours'
+    }
+});
+
+priceObservationSchema.index({
+    'meta.appid': 1, 'meta.store': 1, 'meta.region': 1, observedAt: -1
+});
+priceObservationSchema.plugin(backgroundIndexes);
+
+const PriceObservation = mongoose.model('PriceObservation', priceObservationSchema);
+
+module.exports = PriceObservation;
@@ -0,0 +1,21 @@
+const mongoose = require('mongoose');
+const backgroundIndexes = require('./plugins/backgroundIndexes');
+
+// Requests made by a client in one rate limit window, shared by every instance of the API
+const rateLimitCounterSchema = new mongoose.Schema({
+    key: { type: String, required: true },
+    resetTime: { type: Date, required: true },
+    hits: { type: Number, default: 0 }
+}, {
+    autoIndex: false,
+    versionKey: false
+});
+
+rateLimitCounterSchema.index({ key: 1, resetTime: 1 }, { unique: true });
+// Counters are removed once their window is over
+rateLimitCounterSchema.index({ resetTime: 1 }, { expireAfterSeconds: 0 });
+rateLimitCounterSchema.plugin(backgroundIndexes);
+
+const RateLimitCounter = mongoose.model('RateLimitCounter', rateLimitCounterSchema);
+
+module.exports = RateLimitCounter;
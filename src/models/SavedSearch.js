@@ -0,0 +1,36 @@
+const mongoose = require('mongoose');
+const backgroundIndexes = require('./plugins/backgroundIndexes');
+
+// Same filters accepted by GET /api/games
+const searchFiltersSchema = new mongoose.Schema({
+    genre: { type: String },
+    publisher: { type: String },
+    developer: { type: String },
+    discountPercent: { type: Number, min: 0, max: 100 },
+    minDiscount: { type: Number, min: 0, max: 100 },
+    maxDiscount: { type: Number, min: 0, max: 100 },
+    isFree: { type: Boolean },
+    subscriptionDiscount: { type: Boolean },
+    onlyHistoricalLows: { type: Boolean },
+    region: { type: String, lowercase: true }
+}, { _id: false });
+
+const savedSearchSchema = new mongoose.Schema({
+    owner: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    name: { type: String, required: true, trim: true },
+    filters: { type: searchFiltersSchema, default: () => ({}) },
+    matchCount: { type: Number, default: 0 },
+    // Matches more games than SAVED_SEARCH_MAX_MATCHES, so new matches are not tracked
+    overLimit: { type: Boolean, default: false },
+    lastEvaluatedAt: { type: Date }
+}, {
+    autoIndex: false,
+    timestamps: true
+});
+
+savedSearchSchema.index({ owner: 1, createdAt: -1 });
+savedSearchSchema.plugin(backgroundIndexes);
+
+const SavedSearch = mongoose.model('SavedSearch', savedSearchSchema);
+
+module.exports = SavedSearch;
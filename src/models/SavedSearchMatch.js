@@ -0,0 +1,21 @@
+const mongoose = require('mongoose');
+const backgroundIndexes = require('./plugins/backgroundIndexes');
+
+// Games currently matching a saved search. Unseen entries are the new matches.
+const savedSearchMatchSchema = new mongoose.Schema({
+    search: { type: mongoose.Schema.Types.ObjectId, ref: 'SavedSearch', required: true },
+    appid: { type: Number, required: true },
+    matchedAt: { type: Date, default: Date.now },
+    seen: { type: Boolean, default: false }
+}, {
+    autoIndex: false,
+    versionKey: false
+});
+
+savedSearchMatchSchema.index({ search: 1, appid: 1 }, { unique: true });
+savedSearchMatchSchema.index({ search: 1, seen: 1, matchedAt: -1 });
+savedSearchMatchSchema.plugin(backgroundIndexes);
+
+const SavedSearchMatch = mongoose.model('SavedSearchMatch', savedSearchMatchSchema);
+
+module.exports = SavedSearchMatch;
@@ -0,0 +1,50 @@
+const mongoose = require('mongoose');
+const backgroundIndexes = require('./plugins/backgroundIndexes');
+const { DIGEST_FREQUENCIES } = require('../config/constants');
+
+const wishlistItemSchema = new mongoose.Schema({
+    appid: { type: Number, required: true },
+    // Targets are expressed in the price of the default region
+    targetPrice: { type: Number, min: 0 },
+    targetDiscount: { type: Number, min: 1, max: 100 },
+    addedAt: { type: Date, default: Date.now }
+}, { _id: false });
+
+const digestSchema = new mongoose.Schema({
+    frequency: {
+        type: String,
+        enum: Object.values(DIGEST_FREQUENCIES),
+        default: DIGEST_FREQUENCIES.OFF
+    },
+    // Same filters accepted by GET /api/games
+    filters: {
+        genre: { type: String },
+        publisher: { type: String },
+        developer: { type: String },
+        minDiscount: { type: Number, min: 0, max: 100 }
+    },
+    lastSentAt: { type: Date }
+}, { _id: false });
+
+const userSchema = new mongoose.Schema({
+    email: {
+        type: String, required: true, lowercase: true, trim: true
+    },
+    passwordHash: { type: String, required: true, select: false },
+    name: { type: String, trim: true },
+    wishlist: [wishlistItemSchema],
+    digest: { type: digestSchema, default: () => ({}) },
+    lastLoginAt: { type: Date }
+}, {
+    autoIndex: false,
+    timestamps: true
+});
+
+userSchema.index({ email: 1 }, { unique: true });
+userSchema.index({ 'wishlist.appid': 1 });
+userSchema.index({ 'digest.frequency': 1, 'digest.lastSentAt': 1 });
+userSchema.plugin(backgroundIndexes);
+
+const User = mongoose.model('User', userSchema);
+
+module.exports = User;
@@ -0,0 +1,27 @@
+const mongoose = require('mongoose');
+const backgroundIndexes = require('./plugins/backgroundIndexes');
+const { WEBHOOK_EVENTS } = require('../config/constants');
+
+const webhookSchema = new mongoose.Schema({
+    owner: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    url: { type: String, required: true },
+    // Kept in clear text because every delivery is signed with it
+    secret: { type: String, required: true, select: false },
+    events: {
+        type: [{ type: String, enum: Object.values(WEBHOOK_EVENTS) }],
+        required: true
+    },
+    description: { type: String },
+    active: { type: Boolean, default: true }
+}, {
+    autoIndex: false,
+    timestamps: true
+});
+
+webhookSchema.index({ owner: 1 });
+webhookSchema.index({ events: 1, active: 1 });
+webhookSchema.plugin(backgroundIndexes);
+
+const Webhook = mongoose.model('Webhook', webhookSchema);
+
+module.exports = Webhook;
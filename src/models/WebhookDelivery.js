@@ -0,0 +1,35 @@
+const mongoose = require('mongoose');
+const backgroundIndexes = require('./plugins/backgroundIndexes');
+const { WEBHOOK_EVENTS } = require('../config/constants');
+
+const DELIVERY_RETENTION_SECONDS = 30 * 24 * 60 * 60;
+
+const webhookDeliverySchema = new mongoose.Schema({
+    webhook: { type: mongoose.Schema.Types.ObjectId, ref: 'Webhook', required: true },
+    event: { type: String, enum: Object.values(WEBHOOK_EVENTS), required: true },
+    payload: { type: mongoose.Schema.Types.Mixed, required: true },
+    status: {
+        type: String,
+        enum: ['delivering', 'retrying', 'succeeded', 'failed'],
+        default: 'delivering'
+    },
+    attempts: { type: Number, default: 0 },
+    nextAttemptAt: { type: Date },
+    lastAttemptAt: { type: Date },
+    responseStatus: { type: Number },
+    error: { type: String },
+    durationMs: { type: Number },
+    deliveredAt: { type: Date }
+}, {
+    autoIndex: false,
+    timestamps: true
+});
+
+webhookDeliverySchema.index({ webhook: 1, createdAt: -1 });
+webhookDeliverySchema.index({ status: 1, nextAttemptAt: 1 });
+webhookDeliverySchema.index({ createdAt: 1 }, { expireAfterSeconds: DELIVERY_RETENTION_SECONDS });
+webhookDeliverySchema.plugin(backgroundIndexes);
+
+const WebhookDelivery = mongoose.model('WebhookDelivery', webhookDeliverySchema);
+
+module.exports = WebhookDelivery;
@@ -0,0 +1,17 @@
+const logger = require('../../utils/logger');
+
+const backgroundIndexes = (schema) => {
+    schema.statics.createIndexesInBackground = async function createIndexesInBackground() {
+        try {
+            logger.info(`Creating ${this.modelName} model indexes in background...`);
+            await this.createIndexes({ background: true });
+            logger.info(`${this.modelName} model indexes created successfully`);
+            return true;
+        } catch (error) {
+            logger.error(`Error creating ${this.modelName} model indexes: ${error.message}`);
+            return false;
+        }
+    };
+};
+
+module.exports = backgroundIndexes;
@@ -0,0 +1,325 @@
+const express = require('express');
+
+const router = express.Router();
+const matchController = require('../controllers/matchController');
+const apiKeyController = require('../controllers/apiKeyController');
+const { requireRole } = require('../middleware/auth');
+const { API_KEY_ROLES } = require('../config/constants');
+
+router.use(requireRole(API_KEY_ROLES.ADMIN));
+
+/**
+ * @swagger
+ * /api/admin/matches:
+ *   get:
+ *     summary: List cross-store matches
+ *     description: Returns the store products linked to Steam games, so wrong matches can be reviewed
+ *     tags: [Admin]
+ *     security:
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: store
+ *         schema:
+ *           type: string
+ *           enum: [xbox, playstation]
+ *         description: Filter by store
+ *       - in: query
+ *         name: method
+ *         schema:
+ *           type: string
+ *           enum: [auto, manual]
+ *         description: Filter by how the match was made
+ *       - in: query
+ *         name: maxConfidence
+ *         schema:
+ *           type: number
+ *         description: Only matches with a confidence lower or equal to this value
+ *     responses:
+ *       200:
+ *         description: List of matches
+ *       400:
+ *         description: Invalid parameters
+ *       401:
+ *         description: Missing or invalid API key
+ *       403:
+ *         description: The API key is not an admin key
+ *       500:
+ *         description: Server error
+ */
+router.get('/matches', matchController.listMatches);
+
+/**
+ * @swagger
+ * /api/admin/matches/{store}/{productId}:
+ *   put:
+ *     summary: Manually link a store product to a game
+ *     description: Overrides the automatic matching. Send a null appid to mark the product as not matching any game.
+ *     tags: [Admin]
+ *     security:
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: store
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [xbox, playstation]
+ *       - in: path
+ *         name: productId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               appid:
+ *                 type: integer
+ *                 nullable: true
+ *               reason:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Match saved
+ *       400:
+ *         description: Invalid parameters
+ *       404:
+ *         description: No game with this appid
+ *       401:
+ *         description: Missing or invalid API key
+ *       403:
+ *         description: The API key is not an admin key
+ *       500:
+ *         description: Server error
+ *   delete:
+ *     summary: Remove a manual match
+ *     description: Removes the override so the product is matched automatically again on the next update
+ *     tags: [Admin]
+ *     security:
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: store
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: productId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Override removed
+ *       404:
+ *         description: No override for this product
+ *       401:
+ *         description: Missing or invalid API key
+ *       403:
+ *         description: The API key is not an admin key
+ *       500:
+ *         description: Server error
+ */
+router.put('/matches/:store/:productId', matchController.setMatch);
+router.delete('/matches/:store/:productId', matchController.removeMatch);
+
+/**
+ * @swagger
+ * /api/admin/api-keys:
+ *   get:
+ *     summary: List API keys
+ *     description: The keys themselves are never returned, only their prefix
+ *     tags: [Admin]
+ *     security:
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: includeRevoked
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *     responses:
+ *       200:
+ *         description: API keys, newest first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 total:
+ *                   type: integer
+ *                 keys:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/ApiKey'
+ *       401:
+ *         description: Missing or invalid API key
+ *       403:
+ *         description: The API key is not an admin key
+ *       500:
+ *         description: Server error
+ *   post:
+ *     summary: Create an API key
+ *     description: The response includes the key in the `key` field. It is stored hashed and cannot be retrieved again.
+ *     tags: [Admin]
+ *     security:
+ *       - apiKeyAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/ApiKeyInput'
+ *     responses:
+ *       201:
+ *         description: API key created
+ *       400:
+ *         description: Invalid name, role or expiration
+ *       401:
+ *         description: Missing or invalid API key
+ *       403:
+ *         description: The API key is not an admin key
+ *       500:
+ *         description: Server error
+ */
+router.get('/api-keys', apiKeyController.listApiKeys);
+router.post('/api-keys', apiKeyController.createApiKey);
+
+/**
+ * @swagger
+ * /api/admin/api-keys/{id}:
+ *   get:
+ *     summary: Get an API key
+ *     tags: [Admin]
+ *     security:
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: API key
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ApiKey'
+ *       401:
+ *         description: Missing or invalid API key
+ *       403:
+ *         description: The API key is not an admin key
+ *       404:
+ *         description: API key not found
+ *       500:
+ *         description: Server error
+ *   put:
+ *     summary: Rename an API key or change its role or expiration
+ *     tags: [Admin]
+ *     security:
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/ApiKeyInput'
+ *     responses:
+ *       200:
+ *         description: API key updated
+ *       400:
+ *         description: Invalid name, role or expiration
+ *       401:
+ *         description: Missing or invalid API key
+ *       403:
+ *         description: The API key is not an admin key
+ *       404:
+ *         description: API key not found or revoked
+ *       409:
+ *         description: The role of the key in use cannot be lowered
+ *       500:
+ *         description: Server error
+ *   delete:
+ *     summary: Revoke an API key
+ *     description: The key stops working immediately and is kept for auditing
+ *     tags: [Admin]
+ *     security:
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: API key revoked
+ *       401:
+ *         description: Missing or invalid API key
+ *       403:
+ *         description: The API key is not an admin key
+ *       404:
+ *         description: API key not found or already revoked
+ *       409:
+ *         description: The key in use cannot be revoked
+ *       500:
+ *         description: Server error
+ */
+router.get('/api-keys/:id', apiKeyController.getApiKey);
+router.put('/api-keys/:id', apiKeyController.updateApiKey);
+router.delete('/api-keys/:id', apiKeyController.revokeApiKey);
+
+/**
+ * @swagger
+ * /api/admin/api-keys/{id}/usage:
+ *   get:
+ *     summary: Get the requests made with an API key per day and per month
+ *     tags: [Admin]
+ *     security:
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: days
+ *         schema:
+ *           type: integer
+ *           default: 30
+ *           maximum: 90
+ *       - in: query
+ *         name: months
+ *         schema:
+ *           type: integer
+ *           default: 12
+ *           maximum: 12
+ *     responses:
+ *       200:
+ *         description: API key usage
+ *       400:
+ *         description: Invalid days or months
+ *       401:
+ *         description: Missing or invalid API key
+ *       403:
+ *         description: The API key is not an admin key
+ *       404:
+ *         description: API key not found
+ *       500:
+ *         description: Server error
+ */
+router.get('/api-keys/:id/usage', apiKeyController.getApiKeyUsage);
+
+module.exports = router;
@@ -0,0 +1,78 @@
+const express = require('express');
+
+const router = express.Router();
+const catalogController = require('../controllers/catalogController');
+
+/**
+ * @swagger
+ * /api/catalog/changes:
+ *   get:
+ *     summary: Apps added, renamed or removed on Steam
+ *     description: |
+ *       Changes found by the catalog sync that runs before every new games sync, newest first.
+ *       Removals only show up after a full sync of the app list. To poll for new changes, pass
+ *       the syncedAt of the previous response as since.
+ *     tags: [Catalog]
+ *     parameters:
+ *       - in: query
+ *         name: since
+ *         description: Only changes detected after this date (exclusive)
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: type
+ *         schema:
+ *           type: string
+ *           enum: [added, renamed, removed]
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: pageSize
+ *         schema:
+ *           type: integer
+ *           default: 25
+ *           maximum: 50
+ *     responses:
+ *       200:
+ *         description: Catalog changes
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 since:
+ *                   type: string
+ *                   format: date-time
+ *                   nullable: true
+ *                 syncedAt:
+ *                   type: string
+ *                   format: date-time
+ *                   nullable: true
+ *                   description: When the last catalog sync ran
+ *                 pagination:
+ *                   type: object
+ *                   properties:
+ *                     currentPage:
+ *                       type: integer
+ *                     pageSize:
+ *                       type: integer
+ *                     totalChanges:
+ *                       type: integer
+ *                     totalPages:
+ *                       type: integer
+ *                 changes:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/CatalogChange'
+ *       400:
+ *         description: Invalid since or type
+ *       500:
+ *         description: Server error
+ */
+router.get('/changes', catalogController.getChanges);
+
+module.exports = router;
@@ -1,7 +1,11 @@
 const express = require('express');
 const router = express.Router();
 const searchService = require('../services/searchService');
-const { PAGINATION } = require('../config/constants');
+const regionalPriceService = require('../services/regionalPriceService');
+const priceHistoryService = require('../services/priceHistoryService');
+const exchangeRateService = require('../services/exchangeRateService');
+const { PAGINATION, REGIONS, SEARCH_SORTS } = require('../config/constants');
+const { resolveRegion } = require('../utils/regionUtils');
 
 /**
  * @swagger
@@ -35,17 +39,62 @@ const { PAGINATION } = require('../config/constants');
  *         name: discountPercent
  *         schema:
  *           type: number
- *         description: Filter by exact discount percentage
+ *         description: Filter by exact discount percentage, ignoring minDiscount and maxDiscount
+ *       - in: query
+ *         name: discountPercentage
+ *         deprecated: true
+ *         schema:
+ *           type: number
+ *         description: Former name of discountPercent, still accepted
  *       - in: query
  *         name: minDiscount
  *         schema:
  *           type: number
- *         description: Filter by minimum discount
+ *         description: Filter by minimum discount, combined with maxDiscount into a range
  *       - in: query
  *         name: maxDiscount
  *         schema:
  *           type: number
- *         description: Filter by maximum discount
+ *         description: Filter by maximum discount, combined with minDiscount into a range
+ *       - in: query
+ *         name: isFree
+ *         schema:
+ *           type: boolean
+ *         description: true lists only free games; without it only paid games are listed
+ *       - in: query
+ *         name: region
+ *         schema:
+ *           type: string
+ *           example: ar
+ *         description: Country code whose prices are returned and filtered (defaults to us)
+ *       - in: query
+ *         name: currency
+ *         schema:
+ *           type: string
+ *           example: EUR
+ *         description: Convert prices to this currency using the exchange rate valid when each price was checked
+ *       - in: query
+ *         name: subscriptionDiscount
+ *         schema:
+ *           type: boolean
+ *         description: Only games with a subscription-only discount (e.g. PS Plus) in any store
+ *       - in: query
+ *         name: onlyHistoricalLows
+ *         schema:
+ *           type: boolean
+ *         description: Only discounted games at the lowest price ever recorded
+ *       - in: query
+ *         name: includeDelisted
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *         description: Include games that are no longer listed on Steam
+ *       - in: query
+ *         name: sort
+ *         schema:
+ *           type: string
+ *           enum: [dealScore]
+ *         description: Sort by deal score, best deals first
  *       - in: query
  *         name: page
  *         schema:
@@ -81,17 +130,43 @@ const { PAGINATION } = require('../config/constants');
  *                 filterOptions:
  *                   type: object
  *                   description: Only present if includeFilterOptions=true
+ *       400:
+ *         description: Unsupported region, currency or sort
  *       500:
  *         description: Server error
  */
 router.get('/', async (req, res) => {
   try {
+    const region = resolveRegion(req.query.region);
+
+    if (!region) {
+      return res.status(400).json({
+        error: 'Unsupported region',
+        supportedRegions: REGIONS.SUPPORTED
+      });
+    }
+
+    const currency = req.query.currency ? req.query.currency.toUpperCase() : undefined;
+
+    if (currency && !(await exchangeRateService.isSupportedCurrency(currency))) {
+      return res.status(400).json({ error: 'Unsupported currency' });
+    }
+
+    const { sort } = req.query;
+
+    if (sort && !Object.values(SEARCH_SORTS).includes(sort)) {
+      return res.status(400).json({
+        error: 'Unsupported sort',
+        supportedSorts: Object.values(SEARCH_SORTS)
+      });
+    }
+
     const {
       genre,
       publisher,
       developer,
       initialLetter,
-      discountPercent,
+      discountPercent = req.query.discountPercentage,
       minDiscount,
       maxDiscount,
       page = PAGINATION.DEFAULT_PAGE,
@@ -109,7 +184,13 @@ router.get('/', async (req, res) => {
       discountPercent: discountPercent ? parseInt(discountPercent, 10) : undefined,
       minDiscount: minDiscount ? parseInt(minDiscount, 10) : undefined,
       maxDiscount: maxDiscount ? parseInt(maxDiscount, 10) : undefined,
-      isFree: req.query.isFree === 'true'
+      isFree: req.query.isFree === 'true',
+      subscriptionDiscount: req.query.subscriptionDiscount === 'true',
+      onlyHistoricalLows: req.query.onlyHistoricalLows === 'true',
+      includeDelisted: req.query.includeDelisted === 'true',
+      sort,
+      region,
+      currency
     };
 
     const includeFilterOptions = req.query.includeFilterOptions === 'true';
@@ -122,4 +203,341 @@ router.get('/', async (req, res) => {
   }
 });
 
+/**
+ * @swagger
+ * /api/games/delisted:
+ *   get:
+ *     summary: Games no longer listed on Steam
+ *     description: |
+ *       Games whose app left the Steam app list, most recently delisted first.
+ *       They are hidden from /api/games unless includeDelisted=true.
+ *     tags: [Games]
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: pageSize
+ *         schema:
+ *           type: integer
+ *           default: 25
+ *           maximum: 50
+ *     responses:
+ *       200:
+ *         description: Delisted games
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 games:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Game'
+ *                 pagination:
+ *                   $ref: '#/components/schemas/PaginationResponse'
+ *       500:
+ *         description: Server error
+ */
+// Before /:id, which would take "delisted" as a game ID
+router.get('/delisted', async (req, res) => {
+  try {
+    const page = parseInt(req.query.page, 10) || PAGINATION.DEFAULT_PAGE;
+    const pageSize = Math.min(
+      parseInt(req.query.pageSize, 10) || PAGINATION.DEFAULT_PAGE_SIZE,
+      PAGINATION.MAX_PAGE_SIZE
+    );
+
+    res.json(await searchService.getDelistedGames(page, pageSize));
+  } catch (error) {
+    console.error('Error fetching delisted games:', error);
+    res.status(500).json({ error: 'Error fetching delisted games' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/games/{id}:
+ *   get:
+ *     summary: Get a game with its price in every store
+ *     description: >
+ *       Returns the stored game together with a `stores` array listing the offer in each store,
+ *       cheapest first
+ *     tags: [Games]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Steam application ID
+ *       - in: query
+ *         name: region
+ *         schema:
+ *           type: string
+ *         description: Country code of the returned price (defaults to us)
+ *       - in: query
+ *         name: currency
+ *         schema:
+ *           type: string
+ *         description: Convert the game and store prices to this currency
+ *     responses:
+ *       200:
+ *         description: Game with store comparison
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/Game'
+ *                 - type: object
+ *                   properties:
+ *                     stores:
+ *                       type: array
+ *                       items:
+ *                         allOf:
+ *                           - $ref: '#/components/schemas/StoreOffer'
+ *                           - type: object
+ *                             properties:
+ *                               isCheapest:
+ *                                 type: boolean
+ *                     cheapestStore:
+ *                       type: string
+ *                       nullable: true
+ *       400:
+ *         description: Invalid game ID, unsupported region or currency
+ *       404:
+ *         description: Game not found
+ *       500:
+ *         description: Server error
+ */
+router.get('/:id', async (req, res) => {
+  try {
+    const appid = parseInt(req.params.id, 10);
+
+    if (Number.isNaN(appid)) {
+      return res.status(400).json({ error: 'Invalid game ID' });
+    }
+
+    const region = resolveRegion(req.query.region);
+
+    if (!region) {
+      return res.status(400).json({
+        error: 'Unsupported region',
+        supportedRegions: REGIONS.SUPPORTED
+      });
+    }
+
+    const currency = req.query.currency ? req.query.currency.toUpperCase() : undefined;
+
+    if (currency && !(await exchangeRateService.isSupportedCurrency(currency))) {
+      return res.status(400).json({ error: 'Unsupported currency' });
+    }
+
+    const game = await searchService.getGameById(appid, region, currency);
+
+    if (!game) {
+      return res.status(404).json({ error: 'Game not found' });
+    }
+
+    res.json(game);
+  } catch (error) {
+    console.error('Error fetching game:', error);
+    res.status(500).json({ error: 'Error fetching game' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/games/{appid}/regional-prices:
+ *   get:
+ *     summary: Compare the price of a game across regions
+ *     description: >
+ *       Returns the price in every stored region converted to a common currency, cheapest first,
+ *       with the difference against a reference region
+ *     tags: [Games]
+ *     parameters:
+ *       - in: path
+ *         name: appid
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Steam application ID
+ *       - in: query
+ *         name: currency
+ *         schema:
+ *           type: string
+ *           default: USD
+ *         description: Currency used to compare prices
+ *       - in: query
+ *         name: reference
+ *         schema:
+ *           type: string
+ *           default: us
+ *         description: Region used as reference for the percentage difference
+ *     responses:
+ *       200:
+ *         description: Regional prices, cheapest first
+ *       400:
+ *         description: Invalid game ID, currency or reference region
+ *       404:
+ *         description: Game not found
+ *       500:
+ *         description: Server error
+ */
+router.get('/:appid/regional-prices', async (req, res) => {
+  try {
+    const appid = parseInt(req.params.appid, 10);
+
+    if (Number.isNaN(appid)) {
+      return res.status(400).json({ error: 'Invalid game ID' });
+    }
+
+    const currency = (req.query.currency || 'USD').toUpperCase();
+
+    if (!(await exchangeRateService.isSupportedCurrency(currency))) {
+      return res.status(400).json({
+        error: 'Unsupported currency',
+        supportedCurrencies: await exchangeRateService.getSupportedCurrencies()
+      });
+    }
+
+    const referenceRegion = resolveRegion(req.query.reference);
+
+    if (!referenceRegion) {
+      return res.status(400).json({
+        error: 'Unsupported reference region',
+        supportedRegions: REGIONS.SUPPORTED
+      });
+    }
+
+    const comparison = await regionalPriceService.compareRegionalPrices(appid, { currency, referenceRegion });
+
+    if (!comparison) {
+      return res.status(404).json({ error: 'Game not found' });
+    }
+
+    res.json(comparison);
+  } catch (error) {
+    console.error('Error comparing regional prices:', error);
+    res.status(500).json({ error: 'Error comparing regional prices' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/games/{appid}/price-history:
+ *   get:
+ *     summary: Get the price history of a game
+ *     description: >
+ *       Returns every recorded price of the game with statistics such as the historical low
+ *       and the number of sales
+ *     tags: [Games]
+ *     parameters:
+ *       - in: path
+ *         name: appid
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Steam application ID
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Only prices checked on or after this date
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Only prices checked on or before this date
+ *       - in: query
+ *         name: currency
+ *         schema:
+ *           type: string
+ *         description: Convert every price with the exchange rate valid on its date
+ *     responses:
+ *       200:
+ *         description: Price history and statistics for the selected range
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 currentPrice:
+ *                   $ref: '#/components/schemas/Price'
+ *                 statistics:
+ *                   type: object
+ *                   properties:
+ *                     historicalLow:
+ *                       type: object
+ *                       properties:
+ *                         price:
+ *                           type: number
+ *                         date:
+ *                           type: string
+ *                           format: date-time
+ *                     highestDiscount:
+ *                       type: object
+ *                       properties:
+ *                         discount_percent:
+ *                           type: number
+ *                         date:
+ *                           type: string
+ *                           format: date-time
+ *                     averageSalePrice:
+ *                       type: number
+ *                     numberOfSales:
+ *                       type: integer
+ *                     daysSinceLastDiscount:
+ *                       type: integer
+ *                     isHistoricalLow:
+ *                       type: boolean
+ *                 history:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Price'
+ *       400:
+ *         description: Invalid game ID, dates or currency
+ *       404:
+ *         description: Game not found
+ *       500:
+ *         description: Server error
+ */
+router.get('/:appid/price-history', async (req, res) => {
+  try {
+    const appid = parseInt(req.params.appid, 10);
+
+    if (Number.isNaN(appid)) {
+      return res.status(400).json({ error: 'Invalid game ID' });
+    }
+
+    const from = req.query.from ? new Date(req.query.from) : undefined;
+    const to = req.query.to ? new Date(req.query.to) : undefined;
+
+    if ((from && Number.isNaN(from.getTime())) || (to && Number.isNaN(to.getTime())) || (from && to && from > to)) {
+      return res.status(400).json({ error: 'Invalid date range' });
+    }
+
+    const currency = req.query.currency ? req.query.currency.toUpperCase() : undefined;
+
+    if (currency && !(await exchangeRateService.isSupportedCurrency(currency))) {
+      return res.status(400).json({ error: 'Unsupported currency' });
+    }
+
+    const history = await priceHistoryService.getPriceHistory(appid, { from, to, currency });
+
+    if (!history) {
+      return res.status(404).json({ error: 'Game not found' });
+    }
+
+    res.json(history);
+  } catch (error) {
+    console.error('Error fetching price history:', error);
+    res.status(500).json({ error: 'Error fetching price history' });
+  }
+});
+
 module.exports = router;
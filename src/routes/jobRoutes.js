@@ -0,0 +1,128 @@
+const express = require('express');
+
+const router = express.Router();
+const jobController = require('../controllers/jobController');
+const { requireRole } = require('../middleware/auth');
+const { API_KEY_ROLES } = require('../config/constants');
+
+router.use(requireRole(API_KEY_ROLES.ADMIN));
+
+/**
+ * @swagger
+ * /api/jobs:
+ *   get:
+ *     summary: List background jobs
+ *     description: Newest first. Finished jobs are kept for 30 days.
+ *     tags: [Jobs]
+ *     security:
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [queued, running, succeeded, failed, cancelled]
+ *       - in: query
+ *         name: type
+ *         schema:
+ *           type: string
+ *           enum: [sync_new_games, update_all_games, price_sweep]
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 50
+ *           maximum: 100
+ *     responses:
+ *       200:
+ *         description: Jobs
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 total:
+ *                   type: integer
+ *                 jobs:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Job'
+ *       400:
+ *         description: Invalid status or type
+ *       401:
+ *         description: Missing or invalid API key
+ *       403:
+ *         description: The API key is not an admin key
+ *       500:
+ *         description: Server error
+ */
+router.get('/', jobController.listJobs);
+
+/**
+ * @swagger
+ * /api/jobs/{id}:
+ *   get:
+ *     summary: Get the status, progress and errors of a job
+ *     tags: [Jobs]
+ *     security:
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Job
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Job'
+ *       401:
+ *         description: Missing or invalid API key
+ *       403:
+ *         description: The API key is not an admin key
+ *       404:
+ *         description: Job not found
+ *       500:
+ *         description: Server error
+ */
+router.get('/:id', jobController.getJob);
+
+/**
+ * @swagger
+ * /api/jobs/{id}/cancel:
+ *   post:
+ *     summary: Cancel a job
+ *     description: |
+ *       Queued jobs are cancelled right away. Running jobs notice the request on their next heartbeat
+ *       and stop once the items in progress finish, keeping the work already done.
+ *     tags: [Jobs]
+ *     security:
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Job cancelled
+ *       202:
+ *         description: Cancellation requested for a running job
+ *       401:
+ *         description: Missing or invalid API key
+ *       403:
+ *         description: The API key is not an admin key
+ *       404:
+ *         description: Job not found
+ *       409:
+ *         description: The job already finished
+ *       500:
+ *         description: Server error
+ */
+router.post('/:id/cancel', jobController.cancelJob);
+
+module.exports = router;
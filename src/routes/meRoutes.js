@@ -0,0 +1,309 @@
+const express = require('express');
+
+const router = express.Router();
+const userController = require('../controllers/userController');
+const apiKeyController = require('../controllers/apiKeyController');
+const { requireAuth, requireRole } = require('../middleware/auth');
+const { API_KEY_ROLES } = require('../config/constants');
+
+/**
+ * @swagger
+ * /api/me/usage:
+ *   get:
+ *     summary: Get the usage of your API key
+ *     description: |
+ *       Identified by the API key, not by a user session. Reports the rate limit tier of the key,
+ *       the state of the current rate limit window and the requests made per day and per month (UTC).
+ *     tags: [Users]
+ *     security:
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: days
+ *         schema:
+ *           type: integer
+ *           default: 30
+ *           maximum: 90
+ *       - in: query
+ *         name: months
+ *         schema:
+ *           type: integer
+ *           default: 12
+ *           maximum: 12
+ *     responses:
+ *       200:
+ *         description: API key usage
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ApiKeyUsage'
+ *       400:
+ *         description: Invalid days or months
+ *       401:
+ *         description: Missing or invalid API key
+ *       500:
+ *         description: Server error
+ */
+router.get('/usage', requireRole(API_KEY_ROLES.PUBLIC), apiKeyController.getOwnUsage);
+
+router.use(requireAuth);
+
+/**
+ * @swagger
+ * /api/me:
+ *   get:
+ *     summary: Get the logged in user
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: User profile
+ *       401:
+ *         description: Missing or invalid token
+ *       500:
+ *         description: Server error
+ */
+router.get('/', userController.getProfile);
+
+/**
+ * @swagger
+ * /api/me/wishlist:
+ *   get:
+ *     summary: Get the wishlist
+ *     description: Returns every wishlisted game with its alert targets and current price
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Wishlist
+ *       401:
+ *         description: Missing or invalid token
+ *       500:
+ *         description: Server error
+ */
+router.get('/wishlist', userController.getWishlist);
+
+/**
+ * @swagger
+ * /api/me/wishlist/{appid}:
+ *   put:
+ *     summary: Add a game to the wishlist or update its alert targets
+ *     description: Targets are compared with the price of the default region. Omitted targets are removed.
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: appid
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               targetPrice:
+ *                 type: number
+ *                 description: Alert when the price drops to this value or lower
+ *               targetDiscount:
+ *                 type: integer
+ *                 minimum: 1
+ *                 maximum: 100
+ *                 description: Alert when the discount reaches this percentage
+ *     responses:
+ *       200:
+ *         description: Wishlist item saved
+ *       400:
+ *         description: Invalid game ID or targets
+ *       401:
+ *         description: Missing or invalid token
+ *       404:
+ *         description: Game not found
+ *       500:
+ *         description: Server error
+ *   delete:
+ *     summary: Remove a game from the wishlist
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: appid
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Game removed
+ *       401:
+ *         description: Missing or invalid token
+ *       404:
+ *         description: Game not in wishlist
+ *       500:
+ *         description: Server error
+ */
+router.put('/wishlist/:appid', userController.saveWishlistItem);
+router.delete('/wishlist/:appid', userController.removeWishlistItem);
+
+/**
+ * @swagger
+ * /api/me/alerts:
+ *   get:
+ *     summary: Get triggered price alerts
+ *     description: Notification inbox with the alerts triggered by wishlist targets, newest first
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: unread
+ *         schema:
+ *           type: boolean
+ *         description: Only unread alerts
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 50
+ *           maximum: 100
+ *     responses:
+ *       200:
+ *         description: Alerts and number of unread alerts
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 unread:
+ *                   type: integer
+ *                 alerts:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Alert'
+ *       401:
+ *         description: Missing or invalid token
+ *       500:
+ *         description: Server error
+ */
+router.get('/alerts', userController.getAlerts);
+
+/**
+ * @swagger
+ * /api/me/alerts/read:
+ *   put:
+ *     summary: Mark every alert as read
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Number of alerts updated
+ *       401:
+ *         description: Missing or invalid token
+ *       500:
+ *         description: Server error
+ */
+router.put('/alerts/read', userController.markAllAlertsAsRead);
+
+/**
+ * @swagger
+ * /api/me/alerts/{id}/read:
+ *   put:
+ *     summary: Mark an alert as read
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Alert updated
+ *       401:
+ *         description: Missing or invalid token
+ *       404:
+ *         description: Alert not found
+ *       500:
+ *         description: Server error
+ */
+router.put('/alerts/:id/read', userController.markAlertAsRead);
+
+/**
+ * @swagger
+ * /api/me/digest:
+ *   get:
+ *     summary: Get the deals digest settings
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Digest settings
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/DigestSettings'
+ *       401:
+ *         description: Missing or invalid token
+ *       500:
+ *         description: Server error
+ *   put:
+ *     summary: Subscribe to or unsubscribe from the deals digest
+ *     description: The digest emails the most discounted games matching the filters. Set frequency to off to stop it.
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/DigestSettings'
+ *     responses:
+ *       200:
+ *         description: Digest settings saved
+ *       400:
+ *         description: Invalid frequency or filters
+ *       401:
+ *         description: Missing or invalid token
+ *       500:
+ *         description: Server error
+ */
+router.get('/digest', userController.getDigestSettings);
+router.put('/digest', userController.updateDigestSettings);
+
+/**
+ * @swagger
+ * /api/me/digest/preview:
+ *   get:
+ *     summary: Preview the next deals digest
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [json, html]
+ *         description: Return the rendered HTML instead of the JSON with subject, html, text and games
+ *     responses:
+ *       200:
+ *         description: Rendered digest
+ *       401:
+ *         description: Missing or invalid token
+ *       404:
+ *         description: No deals match the filters
+ *       500:
+ *         description: Server error
+ */
+router.get('/digest/preview', userController.previewDigest);
+
+module.exports = router;
@@ -0,0 +1,226 @@
+const express = require('express');
+
+const router = express.Router();
+const savedSearchController = require('../controllers/savedSearchController');
+const { requireAuth } = require('../middleware/auth');
+
+router.use(requireAuth);
+
+/**
+ * @swagger
+ * /api/saved-searches:
+ *   get:
+ *     summary: List your saved searches
+ *     tags: [Saved searches]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Saved searches, newest first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 total:
+ *                   type: integer
+ *                 searches:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/SavedSearch'
+ *       401:
+ *         description: Missing or invalid token
+ *       500:
+ *         description: Server error
+ *   post:
+ *     summary: Save a game search
+ *     description: |
+ *       The search is evaluated right away to record the games it currently matches. After every update
+ *       cycle it is evaluated again, and games that start matching are reported as new matches and
+ *       raise a saved_search alert.
+ *     tags: [Saved searches]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/SavedSearchInput'
+ *     responses:
+ *       201:
+ *         description: Search saved
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/SavedSearch'
+ *       400:
+ *         description: Invalid name or filters
+ *       401:
+ *         description: Missing or invalid token
+ *       409:
+ *         description: Saved search limit reached
+ *       500:
+ *         description: Server error
+ */
+router.get('/', savedSearchController.listSavedSearches);
+router.post('/', savedSearchController.createSavedSearch);
+
+/**
+ * @swagger
+ * /api/saved-searches/{id}:
+ *   get:
+ *     summary: Get a saved search
+ *     tags: [Saved searches]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Saved search
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/SavedSearch'
+ *       401:
+ *         description: Missing or invalid token
+ *       404:
+ *         description: Saved search not found
+ *       500:
+ *         description: Server error
+ *   put:
+ *     summary: Update a saved search
+ *     description: Only the fields sent are changed. Changing the filters discards the pending new matches.
+ *     tags: [Saved searches]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/SavedSearchInput'
+ *     responses:
+ *       200:
+ *         description: Saved search updated
+ *       400:
+ *         description: Invalid name or filters
+ *       401:
+ *         description: Missing or invalid token
+ *       404:
+ *         description: Saved search not found
+ *       500:
+ *         description: Server error
+ *   delete:
+ *     summary: Delete a saved search
+ *     tags: [Saved searches]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Saved search deleted
+ *       401:
+ *         description: Missing or invalid token
+ *       404:
+ *         description: Saved search not found
+ *       500:
+ *         description: Server error
+ */
+router.get('/:id', savedSearchController.getSavedSearch);
+router.put('/:id', savedSearchController.updateSavedSearch);
+router.delete('/:id', savedSearchController.deleteSavedSearch);
+
+/**
+ * @swagger
+ * /api/saved-searches/{id}/new-matches:
+ *   get:
+ *     summary: List the games that newly match a saved search
+ *     description: >
+ *       Games that started matching since the search was saved and have not been marked as seen,
+ *       newest first
+ *     tags: [Saved searches]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: New matches
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 search:
+ *                   $ref: '#/components/schemas/SavedSearch'
+ *                 total:
+ *                   type: integer
+ *                 matches:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       appid:
+ *                         type: integer
+ *                       matchedAt:
+ *                         type: string
+ *                         format: date-time
+ *                       game:
+ *                         $ref: '#/components/schemas/Game'
+ *       401:
+ *         description: Missing or invalid token
+ *       404:
+ *         description: Saved search not found
+ *       500:
+ *         description: Server error
+ */
+router.get('/:id/new-matches', savedSearchController.getNewMatches);
+
+/**
+ * @swagger
+ * /api/saved-searches/{id}/new-matches/seen:
+ *   put:
+ *     summary: Mark the new matches of a saved search as seen
+ *     tags: [Saved searches]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Number of matches marked as seen
+ *       401:
+ *         description: Missing or invalid token
+ *       404:
+ *         description: Saved search not found
+ *       500:
+ *         description: Server error
+ */
+router.put('/:id/new-matches/seen', savedSearchController.markNewMatchesAsSeen);
+
+module.exports = router;
@@ -1,6 +1,8 @@
 const express = require('express');
 const router = express.Router();
 const steamController = require('../controllers/steamController');
+const { requireRole } = require('../middleware/auth');
+const { API_KEY_ROLES } = require('../config/constants');
 
 /**
  * @swagger
@@ -67,6 +69,20 @@ router.get('/steam-games', steamController.getSteamGames);
  *         schema:
  *           type: integer
  *         description: Steam application ID
+ *       - in: query
+ *         name: region
+ *         schema:
+ *           type: string
+ *           example: br
+ *         description: Country code of the returned price (defaults to us)
+ *       - in: query
+ *         name: currency
+ *         schema:
+ *           type: string
+ *           example: EUR
+ *         description: >
+ *           Convert the price and price history to this currency, each with the exchange rate
+ *           valid when it was checked
  *     responses:
  *       200:
  *         description: Game details
@@ -123,6 +139,8 @@ router.get('/steam-games', steamController.getSteamGames);
  *                       type: string
  *                     final_formatted:
  *                       type: string
+ *       400:
+ *         description: Invalid appid, unsupported region or currency
  *       404:
  *         description: Game not found
  *       500:
@@ -224,12 +242,14 @@ router.get('/check-differences', steamController.checkDifferences);
  * @swagger
  * /api/steam/sync-new-games:
  *   post:
- *     summary: Sync new games from Steam API to database
- *     description: Fetches new games from Steam API and adds them to the database
+ *     summary: Queue a sync of new games from Steam
+ *     description: Queues a background job that adds the games published on Steam since the last sync
  *     tags: [Steam]
+ *     security:
+ *       - apiKeyAuth: []
  *     responses:
- *       200:
- *         description: Sync results
+ *       202:
+ *         description: Job queued. Follow its progress at the URL in the Location header.
  *         content:
  *           application/json:
  *             schema:
@@ -239,25 +259,33 @@ router.get('/check-differences', steamController.checkDifferences);
  *                   type: boolean
  *                 message:
  *                   type: string
- *                 syncedGames:
- *                   type: integer
- *                 timeElapsed:
- *                   type: string
+ *                 job:
+ *                   $ref: '#/components/schemas/Job'
+ *       401:
+ *         description: Missing or invalid API key
+ *       403:
+ *         description: The API key is not an admin key
+ *       409:
+ *         description: A job of the same type is already queued or running
  *       500:
  *         description: Server error
  */
-router.post('/sync-new-games', steamController.syncNewGames);
+router.post('/sync-new-games', requireRole(API_KEY_ROLES.ADMIN), steamController.syncNewGames);
 
 /**
  * @swagger
  * /api/steam/update-all-games:
  *   post:
- *     summary: Update all games in the database
- *     description: Updates all games in the database with the latest information from Steam API
+ *     summary: Queue an update of all games
+ *     description: >
+ *       Queues a background job that syncs new games and refreshes every stored game, store offer
+ *       and saved search
  *     tags: [Steam]
+ *     security:
+ *       - apiKeyAuth: []
  *     responses:
- *       200:
- *         description: Update results
+ *       202:
+ *         description: Job queued. Follow its progress at the URL in the Location header.
  *         content:
  *           application/json:
  *             schema:
@@ -267,13 +295,86 @@ router.post('/sync-new-games', steamController.syncNewGames);
  *                   type: boolean
  *                 message:
  *                   type: string
- *                 updatedGames:
- *                   type: integer
- *                 timeElapsed:
+ *                 job:
+ *                   $ref: '#/components/schemas/Job'
+ *       401:
+ *         description: Missing or invalid API key
+ *       403:
+ *         description: The API key is not an admin key
+ *       409:
+ *         description: A job of the same type is already queued or running
+ *       500:
+ *         description: Server error
+ */
+router.post('/update-all-games', requireRole(API_KEY_ROLES.ADMIN), steamController.updateAllGames);
+
+/**
+ * @swagger
+ * /api/steam/price-sweep:
+ *   post:
+ *     summary: Queue a price sweep
+ *     description: |
+ *       Queues a background job that refreshes only the prices of every paid game, asking Steam
+ *       for many games per request. It also runs on its own every 30 minutes by default.
+ *     tags: [Steam]
+ *     security:
+ *       - apiKeyAuth: []
+ *     responses:
+ *       202:
+ *         description: Job queued. Follow its progress at the URL in the Location header.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 message:
  *                   type: string
+ *                 job:
+ *                   $ref: '#/components/schemas/Job'
+ *       401:
+ *         description: Missing or invalid API key
+ *       403:
+ *         description: The API key is not an admin key
+ *       409:
+ *         description: A job of the same type is already queued or running
+ *       500:
+ *         description: Server error
+ */
+router.post('/price-sweep', requireRole(API_KEY_ROLES.ADMIN), steamController.sweepPrices);
+
+/**
+ * @swagger
+ * /api/steam/throttle:
+ *   get:
+ *     summary: Live counters of the outbound Steam throttle
+ *     description: |
+ *       Every request to Steam waits for a token of its host bucket. After a 429 the host is paused
+ *       until Retry-After and its rate is halved, then raised again while requests succeed.
+ *       Counters are per instance and reset on restart.
+ *     tags: [Steam]
+ *     security:
+ *       - apiKeyAuth: []
+ *     responses:
+ *       200:
+ *         description: Throttle status per host
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 hosts:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/ThrottleStatus'
+ *       401:
+ *         description: Missing or invalid API key
+ *       403:
+ *         description: The API key is not an admin key
  *       500:
  *         description: Server error
  */
-router.post('/update-all-games', steamController.updateAllGames);
+router.get('/throttle', requireRole(API_KEY_ROLES.ADMIN), steamController.getThrottleStatus);
 
 module.exports = router;
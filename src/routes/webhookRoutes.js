@@ -0,0 +1,180 @@
+const express = require('express');
+
+const router = express.Router();
+const webhookController = require('../controllers/webhookController');
+const { requireAuth } = require('../middleware/auth');
+
+router.use(requireAuth);
+
+/**
+ * @swagger
+ * /api/webhooks:
+ *   get:
+ *     summary: List your webhooks
+ *     tags: [Webhooks]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Registered webhooks
+ *       401:
+ *         description: Missing or invalid token
+ *       500:
+ *         description: Server error
+ *   post:
+ *     summary: Register a webhook
+ *     description: |
+ *       Every delivery is a JSON POST signed with HMAC-SHA256. The `X-Webhook-Signature` header holds
+ *       `sha256=<hex>` computed over `<X-Webhook-Timestamp>.<raw body>` with the webhook secret.
+ *       Failed deliveries are retried with exponential backoff. The secret is only returned on creation.
+ *     tags: [Webhooks]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/WebhookInput'
+ *     responses:
+ *       201:
+ *         description: Webhook registered, including its secret
+ *       400:
+ *         description: Invalid URL, events or secret
+ *       401:
+ *         description: Missing or invalid token
+ *       500:
+ *         description: Server error
+ */
+router.get('/', webhookController.listWebhooks);
+router.post('/', webhookController.createWebhook);
+
+/**
+ * @swagger
+ * /api/webhooks/{id}:
+ *   get:
+ *     summary: Get a webhook
+ *     tags: [Webhooks]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Webhook
+ *       401:
+ *         description: Missing or invalid token
+ *       404:
+ *         description: Webhook not found
+ *       500:
+ *         description: Server error
+ *   put:
+ *     summary: Update a webhook
+ *     description: Only the fields sent are changed. Set active to false to pause deliveries.
+ *     tags: [Webhooks]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/WebhookInput'
+ *     responses:
+ *       200:
+ *         description: Webhook updated
+ *       400:
+ *         description: Invalid URL, events or secret
+ *       401:
+ *         description: Missing or invalid token
+ *       404:
+ *         description: Webhook not found
+ *       500:
+ *         description: Server error
+ *   delete:
+ *     summary: Delete a webhook and its delivery log
+ *     tags: [Webhooks]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Webhook deleted
+ *       401:
+ *         description: Missing or invalid token
+ *       404:
+ *         description: Webhook not found
+ *       500:
+ *         description: Server error
+ */
+router.get('/:id', webhookController.getWebhook);
+router.put('/:id', webhookController.updateWebhook);
+router.delete('/:id', webhookController.deleteWebhook);
+
+/**
+ * @swagger
+ * /api/webhooks/{id}/deliveries:
+ *   get:
+ *     summary: List the deliveries of a webhook
+ *     description: Newest first. Deliveries are kept for 30 days.
+ *     tags: [Webhooks]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [delivering, retrying, succeeded, failed]
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 50
+ *           maximum: 100
+ *     responses:
+ *       200:
+ *         description: Deliveries
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 total:
+ *                   type: integer
+ *                 deliveries:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/WebhookDelivery'
+ *       400:
+ *         description: Invalid status
+ *       401:
+ *         description: Missing or invalid token
+ *       404:
+ *         description: Webhook not found
+ *       500:
+ *         description: Server error
+ */
+router.get('/:id/deliveries', webhookController.getDeliveries);
+
+module.exports = router;
@@ -0,0 +1,71 @@
+require('dotenv').config();
+const connectDB = require('../config/database');
+const Game = require('../models/Game');
+const dealService = require('../services/dealService');
+const logger = require('../utils/logger');
+
+const BATCH_SIZE = 500;
+
+// dealScore and isHistoricalLow are computed when a game is refreshed, so games not refreshed
+// since they were added are left out of sort=dealScore and onlyHistoricalLows until then. This
+// scores them from the stored price and history. Safe to run again: it only touches games still
+// without a dealScore.
+const backfillDeals = async () => {
+    await connectDB();
+
+    const cursor = Game.find({ dealScore: { $exists: false } })
+        .select('appid is_free price metacritic recommendations historicalLow')
+        .lean()
+        .cursor();
+
+    let updated = 0;
+    let exitCode = 0;
+    let writes = [];
+
+    const flush = async () => {
+        if (writes.length === 0) return;
+
+        const batch = writes;
+        writes = [];
+
+        try {
+            const result = await Game.bulkWrite(batch, { ordered: false });
+            updated += result.modifiedCount;
+        } catch (error) {
+            logger.error(`Error backfilling a batch of deal scores: ${error.message}`);
+            exitCode = 1;
+        }
+    };
+
+    /* eslint-disable no-await-in-loop -- the cursor is read one game at a time and written in batches */
+    for (let game = await cursor.next(); game; game = await cursor.next()) {
+        try {
+            const deal = await dealService.evaluate(game, game);
+
+            writes.push({
+                updateOne: {
+                    filter: { _id: game._id },
+                    // The price did not just change, so it cannot be a new low
+                    update: { $set: { ...deal, isNewLow: false } }
+                }
+            });
+        } catch (error) {
+            logger.error(`Error scoring the deal of game ${game.appid}: ${error.message}`);
+            exitCode = 1;
+        }
+
+        if (writes.length >= BATCH_SIZE) {
+            await flush();
+        }
+    }
+    /* eslint-enable no-await-in-loop */
+
+    await flush();
+
+    logger.info(`Backfilled the deal score of ${updated} games`);
+
+    await connectDB.disconnect();
+    process.exit(exitCode);
+};
+
+backfillDeals();
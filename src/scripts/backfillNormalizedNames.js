@@ -0,0 +1,62 @@
+require('dotenv').config();
+const connectDB = require('../config/database');
+const Game = require('../models/Game');
+const logger = require('../utils/logger');
+const { normalizeTitle } = require('../utils/textUtils');
+
+const BATCH_SIZE = 1000;
+
+// Games stored before normalizedName existed only get it on their next update, and until then
+// the cross-store matching cannot find them as candidates. Safe to run again: it only touches
+// games still missing the field.
+const backfillNormalizedNames = async () => {
+    await connectDB();
+
+    const cursor = Game.collection.find(
+        { normalizedName: { $exists: false }, name: { $exists: true } },
+        { projection: { name: 1 } }
+    );
+
+    let updated = 0;
+    let exitCode = 0;
+    let writes = [];
+
+    const flush = async () => {
+        if (writes.length === 0) return;
+
+        const batch = writes;
+        writes = [];
+
+        try {
+            const result = await Game.collection.bulkWrite(batch, { ordered: false });
+            updated += result.modifiedCount;
+        } catch (error) {
+            logger.error(`Error backfilling a batch of normalized names: ${error.message}`);
+            exitCode = 1;
+        }
+    };
+
+    /* eslint-disable no-await-in-loop -- the cursor is read one game at a time and written in batches */
+    for (let game = await cursor.next(); game; game = await cursor.next()) {
+        writes.push({
+            updateOne: {
+                filter: { _id: game._id },
+                update: { $set: { normalizedName: normalizeTitle(game.name) } }
+            }
+        });
+
+        if (writes.length >= BATCH_SIZE) {
+            await flush();
+        }
+    }
+    /* eslint-enable no-await-in-loop */
+
+    await flush();
+
+    logger.info(`Backfilled the normalized name of ${updated} games`);
+
+    await connectDB.disconnect();
+    process.exit(exitCode);
+};
+
+backfillNormalizedNames();
@@ -0,0 +1,36 @@
+require('dotenv').config();
+const connectDB = require('../config/database');
+const ApiKey = require('../models/ApiKey');
+const apiKeyService = require('../services/apiKeyService');
+const logger = require('../utils/logger');
+const { API_KEY_ROLES } = require('../config/constants');
+
+// Creates keys from the command line, mainly the first admin key that manages the rest through the API
+const createApiKey = async () => {
+    const [name, role = API_KEY_ROLES.ADMIN] = process.argv.slice(2);
+
+    if (!name || !apiKeyService.isValidRole(role)) {
+        logger.error(`Usage: npm run apikey:create -- <name> [${Object.values(API_KEY_ROLES).join('|')}]`);
+        process.exit(1);
+    }
+
+    await connectDB();
+    await ApiKey.createIndexesInBackground();
+
+    let exitCode = 0;
+
+    try {
+        const apiKey = await apiKeyService.createKey({ name, role, createdBy: 'cli' });
+
+        // Printed on stdout so it can be piped; it cannot be retrieved again
+        console.log(apiKey.key);
+    } catch (error) {
+        logger.error(`Error creating API key: ${error.message}`);
+        exitCode = 1;
+    }
+
+    await connectDB.disconnect();
+    process.exit(exitCode);
+};
+
+createApiKey();
@@ -0,0 +1,38 @@
+require('dotenv').config();
+const path = require('path');
+const connectDB = require('../config/database');
+const ExchangeRate = require('../models/ExchangeRate');
+const exchangeRateService = require('../services/exchangeRateService');
+const logger = require('../utils/logger');
+
+const importExchangeRates = async () => {
+    const files = process.argv.slice(2);
+
+    if (files.length === 0) {
+        logger.error('Usage: npm run rates:import -- <file.json|file.csv> [...more files]');
+        process.exit(1);
+    }
+
+    await connectDB();
+    await ExchangeRate.createIndexesInBackground();
+
+    let exitCode = 0;
+
+    /* eslint-disable no-await-in-loop -- files are imported in the order given, so later files win */
+    for (let i = 0; i < files.length; i += 1) {
+        const file = files[i];
+        try {
+            const result = await exchangeRateService.importFile(path.resolve(file));
+            logger.info(`${file}: ${result.imported} new rates, ${result.updated} updated`);
+        } catch (error) {
+            logger.error(`${file}: ${error.message}`);
+            exitCode = 1;
+        }
+    }
+    /* eslint-enable no-await-in-loop */
+
+    await connectDB.disconnect();
+    process.exit(exitCode);
+};
+
+importExchangeRates();
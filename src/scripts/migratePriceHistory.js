@@ -0,0 +1,91 @@
+require('dotenv').config();
+const connectDB = require('../config/database');
+const Game = require('../models/Game');
+const PriceObservation = require('../models/PriceObservation');
+const priceHistoryService = require('../services/priceHistoryService');
+const logger = require('../utils/logger');
+const { REGIONS } = require('../config/constants');
+
+const observationKey = (observation) => [
+    observation.meta.store,
+    observation.meta.region,
+    new Date(observation.observedAt).getTime()
+].join(':');
+
+// Time-series collections take no unique index, so a game interrupted between the insert and the
+// $unset would get its history twice on the next run. Observations already stored are skipped.
+const withoutStored = async (appid, observations) => {
+    if (observations.length === 0) return observations;
+
+    const stored = await PriceObservation.find({
+        'meta.appid': appid,
+        observedAt: { $in: observations.map((observation) => observation.observedAt) }
+    })
+        .select('meta observedAt')
+        .lean();
+    const storedKeys = new Set(stored.map(observationKey));
+
+    return observations.filter((observation) => !storedKeys.has(observationKey(observation)));
+};
+
+// `priceHistory` is no longer part of the Game schema, so the legacy arrays
+// are read and removed through the native collection. Safe to run again.
+const migratePriceHistory = async () => {
+    await connectDB();
+    await PriceObservation.init();
+    await PriceObservation.createIndexesInBackground();
+
+    const cursor = Game.collection.find(
+        { priceHistory: { $exists: true } },
+        {
+            projection: {
+                appid: 1, price: 1, regionalPrices: 1, priceHistory: 1, lastUpdated: 1
+            }
+        }
+    );
+
+    let migratedGames = 0;
+    let migratedObservations = 0;
+    let exitCode = 0;
+
+    /* eslint-disable no-await-in-loop -- the cursor is read one game at a time */
+    for (let game = await cursor.next(); game; game = await cursor.next()) {
+        try {
+            const observations = (game.priceHistory || [])
+                .map((price) => priceHistoryService.toObservation(game.appid, price));
+
+            // The current prices close each series, so history stays continuous
+            // until the next update records a change. They are dated when they were
+            // last read, so a second run dates them the same.
+            const withCheckedAt = (price) => price && { lastChecked: game.lastUpdated, ...price };
+
+            observations.push(priceHistoryService.toObservation(game.appid, withCheckedAt(game.price)));
+            Object.entries(game.regionalPrices || {})
+                .filter(([region]) => region !== REGIONS.DEFAULT)
+                .forEach(([region, price]) => {
+                    observations.push(priceHistoryService.toObservation(game.appid, withCheckedAt(price), { region }));
+                });
+
+            const valid = await withoutStored(game.appid, observations.filter(Boolean));
+            if (valid.length > 0) {
+                await PriceObservation.insertMany(valid, { ordered: false });
+            }
+
+            await Game.collection.updateOne({ _id: game._id }, { $unset: { priceHistory: '' } });
+
+            migratedGames += 1;
+            migratedObservations += valid.length;
+        } catch (error) {
+            logger.error(`Error migrating price history of game ${game.appid}: ${error.message}`);
+            exitCode = 1;
+        }
+    }
+    /* eslint-enable no-await-in-loop */
+
+    logger.info(`Migrated ${migratedObservations} price observations from ${migratedGames} games`);
+
+    await connectDB.disconnect();
+    process.exit(exitCode);
+};
+
+migratePriceHistory();
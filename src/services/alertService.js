@@ -0,0 +1,134 @@
+/* eslint-disable class-methods-use-this -- services are singletons that keep every operation on the instance */
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const Alert = require('../models/Alert');
+const logger = require('../utils/logger');
+const { ALERT_TYPES } = require('../config/constants');
+
+class AlertService {
+    constructor() {
+        this.maxAlertsPerPage = 100;
+    }
+
+    async evaluatePriceChange(game, previousPrice, newPrice) {
+        if (!newPrice || typeof newPrice.final !== 'number') return [];
+
+        try {
+            const users = await User.find({
+                wishlist: {
+                    $elemMatch: {
+                        appid: game.appid,
+                        $or: [
+                            { targetPrice: { $exists: true } },
+                            { targetDiscount: { $exists: true } }
+                        ]
+                    }
+                }
+            })
+                .select('_id wishlist')
+                .lean();
+
+            const alerts = users
+                .map((user) => {
+                    const item = user.wishlist.find((entry) => entry.appid === game.appid);
+                    const type = this.getTriggeredType(item, previousPrice, newPrice);
+
+                    return type ? this._buildAlert(user._id, game, item, type, previousPrice, newPrice) : null;
+                })
+                .filter(Boolean);
+
+            if (alerts.length > 0) {
+                await Alert.insertMany(alerts, { ordered: false });
+                logger.info(`Triggered ${alerts.length} price alerts for ${game.name} (${game.appid})`);
+            }
+
+            return alerts;
+        } catch (error) {
+            logger.error(`Error evaluating price alerts for game ${game.appid}: ${error.message}`);
+            return [];
+        }
+    }
+
+    // An alert fires when the target is reached for the first time, and again
+    // on every further drop while the target stays reached.
+    getTriggeredType(item, previousPrice, newPrice) {
+        if (!item) return null;
+
+        const isDrop = !previousPrice
+            || typeof previousPrice.final !== 'number'
+            || newPrice.final < previousPrice.final;
+
+        if (typeof item.targetPrice === 'number' && newPrice.final <= item.targetPrice) {
+            const wasReached = previousPrice && previousPrice.final <= item.targetPrice;
+            if (!wasReached || isDrop) return ALERT_TYPES.TARGET_PRICE;
+        }
+
+        if (typeof item.targetDiscount === 'number' && (newPrice.discount_percent || 0) >= item.targetDiscount) {
+            const wasReached = previousPrice && (previousPrice.discount_percent || 0) >= item.targetDiscount;
+            if (!wasReached || isDrop) return ALERT_TYPES.TARGET_DISCOUNT;
+        }
+
+        return null;
+    }
+
+    async getAlerts(userId, { unreadOnly = false, limit = 50 } = {}) {
+        const query = { user: userId };
+
+        if (unreadOnly) {
+            query.read = false;
+        }
+
+        const [alerts, unread] = await Promise.all([
+            Alert.find(query)
+                .select('-user -__v')
+                .sort({ triggeredAt: -1 })
+                .limit(Math.min(limit, this.maxAlertsPerPage))
+                .lean(),
+            Alert.countDocuments({ user: userId, read: false })
+        ]);
+
+        return { unread, alerts };
+    }
+
+    async markAsRead(userId, alertId) {
+        if (!mongoose.Types.ObjectId.isValid(alertId)) return false;
+
+        const result = await Alert.updateOne({ _id: alertId, user: userId }, { $set: { read: true } });
+        return result.matchedCount > 0;
+    }
+
+    async markAllAsRead(userId) {
+        const result = await Alert.updateMany({ user: userId, read: false }, { $set: { read: true } });
+        return result.modifiedCount;
+    }
+
+    _buildAlert(userId, game, item, type, previousPrice, newPrice) {
+        return {
+            user: userId,
+            appid: game.appid,
+            name: game.name,
+            type,
+            target: {
+                price: item.targetPrice,
+                discount: item.targetDiscount
+            },
+            price: this._toAlertPrice(newPrice),
+            previousPrice: this._toAlertPrice(previousPrice),
+            triggeredAt: new Date()
+        };
+    }
+
+    _toAlertPrice(price) {
+        if (!price) return undefined;
+
+        return {
+            currency: price.currency,
+            initial: price.initial,
+            final: price.final,
+            discount_percent: price.discount_percent || 0,
+            final_formatted: price.final_formatted
+        };
+    }
+}
+
+module.exports = new AlertService();
@@ -0,0 +1,171 @@
+/* eslint-disable class-methods-use-this -- services are singletons that keep every operation on the instance */
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const NodeCache = require('node-cache');
+const ApiKey = require('../models/ApiKey');
+const logger = require('../utils/logger');
+const { API_KEY_ROLES } = require('../config/constants');
+
+const KEY_PREFIX = 'sas_';
+const ROLE_RANKS = Object.values(API_KEY_ROLES);
+
+class ApiKeyService {
+    constructor() {
+        // Avoids a database lookup on every request; revoked keys are evicted right away
+        this.cache = new NodeCache({
+            stdTTL: parseInt(process.env.API_KEY_CACHE_TTL || '60', 10),
+            useClones: false
+        });
+        this.lastUsedInterval = 5 * 60 * 1000;
+    }
+
+    generateKey() {
+        return `${KEY_PREFIX}${crypto.randomBytes(24).toString('base64url')}`;
+    }
+
+    // Keys are long random strings, so a fast unsalted hash is enough and allows lookups by hash
+    hashKey(key) {
+        return crypto.createHash('sha256').update(key).digest('hex');
+    }
+
+    async createKey({
+        name, role = API_KEY_ROLES.PUBLIC, expiresAt, createdBy
+    }) {
+        const key = this.generateKey();
+
+        const apiKey = await ApiKey.create({
+            name,
+            role,
+            prefix: key.slice(0, KEY_PREFIX.length + 6),
+            keyHash: this.hashKey(key),
+            expiresAt,
+            createdBy
+        });
+
+        logger.info(`Created ${role} API key ${apiKey._id} (${name})`);
+
+        // The key is only returned once, when it is created
+        return { ...this._toPublicKey(apiKey.toObject()), key };
+    }
+
+    async listKeys({ includeRevoked = false } = {}) {
+        const query = includeRevoked ? {} : { revokedAt: { $exists: false } };
+        const keys = await ApiKey.find(query).sort({ createdAt: -1 }).lean();
+
+        return keys.map((apiKey) => this._toPublicKey(apiKey));
+    }
+
+    async getKey(keyId) {
+        if (!mongoose.Types.ObjectId.isValid(keyId)) return null;
+
+        const apiKey = await ApiKey.findById(keyId).lean();
+        return apiKey ? this._toPublicKey(apiKey) : null;
+    }
+
+    async updateKey(keyId, changes) {
+        if (!mongoose.Types.ObjectId.isValid(keyId)) return null;
+
+        const update = {};
+        ['name', 'role', 'expiresAt'].forEach((field) => {
+            if (changes[field] !== undefined) {
+                update[field] = changes[field];
+            }
+        });
+
+        const apiKey = await ApiKey.findOneAndUpdate(
+            { _id: keyId, revokedAt: { $exists: false } },
+            { $set: update },
+            { new: true }
+        ).select('+keyHash').lean();
+
+        if (!apiKey) return null;
+
+        this.cache.del(apiKey.keyHash);
+        return this._toPublicKey(apiKey);
+    }
+
+    async revokeKey(keyId) {
+        if (!mongoose.Types.ObjectId.isValid(keyId)) return false;
+
+        const apiKey = await ApiKey.findOneAndUpdate(
+            { _id: keyId, revokedAt: { $exists: false } },
+            { $set: { revokedAt: new Date() } },
+            { new: true }
+        ).select('+keyHash').lean();
+
+        if (!apiKey) return false;
+
+        this.cache.del(apiKey.keyHash);
+        logger.info(`Revoked API key ${apiKey._id} (${apiKey.name})`);
+        return true;
+    }
+
+    // Returns the key attributes needed to authorize a request, or null when the key is not usable
+    async authenticate(key) {
+        if (typeof key !== 'string' || !key.startsWith(KEY_PREFIX)) return null;
+
+        const keyHash = this.hashKey(key);
+        let apiKey = this.cache.get(keyHash);
+
+        if (apiKey === undefined) {
+            const stored = await ApiKey.findOne({ keyHash, revokedAt: { $exists: false } })
+                .select('name role prefix expiresAt lastUsedAt')
+                .lean();
+
+            // Unknown keys are not cached, so random keys cannot fill the cache
+            if (!stored) return null;
+
+            apiKey = {
+                id: String(stored._id),
+                name: stored.name,
+                role: stored.role,
+                prefix: stored.prefix,
+                expiresAt: stored.expiresAt,
+                lastUsedAt: stored.lastUsedAt
+            };
+            this.cache.set(keyHash, apiKey);
+        }
+
+        if (apiKey.expiresAt && apiKey.expiresAt <= new Date()) return null;
+
+        this._touch(apiKey);
+
+        return {
+            id: apiKey.id, name: apiKey.name, role: apiKey.role, prefix: apiKey.prefix
+        };
+    }
+
+    hasRole(role, requiredRole) {
+        return ROLE_RANKS.indexOf(role) >= ROLE_RANKS.indexOf(requiredRole);
+    }
+
+    isValidRole(role) {
+        return ROLE_RANKS.includes(role);
+    }
+
+    // lastUsedAt is only informative, so it is written at most once every few minutes per key
+    _touch(apiKey) {
+        const now = new Date();
+        if (apiKey.lastUsedAt && now - apiKey.lastUsedAt < this.lastUsedInterval) return;
+
+        apiKey.lastUsedAt = now;
+        ApiKey.updateOne({ _id: apiKey.id }, { $set: { lastUsedAt: now } })
+            .catch((error) => logger.error(`Error updating API key usage: ${error.message}`));
+    }
+
+    _toPublicKey(apiKey) {
+        return {
+            id: String(apiKey._id),
+            name: apiKey.name,
+            prefix: apiKey.prefix,
+            role: apiKey.role,
+            createdBy: apiKey.createdBy || null,
+            expiresAt: apiKey.expiresAt || null,
+            revokedAt: apiKey.revokedAt || null,
+            lastUsedAt: apiKey.lastUsedAt || null,
+            createdAt: apiKey.createdAt
+        };
+    }
+}
+
+module.exports = new ApiKeyService();
@@ -0,0 +1,276 @@
+/* eslint-disable class-methods-use-this -- services are singletons that keep every operation on the instance */
+const CatalogApp = require('../models/CatalogApp');
+const CatalogChange = require('../models/CatalogChange');
+const CatalogSyncState = require('../models/CatalogSyncState');
+const SteamService = require('./steamService');
+const logger = require('../utils/logger');
+const { CATALOG_CHANGE_TYPES, CATALOG_SYNC_MODES, PAGINATION } = require('../config/constants');
+
+const HOUR = 60 * 60 * 1000;
+const STATE_ID = 'steam';
+
+// Keeps CatalogApp in step with the Steam app list and records what changed. Most syncs only ask
+// Steam for the apps modified since the last one; the full list is downloaded on the first sync,
+// when the incremental list fails, and every CATALOG_FULL_SYNC_INTERVAL_HOURS to find removals.
+class CatalogService {
+    constructor() {
+        this.pageSize = parseInt(process.env.CATALOG_PAGE_SIZE || '10000', 10);
+        this.fullSyncInterval = parseFloat(process.env.CATALOG_FULL_SYNC_INTERVAL_HOURS || '168') * HOUR;
+        // A full list shorter than this share of the known catalog is treated as truncated
+        this.minFullListRatio = 0.5;
+    }
+
+    async sync(now = new Date()) {
+        const state = (await CatalogSyncState.findById(STATE_ID).lean()) || {};
+        // The first sync only records what is there; reporting the whole catalog as new is no news
+        const baseline = !state.lastSyncAt;
+        const fullSyncDue = !state.lastFullSyncAt || now - state.lastFullSyncAt >= this.fullSyncInterval;
+        let summary = null;
+
+        if (!fullSyncDue) {
+            try {
+                summary = await this.syncModified(state.lastModified || 0, now, baseline);
+            } catch (error) {
+                logger.warn(`Incremental catalog sync failed, falling back to the full app list: ${error.message}`);
+            }
+        }
+
+        if (!summary) {
+            summary = await this.syncFull(now, baseline);
+        }
+
+        await CatalogSyncState.updateOne(
+            { _id: STATE_ID },
+            {
+                $set: {
+                    lastModified: Math.max(state.lastModified || 0, summary.lastModified),
+                    lastMode: summary.mode,
+                    lastSyncAt: now,
+                    ...(summary.mode === CATALOG_SYNC_MODES.FULL && { lastFullSyncAt: now })
+                }
+            },
+            { upsert: true }
+        );
+
+        logger.info(`Catalog ${summary.mode} sync: ${summary.processed} apps checked, ${summary.added} added, `
+            + `${summary.renamed} renamed, ${summary.removed} removed`);
+        return summary;
+    }
+
+    async syncModified(since, now, baseline) {
+        const summary = this._emptySummary(CATALOG_SYNC_MODES.INCREMENTAL, since);
+        let lastAppid = 0;
+        let haveMore = true;
+
+        logger.info(`Fetching Steam apps modified since ${new Date(since * 1000).toISOString()}...`);
+
+        /* eslint-disable no-await-in-loop -- each page starts after the last appid of the previous one */
+        while (haveMore) {
+            const page = await SteamService.getModifiedApps({ since, lastAppid, limit: this.pageSize });
+
+            this._addCounts(summary, await this.applyApps(page.apps, now, baseline));
+            page.apps.forEach((app) => {
+                summary.lastModified = Math.max(summary.lastModified, app.last_modified || 0);
+            });
+
+            haveMore = page.haveMore && page.lastAppid > lastAppid;
+            lastAppid = page.lastAppid;
+        }
+        /* eslint-enable no-await-in-loop */
+
+        return summary;
+    }
+
+    async syncFull(now, baseline) {
+        logger.info('Fetching the full Steam app list...');
+
+        const apps = await SteamService.getAppList();
+        // Changes made while the list was downloaded come back in the next incremental sync
+        const summary = this._emptySummary(CATALOG_SYNC_MODES.FULL, Math.floor(now.getTime() / 1000));
+
+        /* eslint-disable no-await-in-loop -- pages are written one at a time to bound the load on the database */
+        for (let i = 0; i < apps.length; i += this.pageSize) {
+            this._addCounts(summary, await this.applyApps(apps.slice(i, i + this.pageSize), now, baseline));
+        }
+        /* eslint-enable no-await-in-loop */
+
+        summary.removed = await this.markRemoved(apps, now);
+        return summary;
+    }
+
+    // Upserts a page of apps and records the ones that are new, back after a removal or renamed
+    async applyApps(page, now, baseline = false) {
+        // The full list sometimes repeats an appid
+        const apps = [...new Map(page.map((app) => [app.appid, app])).values()];
+        const known = await CatalogApp.find({ appid: { $in: apps.map((app) => app.appid) } })
+            .select('appid name removedAt')
+            .lean();
+        const knownByAppid = new Map(known.map((app) => [app.appid, app]));
+        const changes = [];
+        const writes = [];
+
+        apps.forEach((app) => {
+            const previous = knownByAppid.get(app.appid);
+            const name = app.name ? app.name.trim() : '';
+            const listedAgain = Boolean(previous && previous.removedAt);
+
+            if (!previous || listedAgain) {
+                changes.push({ type: CATALOG_CHANGE_TYPES.ADDED, appid: app.appid, name });
+            } else if (name && previous.name !== name) {
+                changes.push({
+                    type: CATALOG_CHANGE_TYPES.RENAMED,
+                    appid: app.appid,
+                    name,
+                    previousName: previous.name
+                });
+            } else if (!app.last_modified) {
+                // Nothing to write for an app the full list shows unchanged
+                return;
+            }
+
+            writes.push({
+                updateOne: {
+                    filter: { appid: app.appid },
+                    update: {
+                        $set: {
+                            ...(name && { name }),
+                            ...(app.last_modified && { lastModified: app.last_modified }),
+                            ...(listedAgain && { removedAt: null })
+                        },
+                        $setOnInsert: { firstSeenAt: now }
+                    },
+                    upsert: true
+                }
+            });
+        });
+
+        if (writes.length > 0) {
+            await CatalogApp.bulkWrite(writes, { ordered: false });
+        }
+
+        if (!baseline && changes.length > 0) {
+            await CatalogChange.insertMany(
+                changes.map((change) => ({ ...change, detectedAt: now })),
+                { ordered: false }
+            );
+        }
+
+        return {
+            processed: page.length,
+            added: changes.filter((change) => change.type === CATALOG_CHANGE_TYPES.ADDED).length,
+            renamed: changes.filter((change) => change.type === CATALOG_CHANGE_TYPES.RENAMED).length
+        };
+    }
+
+    // Only the full list shows which apps are gone
+    async markRemoved(apps, now) {
+        const listedAppids = new Set(apps.map((app) => app.appid));
+        const knownAppids = await CatalogApp.distinct('appid', { removedAt: null });
+
+        if (apps.length < knownAppids.length * this.minFullListRatio) {
+            logger.warn(`Steam listed ${apps.length} apps out of ${knownAppids.length} known, `
+                + 'not marking any as removed');
+            return 0;
+        }
+
+        const removedAppids = knownAppids.filter((appid) => !listedAppids.has(appid));
+        if (removedAppids.length === 0) return 0;
+
+        const removedApps = await CatalogApp.find({ appid: { $in: removedAppids } }).select('appid name').lean();
+
+        await CatalogApp.updateMany({ appid: { $in: removedAppids } }, { $set: { removedAt: now } });
+        await CatalogChange.insertMany(removedApps.map((app) => ({
+            type: CATALOG_CHANGE_TYPES.REMOVED,
+            appid: app.appid,
+            name: app.name,
+            detectedAt: now
+        })), { ordered: false });
+
+        return removedApps.length;
+    }
+
+    // Listed games not stored yet, the candidates for the new games sync
+    async getPendingApps() {
+        const apps = await CatalogApp.find({ removedAt: null, gameStoredAt: null })
+            .select('appid name')
+            .lean();
+
+        return apps.filter((app) => SteamService.isCatalogGame(app));
+    }
+
+    // The given appids that the catalog does not list (anymore)
+    async getUnlistedAppids(appids) {
+        if (appids.length === 0) return [];
+
+        const listed = new Set(await CatalogApp.distinct('appid', { appid: { $in: appids }, removedAt: null }));
+        return appids.filter((appid) => !listed.has(appid));
+    }
+
+    // The given appids that a full sync saw leave the list. Apps the catalog never had are not
+    // included, nor are any when a truncated list kept markRemoved from running.
+    async getRemovedAppids(appids) {
+        if (appids.length === 0) return [];
+
+        return CatalogApp.distinct('appid', { appid: { $in: appids }, removedAt: { $ne: null } });
+    }
+
+    async markStored(appids, now = new Date()) {
+        if (appids.length === 0) return;
+
+        await CatalogApp.updateMany({ appid: { $in: appids } }, { $set: { gameStoredAt: now } });
+    }
+
+    async getChanges({
+        since, type, page = PAGINATION.DEFAULT_PAGE, pageSize = PAGINATION.DEFAULT_PAGE_SIZE
+    } = {}) {
+        const query = {};
+
+        if (since) {
+            query.detectedAt = { $gt: since };
+        }
+
+        if (type) {
+            query.type = type;
+        }
+
+        const [changes, total, state] = await Promise.all([
+            CatalogChange.find(query)
+                .select('-_id type appid name previousName detectedAt')
+                .sort({ detectedAt: -1, appid: 1 })
+                .skip((page - 1) * pageSize)
+                .limit(pageSize)
+                .lean(),
+            CatalogChange.countDocuments(query),
+            CatalogSyncState.findById(STATE_ID).lean()
+        ]);
+
+        return {
+            syncedAt: state ? state.lastSyncAt : null,
+            total,
+            changes
+        };
+    }
+
+    isValidType(type) {
+        return Object.values(CATALOG_CHANGE_TYPES).includes(type);
+    }
+
+    _emptySummary(mode, lastModified) {
+        return {
+            mode,
+            processed: 0,
+            added: 0,
+            renamed: 0,
+            removed: 0,
+            lastModified
+        };
+    }
+
+    _addCounts(summary, counts) {
+        summary.processed += counts.processed;
+        summary.added += counts.added;
+        summary.renamed += counts.renamed;
+    }
+}
+
+module.exports = new CatalogService();
@@ -0,0 +1,104 @@
+const priceHistoryService = require('./priceHistoryService');
+
+const WEIGHTS = {
+    discount: 0.3,
+    historicalLow: 0.3,
+    metacritic: 0.2,
+    recommendations: 0.2
+};
+
+class DealService {
+    constructor() {
+        // Recommendation count that earns the full popularity score
+        this.recommendationsCap = 100000;
+        // Days of price history needed before how often a game is discounted counts against it
+        this.minProfileDays = 30;
+    }
+
+    async evaluate(game, updatedGameData) {
+        const { price } = updatedGameData;
+
+        if (updatedGameData.is_free || !price || typeof price.final !== 'number') {
+            return {
+                dealScore: null,
+                isHistoricalLow: false,
+                isNewLow: false
+            };
+        }
+
+        const previousLow = await this._getPreviousLow(game, price.currency);
+        const isNewLow = previousLow !== null && price.final < previousLow.final;
+        const historicalLow = previousLow === null || price.final <= previousLow.final
+            ? { final: price.final, currency: price.currency, date: price.lastChecked || new Date() }
+            : previousLow;
+
+        // The price being evaluated may already be recorded; only what came before it counts
+        const profile = await priceHistoryService.getDiscountProfile(game.appid, price.currency, {
+            now: price.lastChecked ? new Date(price.lastChecked) : new Date()
+        });
+        // A low the game sells at on every sale is its usual sale price, not a historical low
+        const belowUsualSale = !profile || profile.typicalSalePrice === null || price.final < profile.typicalSalePrice;
+
+        return {
+            dealScore: this.computeScore({ ...game, ...updatedGameData }, previousLow, profile),
+            isHistoricalLow: price.discount_percent > 0 && price.final <= historicalLow.final && belowUsualSale,
+            isNewLow,
+            historicalLow
+        };
+    }
+
+    computeScore(game, historicalLow, profile = null) {
+        const { price } = game;
+        if (!price || typeof price.final !== 'number') return null;
+
+        // Discounts that are almost always on are worth as little as the discount is rare
+        const rarity = this._discountRarity(profile);
+        const signals = [{ score: ((price.discount_percent || 0) / 100) * rarity, weight: WEIGHTS.discount }];
+
+        if (historicalLow && historicalLow.final > 0) {
+            const distance = (price.final - historicalLow.final) / historicalLow.final;
+            signals.push({ score: Math.min(1, Math.max(0, 1 - distance)) * rarity, weight: WEIGHTS.historicalLow });
+        }
+
+        if (game.metacritic && typeof game.metacritic.score === 'number') {
+            signals.push({ score: game.metacritic.score / 100, weight: WEIGHTS.metacritic });
+        }
+
+        if (game.recommendations && game.recommendations.total > 0) {
+            const popularity = Math.log10(game.recommendations.total + 1) / Math.log10(this.recommendationsCap + 1);
+            signals.push({ score: Math.min(1, popularity), weight: WEIGHTS.recommendations });
+        }
+
+        const totalWeight = signals.reduce((sum, signal) => sum + signal.weight, 0);
+        const score = signals.reduce((sum, signal) => sum + signal.score * signal.weight, 0) / totalWeight;
+
+        return Math.round(score * 100);
+    }
+
+    _discountRarity(profile) {
+        if (!profile || profile.discountedShare === null || profile.days < this.minProfileDays) return 1;
+
+        return 1 - profile.discountedShare;
+    }
+
+    // eslint-disable-next-line class-methods-use-this -- reads the price history, not instance state
+    async _getPreviousLow(game, currency) {
+        if (game.historicalLow && game.historicalLow.currency === currency) {
+            return game.historicalLow;
+        }
+
+        // Games stored before the low was tracked fall back to their recorded history
+        const lowest = await priceHistoryService.getLowestPrice(game.appid, currency);
+        if (lowest) {
+            return lowest;
+        }
+
+        if (game.price && game.price.currency === currency && typeof game.price.final === 'number') {
+            return { final: game.price.final, currency, date: game.price.lastChecked };
+        }
+
+        return null;
+    }
+}
+
+module.exports = new DealService();
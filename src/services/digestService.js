@@ -0,0 +1,184 @@
+/* eslint-disable class-methods-use-this -- services are singletons that keep every operation on the instance */
+const cron = require('node-cron');
+const Game = require('../models/Game');
+const User = require('../models/User');
+const searchService = require('./searchService');
+const mailService = require('./mailService');
+const providerRegistry = require('./providers');
+const lockService = require('./lockService');
+const logger = require('../utils/logger');
+const { renderDigest } = require('./mail/templates/digestTemplate');
+const { DIGEST_FREQUENCIES, LOCKS } = require('../config/constants');
+
+const HOUR_IN_MS = 60 * 60 * 1000;
+
+// Slightly shorter than the period so a digest sent a bit later than usual does not skip the next one
+const RESEND_AFTER = {
+    [DIGEST_FREQUENCIES.DAILY]: 20 * HOUR_IN_MS,
+    [DIGEST_FREQUENCIES.WEEKLY]: 6.5 * 24 * HOUR_IN_MS
+};
+
+class DigestService {
+    constructor() {
+        this.gameLimit = parseInt(process.env.DIGEST_GAME_LIMIT || '10', 10);
+    }
+
+    async getSettings(userId) {
+        const user = await User.findById(userId).select('digest').lean();
+        return user ? this._toSettings(user.digest) : null;
+    }
+
+    async updateSettings(userId, { frequency, filters = {} }) {
+        const user = await User.findByIdAndUpdate(
+            userId,
+            {
+                $set: {
+                    'digest.frequency': frequency,
+                    'digest.filters': {
+                        genre: filters.genre,
+                        publisher: filters.publisher,
+                        developer: filters.developer,
+                        minDiscount: filters.minDiscount
+                    }
+                }
+            },
+            { new: true }
+        ).select('digest').lean();
+
+        return user ? this._toSettings(user.digest) : null;
+    }
+
+    async getTopDeals(filters = {}) {
+        const query = searchService._buildQuery({
+            genre: filters.genre,
+            publisher: filters.publisher,
+            developer: filters.developer,
+            minDiscount: Math.max(1, filters.minDiscount || 0)
+        });
+
+        const games = await Game.find(query)
+            .select('appid name header_image price isHistoricalLow dealScore')
+            .sort({ 'price.discount_percent': -1, dealScore: -1 })
+            .limit(this.gameLimit)
+            .lean();
+
+        const primary = providerRegistry.getPrimary();
+        return games.map((game) => ({ ...game, url: primary.getProductUrl(game.appid) }));
+    }
+
+    async buildDigest(user, frequency = user.digest.frequency) {
+        const filters = (user.digest && user.digest.filters) || {};
+        const games = await this.getTopDeals(filters);
+
+        if (games.length === 0) return null;
+
+        return {
+            games,
+            ...renderDigest({
+                name: user.name,
+                frequency,
+                filters,
+                games
+            })
+        };
+    }
+
+    async sendDigest(user) {
+        const digest = await this.buildDigest(user);
+
+        if (digest) {
+            await mailService.send({
+                to: user.email,
+                subject: digest.subject,
+                html: digest.html,
+                text: digest.text
+            });
+        }
+
+        // Also marked when there was nothing to send, so the user is checked again next period
+        await User.updateOne({ _id: user._id }, { $set: { 'digest.lastSentAt': new Date() } });
+
+        return digest !== null;
+    }
+
+    // Stops early when the signal aborts; the users left are still due on the next run
+    async sendDueDigests(now = new Date(), signal = null) {
+        const dueConditions = Object.keys(RESEND_AFTER).map((frequency) => ({
+            'digest.frequency': frequency,
+            $or: [
+                { 'digest.lastSentAt': { $exists: false } },
+                { 'digest.lastSentAt': { $lte: new Date(now - RESEND_AFTER[frequency]) } }
+            ]
+        }));
+
+        const users = await User.find({ $or: dueConditions })
+            .select('_id email name digest')
+            .lean();
+
+        let sent = 0;
+        let failed = 0;
+
+        /* eslint-disable no-await-in-loop -- a lost lock has to stop the run between two mails */
+        for (let i = 0; i < users.length; i += 1) {
+            const user = users[i];
+            if (signal && signal.aborted) {
+                logger.warn('Digest delivery stopped, the digest lock was lost');
+                break;
+            }
+
+            try {
+                if (await this.sendDigest(user)) {
+                    sent += 1;
+                }
+            } catch (error) {
+                failed += 1;
+                logger.error(`Error sending digest to user ${user._id}: ${error.message}`);
+            }
+        }
+        /* eslint-enable no-await-in-loop */
+
+        logger.info(`Digests processed: ${sent} sent, ${failed} failed, ${users.length - sent - failed} without deals`);
+        return { total: users.length, sent, failed };
+    }
+
+    // Every instance runs the cron; the lock keeps them from mailing the same users side by side
+    async runScheduledDigests() {
+        try {
+            const { acquired } = await lockService.runExclusive(
+                LOCKS.DIGEST,
+                (signal) => this.sendDueDigests(new Date(), signal)
+            );
+
+            if (!acquired) {
+                logger.info('Skipping scheduled digest delivery, another instance is sending it');
+            }
+        } catch (error) {
+            logger.error(`Error in digest delivery: ${error.message}`);
+        }
+    }
+
+    startDigestCron() {
+        const cronSchedule = process.env.DIGEST_CRON_SCHEDULE || '0 9 * * *';
+
+        cron.schedule(cronSchedule, () => {
+            logger.info('Starting scheduled digest delivery...');
+            this.runScheduledDigests();
+        });
+
+        logger.info(`Digest cronjob configured to run with schedule: ${cronSchedule}`);
+    }
+
+    isValidFrequency(frequency) {
+        return Object.values(DIGEST_FREQUENCIES).includes(frequency);
+    }
+
+    _toSettings(digest = {}) {
+        return {
+            frequency: digest.frequency || DIGEST_FREQUENCIES.OFF,
+            filters: digest.filters || {},
+            lastSentAt: digest.lastSentAt || null
+        };
+    }
+}
+
+module.exports = new DigestService();
@@ -0,0 +1,271 @@
+/* eslint-disable class-methods-use-this -- services are singletons that keep every operation on the instance */
+const fs = require('fs');
+const path = require('path');
+const ExchangeRate = require('../models/ExchangeRate');
+const logger = require('../utils/logger');
+
+const DEFAULT_RATES_FILE = path.join(__dirname, '..', 'config', 'exchangeRates.json');
+const BASE_CURRENCY = 'USD';
+
+class ExchangeRateService {
+    constructor() {
+        this.ratesFile = process.env.EXCHANGE_RATES_FILE || DEFAULT_RATES_FILE;
+        this.cacheTTL = parseInt(process.env.EXCHANGE_RATES_CACHE_TTL || '3600000', 10);
+        this.baseCurrency = BASE_CURRENCY;
+        this.rates = null;
+        this.loadedAt = 0;
+    }
+
+    async ensureRates() {
+        if (this.rates && (Date.now() - this.loadedAt) < this.cacheTTL) {
+            return this.rates;
+        }
+
+        try {
+            const stored = await ExchangeRate.find({ base: this.baseCurrency })
+                .select('currency rate date')
+                .lean();
+
+            if (stored.length > 0) {
+                this.rates = this._indexRates(stored.map((entry) => ({
+                    currency: entry.currency,
+                    rate: entry.rate,
+                    effectiveDate: entry.date
+                })));
+                logger.info(`Loaded ${stored.length} exchange rates from the database`);
+            } else {
+                this.load();
+            }
+        } catch (error) {
+            logger.error(`Error loading exchange rates from the database: ${error.message}`);
+            if (!this.rates) {
+                this.load();
+            }
+        }
+
+        this.loadedAt = Date.now();
+        return this.rates;
+    }
+
+    load(filePath = this.ratesFile) {
+        const table = this.readFile(filePath);
+
+        this.rates = this._indexRates(table.rates);
+        logger.info(`Loaded ${table.rates.length} exchange rates from ${filePath}`);
+
+        return table;
+    }
+
+    readFile(filePath) {
+        try {
+            const content = fs.readFileSync(filePath, 'utf8');
+            const format = path.extname(filePath).toLowerCase() === '.csv' ? 'csv' : 'json';
+            const table = this.parse(content, format);
+
+            if (table.base !== this.baseCurrency) {
+                throw new Error(`Rates must be expressed against ${this.baseCurrency}, found ${table.base}`);
+            }
+
+            return table;
+        } catch (error) {
+            logger.error(`Error reading exchange rates from ${filePath}: ${error.message}`);
+            throw new Error(`Failed to load exchange rates: ${error.message}`);
+        }
+    }
+
+    async importFile(filePath, source = path.basename(filePath)) {
+        const table = this.readFile(filePath);
+
+        const operations = table.rates.map((entry) => ({
+            updateOne: {
+                filter: { currency: entry.currency, date: this._toDay(entry.effectiveDate) },
+                update: {
+                    $set: {
+                        base: table.base,
+                        rate: entry.rate,
+                        source
+                    }
+                },
+                upsert: true
+            }
+        }));
+
+        if (operations.length === 0) {
+            return { imported: 0, updated: 0 };
+        }
+
+        const result = await ExchangeRate.bulkWrite(operations, { ordered: false });
+        this.rates = null;
+
+        logger.info(`Imported exchange rates from ${filePath}: ${result.upsertedCount} new, `
+            + `${result.modifiedCount} updated`);
+        return {
+            imported: result.upsertedCount,
+            updated: result.modifiedCount
+        };
+    }
+
+    parse(content, format = 'json') {
+        const table = format === 'csv' ? this._parseCsv(content) : JSON.parse(content);
+        const base = (table.base || BASE_CURRENCY).toUpperCase();
+
+        const rates = (table.rates || []).map((entry, index) => {
+            const rate = parseFloat(entry.rate);
+            const effectiveDate = new Date(entry.effectiveDate);
+
+            if (!entry.currency || Number.isNaN(rate) || rate <= 0 || Number.isNaN(effectiveDate.getTime())) {
+                throw new Error(`Invalid exchange rate entry at position ${index + 1}`);
+            }
+
+            return {
+                currency: entry.currency.toUpperCase(),
+                rate,
+                effectiveDate
+            };
+        });
+
+        return { base, rates };
+    }
+
+    getRate(currency, date = new Date()) {
+        const code = String(currency || '').toUpperCase();
+
+        if (code === this.baseCurrency) {
+            return { currency: code, rate: 1, effectiveDate: null };
+        }
+
+        const history = this._getRates().get(code);
+        if (!history) return null;
+
+        const timestamp = new Date(date).getTime();
+        const applicable = history.filter((entry) => entry.effectiveDate.getTime() <= timestamp);
+
+        return applicable.length > 0 ? applicable[applicable.length - 1] : null;
+    }
+
+    convert(amount, from, to, date = new Date()) {
+        if (typeof amount !== 'number') return null;
+
+        const fromRate = this.getRate(from, date);
+        const toRate = this.getRate(to, date);
+
+        if (!fromRate || !toRate) return null;
+
+        return {
+            amount: Math.round((amount / fromRate.rate) * toRate.rate * 100) / 100,
+            currency: String(to).toUpperCase(),
+            rateDate: this._latestDate(fromRate.effectiveDate, toRate.effectiveDate)
+        };
+    }
+
+    convertPrice(price, currency) {
+        if (!price || !currency) return price;
+
+        const target = currency.toUpperCase();
+        if (price.currency === target) return price;
+
+        const date = price.lastChecked || new Date();
+        const final = this.convert(price.final, price.currency, target, date);
+
+        if (!final) {
+            return { ...price, conversionError: `No exchange rate from ${price.currency} to ${target}` };
+        }
+
+        const initial = this.convert(price.initial, price.currency, target, date);
+
+        return {
+            ...price,
+            currency: target,
+            initial: initial ? initial.amount : null,
+            final: final.amount,
+            initial_formatted: initial ? this.format(initial.amount, target) : '',
+            final_formatted: this.format(final.amount, target),
+            original: {
+                currency: price.currency,
+                initial: price.initial,
+                final: price.final
+            },
+            exchangeRateDate: final.rateDate
+        };
+    }
+
+    format(amount, currency) {
+        try {
+            return new Intl.NumberFormat('en-US', { style: 'currency', currency }).format(amount);
+        } catch (error) {
+            return `${amount} ${currency}`;
+        }
+    }
+
+    async getSupportedCurrencies() {
+        const rates = await this.ensureRates();
+        return [this.baseCurrency, ...rates.keys()];
+    }
+
+    async isSupportedCurrency(currency) {
+        const currencies = await this.getSupportedCurrencies();
+        return currencies.includes(String(currency || '').toUpperCase());
+    }
+
+    _getRates() {
+        if (!this.rates) {
+            this.load();
+        }
+
+        return this.rates;
+    }
+
+    _indexRates(rates) {
+        const index = new Map();
+
+        rates.forEach((entry) => {
+            if (!index.has(entry.currency)) {
+                index.set(entry.currency, []);
+            }
+            index.get(entry.currency).push(entry);
+        });
+
+        index.forEach((history) => history.sort((a, b) => a.effectiveDate - b.effectiveDate));
+
+        return index;
+    }
+
+    _parseCsv(content) {
+        const [header, ...lines] = content
+            .split(/\r?\n/)
+            .map((line) => line.trim())
+            .filter((line) => line && !line.startsWith('#'));
+
+        if (!header) {
+            return { rates: [] };
+        }
+
+        const columns = header.split(',').map((column) => column.trim());
+
+        const rates = lines.map((line) => line.split(',').reduce((entry, value, index) => {
+            entry[columns[index]] = value.trim();
+            return entry;
+        }, {}));
+
+        const baseEntry = rates.find((entry) => entry.base);
+
+        return {
+            base: baseEntry ? baseEntry.base : undefined,
+            rates
+        };
+    }
+
+    _toDay(date) {
+        const day = new Date(date);
+        day.setUTCHours(0, 0, 0, 0);
+        return day;
+    }
+
+    _latestDate(first, second) {
+        if (!first) return second;
+        if (!second) return first;
+        return first > second ? first : second;
+    }
+}
+
+module.exports = new ExchangeRateService();
@@ -0,0 +1,72 @@
+const Job = require('../models/Job');
+
+const MAX_STORED_ERRORS = 50;
+
+// Progress of the job being executed. Kept in memory and saved on every heartbeat,
+// which also picks up cancellation requests made through the API.
+class JobRun {
+    constructor(job) {
+        this.id = job._id;
+        this.params = job.params || {};
+        this.progress = {
+            phase: null, total: null, processed: 0, succeeded: 0, failed: 0
+        };
+        this.pendingErrors = [];
+        this.checkpoint = job.checkpoint || null;
+        this.cancelled = Boolean(job.cancelRequested);
+        this.interrupted = false;
+    }
+
+    // Handlers check this between items; an interrupted run is queued again instead of finishing
+    get stopping() {
+        return this.cancelled || this.interrupted;
+    }
+
+    // Long jobs run in steps; counters always refer to the current one
+    startPhase(phase) {
+        this.progress = {
+            phase, total: null, processed: 0, succeeded: 0, failed: 0
+        };
+    }
+
+    setTotal(total) {
+        this.progress.total = total;
+    }
+
+    addProgress({ succeeded = 0, failed = 0 } = {}) {
+        this.progress.succeeded += succeeded;
+        this.progress.failed += failed;
+        this.progress.processed += succeeded + failed;
+    }
+
+    addError(message) {
+        this.pendingErrors.push({ message, at: new Date() });
+    }
+
+    // Saved right away rather than on the heartbeat, so a crash loses at most the items in progress
+    async saveCheckpoint(checkpoint) {
+        this.checkpoint = checkpoint;
+        await Job.updateOne({ _id: this.id }, { $set: { checkpoint } });
+    }
+
+    async flush() {
+        const { pendingErrors } = this;
+        this.pendingErrors = [];
+
+        const update = { $set: { progress: this.progress, heartbeatAt: new Date() } };
+
+        if (pendingErrors.length > 0) {
+            update.$push = { errorLog: { $each: pendingErrors, $slice: -MAX_STORED_ERRORS } };
+        }
+
+        const job = await Job.findOneAndUpdate({ _id: this.id }, update, { new: true })
+            .select('cancelRequested')
+            .lean();
+
+        if (job && job.cancelRequested) {
+            this.cancelled = true;
+        }
+    }
+}
+
+module.exports = JobRun;
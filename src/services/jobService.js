@@ -0,0 +1,318 @@
+/* eslint-disable class-methods-use-this -- services are singletons that keep every operation on the instance */
+const os = require('os');
+const mongoose = require('mongoose');
+const Job = require('../models/Job');
+const lockService = require('./lockService');
+const JobRun = require('./jobRun');
+const logger = require('../utils/logger');
+const { JOB_STATUSES } = require('../config/constants');
+
+const ACTIVE_STATUSES = [JOB_STATUSES.QUEUED, JOB_STATUSES.RUNNING];
+
+class JobService {
+    constructor() {
+        this.pollInterval = parseInt(process.env.JOB_POLL_INTERVAL || '5000', 10);
+        this.heartbeatInterval = parseInt(process.env.JOB_HEARTBEAT_INTERVAL || '10000', 10);
+        this.staleJobTimeout = 10 * 60 * 1000;
+        this.maxAttempts = parseInt(process.env.JOB_MAX_ATTEMPTS || '3', 10);
+        this.workerId = `${os.hostname()}:${process.pid}`;
+        this.handlers = new Map();
+        this.locks = new Map();
+        this.current = null;
+        this.running = null;
+        this.polling = false;
+        this.timer = null;
+    }
+
+    // Jobs registered with the same lock never run at the same time, even on different instances
+    registerHandler(type, handler, { lock } = {}) {
+        this.handlers.set(type, handler);
+
+        if (lock) {
+            this.locks.set(type, lock);
+        }
+    }
+
+    // Only one job of each type can be queued or running; returns the existing one instead
+    async enqueue(type, params = {}, { requestedBy } = {}) {
+        const existing = await Job.findOne({ type, status: { $in: ACTIVE_STATUSES } }).lean();
+
+        if (existing) {
+            return { job: this._toPublicJob(existing), created: false };
+        }
+
+        const job = await Job.create({ type, params, requestedBy });
+        logger.info(`Queued ${type} job ${job._id}`);
+
+        return { job: this._toPublicJob(job.toObject()), created: true };
+    }
+
+    async listJobs({ status, type, limit = 50 } = {}) {
+        const query = {};
+
+        if (status) query.status = status;
+        if (type) query.type = type;
+
+        const jobs = await Job.find(query)
+            .select('-errorLog')
+            .sort({ createdAt: -1 })
+            .limit(Math.min(limit, 100))
+            .lean();
+
+        return jobs.map((job) => this._toPublicJob(job));
+    }
+
+    async getJob(jobId) {
+        if (!mongoose.Types.ObjectId.isValid(jobId)) return null;
+
+        const job = await Job.findById(jobId).lean();
+        return job ? this._toPublicJob(job, { includeErrors: true }) : null;
+    }
+
+    // Queued jobs are cancelled right away; running jobs stop at the next heartbeat
+    async cancelJob(jobId) {
+        if (!mongoose.Types.ObjectId.isValid(jobId)) return null;
+
+        const queued = await Job.findOneAndUpdate(
+            { _id: jobId, status: JOB_STATUSES.QUEUED },
+            { $set: { status: JOB_STATUSES.CANCELLED, cancelRequested: true, finishedAt: new Date() } },
+            { new: true }
+        ).lean();
+
+        if (queued) {
+            logger.info(`Cancelled queued job ${jobId}`);
+            return this._toPublicJob(queued);
+        }
+
+        const running = await Job.findOneAndUpdate(
+            { _id: jobId, status: JOB_STATUSES.RUNNING },
+            { $set: { cancelRequested: true } },
+            { new: true }
+        ).lean();
+
+        if (running) {
+            logger.info(`Requested cancellation of running job ${jobId}`);
+            return this._toPublicJob(running);
+        }
+
+        const job = await Job.findById(jobId).lean();
+        return job ? this._toPublicJob(job) : null;
+    }
+
+    async processNext() {
+        if (this.current) return null;
+
+        const next = await Job.findOne({ status: JOB_STATUSES.QUEUED, type: { $in: [...this.handlers.keys()] } })
+            .sort({ createdAt: 1 })
+            .select('type')
+            .lean();
+
+        if (!next) return null;
+
+        // The job stays queued while another instance holds its lock
+        const lock = this.locks.get(next.type);
+        if (lock && !(await lockService.acquire(lock))) return null;
+
+        const job = await Job.findOneAndUpdate(
+            { _id: next._id, status: JOB_STATUSES.QUEUED },
+            {
+                $set: {
+                    status: JOB_STATUSES.RUNNING,
+                    workerId: this.workerId,
+                    startedAt: new Date(),
+                    heartbeatAt: new Date()
+                },
+                $inc: { attempts: 1 }
+            },
+            { new: true }
+        ).lean();
+
+        // Claimed by another worker or cancelled in the meantime
+        if (!job) {
+            if (lock) await lockService.release(lock);
+            return null;
+        }
+
+        this.running = this.runJob(job, { lock });
+
+        try {
+            return await this.running;
+        } finally {
+            this.running = null;
+        }
+    }
+
+    async runJob(job, { lock } = {}) {
+        const run = new JobRun(job);
+        const heartbeat = setInterval(() => {
+            run.flush().catch((error) => logger.error(`Error saving progress of job ${job._id}: ${error.message}`));
+
+            // Losing the lease means another instance may start the same work, so this run
+            // stops like on a shutdown and is queued again with its checkpoint
+            if (lock) {
+                lockService.renew(lock)
+                    .then((held) => {
+                        if (!held) run.interrupted = true;
+                    })
+                    .catch((error) => logger.error(`Error renewing lock ${lock}: ${error.message}`));
+            }
+        }, this.heartbeatInterval);
+
+        this.current = run;
+        logger.info(job.checkpoint
+            ? `Resuming ${job.type} job ${job._id} from its checkpoint`
+            : `Starting ${job.type} job ${job._id}`);
+
+        const update = {};
+
+        try {
+            const result = await this.handlers.get(job.type)(run, job.params || {});
+
+            if (run.cancelled) {
+                update.status = JOB_STATUSES.CANCELLED;
+            } else if (run.interrupted) {
+                update.status = JOB_STATUSES.QUEUED;
+            } else {
+                update.status = JOB_STATUSES.SUCCEEDED;
+            }
+            update.result = result;
+        } catch (error) {
+            logger.error(`Job ${job._id} failed: ${error.message}`);
+            run.addError(error.message);
+            update.status = JOB_STATUSES.FAILED;
+        } finally {
+            clearInterval(heartbeat);
+            this.current = null;
+        }
+
+        try {
+            await run.flush();
+        } catch (error) {
+            logger.error(`Error saving progress of job ${job._id}: ${error.message}`);
+        }
+
+        if (update.status === JOB_STATUSES.QUEUED) {
+            // The next worker to claim it resumes from run.checkpoint
+            await Job.updateOne({ _id: job._id }, { $set: { status: update.status }, $unset: { workerId: 1 } });
+            logger.info(`Job ${job._id} interrupted, queued again to resume from its checkpoint`);
+        } else {
+            update.finishedAt = new Date();
+            await Job.updateOne({ _id: job._id }, { $set: update });
+            logger.info(`Job ${job._id} finished with status ${update.status}`);
+        }
+
+        if (lock) {
+            await lockService.release(lock)
+                .catch((error) => logger.error(`Error releasing lock ${lock}: ${error.message}`));
+        }
+
+        return {
+            ...job, ...update, checkpoint: run.checkpoint, progress: run.progress
+        };
+    }
+
+    // Jobs whose worker died without finishing them would stay running forever. Those that saved
+    // a checkpoint are queued again to resume, up to maxAttempts runs; the rest are marked as failed.
+    async failStaleJobs(now = new Date()) {
+        const stale = {
+            status: JOB_STATUSES.RUNNING,
+            heartbeatAt: { $lt: new Date(now - this.staleJobTimeout) }
+        };
+
+        const requeued = await Job.updateMany(
+            { ...stale, checkpoint: { $ne: null }, attempts: { $lt: this.maxAttempts } },
+            {
+                $set: { status: JOB_STATUSES.QUEUED },
+                $unset: { workerId: 1 },
+                $push: { errorLog: { message: 'The worker stopped, resuming from the last checkpoint', at: now } }
+            }
+        );
+
+        const failed = await Job.updateMany(stale, {
+            $set: { status: JOB_STATUSES.FAILED, finishedAt: now },
+            $push: { errorLog: { message: 'The worker stopped before the job finished', at: now } }
+        });
+
+        if (requeued.modifiedCount > 0) {
+            logger.warn(`Queued ${requeued.modifiedCount} stale jobs again to resume from their checkpoint`);
+        }
+
+        if (failed.modifiedCount > 0) {
+            logger.warn(`Marked ${failed.modifiedCount} stale jobs as failed`);
+        }
+
+        return failed.modifiedCount;
+    }
+
+    startWorker() {
+        if (this.timer) return;
+
+        // A job can take hours, so polls that fire while it runs are skipped
+        const poll = async () => {
+            if (this.polling) return;
+            this.polling = true;
+
+            try {
+                await this.failStaleJobs();
+                await this.processNext();
+            } catch (error) {
+                logger.error(`Error in job worker: ${error.message}`);
+            } finally {
+                this.polling = false;
+            }
+        };
+
+        this.timer = setInterval(poll, this.pollInterval);
+        poll();
+
+        logger.info(`Job worker ${this.workerId} polling every ${this.pollInterval} ms`);
+    }
+
+    stopWorker() {
+        clearInterval(this.timer);
+        this.timer = null;
+    }
+
+    // Stops polling and lets the running job finish the items in progress and save its checkpoint
+    async shutdown() {
+        this.stopWorker();
+
+        if (!this.current) return;
+
+        logger.info(`Interrupting job ${this.current.id}, waiting for the items in progress`);
+        this.current.interrupted = true;
+        await this.running;
+    }
+
+    isValidStatus(status) {
+        return Object.values(JOB_STATUSES).includes(status);
+    }
+
+    isValidType(type) {
+        return this.handlers.has(type);
+    }
+
+    _toPublicJob(job, { includeErrors = false } = {}) {
+        const finishedOrNow = job.finishedAt || (job.startedAt && new Date());
+
+        return {
+            id: String(job._id),
+            type: job.type,
+            status: job.status,
+            params: job.params || {},
+            requestedBy: job.requestedBy || null,
+            progress: job.progress || {},
+            cancelRequested: Boolean(job.cancelRequested),
+            checkpoint: job.checkpoint || null,
+            attempts: job.attempts || 0,
+            result: job.result === undefined ? null : job.result,
+            ...(includeErrors && { errors: job.errorLog || [] }),
+            createdAt: job.createdAt,
+            startedAt: job.startedAt || null,
+            finishedAt: job.finishedAt || null,
+            durationMs: job.startedAt ? finishedOrNow - job.startedAt : null
+        };
+    }
+}
+
+module.exports = new JobService();
@@ -0,0 +1,114 @@
+const os = require('os');
+const Lock = require('../models/Lock');
+const logger = require('../utils/logger');
+
+const DUPLICATE_KEY_ERROR = 11000;
+
+class LockService {
+    constructor() {
+        this.leaseTtl = parseInt(process.env.LOCK_LEASE_TTL || '60000', 10);
+        this.holderId = `${os.hostname()}:${process.pid}`;
+    }
+
+    // Takes the lock if it is free, expired or already ours. Two instances racing for a free lock
+    // both try to insert it, and the unique _id lets only one of them win.
+    async acquire(name, now = new Date()) {
+        try {
+            const lock = await Lock.findOneAndUpdate(
+                {
+                    _id: name,
+                    $or: [
+                        { expiresAt: { $lte: now } },
+                        { holder: this.holderId }
+                    ]
+                },
+                {
+                    $set: {
+                        holder: this.holderId,
+                        acquiredAt: now,
+                        renewedAt: now,
+                        expiresAt: new Date(now.getTime() + this.leaseTtl)
+                    }
+                },
+                { upsert: true, new: true }
+            ).lean();
+
+            logger.info(`Acquired lock ${name} as ${this.holderId}`);
+            return lock;
+        } catch (error) {
+            if (error.code === DUPLICATE_KEY_ERROR) return null;
+            throw error;
+        }
+    }
+
+    // Returns false when the lease was lost, e.g. it expired and another instance took it over
+    async renew(name, now = new Date()) {
+        const result = await Lock.updateOne(
+            { _id: name, holder: this.holderId },
+            { $set: { renewedAt: now, expiresAt: new Date(now.getTime() + this.leaseTtl) } }
+        );
+
+        if (result.matchedCount === 0) {
+            logger.warn(`Lost lock ${name}, another instance holds it now`);
+            return false;
+        }
+
+        return true;
+    }
+
+    async release(name) {
+        const result = await Lock.deleteOne({ _id: name, holder: this.holderId });
+
+        if (result.deletedCount > 0) {
+            logger.info(`Released lock ${name}`);
+        }
+
+        return result.deletedCount > 0;
+    }
+
+    // eslint-disable-next-line class-methods-use-this -- part of the lock API next to acquire and release
+    async getHolder(name, now = new Date()) {
+        const lock = await Lock.findOne({ _id: name, expiresAt: { $gt: now } }).lean();
+
+        if (!lock) return null;
+
+        return {
+            holder: lock.holder,
+            acquiredAt: lock.acquiredAt,
+            expiresAt: lock.expiresAt
+        };
+    }
+
+    // Runs fn(signal) only if the lock is free, renewing the lease while it runs. Returns
+    // { acquired: false } without calling fn when another instance holds it. The signal aborts
+    // once the lease is lost or cannot be renewed, so fn can stop; the result then has lost: true.
+    async runExclusive(name, fn) {
+        const lock = await this.acquire(name);
+
+        if (!lock) {
+            return { acquired: false };
+        }
+
+        const controller = new AbortController();
+        const renewal = setInterval(() => {
+            this.renew(name)
+                .then((held) => {
+                    if (!held) controller.abort();
+                })
+                .catch((error) => {
+                    logger.error(`Error renewing lock ${name}: ${error.message}`);
+                    controller.abort();
+                });
+        }, this.leaseTtl / 3);
+
+        try {
+            const result = await fn(controller.signal);
+            return { acquired: true, lost: controller.signal.aborted, result };
+        } finally {
+            clearInterval(renewal);
+            await this.release(name).catch((error) => logger.error(`Error releasing lock ${name}: ${error.message}`));
+        }
+    }
+}
+
+module.exports = new LockService();
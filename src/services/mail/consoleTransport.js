@@ -0,0 +1,16 @@
+const logger = require('../../utils/logger');
+const MailTransport = require('./mailTransport');
+
+class ConsoleTransport extends MailTransport {
+    constructor() {
+        super('console');
+    }
+
+    // eslint-disable-next-line class-methods-use-this -- implements the MailTransport interface
+    async send(message) {
+        logger.info(`Email to ${message.to}: ${message.subject}\n${message.text}`);
+        return { messageId: null };
+    }
+}
+
+module.exports = ConsoleTransport;
@@ -0,0 +1,27 @@
+const fs = require('fs');
+const path = require('path');
+const nodemailer = require('nodemailer');
+const MailTransport = require('./mailTransport');
+
+// Writes every message as an .eml file so it can be opened with any mail client
+class FileTransport extends MailTransport {
+    constructor(options = {}) {
+        super('file');
+
+        this.directory = options.directory || process.env.MAIL_FILE_DIR || path.join('logs', 'mail');
+        this.transporter = nodemailer.createTransport({ streamTransport: true, buffer: true });
+    }
+
+    async send(message) {
+        const info = await this.transporter.sendMail(message);
+        const fileName = `${Date.now()}-${info.messageId.replace(/[^a-zA-Z0-9.-]/g, '')}.eml`;
+        const filePath = path.join(this.directory, fileName);
+
+        await fs.promises.mkdir(this.directory, { recursive: true });
+        await fs.promises.writeFile(filePath, info.message);
+
+        return { messageId: info.messageId, path: filePath };
+    }
+}
+
+module.exports = FileTransport;
@@ -0,0 +1,24 @@
+const SmtpTransport = require('./smtpTransport');
+const FileTransport = require('./fileTransport');
+const ConsoleTransport = require('./consoleTransport');
+
+const TRANSPORTS = {
+    smtp: SmtpTransport,
+    file: FileTransport,
+    console: ConsoleTransport
+};
+
+const createMailTransport = (name = process.env.MAIL_TRANSPORT || 'console', options = {}) => {
+    const Transport = TRANSPORTS[name];
+
+    if (!Transport) {
+        throw new Error(`Unknown mail transport: ${name}. Supported transports: ${Object.keys(TRANSPORTS).join(', ')}`);
+    }
+
+    return new Transport(options);
+};
+
+module.exports = {
+    createMailTransport,
+    TRANSPORTS
+};
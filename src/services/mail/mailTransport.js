@@ -0,0 +1,22 @@
+/**
+ * Base class for the ways mail can be sent.
+ *
+ * Every transport exposes the same operation so mailService does not care
+ * where a message goes:
+ *  - send({ from, to, subject, html, text }): resolves once the message is handed over
+ */
+class MailTransport {
+    constructor(name) {
+        if (!name) {
+            throw new Error('Mail transport must define a name');
+        }
+
+        this.name = name;
+    }
+
+    async send() {
+        throw new Error(`${this.constructor.name} must implement send()`);
+    }
+}
+
+module.exports = MailTransport;
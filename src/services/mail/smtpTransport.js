@@ -0,0 +1,27 @@
+const nodemailer = require('nodemailer');
+const MailTransport = require('./mailTransport');
+
+class SmtpTransport extends MailTransport {
+    constructor(options = {}) {
+        super('smtp');
+
+        const user = options.user !== undefined ? options.user : process.env.SMTP_USER;
+
+        this.transporter = nodemailer.createTransport({
+            host: options.host || process.env.SMTP_HOST || 'localhost',
+            port: parseInt(options.port || process.env.SMTP_PORT || '587', 10),
+            secure: options.secure !== undefined ? options.secure : process.env.SMTP_SECURE === 'true',
+            auth: user ? {
+                user,
+                pass: options.pass !== undefined ? options.pass : process.env.SMTP_PASS
+            } : undefined
+        });
+    }
+
+    async send(message) {
+        const info = await this.transporter.sendMail(message);
+        return { messageId: info.messageId };
+    }
+}
+
+module.exports = SmtpTransport;
@@ -0,0 +1,94 @@
+const { escapeHtml } = require('../../../utils/textUtils');
+
+const PERIOD_LABELS = {
+    daily: 'daily',
+    weekly: 'weekly'
+};
+
+const describeFilters = (filters = {}) => {
+    const parts = [];
+
+    if (filters.genre) parts.push(`genre ${filters.genre}`);
+    if (filters.publisher) parts.push(`publisher ${filters.publisher}`);
+    if (filters.developer) parts.push(`developer ${filters.developer}`);
+    if (filters.minDiscount) parts.push(`at least ${filters.minDiscount}% off`);
+
+    return parts.length > 0 ? parts.join(', ') : 'all games';
+};
+
+const formatPrice = (price) => price.final_formatted || `${price.final} ${price.currency}`;
+
+const LINK_STYLE = 'color:#1a73e8;font-weight:bold;text-decoration:none;';
+const LOWEST_STYLE = 'color:#188038;font-size:12px;';
+const DISCOUNT_STYLE = 'background:#4c6b22;color:#beee11;padding:2px 4px;';
+
+const renderImage = (game) => (game.header_image
+    ? `<img src="${escapeHtml(game.header_image)}" alt="" width="184" style="display:block;border:0;">`
+    : '');
+
+const renderInitialPrice = (price) => (price.initial_formatted
+    ? `<s style="color:#888;">${escapeHtml(price.initial_formatted)}</s><br>`
+    : '');
+
+const renderText = ({
+    name, frequency, games, filters
+}) => {
+    const lines = [
+        `Hi ${name || 'there'},`,
+        '',
+        `Here are the top deals of your ${PERIOD_LABELS[frequency]} digest (${describeFilters(filters)}):`,
+        ''
+    ];
+
+    games.forEach((game, index) => {
+        const lowest = game.isHistoricalLow ? ' - lowest price ever' : '';
+        const discount = `-${game.price.discount_percent}%`;
+        lines.push(`${index + 1}. ${game.name}: ${formatPrice(game.price)} (${discount})${lowest}`);
+        lines.push(`   ${game.url}`);
+    });
+
+    lines.push('', 'You can change or disable this digest from your account settings.');
+
+    return lines.join('\n');
+};
+
+const renderHtml = ({
+    name, frequency, games, filters
+}) => {
+    const rows = games.map((game) => `
+        <tr>
+            <td style="padding:8px 0;width:184px;">
+                ${renderImage(game)}
+            </td>
+            <td style="padding:8px 12px;">
+                <a href="${escapeHtml(game.url)}" style="${LINK_STYLE}">${escapeHtml(game.name)}</a>
+                ${game.isHistoricalLow ? `<br><span style="${LOWEST_STYLE}">Lowest price ever</span>` : ''}
+            </td>
+            <td style="padding:8px 0;text-align:right;white-space:nowrap;">
+                ${renderInitialPrice(game.price)}
+                <strong>${escapeHtml(formatPrice(game.price))}</strong>
+                <span style="${DISCOUNT_STYLE}">-${escapeHtml(game.price.discount_percent)}%</span>
+            </td>
+        </tr>`).join('');
+
+    return `<!DOCTYPE html>
+<html>
+<body style="margin:0;padding:24px;font-family:Arial,sans-serif;color:#222;">
+    <p>Hi ${escapeHtml(name || 'there')},</p>
+    <p>Here are the top deals of your ${PERIOD_LABELS[frequency]} digest (${escapeHtml(describeFilters(filters))}):</p>
+    <table cellpadding="0" cellspacing="0" style="width:100%;max-width:640px;border-collapse:collapse;">${rows}
+    </table>
+    <p style="color:#888;font-size:12px;">You can change or disable this digest from your account settings.</p>
+</body>
+</html>`;
+};
+
+const renderDigest = (context) => ({
+    subject: `Your ${PERIOD_LABELS[context.frequency]} deals: ${context.games.length} games on sale`,
+    html: renderHtml(context),
+    text: renderText(context)
+});
+
+module.exports = {
+    renderDigest
+};
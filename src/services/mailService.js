@@ -0,0 +1,36 @@
+const { createMailTransport } = require('./mail');
+const logger = require('../utils/logger');
+
+class MailService {
+    constructor() {
+        this.from = process.env.MAIL_FROM || 'SalesAllSales <no-reply@salesallsales.com>';
+        this.transport = null;
+    }
+
+    getTransport() {
+        if (!this.transport) {
+            this.transport = createMailTransport();
+            logger.info(`Using ${this.transport.name} mail transport`);
+        }
+
+        return this.transport;
+    }
+
+    setTransport(transport) {
+        this.transport = transport;
+    }
+
+    async send({
+        to, subject, html, text
+    }) {
+        return this.getTransport().send({
+            from: this.from,
+            to,
+            subject,
+            html,
+            text
+        });
+    }
+}
+
+module.exports = new MailService();
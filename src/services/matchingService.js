@@ -0,0 +1,234 @@
+/* eslint-disable class-methods-use-this -- services are singletons that keep every operation on the instance */
+const Game = require('../models/Game');
+const MatchOverride = require('../models/MatchOverride');
+const providerRegistry = require('./providers');
+const logger = require('../utils/logger');
+const { normalizeTitle, normalizeCompany, diceCoefficient } = require('../utils/textUtils');
+
+const WEIGHTS = {
+    name: 0.6,
+    companies: 0.25,
+    releaseYear: 0.15
+};
+
+class MatchingService {
+    constructor() {
+        this.confidenceThreshold = parseFloat(process.env.MATCH_CONFIDENCE_THRESHOLD || '0.75');
+        this.minNameSimilarity = 0.6;
+        this.candidateLimit = 50;
+    }
+
+    scoreMatch(game, product) {
+        const nameScore = diceCoefficient(
+            game.normalizedName || normalizeTitle(game.name),
+            normalizeTitle(product.name)
+        );
+
+        if (nameScore < this.minNameSimilarity) {
+            return 0;
+        }
+
+        const signals = [{ score: nameScore, weight: WEIGHTS.name }];
+
+        const companyScore = this._companyOverlap(
+            [...(game.developers || []), ...(game.publishers || [])],
+            [...(product.developers || []), ...(product.publishers || [])]
+        );
+        if (companyScore !== null) {
+            signals.push({ score: companyScore, weight: WEIGHTS.companies });
+        }
+
+        const yearScore = this._releaseYearScore(game.releaseDate, product.releaseDate);
+        if (yearScore !== null) {
+            signals.push({ score: yearScore, weight: WEIGHTS.releaseYear });
+        }
+
+        const totalWeight = signals.reduce((sum, signal) => sum + signal.weight, 0);
+        const confidence = signals.reduce((sum, signal) => sum + signal.score * signal.weight, 0) / totalWeight;
+
+        return Math.round(confidence * 1000) / 1000;
+    }
+
+    // Games sharing the most title words come first, so the limit drops the weakest candidates
+    async findCandidates(store, name) {
+        const normalizedName = normalizeTitle(name);
+
+        if (!normalizedName) return [];
+
+        return Game.find({
+            $text: { $search: normalizedName },
+            'offers.store': { $ne: store }
+        })
+            .select('_id appid name normalizedName developers publishers releaseDate')
+            .sort({ score: { $meta: 'textScore' } })
+            .limit(this.candidateLimit)
+            .lean();
+    }
+
+    async findMatch(provider, product) {
+        const override = await MatchOverride.findOne({
+            store: provider.store,
+            productId: String(product.productId)
+        }).lean();
+
+        if (override) {
+            if (override.appid === null) return null;
+
+            const game = await this._findGame(override.appid);
+            if (!game) {
+                logger.warn(`Manual match for ${provider.store} product ${product.productId} `
+                    + `points to unknown game ${override.appid}`);
+                return null;
+            }
+
+            return this._buildManualMatch(provider, product, game);
+        }
+
+        const candidates = await this.findCandidates(provider.store, product.name);
+        if (candidates.length === 0) return null;
+
+        const details = await provider.fetchDetails(product.productId, product.name);
+        if (!details) return null;
+
+        const best = candidates
+            .map((game) => ({
+                game,
+                confidence: this.scoreMatch(game, { ...details, name: details.name || product.name })
+            }))
+            .reduce((top, candidate) => (!top || candidate.confidence > top.confidence ? candidate : top), null);
+
+        if (!best || best.confidence < this.confidenceThreshold) {
+            return null;
+        }
+
+        return {
+            game: best.game,
+            details,
+            match: {
+                confidence: best.confidence,
+                method: 'auto',
+                matchedAt: new Date()
+            }
+        };
+    }
+
+    // Returns null when the appid is not a known game, before anything is written
+    async setManualMatch(store, productId, appid, reason) {
+        const provider = providerRegistry.get(store);
+        if (!provider) {
+            throw new Error(`Unknown store: ${store}`);
+        }
+
+        let match = null;
+        if (appid) {
+            const game = await this._findGame(appid);
+            if (!game) return null;
+
+            match = await this._buildManualMatch(provider, { productId }, game);
+            if (!match) {
+                throw new Error(`Could not link ${store} product ${productId} to game ${appid}`);
+            }
+        }
+
+        const override = await MatchOverride.findOneAndUpdate(
+            { store, productId: String(productId) },
+            { appid: appid || null, reason },
+            { upsert: true, new: true, setDefaultsOnInsert: true }
+        );
+
+        await this._unlinkProduct(store, productId);
+
+        if (!match) {
+            logger.info(`Marked ${store} product ${productId} as not matching any game`);
+            return { override, game: null };
+        }
+
+        const offer = { ...provider.toOffer(productId, match.details), match: match.match };
+        await Game.updateOne({ _id: match.game._id }, { $pull: { offers: { store } } });
+        await Game.upsertOffer({ _id: match.game._id }, offer);
+
+        logger.info(`Manually linked ${store} product ${productId} to ${match.game.name} (${appid})`);
+        return { override, game: match.game, offer };
+    }
+
+    async removeManualMatch(store, productId) {
+        const result = await MatchOverride.deleteOne({ store, productId: String(productId) });
+        return result.deletedCount > 0;
+    }
+
+    async listMatches({ store, maxConfidence, method } = {}) {
+        const offerFilter = { store: { $ne: providerRegistry.getPrimary().store } };
+        if (store) offerFilter.store = store;
+        if (method) offerFilter['match.method'] = method;
+        if (maxConfidence !== undefined) offerFilter['match.confidence'] = { $lte: maxConfidence };
+
+        const games = await Game.find({ offers: { $elemMatch: offerFilter } })
+            .select('appid name offers')
+            .lean();
+
+        return games.flatMap((game) => game.offers
+            .filter((offer) => offer.match
+                && (!store || offer.store === store)
+                && (!method || offer.match.method === method)
+                && (maxConfidence === undefined || offer.match.confidence <= maxConfidence))
+            .map((offer) => ({
+                appid: game.appid,
+                name: game.name,
+                store: offer.store,
+                productId: offer.productId,
+                productName: offer.name,
+                match: offer.match
+            })));
+    }
+
+    async _findGame(appid) {
+        return Game.findOne({ appid })
+            .select('_id appid name')
+            .lean();
+    }
+
+    async _buildManualMatch(provider, product, game) {
+        const details = await provider.fetchDetails(product.productId, product.name);
+        if (!details) return null;
+
+        return {
+            game,
+            details,
+            match: {
+                confidence: 1,
+                method: 'manual',
+                matchedAt: new Date()
+            }
+        };
+    }
+
+    async _unlinkProduct(store, productId) {
+        return Game.updateMany(
+            { offers: { $elemMatch: { store, productId: String(productId) } } },
+            { $pull: { offers: { store, productId: String(productId) } } }
+        );
+    }
+
+    _companyOverlap(first, second) {
+        const firstSet = new Set(first.map(normalizeCompany).filter(Boolean));
+        const secondSet = new Set(second.map(normalizeCompany).filter(Boolean));
+
+        if (firstSet.size === 0 || secondSet.size === 0) return null;
+
+        const shared = [...firstSet].some((company) => secondSet.has(company));
+        return shared ? 1 : 0;
+    }
+
+    _releaseYearScore(firstDate, secondDate) {
+        if (!firstDate || !secondDate) return null;
+
+        const difference = Math.abs(new Date(firstDate).getUTCFullYear() - new Date(secondDate).getUTCFullYear());
+
+        if (Number.isNaN(difference)) return null;
+        if (difference === 0) return 1;
+        if (difference === 1) return 0.5;
+        return 0;
+    }
+}
+
+module.exports = new MatchingService();
@@ -0,0 +1,241 @@
+/* eslint-disable class-methods-use-this -- services are singletons that keep every operation on the instance */
+const Game = require('../models/Game');
+const PriceObservation = require('../models/PriceObservation');
+const exchangeRateService = require('./exchangeRateService');
+const logger = require('../utils/logger');
+const { PRIMARY_STORE } = require('../config/storeConstants');
+const { REGIONS } = require('../config/constants');
+
+const DAY_IN_MS = 24 * 60 * 60 * 1000;
+
+class PriceHistoryService {
+    async getPriceHistory(appid, { from, to, currency } = {}) {
+        const game = await Game.findOne({ appid })
+            .select('appid name is_free price')
+            .lean();
+
+        if (!game) return null;
+
+        if (currency) {
+            await exchangeRateService.ensureRates();
+        }
+
+        const observations = (await this.getObservations(appid, { from, to }))
+            .map((price) => (currency ? exchangeRateService.convertPrice(price, currency) : price));
+
+        return {
+            appid: game.appid,
+            name: game.name,
+            is_free: game.is_free,
+            currency: currency || (game.price ? game.price.currency : null),
+            range: {
+                from: from || null,
+                to: to || null
+            },
+            currentPrice: currency ? exchangeRateService.convertPrice(game.price, currency) : game.price || null,
+            statistics: this.computeStatistics(observations),
+            history: observations
+        };
+    }
+
+    computeStatistics(observations, now = new Date()) {
+        const priced = observations.filter((price) => typeof price.final === 'number');
+
+        if (priced.length === 0) {
+            return {
+                historicalLow: null,
+                highestDiscount: null,
+                averageSalePrice: null,
+                numberOfSales: 0,
+                daysSinceLastDiscount: null,
+                isHistoricalLow: false
+            };
+        }
+
+        const historicalLow = priced.reduce((low, price) => (price.final < low.final ? price : low));
+        const highestDiscount = priced.reduce((high, price) => (
+            (price.discount_percent || 0) > (high.discount_percent || 0) ? price : high
+        ));
+
+        const sales = priced.filter((price) => price.discount_percent > 0);
+        const averageSalePrice = sales.length > 0
+            ? Math.round((sales.reduce((sum, price) => sum + price.final, 0) / sales.length) * 100) / 100
+            : null;
+
+        const latest = priced[priced.length - 1];
+
+        return {
+            historicalLow: {
+                price: historicalLow.final,
+                currency: historicalLow.currency,
+                date: historicalLow.lastChecked
+            },
+            highestDiscount: highestDiscount.discount_percent > 0 ? {
+                discount_percent: highestDiscount.discount_percent,
+                price: highestDiscount.final,
+                date: highestDiscount.lastChecked
+            } : null,
+            averageSalePrice,
+            numberOfSales: this._countSales(priced),
+            daysSinceLastDiscount: this._daysSinceLastDiscount(priced, now),
+            isHistoricalLow: latest.discount_percent > 0 && latest.final <= historicalLow.final
+        };
+    }
+
+    async getObservations(appid, {
+        store = PRIMARY_STORE,
+        region = REGIONS.DEFAULT,
+        from,
+        to
+    } = {}) {
+        const query = {
+            'meta.appid': appid,
+            'meta.store': store,
+            'meta.region': region
+        };
+
+        if (from || to) {
+            query.observedAt = {};
+            if (from) query.observedAt.$gte = from;
+            if (to) query.observedAt.$lte = to;
+        }
+
+        const observations = await PriceObservation.find(query)
+            .select('-_id -meta')
+            .sort({ observedAt: 1 })
+            .lean();
+
+        return observations.map(({ observedAt, ...price }) => ({ ...price, lastChecked: observedAt }));
+    }
+
+    // How much of its history a game spent discounted and what it usually costs on sale, up to `now`
+    async getDiscountProfile(appid, currency, { store, region, now = new Date() } = {}) {
+        const observations = await this.getObservations(appid, { store, region });
+
+        return this.computeDiscountProfile(
+            observations.filter((price) => price.currency === currency
+                && typeof price.final === 'number'
+                && new Date(price.lastChecked) < now),
+            now
+        );
+    }
+
+    // Observations are change-points, so each price lasts until the next one is seen
+    computeDiscountProfile(observations, now = new Date()) {
+        if (observations.length === 0) return null;
+
+        let totalTime = 0;
+        let discountedTime = 0;
+
+        observations.forEach((price, index) => {
+            const end = index + 1 < observations.length ? observations[index + 1].lastChecked : now;
+            const duration = Math.max(0, new Date(end) - new Date(price.lastChecked));
+
+            totalTime += duration;
+            if (price.discount_percent > 0) {
+                discountedTime += duration;
+            }
+        });
+
+        const salePrices = observations
+            .filter((price) => price.discount_percent > 0)
+            .map((price) => price.final)
+            .sort((first, second) => first - second);
+
+        return {
+            days: totalTime / DAY_IN_MS,
+            discountedShare: totalTime > 0 ? discountedTime / totalTime : null,
+            typicalSalePrice: salePrices.length > 0 ? this._median(salePrices) : null
+        };
+    }
+
+    async getLowestPrice(appid, currency, { store = PRIMARY_STORE, region = REGIONS.DEFAULT } = {}) {
+        const [lowest] = await PriceObservation.find({
+            'meta.appid': appid,
+            'meta.store': store,
+            'meta.region': region,
+            currency,
+            final: { $type: 'number' }
+        })
+            .select('final currency observedAt')
+            .sort({ final: 1, observedAt: 1 })
+            .limit(1)
+            .lean();
+
+        return lowest ? { final: lowest.final, currency: lowest.currency, date: lowest.observedAt } : null;
+    }
+
+    toObservation(appid, price, { store = PRIMARY_STORE, region = REGIONS.DEFAULT } = {}) {
+        if (!price || !price.currency) return null;
+
+        return {
+            meta: { appid, store, region },
+            observedAt: price.lastChecked || new Date(),
+            currency: price.currency,
+            initial: price.initial,
+            final: price.final,
+            discount_percent: price.discount_percent || 0,
+            initial_formatted: price.initial_formatted,
+            final_formatted: price.final_formatted
+        };
+    }
+
+    async recordObservations(observations) {
+        const valid = observations.filter(Boolean);
+        if (valid.length === 0) return 0;
+
+        try {
+            await PriceObservation.insertMany(valid, { ordered: false });
+            return valid.length;
+        } catch (error) {
+            logger.error(`Error recording ${valid.length} price observations: ${error.message}`);
+            return 0;
+        }
+    }
+
+    hasPriceChanged(previous, current) {
+        if (!previous && !current) return false;
+        if (!previous || !current) return true;
+
+        return previous.final !== current.final
+               || previous.initial !== current.initial
+               || previous.discount_percent !== current.discount_percent;
+    }
+
+    _countSales(observations) {
+        let sales = 0;
+        let onSale = false;
+
+        observations.forEach((price) => {
+            const discounted = price.discount_percent > 0;
+            if (discounted && !onSale) {
+                sales += 1;
+            }
+            onSale = discounted;
+        });
+
+        return sales;
+    }
+
+    // Observations are only recorded on changes, so a sale ends when the next price is seen
+    _median(sortedValues) {
+        const middle = Math.floor(sortedValues.length / 2);
+        const median = sortedValues.length % 2 === 1
+            ? sortedValues[middle]
+            : (sortedValues[middle - 1] + sortedValues[middle]) / 2;
+
+        return Math.round(median * 100) / 100;
+    }
+
+    _daysSinceLastDiscount(observations, now) {
+        const lastDiscountIndex = observations.findLastIndex((price) => price.discount_percent > 0);
+        if (lastDiscountIndex === -1) return null;
+
+        const saleEnd = observations[lastDiscountIndex + 1];
+        if (!saleEnd) return 0;
+
+        return Math.floor((now - new Date(saleEnd.lastChecked)) / DAY_IN_MS);
+    }
+}
+
+module.exports = new PriceHistoryService();
@@ -0,0 +1,43 @@
+const StoreProvider = require('./storeProvider');
+const steamProvider = require('./steamProvider');
+const xboxProvider = require('./xboxProvider');
+const playstationProvider = require('./playstationProvider');
+const { PRIMARY_STORE } = require('../../config/storeConstants');
+
+class ProviderRegistry {
+    constructor() {
+        this.providers = new Map();
+    }
+
+    register(provider) {
+        if (!(provider instanceof StoreProvider)) {
+            throw new Error('Providers must extend StoreProvider');
+        }
+
+        this.providers.set(provider.store, provider);
+        return this;
+    }
+
+    get(store) {
+        return this.providers.get(store) || null;
+    }
+
+    getAll() {
+        return Array.from(this.providers.values());
+    }
+
+    getPrimary() {
+        return this.get(PRIMARY_STORE);
+    }
+
+    getSecondary() {
+        return this.getAll().filter((provider) => provider.store !== PRIMARY_STORE);
+    }
+}
+
+const registry = new ProviderRegistry();
+registry.register(steamProvider);
+registry.register(xboxProvider);
+registry.register(playstationProvider);
+
+module.exports = registry;
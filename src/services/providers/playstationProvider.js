@@ -0,0 +1,213 @@
+/* eslint-disable class-methods-use-this -- provider helpers stay on the instance next to the StoreProvider interface */
+const NodeCache = require('node-cache');
+const StoreProvider = require('./storeProvider');
+const { STORES } = require('../../config/storeConstants');
+const { createHttpClient, withRetry } = require('../../utils/httpClient');
+const logger = require('../../utils/logger');
+
+const GRAPHQL_URL = 'https://web.np.playstation.com/api/graphql/v1/op';
+const PURCHASE_CTA_TYPES = ['ADD_TO_CART', 'PREORDER'];
+const SUBSCRIPTION_SERVICE = 'PS_PLUS';
+
+class PlayStationProvider extends StoreProvider {
+    constructor() {
+        super(STORES.PLAYSTATION);
+
+        this.cache = new NodeCache({
+            stdTTL: 3600,
+            checkperiod: 600,
+            useClones: false
+        });
+
+        this.locale = process.env.PLAYSTATION_LOCALE || 'en-us';
+        this.categoryId = process.env.PLAYSTATION_CATEGORY_ID;
+        this.productQueryHash = process.env.PLAYSTATION_PRODUCT_QUERY_HASH;
+        this.categoryQueryHash = process.env.PLAYSTATION_CATEGORY_QUERY_HASH;
+        this.catalogLimit = parseInt(process.env.PLAYSTATION_CATALOG_LIMIT || '1000', 10);
+        this.pageSize = 100;
+
+        this.api = createHttpClient({
+            maxRetries: parseInt(process.env.PLAYSTATION_API_MAX_RETRIES || '3', 10),
+            retryDelay: parseInt(process.env.PLAYSTATION_API_RETRY_DELAY || '2000', 10),
+            headers: {
+                'x-psn-store-locale-override': this.locale
+            }
+        });
+    }
+
+    async listCatalog() {
+        const cacheKey = `playstation_catalog_${this.locale}`;
+
+        const cachedCatalog = this.cache.get(cacheKey);
+        if (cachedCatalog) {
+            logger.info('Retrieved PlayStation catalog from cache');
+            return cachedCatalog;
+        }
+
+        try {
+            if (!this.categoryId) {
+                throw new Error('PLAYSTATION_CATEGORY_ID is not configured');
+            }
+
+            const catalog = [];
+            let offset = 0;
+            let isLast = false;
+
+            /* eslint-disable no-await-in-loop -- each page depends on whether the previous one was the last */
+            while (!isLast && catalog.length < this.catalogLimit) {
+                const data = await this._query('categoryGridRetrieve', this.categoryQueryHash, {
+                    id: this.categoryId,
+                    pageArgs: { size: this.pageSize, offset }
+                });
+
+                const grid = data.categoryGridRetrieve;
+                if (!grid || !Array.isArray(grid.products)) {
+                    throw new Error('Invalid category response from PlayStation Store');
+                }
+
+                grid.products
+                    .filter((product) => product.id && product.name)
+                    .forEach((product) => catalog.push({ productId: product.id, name: product.name }));
+
+                offset += grid.products.length;
+                isLast = grid.products.length === 0 || !grid.pageInfo || grid.pageInfo.isLast;
+            }
+            /* eslint-enable no-await-in-loop */
+
+            const limitedCatalog = catalog.slice(0, this.catalogLimit);
+            this.cache.set(cacheKey, limitedCatalog);
+            logger.info(`Retrieved ${limitedCatalog.length} products from PlayStation Store`);
+
+            return limitedCatalog;
+        } catch (error) {
+            logger.error(`Error fetching PlayStation catalog: ${error.message}`);
+            throw new Error(`Failed to fetch PlayStation catalog: ${error.message}`);
+        }
+    }
+
+    async fetchDetails(productId, name) {
+        if (!productId) {
+            logger.error('Invalid productId provided to PlayStation fetchDetails');
+            return null;
+        }
+
+        const cacheKey = `playstation_details_${this.locale}_${productId}`;
+
+        const cachedDetails = this.cache.get(cacheKey);
+        if (cachedDetails) {
+            logger.info(`Retrieved PlayStation details for ${productId} from cache`);
+            return cachedDetails;
+        }
+
+        try {
+            logger.info(`Fetching PlayStation details for ${name || productId} (${productId})`);
+            const data = await this._query('productRetrieveForCtasWithPrice', this.productQueryHash, { productId });
+
+            const product = data.productRetrieve;
+            if (!product) {
+                logger.warn(`No PlayStation data available for ${name || productId} (${productId})`);
+                return null;
+            }
+
+            const processedData = this._processProductData(product);
+
+            this.cache.set(cacheKey, processedData, 1800);
+
+            return processedData;
+        } catch (error) {
+            logger.error(`Error getting PlayStation details for ${productId}: ${error.message}`);
+            return null;
+        }
+    }
+
+    normalizePrice(webctas) {
+        const ctas = (webctas || []).filter((cta) => cta.price);
+
+        const purchaseCta = ctas.find((cta) => PURCHASE_CTA_TYPES.includes(cta.type)
+            && !cta.price.isTiedToSubscription);
+        if (!purchaseCta) return null;
+
+        const { price } = purchaseCta;
+        const initial = this._toAmount(price.basePriceValue);
+        const final = this._toAmount(price.discountedValue);
+
+        return {
+            currency: price.currencyCode,
+            initial,
+            final,
+            discount_percent: this._discountPercent(initial, final),
+            initial_formatted: price.basePrice || '',
+            final_formatted: price.discountedPrice || '',
+            subscription: this._processSubscriptionPrice(ctas, initial),
+            lastChecked: new Date()
+        };
+    }
+
+    getProductUrl(productId) {
+        return `https://store.playstation.com/${this.locale}/product/${productId}`;
+    }
+
+    async _query(operationName, sha256Hash, variables) {
+        if (!sha256Hash) {
+            throw new Error(`Persisted query hash for ${operationName} is not configured`);
+        }
+
+        const response = await this.api.get(GRAPHQL_URL, withRetry({
+            params: {
+                operationName,
+                variables: JSON.stringify(variables),
+                extensions: JSON.stringify({ persistedQuery: { version: 1, sha256Hash } })
+            }
+        }));
+
+        if (!response.data || !response.data.data) {
+            throw new Error('Invalid response format from PlayStation Store');
+        }
+
+        return response.data.data;
+    }
+
+    _processProductData(product) {
+        const price = this.normalizePrice(product.webctas);
+        const isFree = (product.webctas || [])
+            .some((cta) => cta.price && cta.price.isFree && !cta.price.isTiedToSubscription);
+
+        return {
+            productId: product.id,
+            name: product.name,
+            developers: [],
+            publishers: product.publisherName ? [product.publisherName] : [],
+            releaseDate: product.releaseDate ? new Date(product.releaseDate) : null,
+            is_free: isFree,
+            price: isFree ? null : price,
+            lastUpdated: new Date()
+        };
+    }
+
+    _processSubscriptionPrice(ctas, initial) {
+        const subscriptionCta = ctas.find((cta) => cta.price.isTiedToSubscription
+            && (cta.price.serviceBranding || []).includes(SUBSCRIPTION_SERVICE));
+
+        if (!subscriptionCta) return null;
+
+        const final = this._toAmount(subscriptionCta.price.discountedValue);
+
+        return {
+            service: SUBSCRIPTION_SERVICE,
+            final,
+            discount_percent: this._discountPercent(initial, final),
+            final_formatted: subscriptionCta.price.discountedPrice || ''
+        };
+    }
+
+    _toAmount(value) {
+        return typeof value === 'number' ? value / 100 : null;
+    }
+
+    _discountPercent(initial, final) {
+        if (!initial || final === null || final >= initial) return 0;
+        return Math.round(((initial - final) / initial) * 100);
+    }
+}
+
+module.exports = new PlayStationProvider();
@@ -0,0 +1,33 @@
+/* eslint-disable class-methods-use-this -- provider helpers stay on the instance next to the StoreProvider interface */
+const StoreProvider = require('./storeProvider');
+const SteamService = require('../steamService');
+const { STORES } = require('../../config/storeConstants');
+
+class SteamProvider extends StoreProvider {
+    constructor() {
+        super(STORES.STEAM);
+    }
+
+    async listCatalog() {
+        const games = await SteamService.getGamesList();
+
+        return games.map((game) => ({
+            productId: String(game.appid),
+            name: game.name
+        }));
+    }
+
+    async fetchDetails(productId, name) {
+        return SteamService.getGameDetails(parseInt(productId, 10), name);
+    }
+
+    normalizePrice(rawPrice) {
+        return SteamService._processPriceData(rawPrice);
+    }
+
+    getProductUrl(productId) {
+        return `https://store.steampowered.com/app/${productId}`;
+    }
+}
+
+module.exports = new SteamProvider();
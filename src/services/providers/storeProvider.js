@@ -0,0 +1,51 @@
+/**
+ * Base class for store price sources.
+ *
+ * Every provider exposes the same operations so the update cycle can treat
+ * all stores alike:
+ *  - listCatalog(): [{ productId, name }]
+ *  - fetchDetails(productId, name): details with a normalized `price`, or null
+ *  - normalizePrice(rawPrice): price in the shape of priceSchema, or null
+ */
+class StoreProvider {
+    constructor(store) {
+        if (!store) {
+            throw new Error('A store identifier is required to create a provider');
+        }
+
+        this.store = store;
+    }
+
+    async listCatalog() {
+        throw new Error(`${this.constructor.name} must implement listCatalog()`);
+    }
+
+    async fetchDetails() {
+        throw new Error(`${this.constructor.name} must implement fetchDetails()`);
+    }
+
+    normalizePrice() {
+        throw new Error(`${this.constructor.name} must implement normalizePrice()`);
+    }
+
+    // eslint-disable-next-line class-methods-use-this -- default that providers override
+    getProductUrl() {
+        return null;
+    }
+
+    toOffer(productId, details) {
+        if (!details) return null;
+
+        return {
+            store: this.store,
+            productId: String(productId),
+            name: details.name,
+            url: this.getProductUrl(productId),
+            price: details.price || null,
+            is_free: details.is_free || false,
+            lastChecked: new Date()
+        };
+    }
+}
+
+module.exports = StoreProvider;
@@ -0,0 +1,229 @@
+/* eslint-disable class-methods-use-this -- provider helpers stay on the instance next to the StoreProvider interface */
+const NodeCache = require('node-cache');
+const StoreProvider = require('./storeProvider');
+const { STORES } = require('../../config/storeConstants');
+const { createHttpClient, withRetry } = require('../../utils/httpClient');
+const logger = require('../../utils/logger');
+
+const DISPLAY_CATALOG_URL = 'https://displaycatalog.mp.microsoft.com/v7.0/products';
+const RECO_LIST_URL = 'https://reco-public.rec.mp.microsoft.com/channels/Reco/V8.0/Lists/Computed';
+
+class XboxProvider extends StoreProvider {
+    constructor() {
+        super(STORES.XBOX);
+
+        this.cache = new NodeCache({
+            stdTTL: 3600,
+            checkperiod: 600,
+            useClones: false
+        });
+
+        this.market = process.env.XBOX_MARKET || 'US';
+        this.language = process.env.XBOX_LANGUAGE || 'en-us';
+        this.catalogLists = (process.env.XBOX_CATALOG_LISTS || 'TopPaid,TopFree,Deal').split(',');
+        this.catalogLimit = parseInt(process.env.XBOX_CATALOG_LIMIT || '1000', 10);
+        this.pageSize = 200;
+        this.productsPerRequest = 20;
+
+        this.api = createHttpClient({
+            maxRetries: parseInt(process.env.XBOX_API_MAX_RETRIES || '3', 10),
+            retryDelay: parseInt(process.env.XBOX_API_RETRY_DELAY || '2000', 10)
+        });
+    }
+
+    async listCatalog() {
+        const cacheKey = `xbox_catalog_${this.market}`;
+
+        const cachedCatalog = this.cache.get(cacheKey);
+        if (cachedCatalog) {
+            logger.info('Retrieved Xbox catalog from cache');
+            return cachedCatalog;
+        }
+
+        try {
+            const productIds = new Set();
+
+            /* eslint-disable no-await-in-loop -- store requests are spread out rather than sent at once */
+            for (let i = 0; i < this.catalogLists.length; i += 1) {
+                const ids = await this._fetchListIds(this.catalogLists[i].trim());
+                ids.forEach((id) => productIds.add(id));
+            }
+            /* eslint-enable no-await-in-loop */
+
+            const ids = Array.from(productIds);
+            const catalog = [];
+
+            /* eslint-disable no-await-in-loop -- store requests are spread out rather than sent at once */
+            for (let i = 0; i < ids.length; i += this.productsPerRequest) {
+                const products = await this._fetchProducts(ids.slice(i, i + this.productsPerRequest));
+
+                products.forEach((product) => {
+                    const name = this._getLocalizedProperties(product).ProductTitle;
+                    if (name) {
+                        catalog.push({ productId: product.ProductId, name });
+                    }
+                });
+            }
+            /* eslint-enable no-await-in-loop */
+
+            this.cache.set(cacheKey, catalog);
+            logger.info(`Retrieved ${catalog.length} products from Xbox Store`);
+
+            return catalog;
+        } catch (error) {
+            logger.error(`Error fetching Xbox catalog: ${error.message}`);
+            throw new Error(`Failed to fetch Xbox catalog: ${error.message}`);
+        }
+    }
+
+    async fetchDetails(productId, name) {
+        if (!productId) {
+            logger.error('Invalid productId provided to Xbox fetchDetails');
+            return null;
+        }
+
+        const cacheKey = `xbox_details_${this.market}_${productId}`;
+
+        const cachedDetails = this.cache.get(cacheKey);
+        if (cachedDetails) {
+            logger.info(`Retrieved Xbox details for ${productId} from cache`);
+            return cachedDetails;
+        }
+
+        try {
+            logger.info(`Fetching Xbox details for ${name || productId} (${productId})`);
+            const [product] = await this._fetchProducts([productId]);
+
+            if (!product) {
+                logger.warn(`No Xbox data available for ${name || productId} (${productId})`);
+                return null;
+            }
+
+            const processedData = this._processProductData(product);
+
+            this.cache.set(cacheKey, processedData, 1800);
+
+            return processedData;
+        } catch (error) {
+            logger.error(`Error getting Xbox details for ${productId}: ${error.message}`);
+            return null;
+        }
+    }
+
+    normalizePrice(rawPrice) {
+        if (!rawPrice || rawPrice.ListPrice === undefined) return null;
+
+        const initial = rawPrice.MSRP || rawPrice.ListPrice;
+        const final = rawPrice.ListPrice;
+        const discountPercent = initial > final ? Math.round(((initial - final) / initial) * 100) : 0;
+
+        return {
+            currency: rawPrice.CurrencyCode,
+            initial,
+            final,
+            discount_percent: discountPercent,
+            initial_formatted: this._formatPrice(initial, rawPrice.CurrencyCode),
+            final_formatted: this._formatPrice(final, rawPrice.CurrencyCode),
+            lastChecked: new Date()
+        };
+    }
+
+    getProductUrl(productId) {
+        return `https://www.xbox.com/${this.language}/games/store/p/${productId}`;
+    }
+
+    async _fetchListIds(list) {
+        const ids = [];
+        let skip = 0;
+        let total = Infinity;
+
+        /* eslint-disable no-await-in-loop -- each page depends on the total reported by the previous one */
+        while (skip < total && ids.length < this.catalogLimit) {
+            const response = await this.api.get(`${RECO_LIST_URL}/${list}`, withRetry({
+                params: {
+                    Market: this.market,
+                    Language: this.language,
+                    ItemTypes: 'Game',
+                    deviceFamily: 'Windows.Xbox',
+                    count: this.pageSize,
+                    skipitems: skip
+                }
+            }));
+
+            if (!response.data || !Array.isArray(response.data.Items)) {
+                throw new Error('Invalid response format from Xbox recommendation list');
+            }
+
+            if (response.data.Items.length === 0) break;
+
+            response.data.Items.forEach((item) => ids.push(item.Id));
+            total = response.data.PagingInfo ? response.data.PagingInfo.TotalItems : ids.length;
+            skip += response.data.Items.length;
+        }
+        /* eslint-enable no-await-in-loop */
+
+        return ids.slice(0, this.catalogLimit);
+    }
+
+    async _fetchProducts(productIds) {
+        const response = await this.api.get(DISPLAY_CATALOG_URL, withRetry({
+            params: {
+                bigIds: productIds.join(','),
+                market: this.market,
+                languages: this.language
+            }
+        }));
+
+        if (!response.data || !Array.isArray(response.data.Products)) {
+            throw new Error('Invalid response format from Xbox DisplayCatalog');
+        }
+
+        return response.data.Products;
+    }
+
+    _processProductData(product) {
+        const properties = this._getLocalizedProperties(product);
+        const marketProperties = (product.MarketProperties || [])[0] || {};
+        const price = this.normalizePrice(this._getPurchasePrice(product));
+        const isFree = price !== null && price.final === 0;
+
+        return {
+            productId: product.ProductId,
+            name: properties.ProductTitle,
+            developers: properties.DeveloperName ? [properties.DeveloperName] : [],
+            publishers: properties.PublisherName ? [properties.PublisherName] : [],
+            releaseDate: marketProperties.OriginalReleaseDate ? new Date(marketProperties.OriginalReleaseDate) : null,
+            is_free: isFree,
+            price: isFree ? null : price,
+            lastUpdated: new Date()
+        };
+    }
+
+    _getLocalizedProperties(product) {
+        return (product.LocalizedProperties || [])[0] || {};
+    }
+
+    _getPurchasePrice(product) {
+        const prices = (product.DisplaySkuAvailabilities || [])
+            .flatMap((skuAvailability) => skuAvailability.Availabilities || [])
+            .filter((availability) => (availability.Actions || []).includes('Purchase')
+                && !availability.RemediationRequired
+                && availability.OrderManagementData
+                && availability.OrderManagementData.Price)
+            .map((availability) => availability.OrderManagementData.Price);
+
+        if (prices.length === 0) return null;
+
+        return prices.reduce((lowest, price) => (price.ListPrice < lowest.ListPrice ? price : lowest));
+    }
+
+    _formatPrice(amount, currency) {
+        try {
+            return new Intl.NumberFormat(this.language, { style: 'currency', currency }).format(amount);
+        } catch (error) {
+            return `${amount} ${currency}`;
+        }
+    }
+}
+
+module.exports = new XboxProvider();
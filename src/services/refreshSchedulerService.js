@@ -0,0 +1,129 @@
+/* eslint-disable class-methods-use-this -- services are singletons that keep every operation on the instance */
+const Game = require('../models/Game');
+const User = require('../models/User');
+const { REGIONS, GAME_LIFECYCLES } = require('../config/constants');
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+
+const WEIGHTS = {
+    popularity: 0.35,
+    wishlists: 0.25,
+    discount: 0.2,
+    volatility: 0.2
+};
+
+// Decides how often each game is refreshed from Steam. Popular, wishlisted, discounted and
+// frequently repriced games come back every few hours; the long tail only every few days.
+class RefreshSchedulerService {
+    constructor() {
+        this.minInterval = parseFloat(process.env.REFRESH_MIN_INTERVAL_HOURS || '2') * HOUR;
+        this.maxInterval = parseFloat(process.env.REFRESH_MAX_INTERVAL_HOURS || '168') * HOUR;
+        this.requestsPerHour = parseInt(process.env.REFRESH_REQUESTS_PER_HOUR || '2400', 10);
+        // Signal values that earn the full score
+        this.recommendationsCap = 100000;
+        this.wishlistCap = 100;
+        this.priceChangesPerMonthCap = 4;
+    }
+
+    computePriority(game, { wishlistCounts } = {}, now = new Date()) {
+        const recommendations = (game.recommendations && game.recommendations.total) || 0;
+        const wishlistCount = (wishlistCounts && wishlistCounts.get(game.appid)) || 0;
+        const discounted = Boolean(!game.is_free && game.price && game.price.discount_percent > 0);
+
+        const scores = {
+            popularity: this._logScore(recommendations, this.recommendationsCap),
+            wishlists: this._logScore(wishlistCount, this.wishlistCap),
+            discount: discounted ? 1 : 0,
+            volatility: game.is_free
+                ? 0
+                : Math.min(1, this._priceChangesPerMonth(game, now) / this.priceChangesPerMonthCap)
+        };
+
+        const priority = Object.keys(WEIGHTS).reduce((sum, signal) => sum + scores[signal] * WEIGHTS[signal], 0);
+        return Math.round(priority * 1000) / 1000;
+    }
+
+    // Spread geometrically, so priority 0.5 refreshes halfway between the bounds in orders of magnitude
+    computeInterval(priority) {
+        return Math.round(this.minInterval * (this.maxInterval / this.minInterval) ** (1 - priority));
+    }
+
+    schedule(game, signals = {}, now = new Date()) {
+        const priority = this.computePriority(game, signals, now);
+
+        return {
+            priority,
+            nextAt: new Date(now.getTime() + this.computeInterval(priority))
+        };
+    }
+
+    // Games that could not be fetched are retried after the shortest interval instead of right away
+    async postpone(game, now = new Date()) {
+        await Game.updateOne(
+            { _id: game._id },
+            { $set: { 'refresh.nextAt': new Date(now.getTime() + this.minInterval) } }
+        );
+    }
+
+    // Games never scheduled (new or from before the scheduler existed) are due right away;
+    // delisted games stay out until the catalog sync brings them back
+    dueQuery(now = new Date()) {
+        return {
+            lifecycle: { $ne: GAME_LIFECYCLES.DELISTED },
+            $or: [
+                { 'refresh.nextAt': { $lte: now } },
+                { 'refresh.nextAt': null }
+            ]
+        };
+    }
+
+    async getDueGames(now = new Date(), limit = 100) {
+        return Game.find(this.dueQuery(now))
+            .sort({ 'refresh.nextAt': 1, lastUpdated: 1 })
+            .limit(limit)
+            .lean();
+    }
+
+    async countDueGames(now = new Date()) {
+        return Game.countDocuments(this.dueQuery(now));
+    }
+
+    // Steam requests a refresh batch takes: the details of each game plus the regional prices
+    requestCost(games) {
+        return games.length + this.regionalRequestCost(games);
+    }
+
+    // Regional prices are fetched for the whole batch, one multi-appid request per extra region
+    regionalRequestCost(games) {
+        if (!games.some((game) => !game.is_free)) return 0;
+
+        return REGIONS.SUPPORTED.filter((region) => region !== REGIONS.DEFAULT).length;
+    }
+
+    async getWishlistCounts() {
+        const counts = await User.aggregate([
+            { $unwind: '$wishlist' },
+            { $group: { _id: '$wishlist.appid', count: { $sum: 1 } } }
+        ]);
+
+        return new Map(counts.map(({ _id, count }) => [_id, count]));
+    }
+
+    _logScore(value, cap) {
+        if (!value || value <= 0) return 0;
+        return Math.min(1, Math.log10(value + 1) / Math.log10(cap + 1));
+    }
+
+    _priceChangesPerMonth(game, now) {
+        const priceChanges = (game.refresh && game.refresh.priceChanges) || 0;
+        if (priceChanges === 0) return 0;
+
+        const trackedSince = game.createdAt ? new Date(game.createdAt) : now;
+        const months = Math.max(1, (now - trackedSince) / (30 * DAY));
+
+        return priceChanges / months;
+    }
+}
+
+module.exports = new RefreshSchedulerService();
@@ -0,0 +1,84 @@
+const Game = require('../models/Game');
+const exchangeRateService = require('./exchangeRateService');
+const { REGIONS } = require('../config/constants');
+
+class RegionalPriceService {
+    async compareRegionalPrices(appid, { currency = 'USD', referenceRegion = REGIONS.DEFAULT } = {}) {
+        const game = await Game.findOne({ appid })
+            .select('appid name is_free price regionalPrices')
+            .lean();
+
+        if (!game) return null;
+
+        await exchangeRateService.ensureRates();
+
+        const targetCurrency = currency.toUpperCase();
+        const regionalPrices = { ...(game.regionalPrices || {}) };
+
+        if (game.price && !regionalPrices[REGIONS.DEFAULT]) {
+            regionalPrices[REGIONS.DEFAULT] = game.price;
+        }
+
+        const prices = [];
+        const unavailable = [];
+
+        Object.keys(regionalPrices).forEach((region) => {
+            const price = regionalPrices[region];
+
+            if (!price || typeof price.final !== 'number') {
+                unavailable.push({ region, reason: 'not_sold' });
+                return;
+            }
+
+            const date = price.lastChecked || new Date();
+            const final = exchangeRateService.convert(price.final, price.currency, targetCurrency, date);
+            const initial = exchangeRateService.convert(price.initial, price.currency, targetCurrency, date);
+
+            if (!final) {
+                unavailable.push({ region, reason: 'missing_exchange_rate', currency: price.currency });
+                return;
+            }
+
+            prices.push({
+                region,
+                price,
+                converted: {
+                    currency: targetCurrency,
+                    initial: initial ? initial.amount : null,
+                    final: final.amount,
+                    rateDate: final.rateDate
+                }
+            });
+        });
+
+        prices.sort((a, b) => a.converted.final - b.converted.final);
+
+        const reference = prices.find((entry) => entry.region === referenceRegion) || null;
+
+        prices.forEach((entry) => {
+            entry.differencePercent = this._differencePercent(entry.converted.final, reference);
+        });
+
+        return {
+            appid: game.appid,
+            name: game.name,
+            is_free: game.is_free,
+            currency: targetCurrency,
+            referenceRegion,
+            referencePrice: reference ? reference.converted.final : null,
+            cheapestRegion: prices.length > 0 ? prices[0].region : null,
+            prices,
+            unavailable
+        };
+    }
+
+    // eslint-disable-next-line class-methods-use-this -- helper kept next to the comparison it serves
+    _differencePercent(amount, reference) {
+        if (!reference || !reference.converted.final) return null;
+
+        const difference = ((amount - reference.converted.final) / reference.converted.final) * 100;
+        return Math.round(difference * 10) / 10;
+    }
+}
+
+module.exports = new RegionalPriceService();
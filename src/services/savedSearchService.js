@@ -0,0 +1,284 @@
+/* eslint-disable class-methods-use-this -- services are singletons that keep every operation on the instance */
+const mongoose = require('mongoose');
+const Game = require('../models/Game');
+const Alert = require('../models/Alert');
+const SavedSearch = require('../models/SavedSearch');
+const SavedSearchMatch = require('../models/SavedSearchMatch');
+const searchService = require('./searchService');
+const logger = require('../utils/logger');
+const { ALERT_TYPES } = require('../config/constants');
+
+const FILTER_FIELDS = [
+    'genre',
+    'publisher',
+    'developer',
+    'discountPercent',
+    'minDiscount',
+    'maxDiscount',
+    'isFree',
+    'subscriptionDiscount',
+    'onlyHistoricalLows',
+    'region'
+];
+
+class SavedSearchService {
+    constructor() {
+        this.maxSearchesPerUser = parseInt(process.env.SAVED_SEARCH_LIMIT || '20', 10);
+        this.maxTrackedMatches = parseInt(process.env.SAVED_SEARCH_MAX_MATCHES || '5000', 10);
+    }
+
+    async createSearch(ownerId, { name, filters }) {
+        const count = await SavedSearch.countDocuments({ owner: ownerId });
+        if (count >= this.maxSearchesPerUser) {
+            return null;
+        }
+
+        const search = await SavedSearch.create({
+            owner: ownerId,
+            name,
+            filters: this.pickFilters(filters)
+        });
+
+        // The first evaluation is the baseline, so only later additions are reported as new
+        await this.evaluateSearch(search.toObject());
+
+        return this.getSearch(ownerId, search._id);
+    }
+
+    async listSearches(ownerId) {
+        const searches = await SavedSearch.find({ owner: ownerId }).sort({ createdAt: -1 }).lean();
+        const unseen = await this._countUnseen(searches.map((search) => search._id));
+
+        return searches.map((search) => this._toPublicSearch(search, unseen.get(String(search._id)) || 0));
+    }
+
+    async getSearch(ownerId, searchId) {
+        const search = await this._findOwned(ownerId, searchId);
+        if (!search) return null;
+
+        const unseen = await this._countUnseen([search._id]);
+        return this._toPublicSearch(search, unseen.get(String(search._id)) || 0);
+    }
+
+    async updateSearch(ownerId, searchId, { name, filters }) {
+        const search = await this._findOwned(ownerId, searchId);
+        if (!search) return null;
+
+        const update = {};
+
+        if (name !== undefined) {
+            update.name = name;
+        }
+
+        if (filters !== undefined) {
+            update.filters = this.pickFilters(filters);
+        }
+
+        const updated = await SavedSearch.findOneAndUpdate(
+            { _id: search._id },
+            { $set: update, ...(filters !== undefined && { $unset: { lastEvaluatedAt: '' } }) },
+            { new: true }
+        ).lean();
+
+        if (filters !== undefined) {
+            // Different filters mean a different result set, so start a new baseline
+            await SavedSearchMatch.deleteMany({ search: search._id });
+            await this.evaluateSearch(updated);
+        }
+
+        return this.getSearch(ownerId, search._id);
+    }
+
+    async deleteSearch(ownerId, searchId) {
+        const search = await this._findOwned(ownerId, searchId);
+        if (!search) return false;
+
+        await SavedSearch.deleteOne({ _id: search._id });
+        await SavedSearchMatch.deleteMany({ search: search._id });
+        return true;
+    }
+
+    async getNewMatches(ownerId, searchId) {
+        const search = await this._findOwned(ownerId, searchId);
+        if (!search) return null;
+
+        const matches = await SavedSearchMatch.find({ search: search._id, seen: false })
+            .select('appid matchedAt')
+            .sort({ matchedAt: -1 })
+            .lean();
+
+        const games = await Game.find({ appid: { $in: matches.map((match) => match.appid) } })
+            .select('appid name header_image is_free price dealScore isHistoricalLow')
+            .lean();
+        const gamesById = new Map(games.map((game) => [game.appid, game]));
+
+        return {
+            search: this._toPublicSearch(search, matches.length),
+            total: matches.length,
+            matches: matches.map((match) => ({
+                appid: match.appid,
+                matchedAt: match.matchedAt,
+                game: gamesById.get(match.appid) || null
+            }))
+        };
+    }
+
+    async markMatchesAsSeen(ownerId, searchId) {
+        const search = await this._findOwned(ownerId, searchId);
+        if (!search) return null;
+
+        const result = await SavedSearchMatch.updateMany({ search: search._id, seen: false }, { $set: { seen: true } });
+        return result.modifiedCount;
+    }
+
+    async evaluateSearch(search) {
+        const isBaseline = !search.lastEvaluatedAt;
+        const query = searchService._buildQuery(search.filters || {});
+
+        // One over the cap tells a search that is too broad apart from one that just fits
+        const [current, tracked] = await Promise.all([
+            Game.find(query)
+                .select('appid')
+                .sort({ appid: 1 })
+                .limit(this.maxTrackedMatches + 1)
+                .lean(),
+            SavedSearchMatch.find({ search: search._id }).select('appid').lean()
+        ]);
+
+        if (current.length > this.maxTrackedMatches) {
+            return this._markOverLimit(search, query);
+        }
+
+        const currentIds = new Set(current.map((game) => game.appid));
+        const trackedIds = new Set(tracked.map((match) => match.appid));
+
+        const added = [...currentIds].filter((appid) => !trackedIds.has(appid));
+        const removed = [...trackedIds].filter((appid) => !currentIds.has(appid));
+        const now = new Date();
+
+        // Games that stop matching are forgotten, so they are reported again if they match later
+        if (removed.length > 0) {
+            await SavedSearchMatch.deleteMany({ search: search._id, appid: { $in: removed } });
+        }
+
+        if (added.length > 0) {
+            await SavedSearchMatch.insertMany(
+                added.map((appid) => ({
+                    search: search._id, appid, matchedAt: now, seen: isBaseline
+                })),
+                { ordered: false }
+            );
+        }
+
+        await SavedSearch.updateOne(
+            { _id: search._id },
+            { $set: { matchCount: currentIds.size, overLimit: false, lastEvaluatedAt: now } }
+        );
+
+        if (!isBaseline && added.length > 0) {
+            await Alert.create({
+                user: search.owner,
+                type: ALERT_TYPES.SAVED_SEARCH,
+                name: search.name,
+                savedSearch: search._id,
+                matchCount: added.length,
+                triggeredAt: now
+            });
+        }
+
+        return {
+            added: isBaseline ? 0 : added.length,
+            removed: removed.length,
+            total: currentIds.size
+        };
+    }
+
+    async evaluateAll() {
+        logger.info('Evaluating saved searches...');
+
+        const cursor = SavedSearch.find({}).lean().cursor();
+        let evaluated = 0;
+        let withNewMatches = 0;
+
+        /* eslint-disable no-await-in-loop -- the cursor is read one saved search at a time */
+        for (let search = await cursor.next(); search; search = await cursor.next()) {
+            try {
+                const result = await this.evaluateSearch(search);
+                evaluated += 1;
+
+                if (result.added > 0) {
+                    withNewMatches += 1;
+                }
+            } catch (error) {
+                logger.error(`Error evaluating saved search ${search._id}: ${error.message}`);
+            }
+        }
+        /* eslint-enable no-await-in-loop */
+
+        logger.info(`Evaluated ${evaluated} saved searches, ${withNewMatches} with new matches`);
+        return { evaluated, withNewMatches };
+    }
+
+    pickFilters(filters = {}) {
+        return FILTER_FIELDS.reduce((picked, field) => {
+            if (filters[field] !== undefined && filters[field] !== null && filters[field] !== '') {
+                picked[field] = filters[field];
+            }
+            return picked;
+        }, {});
+    }
+
+    // A truncated list would report the games past the cap as new or gone depending on which ones
+    // fit each time, so over-limit searches are not tracked. Their matches are dropped and the next
+    // evaluation under the cap starts a new baseline.
+    async _markOverLimit(search, query) {
+        const total = await Game.countDocuments(query);
+
+        logger.warn(`Saved search ${search._id} matches ${total} games, over the limit of ${this.maxTrackedMatches}`);
+
+        await SavedSearchMatch.deleteMany({ search: search._id });
+        await SavedSearch.updateOne(
+            { _id: search._id },
+            { $set: { matchCount: total, overLimit: true }, $unset: { lastEvaluatedAt: '' } }
+        );
+
+        return {
+            added: 0,
+            removed: 0,
+            total,
+            overLimit: true
+        };
+    }
+
+    async _findOwned(ownerId, searchId) {
+        if (!mongoose.Types.ObjectId.isValid(searchId)) return null;
+
+        return SavedSearch.findOne({ _id: searchId, owner: ownerId }).lean();
+    }
+
+    async _countUnseen(searchIds) {
+        if (searchIds.length === 0) return new Map();
+
+        const counts = await SavedSearchMatch.aggregate([
+            { $match: { search: { $in: searchIds }, seen: false } },
+            { $group: { _id: '$search', count: { $sum: 1 } } }
+        ]);
+
+        return new Map(counts.map((entry) => [String(entry._id), entry.count]));
+    }
+
+    _toPublicSearch(search, newMatches) {
+        return {
+            id: String(search._id),
+            name: search.name,
+            filters: search.filters || {},
+            matchCount: search.matchCount || 0,
+            overLimit: Boolean(search.overLimit),
+            newMatches,
+            lastEvaluatedAt: search.lastEvaluatedAt || null,
+            createdAt: search.createdAt
+        };
+    }
+}
+
+module.exports = new SavedSearchService();
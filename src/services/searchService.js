@@ -1,7 +1,13 @@
+/* eslint-disable class-methods-use-this -- services are singletons that keep every operation on the instance */
 const Game = require('../models/Game');
 const SteamService = require('./steamService');
+const providerRegistry = require('./providers');
+const exchangeRateService = require('./exchangeRateService');
 const { STEAM_FILTERS, STEAM_TYPES } = require('../config/steamConstants');
-const { PAGINATION } = require('../config/constants');
+const {
+    PAGINATION, REGIONS, SEARCH_SORTS, GAME_LIFECYCLES
+} = require('../config/constants');
+const { getRegionalPrice } = require('../utils/regionUtils');
 
 class SearchService {
 
@@ -15,13 +21,20 @@ class SearchService {
             const validPage = parseInt(page) || PAGINATION.DEFAULT_PAGE;
             const validPageSize = Math.min(parseInt(pageSize) || PAGINATION.DEFAULT_PAGE_SIZE, PAGINATION.MAX_PAGE_SIZE);
             const skip = (validPage - 1) * validPageSize;
+            const region = filters.region || REGIONS.DEFAULT;
+            const priceFields = region === REGIONS.DEFAULT ? 'price' : `regionalPrices.${region}`;
 
             const totalCount = await Game.countDocuments({});
             console.log('Total games in database:', totalCount); 
 
+            const sort = filters.sort === SEARCH_SORTS.DEAL_SCORE ? { dealScore: -1, appid: 1 } : {};
+
             const [games, total] = await Promise.all([
                 Game.find(query)
-                    .select('appid name type isMainType is_free developers publishers genres price_overview header_image lastUpdated')
+                    .select('appid name type isMainType is_free developers publishers genres price_overview '
+                        + `${priceFields} dealScore isHistoricalLow isNewLow historicalLow header_image lifecycle `
+                        + 'delistedAt lastUpdated')
+                    .sort(sort)
                     .skip(skip)
                     .limit(validPageSize),
                 Game.countDocuments(query)
@@ -43,8 +56,12 @@ class SearchService {
 
             // this._updateGamesDataAsync(games);
 
+            if (filters.currency) {
+                await exchangeRateService.ensureRates();
+            }
+
             return {
-                games: games.map(game => game.toObject()),
+                games: games.map((game) => this._withRegionalPrice(game.toObject(), region, filters.currency)),
                 pagination: {
                     page: validPage,
                     pageSize: validPageSize,
@@ -58,6 +75,110 @@ class SearchService {
         }
     }
 
+    // Games that left the Steam app list, most recently delisted first
+    async getDelistedGames(page = PAGINATION.DEFAULT_PAGE, pageSize = PAGINATION.DEFAULT_PAGE_SIZE) {
+        const query = { lifecycle: GAME_LIFECYCLES.DELISTED };
+
+        const [games, total] = await Promise.all([
+            Game.find(query)
+                .select('appid name type is_free developers publishers header_image price historicalLow delistedAt '
+                    + 'lastUpdated')
+                .sort({ delistedAt: -1, appid: 1 })
+                .skip((page - 1) * pageSize)
+                .limit(pageSize)
+                .lean(),
+            Game.countDocuments(query)
+        ]);
+
+        return {
+            games,
+            pagination: {
+                page,
+                pageSize,
+                total,
+                totalPages: Math.ceil(total / pageSize)
+            }
+        };
+    }
+
+    async getGameById(appid, region = REGIONS.DEFAULT, currency = null) {
+        const game = await Game.findOne({ appid })
+            .select('-__v')
+            .lean();
+
+        if (!game) return null;
+
+        if (currency) {
+            await exchangeRateService.ensureRates();
+        }
+
+        return {
+            ...this._withRegionalPrice(game, region, currency),
+            ...this._buildStoreComparison(game, currency)
+        };
+    }
+
+    _withRegionalPrice(game, region, currency) {
+        const price = getRegionalPrice(game, region);
+        const result = {
+            ...game,
+            region,
+            price: currency ? exchangeRateService.convertPrice(price, currency) : price
+        };
+
+        delete result.regionalPrices;
+        return result;
+    }
+
+    _buildStoreComparison(game, currency) {
+        const offers = (game.offers || []).map((offer) => (currency
+            ? { ...offer, price: exchangeRateService.convertPrice(offer.price, currency) }
+            : offer));
+        const primary = providerRegistry.getPrimary();
+
+        if (!offers.some((offer) => offer.store === primary.store) && (game.price || game.is_free)) {
+            offers.unshift({
+                ...primary.toOffer(game.appid, game),
+                price: currency ? exchangeRateService.convertPrice(game.price, currency) : game.price,
+                lastChecked: game.price ? game.price.lastChecked : game.lastUpdated
+            });
+        }
+
+        const finalPrice = (offer) => (offer.is_free ? 0 : offer.price && offer.price.final);
+        const hasPrice = (offer) => typeof finalPrice(offer) === 'number';
+
+        const primaryOffer = offers.find((offer) => offer.store === primary.store && offer.price);
+        const pricedOffer = primaryOffer || offers.find((offer) => offer.price);
+        const referenceCurrency = pricedOffer ? pricedOffer.price.currency : null;
+
+        const cheapest = offers
+            .filter((offer) => hasPrice(offer) && (offer.is_free || offer.price.currency === referenceCurrency))
+            .reduce((best, offer) => (!best || finalPrice(offer) < finalPrice(best) ? offer : best), null);
+
+        const stores = offers
+            .map((offer) => ({
+                store: offer.store,
+                productId: offer.productId,
+                name: offer.name,
+                url: offer.url,
+                is_free: offer.is_free || false,
+                price: offer.price || null,
+                match: offer.match,
+                lastChecked: offer.lastChecked,
+                isCheapest: cheapest !== null && offer.store === cheapest.store
+            }))
+            .sort((a, b) => {
+                if (!hasPrice(a)) return 1;
+                if (!hasPrice(b)) return -1;
+                return finalPrice(a) - finalPrice(b);
+            });
+
+        return {
+            stores,
+            cheapestStore: cheapest ? cheapest.store : null
+        };
+    }
+
     async _updateGamesDataAsync(games) {
         const currentTime = new Date();
         const TWO_HOURS = 2 * 60 * 60 * 1000;
@@ -108,6 +229,11 @@ class SearchService {
             }
         };
 
+        // Delisted games can no longer be bought, so their deals are hidden unless asked for
+        if (!filters.includeDelisted) {
+            query.lifecycle = { $ne: GAME_LIFECYCLES.DELISTED };
+        }
+
         if (filters.includeAllTypes === false) {
             query.isMainType = true;
         }
@@ -129,21 +255,44 @@ class SearchService {
         }
 
         if (filters.isFree !== undefined) {
-            query.is_free = filters.isFree === 'true';
+            // Saved searches and the routes pass a boolean, older callers the query string
+            query.is_free = filters.isFree === true || filters.isFree === 'true';
         }
 
-        if (filters.discountPercentage || filters.minDiscount || filters.maxDiscount) {
+        // discountPercentage is the name the filter had before, still accepted from older callers
+        const discountPercent = filters.discountPercent || filters.discountPercentage;
+
+        if (discountPercent || filters.minDiscount || filters.maxDiscount) {
             query.is_free = false;
+
+            const discountField = filters.region && filters.region !== REGIONS.DEFAULT
+                ? `regionalPrices.${filters.region}.discount_percent`
+                : 'price.discount_percent';
             
-            if (filters.discountPercentage) {
-                query['price_overview.discount_percent'] = parseInt(filters.discountPercentage);
-            } else if (filters.minDiscount) {
-                query['price_overview.discount_percent'] = { $gte: parseInt(filters.minDiscount) };
-            } else if (filters.maxDiscount) {
-                query['price_overview.discount_percent'] = { $lte: parseInt(filters.maxDiscount) };
+            if (discountPercent) {
+                query[discountField] = parseInt(discountPercent, 10);
+            } else {
+                // minDiscount and maxDiscount together give a range
+                query[discountField] = {};
+
+                if (filters.minDiscount) {
+                    query[discountField].$gte = parseInt(filters.minDiscount, 10);
+                }
+
+                if (filters.maxDiscount) {
+                    query[discountField].$lte = parseInt(filters.maxDiscount, 10);
+                }
             }
         }
 
+        if (filters.subscriptionDiscount) {
+            query['offers.price.subscription.discount_percent'] = { $gt: 0 };
+        }
+
+        if (filters.onlyHistoricalLows) {
+            query.isHistoricalLow = true;
+        }
+
         return query;
     }
 
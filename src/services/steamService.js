@@ -1,8 +1,13 @@
-const axios = require('axios');
+/* eslint-disable class-methods-use-this -- services are singletons that keep every operation on the instance */
 const NodeCache = require('node-cache');
 const Game = require('../models/Game');
 const { STEAM_TYPES, STEAM_FILTERS } = require('../config/steamConstants');
+const { REGIONS, GAME_LIFECYCLES } = require('../config/constants');
 const logger = require('../utils/logger');
+const { createHttpClient, withRetry } = require('../utils/httpClient');
+const TokenBucketThrottle = require('../utils/tokenBucketThrottle');
+const CircuitBreaker = require('../utils/circuitBreaker');
+const { normalizeTitle } = require('../utils/textUtils');
 
 class SteamService {
     constructor() {
@@ -12,56 +17,115 @@ class SteamService {
             useClones: false
         });
         
-        this.requestDelay = parseInt(process.env.STEAM_API_DELAY || '1000', 10);
         this.maxRetries = parseInt(process.env.STEAM_API_MAX_RETRIES || '3', 10);
         this.retryDelay = parseInt(process.env.STEAM_API_RETRY_DELAY || '2000', 10);
-        
-        this.api = axios.create({
-            timeout: 10000,
-            headers: {
-                'User-Agent': 'SalesAllSales/1.0.0'
-            }
-        });
-        
-        this.api.interceptors.response.use(
-            response => response,
-            async error => {
-                const { config, response } = error;
-                
-                if (response && (response.status === 404 || response.status === 403)) {
-                    return Promise.reject(error);
-                }
-                
-                if (!config || !config.retry) {
-                    return Promise.reject(error);
-                }
-                
-                if (config.retryCount >= this.maxRetries) {
-                    return Promise.reject(new Error(`Maximum retries (${this.maxRetries}) exceeded`));
+        this.storeUrl = process.env.STEAM_STORE_URL || 'https://store.steampowered.com';
+        this.webApiUrl = process.env.STEAM_WEB_API_URL || 'https://api.steampowered.com';
+
+        // Every Steam request in the process goes through this client, whatever the concurrency
+        // of the caller. The store API bans IPs that go over roughly 200 requests per 5 minutes.
+        this.throttle = new TokenBucketThrottle({
+            hosts: {
+                [new URL(this.storeUrl).host]: {
+                    ratePerMinute: parseFloat(process.env.STEAM_STORE_RATE_PER_MINUTE || '36'),
+                    burst: parseInt(process.env.STEAM_STORE_BURST || '5', 10)
+                },
+                [new URL(this.webApiUrl).host]: {
+                    ratePerMinute: parseFloat(process.env.STEAM_WEB_API_RATE_PER_MINUTE || '60'),
+                    burst: parseInt(process.env.STEAM_WEB_API_BURST || '5', 10)
                 }
-                
-                config.retryCount = config.retryCount || 0;
-                config.retryCount += 1;
-                
-                const delay = this.retryDelay * Math.pow(2, config.retryCount - 1);
-                logger.warn(`Retrying request to ${config.url} (attempt ${config.retryCount}/${this.maxRetries}) after ${delay}ms`);
-                
-                await new Promise(resolve => setTimeout(resolve, delay));
-                return this.api(config);
             }
-        );
+        });
+
+        // While Steam is down, requests fail right away instead of each one retrying with backoff
+        this.circuitBreaker = new CircuitBreaker({
+            name: 'steam',
+            windowSize: parseInt(process.env.STEAM_CIRCUIT_WINDOW || '20', 10),
+            minimumCalls: parseInt(process.env.STEAM_CIRCUIT_MIN_CALLS || '10', 10),
+            failureRateThreshold: parseFloat(process.env.STEAM_CIRCUIT_FAILURE_RATE || '0.5'),
+            openDuration: parseInt(process.env.STEAM_CIRCUIT_OPEN_DURATION || '60000', 10)
+        });
+
+        this.api = createHttpClient({
+            maxRetries: this.maxRetries,
+            retryDelay: this.retryDelay,
+            throttle: this.throttle,
+            circuitBreaker: this.circuitBreaker
+        });
     }
 
     withRetry(config) {
+        return withRetry(config);
+    }
+
+    getThrottleStatus() {
+        return this.throttle.getStatus();
+    }
+
+    getCircuitStatus() {
+        return this.circuitBreaker.getStatus();
+    }
+
+    // True while Steam is considered down and requests are rejected without being sent
+    isCircuitOpen() {
+        return this.circuitBreaker.isOpen();
+    }
+
+    // Full app list as published by Steam, without any filtering
+    async getAppList() {
+        const cacheKey = 'steam_app_list';
+
+        const cachedApps = this.cache.get(cacheKey);
+        if (cachedApps) {
+            return cachedApps;
+        }
+
+        const response = await this.api.get(
+            `${this.webApiUrl}/ISteamApps/GetAppList/v2/?key=${process.env.STEAM_API_KEY}`,
+            this.withRetry({})
+        );
+
+        if (!response.data || !response.data.applist || !response.data.applist.apps) {
+            throw new Error('Invalid response format from Steam API');
+        }
+
+        this.cache.set(cacheKey, response.data.applist.apps, 600);
+        return response.data.applist.apps;
+    }
+
+    // Games added or changed on Steam since a unix time, one page at a time. Unlike the full app
+    // list it needs an API key, and it never reports apps that were removed.
+    async getModifiedApps({ since = 0, lastAppid = 0, limit = 10000 } = {}) {
+        if (!process.env.STEAM_API_KEY) {
+            throw new Error('STEAM_API_KEY is required to list modified apps');
+        }
+
+        const response = await this.api.get(
+            `${this.webApiUrl}/IStoreService/GetAppList/v1/?key=${process.env.STEAM_API_KEY}`
+            + `&include_games=true&if_modified_since=${since}&last_appid=${lastAppid}&max_results=${limit}`,
+            this.withRetry({})
+        );
+
+        if (!response.data || !response.data.response) {
+            throw new Error('Invalid response format from Steam API');
+        }
+
+        // Steam answers an empty object when nothing changed
+        const { apps = [], have_more_results: haveMore, last_appid: nextAppid } = response.data.response;
+
         return {
-            ...config,
-            retry: true,
-            retryCount: 0
+            apps,
+            haveMore: Boolean(haveMore),
+            lastAppid: nextAppid || lastAppid
         };
     }
 
-    async delay() {
-        return new Promise(resolve => setTimeout(resolve, this.requestDelay));
+    // Leaves out unnamed apps, tests and demos
+    isCatalogGame(app) {
+        return Boolean(app.name)
+            && app.name.trim() !== ''
+            && !app.name.toLowerCase().includes('test')
+            && !app.name.toLowerCase().includes('demo');
     }
 
     async getGamesList() {
@@ -75,21 +139,9 @@ class SteamService {
         
         try {
             logger.info('Fetching games list from Steam API');
-            const response = await this.api.get(
-                `https://api.steampowered.com/ISteamApps/GetAppList/v2/?key=${process.env.STEAM_API_KEY}`,
-                this.withRetry({})
-            );
+            const apps = await this.getAppList();
             
-            if (!response.data || !response.data.applist || !response.data.applist.apps) {
-                throw new Error('Invalid response format from Steam API');
-            }
-            
-            const filteredGames = response.data.applist.apps.filter(game => 
-                game.name && 
-                game.name.trim() !== '' && 
-                !game.name.toLowerCase().includes('test') &&
-                !game.name.toLowerCase().includes('demo')
-            );
+            const filteredGames = apps.filter((game) => this.isCatalogGame(game));
             
             this.cache.set(cacheKey, filteredGames);
             logger.info(`Retrieved ${filteredGames.length} games from Steam API`);
@@ -101,13 +153,24 @@ class SteamService {
         }
     }
 
-    async getGameDetails(appid, name) {
+    async getGameDetails(appid, name, region = REGIONS.DEFAULT) {
         if (!appid) {
             logger.error('Invalid appid provided to getGameDetails');
             return null;
         }
-        
-        const cacheKey = `game_details_${appid}`;
+
+        try {
+            return await this.fetchGameDetails(appid, name, region);
+        } catch (error) {
+            logger.error(`Error getting details for game ${appid}: ${error.message}`);
+            return null;
+        }
+    }
+
+    // Like getGameDetails, but only resolves null when Steam has no store page for the app in the
+    // region; failed requests reject instead
+    async fetchGameDetails(appid, name, region = REGIONS.DEFAULT) {
+        const cacheKey = region === REGIONS.DEFAULT ? `game_details_${appid}` : `game_details_${appid}_${region}`;
         
         const cachedDetails = this.cache.get(cacheKey);
         if (cachedDetails) {
@@ -115,41 +178,105 @@ class SteamService {
             return cachedDetails;
         }
         
-        try {
-            await this.delay();
-            
-            logger.info(`Fetching details for game ${name || appid} (${appid})`);
-            const response = await this.api.get(
-                `https://store.steampowered.com/api/appdetails?appids=${appid}&cc=us`,
-                this.withRetry({})
-            );
-            
-            if (!response.data || !response.data[appid]) {
-                throw new Error('Invalid response from Steam API');
-            }
+        logger.info(`Fetching details for game ${name || appid} (${appid}) in region ${region}`);
+        const response = await this.api.get(
+            `${this.storeUrl}/api/appdetails?appids=${appid}&cc=${region}`,
+            this.withRetry({})
+        );
 
-            const gameData = response.data[appid];
+        if (!response.data || !response.data[appid]) {
+            throw new Error('Invalid response from Steam API');
+        }
 
-            if (!gameData.success) {
-                logger.warn(`No data available for game ${name || appid} (${appid})`);
-                return null;
-            }
+        const gameData = response.data[appid];
 
-            const data = gameData.data;
-            
-            if (!data || typeof data !== 'object') {
-                throw new Error('Invalid game data structure');
-            }
-
-            const processedData = this._processGameData(appid, name, data);
-            
-            this.cache.set(cacheKey, processedData, 1800);
-            
-            return processedData;
-        } catch (error) {
-            logger.error(`Error getting details for game ${appid}: ${error.message}`);
+        if (!gameData.success) {
+            logger.warn(`No data available for game ${name || appid} (${appid})`);
             return null;
         }
+
+        const { data } = gameData;
+
+        if (!data || typeof data !== 'object') {
+            throw new Error('Invalid game data structure');
+        }
+
+        const processedData = this._processGameData(appid, name, data);
+
+        this.cache.set(cacheKey, processedData, 1800);
+
+        return processedData;
+    }
+
+    async getRegionalPrice(appid, region) {
+        const cacheKey = `regional_price_${appid}_${region}`;
+
+        const cachedPrice = this.cache.get(cacheKey);
+        if (cachedPrice !== undefined) {
+            return cachedPrice;
+        }
+
+        const response = await this.api.get(
+            `${this.storeUrl}/api/appdetails?appids=${appid}&cc=${region}&filters=price_overview`,
+            this.withRetry({})
+        );
+
+        if (!response.data || !response.data[appid]) {
+            throw new Error('Invalid response from Steam API');
+        }
+
+        const regionData = response.data[appid];
+        const priceOverview = regionData.success && regionData.data ? regionData.data.price_overview : null;
+        const price = this._processPriceData(priceOverview);
+
+        this.cache.set(cacheKey, price, 1800);
+
+        return price;
+    }
+
+    // appdetails only accepts several appids at once when filtered to price_overview. Returns the
+    // price of each appid Steam knows about (null for free games); unknown appids are left out.
+    async getPricesBatch(appids, region = REGIONS.DEFAULT) {
+        const response = await this.api.get(
+            `${this.storeUrl}/api/appdetails?appids=${appids.join(',')}&cc=${region}&filters=price_overview`,
+            this.withRetry({})
+        );
+
+        if (!response.data || typeof response.data !== 'object') {
+            throw new Error('Invalid response from Steam API');
+        }
+
+        const prices = new Map();
+
+        appids.forEach((appid) => {
+            const appData = response.data[appid];
+            if (!appData || !appData.success) return;
+
+            // Free games come back with an empty array instead of an object
+            const priceOverview = appData.data && !Array.isArray(appData.data) ? appData.data.price_overview : null;
+            prices.set(appid, this._processPriceData(priceOverview));
+        });
+
+        return prices;
+    }
+
+    async getRegionalPrices(appid, regions = REGIONS.SUPPORTED) {
+        const prices = {};
+
+        /* eslint-disable no-await-in-loop -- an open circuit has to stop the remaining regions */
+        for (let i = 0; i < regions.length; i += 1) {
+            const region = regions[i];
+            try {
+                prices[region] = await this.getRegionalPrice(appid, region);
+            } catch (error) {
+                logger.error(`Error getting ${region} price for game ${appid}: ${error.message}`);
+
+                if (error.code === CircuitBreaker.CIRCUIT_OPEN) break;
+            }
+        }
+        /* eslint-enable no-await-in-loop */
+
+        return prices;
     }
 
     _processGameData(appid, name, data) {
@@ -159,13 +286,15 @@ class SteamService {
         const metacritic = this._processMetacriticData(data.metacritic);
         const recommendations = this._processRecommendationsData(data.recommendations);
         const price = !is_free ? this._processPriceData(data.price_overview) : null;
+        const gameName = data.name || name;
 
         return {
             appid,
             type: data.type || STEAM_TYPES.UNKNOWN,
             isMainType,
             is_free,
-            name: data.name || name,
+            name: gameName,
+            normalizedName: normalizeTitle(gameName),
             required_age: data.required_age || 0,
             developers: data.developers || [],
             publishers: data.publishers || [],
@@ -175,6 +304,10 @@ class SteamService {
             dlc: data.dlc || [],
             header_image: data.header_image || '',
             website: data.website || '',
+            releaseDate: this._processReleaseDate(data.release_date),
+            lifecycle: data.release_date && data.release_date.coming_soon
+                ? GAME_LIFECYCLES.COMING_SOON
+                : GAME_LIFECYCLES.ACTIVE,
             metacritic,
             recommendations,
             price,
@@ -182,6 +315,13 @@ class SteamService {
         };
     }
 
+    _processReleaseDate(releaseData) {
+        if (!releaseData || !releaseData.date) return null;
+
+        const releaseDate = new Date(releaseData.date);
+        return Number.isNaN(releaseDate.getTime()) ? null : releaseDate;
+    }
+
     _processMetacriticData(metacriticData) {
         if (!metacriticData) {
             return {
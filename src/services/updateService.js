@@ -1,82 +1,347 @@
+/* eslint-disable class-methods-use-this -- services are singletons that keep every operation on the instance */
 const cron = require('node-cron');
 const Game = require('../models/Game');
 const SteamService = require('./steamService');
+const providerRegistry = require('./providers');
+const matchingService = require('./matchingService');
+const priceHistoryService = require('./priceHistoryService');
+const dealService = require('./dealService');
+const alertService = require('./alertService');
+const webhookService = require('./webhookService');
+const savedSearchService = require('./savedSearchService');
+const refreshScheduler = require('./refreshSchedulerService');
+const catalogService = require('./catalogService');
+const jobService = require('./jobService');
+const lockService = require('./lockService');
 const logger = require('../utils/logger');
+const {
+    REGIONS, WEBHOOK_EVENTS, JOB_TYPES, LOCKS, CATALOG_SYNC_MODES, GAME_LIFECYCLES
+} = require('../config/constants');
+
+const UPDATE_PHASES = ['sync_new_games', 'update_games', 'store_offers', 'saved_searches'];
 
 class UpdateService {
     constructor() {
         this.requestDelay = 1000;
         this.concurrencyLimit = 5;
+        this.steamCheckInterval = 5000;
+        this.priceSweepBatchSize = parseInt(process.env.PRICE_SWEEP_BATCH_SIZE || '100', 10);
+        this.priceSweepRegions = (process.env.PRICE_SWEEP_REGIONS || REGIONS.DEFAULT)
+            .split(',')
+            .map((region) => region.trim().toLowerCase())
+            .filter((region) => REGIONS.SUPPORTED.includes(region));
+    }
+
+    // Holds the update while the Steam circuit breaker is open instead of failing every game.
+    // Returns false when the job is stopped while waiting.
+    async waitForSteam(job) {
+        if (!SteamService.isCircuitOpen()) return true;
+
+        logger.warn('Steam is unavailable, pausing the update until the circuit breaker lets requests through');
+
+        /* eslint-disable no-await-in-loop -- polls until the circuit breaker lets requests through */
+        while (SteamService.isCircuitOpen()) {
+            if (job?.stopping) return false;
+            await new Promise((resolve) => { setTimeout(resolve, this.steamCheckInterval); });
+        }
+        /* eslint-enable no-await-in-loop */
+
+        logger.info('Steam circuit breaker lets requests through again, resuming the update');
+        return true;
     }
 
-    async updateGameDetails(game) {
+    // regionalPrices are the game's prices fetched with the rest of its batch; without them
+    // they are requested for this game alone
+    async updateGameDetails(game, job, signals = {}, regionalPrices = null) {
         try {
-            const updatedGameData = await SteamService.getGameDetails(game.appid, game.name);
+            const updatedGameData = await SteamService.fetchGameDetails(game.appid, game.name);
             if (!updatedGameData) {
-                logger.warn(`No data available for game ${game.name} (${game.appid})`);
-                return null;
+                await this.markUnavailable(game, signals);
+                return game;
             }
 
-            if (this.hasPriceChanged(game, updatedGameData)) {
-                await Game.updateOne(
-                    { _id: game._id },
-                    { 
-                        $push: { priceHistory: game.price },
-                        $set: { 
-                            ...updatedGameData,
-                            lastUpdated: new Date()
-                        }
-                    },
-                    { 
-                        writeConcern: { w: 1 },
-                        bypassDocumentValidation: true
-                    }
-                );
-            } else {
-                await Game.updateOne(
-                    { _id: game._id },
-                    { 
-                        $set: { 
-                            ...updatedGameData,
-                            lastUpdated: new Date()
-                        }
+            const prices = await this.getRegionalPrices(game, updatedGameData, regionalPrices);
+            const deal = await dealService.evaluate(game, updatedGameData);
+            const priceChanged = this.hasPriceChanged(game, updatedGameData);
+            const now = new Date();
+            const priceChanges = ((game.refresh && game.refresh.priceChanges) || 0) + (priceChanged ? 1 : 0);
+            const refresh = refreshScheduler.schedule(
+                { ...game, ...updatedGameData, refresh: { priceChanges } },
+                signals,
+                now
+            );
+
+            // Only the catalog sync takes a game out of delisted
+            const { lifecycle, ...details } = updatedGameData;
+
+            await Game.updateOne(
+                { _id: game._id },
+                {
+                    $set: {
+                        ...details,
+                        ...(game.lifecycle !== GAME_LIFECYCLES.DELISTED && { lifecycle }),
+                        ...this.toRegionalPriceUpdate(prices),
+                        ...deal,
+                        'refresh.nextAt': refresh.nextAt,
+                        'refresh.priority': refresh.priority,
+                        lastUpdated: now
                     },
-                    { 
-                        writeConcern: { w: 1 },
-                        bypassDocumentValidation: true
-                    }
-                );
+                    ...(priceChanged && { $inc: { 'refresh.priceChanges': 1 } })
+                },
+                {
+                    writeConcern: { w: 1 },
+                    bypassDocumentValidation: true
+                }
+            );
+
+            await this.recordPriceChanges(game, prices);
+
+            if (priceChanged) {
+                await alertService.evaluatePriceChange(game, game.price, updatedGameData.price);
+                await this.notifyPriceChange(game, updatedGameData, deal);
             }
+
+            await this.saveOffer(game, providerRegistry.getPrimary(), game.appid, updatedGameData);
             
             logger.info(`Game updated successfully: ${game.name} (${game.appid})`);
             return game;
         } catch (error) {
             logger.error(`Error updating game ${game.appid}: ${error.message}`);
+            job?.addError(`Game ${game.appid}: ${error.message}`);
             return null;
         }
     }
 
+    // Steam has no store page for the game in the default region although the app is still listed,
+    // e.g. a region lock or a page taken down before the app leaves the list
+    async markUnavailable(game, signals = {}, now = new Date()) {
+        const refresh = refreshScheduler.schedule(game, signals, now);
+
+        logger.warn(`Game ${game.name} (${game.appid}) is not available in region ${REGIONS.DEFAULT}`);
+        await Game.updateOne(
+            { _id: game._id },
+            {
+                $set: {
+                    ...(game.lifecycle !== GAME_LIFECYCLES.DELISTED && {
+                        lifecycle: GAME_LIFECYCLES.UNAVAILABLE_IN_REGION
+                    }),
+                    'refresh.nextAt': refresh.nextAt,
+                    'refresh.priority': refresh.priority,
+                    lastUpdated: now
+                }
+            }
+        );
+    }
+
+    // Games whose app left the Steam app list are delisted, and active again if it comes back.
+    // Apps only leave the list in a full catalog sync, the incremental one never reports removals.
+    async syncLifecycles(catalogSync, now = new Date()) {
+        const delistedAppids = await Game.distinct('appid', { lifecycle: GAME_LIFECYCLES.DELISTED });
+        const stillUnlisted = new Set(await catalogService.getUnlistedAppids(delistedAppids));
+        const relistedAppids = delistedAppids.filter((appid) => !stillUnlisted.has(appid));
+
+        if (relistedAppids.length > 0) {
+            // Due right away, so the next refresh sets the lifecycle from the store page
+            await Game.updateMany(
+                { appid: { $in: relistedAppids } },
+                { $set: { lifecycle: GAME_LIFECYCLES.ACTIVE, delistedAt: null, 'refresh.nextAt': now } }
+            );
+            logger.info(`${relistedAppids.length} delisted games are back on Steam`);
+        }
+
+        if (catalogSync.mode !== CATALOG_SYNC_MODES.FULL) {
+            return { delisted: 0, relisted: relistedAppids.length };
+        }
+
+        // Only apps the catalog marked as removed: a game missing from the catalog is not proof it left Steam
+        const listedAppids = await Game.distinct('appid', { lifecycle: { $ne: GAME_LIFECYCLES.DELISTED } });
+        const unlistedAppids = await catalogService.getRemovedAppids(listedAppids);
+
+        if (unlistedAppids.length > 0) {
+            const games = await Game.find({ appid: { $in: unlistedAppids } }).select('appid name').lean();
+
+            await Game.updateMany(
+                { appid: { $in: unlistedAppids } },
+                { $set: { lifecycle: GAME_LIFECYCLES.DELISTED, delistedAt: now } }
+            );
+
+            /* eslint-disable no-await-in-loop -- keeps the outgoing webhook requests to one at a time */
+            for (let i = 0; i < games.length; i += 1) {
+                const game = games[i];
+                await webhookService.emit(WEBHOOK_EVENTS.GAME_DELISTED, {
+                    appid: game.appid,
+                    name: game.name,
+                    delistedAt: now
+                });
+            }
+            /* eslint-enable no-await-in-loop */
+
+            logger.info(`${unlistedAppids.length} games were delisted from Steam`);
+        }
+
+        return { delisted: unlistedAppids.length, relisted: relistedAppids.length };
+    }
+
+    async getRegionalPrices(game, updatedGameData, prefetched = null) {
+        const regions = REGIONS.SUPPORTED.filter((region) => region !== REGIONS.DEFAULT);
+        let prices = {};
+
+        if (!updatedGameData.is_free) {
+            prices = prefetched ? { ...prefetched } : await SteamService.getRegionalPrices(game.appid, regions);
+        }
+
+        prices[REGIONS.DEFAULT] = updatedGameData.price;
+
+        return prices;
+    }
+
+    // Regional prices of the paid games in a refresh batch, one multi-appid request per extra
+    // region instead of one per game and region. Returns appid -> { region: price }.
+    async getRegionalPricesBatch(games) {
+        const regions = REGIONS.SUPPORTED.filter((region) => region !== REGIONS.DEFAULT);
+        const appids = games.filter((game) => !game.is_free).map((game) => game.appid);
+        const pricesByAppid = new Map(appids.map((appid) => [appid, {}]));
+
+        if (appids.length === 0) return pricesByAppid;
+
+        /* eslint-disable no-await-in-loop -- an open circuit has to stop the remaining regions */
+        for (let i = 0; i < regions.length; i += 1) {
+            const region = regions[i];
+            if (SteamService.isCircuitOpen()) break;
+
+            try {
+                const prices = await SteamService.getPricesBatch(appids, region);
+                prices.forEach((price, appid) => {
+                    pricesByAppid.get(appid)[region] = price;
+                });
+            } catch (error) {
+                logger.error(`Error getting ${region} prices of ${appids.length} games: ${error.message}`);
+            }
+        }
+        /* eslint-enable no-await-in-loop */
+
+        return pricesByAppid;
+    }
+
+    toRegionalPriceUpdate(prices) {
+        return Object.keys(prices).reduce((update, region) => {
+            update[`regionalPrices.${region}`] = prices[region];
+            return update;
+        }, {});
+    }
+
+    async recordPriceChanges(game, prices) {
+        const previousPrices = game.regionalPrices || {};
+
+        const observations = Object.keys(prices)
+            .filter((region) => {
+                const previous = region === REGIONS.DEFAULT ? game.price : previousPrices[region];
+                return prices[region] && priceHistoryService.hasPriceChanged(previous, prices[region]);
+            })
+            .map((region) => priceHistoryService.toObservation(game.appid, prices[region], { region }));
+
+        return priceHistoryService.recordObservations(observations);
+    }
+
+    async notifyPriceChange(game, updatedGameData, deal) {
+        const change = {
+            appid: game.appid,
+            name: updatedGameData.name || game.name,
+            region: REGIONS.DEFAULT,
+            previousPrice: game.price || null,
+            price: updatedGameData.price || null
+        };
+
+        await webhookService.emit(WEBHOOK_EVENTS.PRICE_CHANGED, change);
+
+        if (deal.isHistoricalLow) {
+            await webhookService.emit(WEBHOOK_EVENTS.PRICE_HISTORICAL_LOW, {
+                ...change,
+                isNewLow: deal.isNewLow,
+                dealScore: deal.dealScore
+            });
+        }
+    }
+
+    async saveOffer(game, provider, productId, details, match) {
+        const offer = provider.toOffer(productId, details);
+        if (!offer) return null;
+
+        if (match) {
+            offer.match = match;
+        }
+
+        await Game.upsertOffer({ _id: game._id }, offer);
+        return offer;
+    }
+
+    async syncStoreOffers(provider) {
+        logger.info(`Linking new ${provider.store} products...`);
+
+        const catalog = await provider.listCatalog();
+        const linkedIds = new Set(await Game.distinct('offers.productId', { 'offers.store': provider.store }));
+        const newProducts = catalog.filter((product) => !linkedIds.has(String(product.productId)));
+
+        const linkProduct = async (product) => {
+            const result = await matchingService.findMatch(provider, product);
+            if (!result) return null;
+
+            const { game, details, match } = result;
+            logger.info(`Linked ${provider.store} product ${product.productId} to ${game.name} (${game.appid}) `
+                + `with confidence ${match.confidence}`);
+            return this.saveOffer(game, provider, product.productId, details, match);
+        };
+
+        const results = await this.processBatchWithConcurrency(newProducts, linkProduct);
+        const linked = results.filter((result) => result !== null).length;
+
+        logger.info(`Linked ${linked}/${newProducts.length} new ${provider.store} products`);
+        return { total: newProducts.length, linked };
+    }
+
+    async updateStoreOffers(provider) {
+        logger.info(`Updating ${provider.store} offers...`);
+
+        const games = await Game.find({ 'offers.store': provider.store })
+            .select('_id appid name offers')
+            .lean();
+
+        const refreshOffer = async (game) => {
+            const currentOffer = game.offers.find((offer) => offer.store === provider.store);
+            const details = await provider.fetchDetails(currentOffer.productId, currentOffer.name || game.name);
+
+            if (!details) {
+                logger.warn(`No ${provider.store} data available for ${game.name} (${currentOffer.productId})`);
+                return null;
+            }
+
+            return this.saveOffer(game, provider, currentOffer.productId, details, currentOffer.match);
+        };
+
+        const results = await this.processBatchWithConcurrency(games, refreshOffer);
+        const updated = results.filter((result) => result !== null).length;
+
+        logger.info(`Updated ${updated}/${games.length} ${provider.store} offers`);
+        return { total: games.length, updated };
+    }
+
     hasPriceChanged(oldGame, newGame) {
-        if (!oldGame.price && !newGame.price) return false;
-        if (!oldGame.price || !newGame.price) return true;
-        
-        return oldGame.price.final !== newGame.price.final ||
-               oldGame.price.initial !== newGame.price.initial ||
-               oldGame.price.discount_percent !== newGame.price.discount_percent;
+        return priceHistoryService.hasPriceChanged(oldGame.price, newGame.price);
     }
 
-    async processBatchWithConcurrency(items, asyncFn) {
+    async processBatchWithConcurrency(items, asyncFn, shouldStop = () => false) {
         const results = [];
         const inProgress = new Set();
         let index = 0;
 
         return new Promise((resolve) => {
             const processNext = async () => {
-                if (index >= items.length && inProgress.size === 0) {
+                // Once stopped, items already started are allowed to finish
+                if ((index >= items.length || shouldStop()) && inProgress.size === 0) {
                     return resolve(results);
                 }
 
-                while (index < items.length && inProgress.size < this.concurrencyLimit) {
+                while (index < items.length && inProgress.size < this.concurrencyLimit && !shouldStop()) {
                     const currentIndex = index++;
                     const item = items[currentIndex];
                     
@@ -99,102 +364,467 @@ class UpdateService {
         });
     }
 
-    async syncNewGames() {
+    // Fetches the details of at most `budget` new games, one Steam request each; the rest stay
+    // pending in the catalog for the next sync. Returns the saved games and the requests spent.
+    async syncNewGames(job, budget = refreshScheduler.requestsPerHour) {
         try {
             logger.info('Starting synchronization of new games...');
             
-            const steamGames = await SteamService.getGamesList();
+            const catalogSync = await catalogService.sync();
+            await this.syncLifecycles(catalogSync);
             
-            const existingIds = await Game.distinct('appid');
+            // Games stored before the catalog was tracked are only marked, not fetched again
+            const pendingApps = await catalogService.getPendingApps();
+            const existingIds = await Game.distinct('appid', { appid: { $in: pendingApps.map((app) => app.appid) } });
             const existingIdsSet = new Set(existingIds);
+            await catalogService.markStored(existingIds);
             
-            const newGames = steamGames.filter(game => !existingIdsSet.has(game.appid));
+            const newGames = pendingApps.filter((game) => !existingIdsSet.has(game.appid));
             
             if (newGames.length === 0) {
                 logger.info('No new games found to add.');
-                return [];
+                return { games: [], requests: 0 };
             }
-            
-            logger.info(`Found ${newGames.length} new games. Getting details...`);
+
+            const affordable = newGames.slice(0, Math.max(budget, 0));
+
+            if (affordable.length < newGames.length) {
+                const deferred = newGames.length - affordable.length;
+                logger.info(`Found ${newGames.length} new games, ${deferred} left for the next sync `
+                    + 'to stay within budget');
+            } else {
+                logger.info(`Found ${newGames.length} new games. Getting details...`);
+            }
+            job?.setTotal(affordable.length);
             
             const processGameDetails = async (game) => {
                 try {
                     const gameDetails = await SteamService.getGameDetails(game.appid, game.name);
-                    if (!gameDetails) return null;
+                    if (!gameDetails) {
+                        job?.addProgress({ failed: 1 });
+                        return null;
+                    }
                     
-                    const newGame = new Game(gameDetails);
+                    const steamOffer = providerRegistry.getPrimary().toOffer(game.appid, gameDetails);
+                    const newGame = new Game({
+                        ...gameDetails,
+                        offers: [steamOffer],
+                        refresh: refreshScheduler.schedule(gameDetails)
+                    });
                     await newGame.save({
                         writeConcern: { w: 0 },
                         bypassDocumentValidation: true,
                         ordered: false
                     });
+                    await catalogService.markStored([game.appid]);
+                    await priceHistoryService.recordObservations([
+                        priceHistoryService.toObservation(game.appid, gameDetails.price)
+                    ]);
+                    await webhookService.emit(WEBHOOK_EVENTS.GAME_ADDED, {
+                        appid: game.appid,
+                        name: gameDetails.name,
+                        type: gameDetails.type,
+                        is_free: gameDetails.is_free,
+                        price: gameDetails.price || null
+                    });
                     
                     logger.info(`Saved new game: ${game.name} (${game.appid})`);
+                    job?.addProgress({ succeeded: 1 });
                     return newGame;
                 } catch (error) {
                     logger.error(`Error saving game ${game.appid}: ${error.message}`);
+                    job?.addProgress({ failed: 1 });
+                    job?.addError(`Game ${game.appid}: ${error.message}`);
                     return null;
                 }
             };
             
-            const savedGames = await this.processBatchWithConcurrency(newGames, processGameDetails);
+            // Games left out while Steam is down are still missing next time, so the next sync picks them up
+            const savedGames = await this.processBatchWithConcurrency(
+                affordable,
+                processGameDetails,
+                () => Boolean(job?.stopping || SteamService.isCircuitOpen())
+            );
             const validSavedGames = savedGames.filter(game => game !== null);
             
             logger.info(`Synchronization completed. Saved ${validSavedGames.length} new games.`);
-            return validSavedGames;
+            // When stopped, only the first savedGames.length games were requested
+            return { games: validSavedGames, requests: savedGames.length };
         } catch (error) {
             logger.error(`Error in new games synchronization: ${error.message}`);
             throw error;
         }
     }
 
-    async updateAllGames() {
+    // Runs in phases and saves a checkpoint after each batch, so a run interrupted by a shutdown
+    // or a crash resumes where it stopped instead of starting over
+    async updateAllGames(job) {
         try {
-            logger.info('Starting update of all games...');
-            
-            await this.syncNewGames();
-            
-            const BATCH_SIZE = 100;
-            let skip = 0;
-            let hasMore = true;
-            
-            while (hasMore) {
-                const games = await Game.find({})
-                    .sort({ lastUpdated: 1 })
-                    .skip(skip)
-                    .limit(BATCH_SIZE)
-                    .lean();
-                
-                if (games.length === 0) {
-                    hasMore = false;
-                    break;
+            const checkpoint = job?.checkpoint || {};
+            const resumeIndex = Math.max(UPDATE_PHASES.indexOf(checkpoint.phase), 0);
+            const isPending = (phase) => UPDATE_PHASES.indexOf(phase) >= resumeIndex;
+            // Games that fall due after the run started are left for the next run
+            const runStartedAt = checkpoint.runStartedAt ? new Date(checkpoint.runStartedAt) : new Date();
+            const summary = {
+                newGames: checkpoint.newGames || 0,
+                updated: checkpoint.updated || 0,
+                failed: checkpoint.failed || 0
+            };
+            const saveCheckpoint = (phase, extra = {}) => job?.saveCheckpoint({
+                phase,
+                runStartedAt,
+                ...summary,
+                ...extra
+            });
+
+            logger.info(checkpoint.phase
+                ? `Resuming update of all games from phase ${checkpoint.phase}...`
+                : 'Starting update of all games...');
+
+            if (!checkpoint.phase) {
+                await saveCheckpoint('sync_new_games');
+            }
+
+            // New games and due games share the hourly request budget
+            let { budgetUsed } = checkpoint;
+
+            if (isPending('sync_new_games')) {
+                if (!(await this.waitForSteam(job))) return this.stopUpdate(job, summary);
+
+                job?.startPhase('sync_new_games');
+                const { games: newGames, requests } = await this.syncNewGames(job);
+                summary.newGames = newGames.length;
+                budgetUsed = requests;
+
+                if (job?.stopping) return this.stopUpdate(job, summary);
+                await saveCheckpoint('update_games', { budgetUsed });
+            }
+
+            if (isPending('update_games')) {
+                await this.refreshDueGames(job, runStartedAt, budgetUsed, summary, saveCheckpoint);
+
+                if (job?.stopping) return this.stopUpdate(job, summary);
+                await saveCheckpoint('store_offers', { stores: [] });
+            }
+
+            job?.startPhase('store_offers');
+            const doneStores = new Set(checkpoint.phase === 'store_offers' ? checkpoint.stores : []);
+
+            const providers = providerRegistry.getSecondary().filter((provider) => !doneStores.has(provider.store));
+
+            /* eslint-disable no-await-in-loop -- each store is checkpointed once it is done */
+            for (let i = 0; i < providers.length; i += 1) {
+                const provider = providers[i];
+                if (job?.stopping) return this.stopUpdate(job, summary);
+
+                try {
+                    await this.updateStoreOffers(provider);
+                    await this.syncStoreOffers(provider);
+                } catch (error) {
+                    logger.error(`Error updating ${provider.store} offers: ${error.message}`);
+                    job?.addError(`${provider.store} offers: ${error.message}`);
                 }
-                
-                logger.info(`Processing batch of ${games.length} games (skip: ${skip})`);
-                
-                await this.processBatchWithConcurrency(games, (game) => this.updateGameDetails(game));
-                
-                skip += BATCH_SIZE;
+
+                doneStores.add(provider.store);
+                await saveCheckpoint('store_offers', { stores: [...doneStores] });
             }
+            /* eslint-enable no-await-in-loop */
+
+            if (job?.stopping) return this.stopUpdate(job, summary);
+            await saveCheckpoint('saved_searches');
+
+            // Runs once prices are settled so each saved search is diffed against the final result set
+            job?.startPhase('saved_searches');
+            await savedSearchService.evaluateAll();
             
             logger.info('Game update completed successfully');
+            return summary;
         } catch (error) {
             logger.error(`Error in mass update: ${error.message}`);
+            throw error;
+        }
+    }
+
+    // Refreshes the games whose next refresh is due, most overdue first, until the hourly
+    // request budget is spent. Every refreshed or failed game is rescheduled into the future,
+    // so it drops out of the due set and the next batch is simply the next due games.
+    async refreshDueGames(job, runStartedAt, budgetUsed, summary, saveCheckpoint) {
+        const BATCH_SIZE = 100;
+        const budget = refreshScheduler.requestsPerHour;
+        const signals = { wishlistCounts: await refreshScheduler.getWishlistCounts() };
+        let used = budgetUsed || 0;
+
+        job?.startPhase('update_games');
+        job?.setTotal(await refreshScheduler.countDueGames(runStartedAt));
+
+        /* eslint-disable no-await-in-loop -- each batch is sized by the request budget the previous ones left */
+        while (!job?.stopping && used < budget) {
+            if (!(await this.waitForSteam(job))) break;
+
+            const games = await refreshScheduler.getDueGames(runStartedAt, BATCH_SIZE);
+            if (games.length === 0) break;
+
+            const affordable = [];
+
+            for (let i = 0; i < games.length; i += 1) {
+                const game = games[i];
+                if (used + refreshScheduler.requestCost([...affordable, game]) > budget) break;
+                affordable.push(game);
+            }
+
+            if (affordable.length === 0) break;
+
+            logger.info(`Refreshing batch of ${affordable.length} due games (budget used: ${used}/${budget})`);
+
+            const regionalPrices = await this.getRegionalPricesBatch(affordable);
+            const results = await this.processBatchWithConcurrency(
+                affordable,
+                async (game) => {
+                    const updated = await this.updateGameDetails(game, job, signals, regionalPrices.get(game.appid));
+                    // Games that failed because Steam went down stay due and are retried once it is back
+                    if (!updated && !SteamService.isCircuitOpen()) await refreshScheduler.postpone(game);
+                    return updated;
+                },
+                () => Boolean(job?.stopping || SteamService.isCircuitOpen())
+            );
+            // When stopped, only the first results.length games were started
+            const started = affordable.slice(0, results.length);
+            const batchUpdated = results.filter(Boolean).length;
+            const batchFailed = results.length - batchUpdated;
+
+            used += refreshScheduler.regionalRequestCost(affordable) + started.length;
+            summary.updated += batchUpdated;
+            summary.failed += batchFailed;
+            job?.addProgress({ succeeded: batchUpdated, failed: batchFailed });
+
+            await saveCheckpoint('update_games', { budgetUsed: used });
+        }
+        /* eslint-enable no-await-in-loop */
+
+        summary.budgetUsed = used;
+
+        if (used >= budget) {
+            const deferred = await refreshScheduler.countDueGames(runStartedAt);
+            logger.info(`Hourly refresh budget of ${budget} requests spent, `
+                + `${deferred} due games left for the next run`);
+        }
+    }
+
+    // Refreshes only the prices of every paid game, many appids per request, walking the
+    // catalog by appid. Much cheaper than the full refresh, so it can run every few minutes.
+    async sweepPrices(job) {
+        const checkpoint = job?.checkpoint || {};
+        const summary = {
+            checked: checkpoint.checked || 0,
+            changed: checkpoint.changed || 0,
+            missing: checkpoint.missing || 0,
+            failed: checkpoint.failed || 0
+        };
+        const paidGames = { is_free: { $ne: true }, lifecycle: { $ne: GAME_LIFECYCLES.DELISTED } };
+        let lastAppid = checkpoint.lastAppid || 0;
+
+        job?.startPhase('price_sweep');
+        job?.setTotal(await Game.countDocuments({ ...paidGames, appid: { $gt: lastAppid } }));
+        logger.info(lastAppid
+            ? `Resuming price sweep after appid ${lastAppid}...`
+            : `Starting price sweep for regions ${this.priceSweepRegions.join(', ')}...`);
+
+        /* eslint-disable no-await-in-loop -- each batch starts after the last appid of the previous one */
+        while (!job?.stopping) {
+            if (!(await this.waitForSteam(job))) break;
+
+            const games = await Game.find({ ...paidGames, appid: { $gt: lastAppid } })
+                .select('_id appid name price regionalPrices historicalLow metacritic recommendations')
+                .sort({ appid: 1 })
+                .limit(this.priceSweepBatchSize)
+                .lean();
+
+            if (games.length === 0) break;
+
+            let retryBatch = false;
+
+            try {
+                const result = await this.sweepPriceBatch(games);
+
+                summary.checked += games.length;
+                summary.changed += result.changed;
+                summary.missing += result.missing;
+                job?.addProgress({ succeeded: games.length });
+            } catch (error) {
+                // The batch is tried again once Steam is back
+                retryBatch = SteamService.isCircuitOpen();
+
+                if (!retryBatch) {
+                    logger.error(`Error sweeping prices after appid ${lastAppid}: ${error.message}`);
+                    const appidRange = `${games[0].appid}-${games[games.length - 1].appid}`;
+                    job?.addError(`Prices of appids ${appidRange}: ${error.message}`);
+                    summary.failed += games.length;
+                    job?.addProgress({ failed: games.length });
+                }
+            }
+
+            if (!retryBatch) {
+                lastAppid = games[games.length - 1].appid;
+                await job?.saveCheckpoint({ lastAppid, ...summary });
+            }
         }
+        /* eslint-enable no-await-in-loop */
+
+        logger.info(`Price sweep ${job?.stopping ? 'stopped' : 'completed'}: ${summary.checked} games checked, `
+            + `${summary.changed} prices changed`);
+        return summary;
+    }
+
+    async sweepPriceBatch(games) {
+        const appids = games.map((game) => game.appid);
+        const pricesByRegion = {};
+
+        /* eslint-disable no-await-in-loop -- the regions share Steam's rate limit */
+        for (let i = 0; i < this.priceSweepRegions.length; i += 1) {
+            const region = this.priceSweepRegions[i];
+            pricesByRegion[region] = await SteamService.getPricesBatch(appids, region);
+        }
+        /* eslint-enable no-await-in-loop */
+
+        const unchanged = [];
+        let changed = 0;
+        let missing = 0;
+
+        /* eslint-disable no-await-in-loop -- writes are spread out rather than sent at once */
+        for (let i = 0; i < games.length; i += 1) {
+            const game = games[i];
+            // Games that turned free or vanished from the store are left to the full refresh
+            const prices = this.priceSweepRegions.reduce((found, region) => {
+                const price = pricesByRegion[region].get(game.appid);
+                if (price) {
+                    found[region] = price;
+                }
+                return found;
+            }, {});
+
+            if (Object.keys(prices).length === 0) {
+                missing += 1;
+            } else if (await this.applyPrices(game, prices)) {
+                changed += 1;
+            } else {
+                unchanged.push(game._id);
+            }
+        }
+        /* eslint-enable no-await-in-loop */
+
+        // Games without a default price have nothing to mark as checked
+        if (unchanged.length > 0) {
+            await Game.updateMany(
+                { _id: { $in: unchanged }, price: { $type: 'object' } },
+                { $set: { 'price.lastChecked': new Date() } }
+            );
+        }
+
+        return { changed, missing };
+    }
+
+    // Saves the prices of a game found by the sweep; returns false when none of them changed
+    async applyPrices(game, prices) {
+        const previousPrices = game.regionalPrices || {};
+        const changedRegions = Object.keys(prices).filter((region) => {
+            const previous = region === REGIONS.DEFAULT ? game.price : previousPrices[region];
+            return priceHistoryService.hasPriceChanged(previous, prices[region]);
+        });
+
+        if (changedRegions.length === 0) return false;
+
+        const priceChanged = changedRegions.includes(REGIONS.DEFAULT);
+        const updatedGameData = { name: game.name, is_free: false, price: prices[REGIONS.DEFAULT] };
+        const deal = priceChanged ? await dealService.evaluate(game, updatedGameData) : {};
+        const update = {
+            ...this.toRegionalPriceUpdate(prices),
+            ...deal
+        };
+
+        if (priceChanged) {
+            update.price = updatedGameData.price;
+        } else if (game.price) {
+            // The sweep saw the game even though only other regions changed
+            update['price.lastChecked'] = new Date();
+        }
+
+        await Game.updateOne(
+            { _id: game._id },
+            {
+                $set: update,
+                ...(priceChanged && { $inc: { 'refresh.priceChanges': 1 } })
+            }
+        );
+
+        await this.recordPriceChanges(game, prices);
+
+        if (priceChanged) {
+            await alertService.evaluatePriceChange(game, game.price, updatedGameData.price);
+            await this.notifyPriceChange(game, updatedGameData, deal);
+            await this.saveOffer(game, providerRegistry.getPrimary(), game.appid, updatedGameData);
+        }
+
+        return true;
+    }
+
+    stopUpdate(job, summary) {
+        logger.info(`Game update ${job.cancelled ? 'cancelled' : 'interrupted, it resumes from its checkpoint'}`);
+        return summary;
+    }
+
+    // Scheduled runs go through the job queue, so they show up in /api/jobs and never overlap.
+    // Every instance runs the crons; the lock keeps them from queuing the same run side by side.
+    async scheduleJob(type, lock, label) {
+        try {
+            const { acquired, lost, result } = await lockService.runExclusive(
+                lock,
+                () => jobService.enqueue(type, {}, { requestedBy: 'cron' })
+            );
+
+            if (!acquired) {
+                logger.info(`Skipping scheduled ${label}, another instance is queuing it`);
+            } else if (lost) {
+                logger.warn(`Lost the ${label} scheduling lock while queuing, `
+                    + 'the job queue keeps the runs from overlapping');
+            } else if (!result.created) {
+                logger.info(`Skipping scheduled ${label}, job ${result.job.id} is already ${result.job.status}`);
+            }
+        } catch (error) {
+            logger.error(`Error scheduling ${label}: ${error.message}`);
+        }
+    }
+
+    scheduleUpdate() {
+        return this.scheduleJob(JOB_TYPES.UPDATE_ALL_GAMES, LOCKS.UPDATE_SCHEDULER, 'update');
+    }
+
+    schedulePriceSweep() {
+        return this.scheduleJob(JOB_TYPES.PRICE_SWEEP, LOCKS.PRICE_SWEEP_SCHEDULER, 'price sweep');
     }
 
     startUpdateCron() {
-        this.updateAllGames();
+        this.scheduleUpdate();
         
-        const cronSchedule = process.env.UPDATE_CRON_SCHEDULE || '0 */2 * * *';
+        // Hourly, because each run spends at most REFRESH_REQUESTS_PER_HOUR requests
+        const cronSchedule = process.env.UPDATE_CRON_SCHEDULE || '0 * * * *';
         cron.schedule(cronSchedule, () => {
             logger.info('Starting scheduled update...');
-            this.updateAllGames();
+            this.scheduleUpdate();
         });
         
         logger.info(`Update cronjob configured to run with schedule: ${cronSchedule}`);
     }
 
+    startPriceSweepCron() {
+        const cronSchedule = process.env.PRICE_SWEEP_CRON_SCHEDULE || '*/30 * * * *';
+        cron.schedule(cronSchedule, () => {
+            logger.info('Starting scheduled price sweep...');
+            this.schedulePriceSweep();
+        });
+
+        logger.info(`Price sweep cronjob configured to run with schedule: ${cronSchedule}`);
+    }
+
     async createIndexesInBackground() {
         try {
             logger.info('Creating indexes in background...');
@@ -0,0 +1,124 @@
+/* eslint-disable class-methods-use-this -- services are singletons that keep every operation on the instance */
+const mongoose = require('mongoose');
+const ApiKeyUsage = require('../models/ApiKeyUsage');
+const logger = require('../utils/logger');
+
+const DAY_IN_MS = 24 * 60 * 60 * 1000;
+
+const toDay = (date) => date.toISOString().slice(0, 10);
+const toMonth = (date) => date.toISOString().slice(0, 7);
+
+class UsageService {
+    constructor() {
+        this.flushInterval = parseInt(process.env.USAGE_FLUSH_INTERVAL || '10000', 10);
+        // Enough to report the last 12 months
+        this.retentionDays = 400;
+        this.pending = new Map();
+        this.timer = null;
+    }
+
+    // Counts are buffered in memory and written in bulk, so requests do not wait for the database
+    record(apiKeyId, now = new Date()) {
+        const bufferKey = `${apiKeyId}|${toDay(now)}`;
+        this.pending.set(bufferKey, (this.pending.get(bufferKey) || 0) + 1);
+    }
+
+    async flush() {
+        if (this.pending.size === 0) return 0;
+
+        const { pending } = this;
+        this.pending = new Map();
+
+        const operations = [...pending].map(([bufferKey, requests]) => {
+            const [apiKey, day] = bufferKey.split('|');
+
+            return {
+                updateOne: {
+                    filter: { apiKey, day },
+                    update: {
+                        $inc: { requests },
+                        $setOnInsert: { expiresAt: new Date(Date.parse(day) + this.retentionDays * DAY_IN_MS) }
+                    },
+                    upsert: true
+                }
+            };
+        });
+
+        try {
+            await ApiKeyUsage.bulkWrite(operations, { ordered: false });
+        } catch (error) {
+            // Put the counts back so they are written on the next flush
+            pending.forEach((requests, bufferKey) => {
+                this.pending.set(bufferKey, (this.pending.get(bufferKey) || 0) + requests);
+            });
+            logger.error(`Error saving API key usage: ${error.message}`);
+        }
+
+        return operations.length;
+    }
+
+    startFlushing() {
+        if (this.timer) return;
+
+        this.timer = setInterval(() => this.flush(), this.flushInterval);
+        this.timer.unref();
+    }
+
+    async stopFlushing() {
+        clearInterval(this.timer);
+        this.timer = null;
+        await this.flush();
+    }
+
+    async getUsage(apiKeyId, { days = 30, months = 12 } = {}, now = new Date()) {
+        const firstDay = toDay(new Date(now.getTime() - (days - 1) * DAY_IN_MS));
+        const firstMonth = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth() - (months - 1), 1));
+        const apiKey = new mongoose.Types.ObjectId(String(apiKeyId));
+
+        const [daily, monthly] = await Promise.all([
+            ApiKeyUsage.find({ apiKey, day: { $gte: firstDay } })
+                .select('day requests')
+                .sort({ day: -1 })
+                .lean(),
+            ApiKeyUsage.aggregate([
+                { $match: { apiKey, day: { $gte: toDay(firstMonth) } } },
+                { $group: { _id: { $substrBytes: ['$day', 0, 7] }, requests: { $sum: '$requests' } } },
+                { $sort: { _id: -1 } }
+            ])
+        ]);
+
+        // Requests still in the buffer are included so the report is up to date
+        const pendingToday = this.pending.get(`${apiKeyId}|${toDay(now)}`) || 0;
+        const dailyUsage = daily.map((entry) => ({ day: entry.day, requests: entry.requests }));
+        const monthlyUsage = monthly.map((entry) => ({ month: entry._id, requests: entry.requests }));
+
+        if (pendingToday > 0) {
+            this._addRequests(dailyUsage, 'day', toDay(now), pendingToday);
+            this._addRequests(monthlyUsage, 'month', toMonth(now), pendingToday);
+        }
+
+        return {
+            today: this._findRequests(dailyUsage, 'day', toDay(now)),
+            thisMonth: this._findRequests(monthlyUsage, 'month', toMonth(now)),
+            daily: dailyUsage,
+            monthly: monthlyUsage
+        };
+    }
+
+    _addRequests(entries, field, period, requests) {
+        const entry = entries.find((item) => item[field] === period);
+
+        if (entry) {
+            entry.requests += requests;
+        } else {
+            entries.unshift({ [field]: period, requests });
+        }
+    }
+
+    _findRequests(entries, field, period) {
+        const entry = entries.find((item) => item[field] === period);
+        return entry ? entry.requests : 0;
+    }
+}
+
+module.exports = new UsageService();
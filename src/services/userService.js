@@ -0,0 +1,151 @@
+/* eslint-disable class-methods-use-this -- services are singletons that keep every operation on the instance */
+const bcrypt = require('bcryptjs');
+const jwt = require('jsonwebtoken');
+const User = require('../models/User');
+const Game = require('../models/Game');
+const logger = require('../utils/logger');
+
+class UserService {
+    constructor() {
+        this.jwtSecret = process.env.JWT_SECRET;
+        this.jwtExpiresIn = process.env.JWT_EXPIRES_IN || '7d';
+        this.saltRounds = parseInt(process.env.BCRYPT_SALT_ROUNDS || '10', 10);
+        this.minPasswordLength = 8;
+    }
+
+    async register({ email, password, name }) {
+        const normalizedEmail = this._normalizeEmail(email);
+
+        if (await User.exists({ email: normalizedEmail })) {
+            return null;
+        }
+
+        const passwordHash = await bcrypt.hash(password, this.saltRounds);
+        const user = await User.create({ email: normalizedEmail, passwordHash, name });
+
+        logger.info(`Registered user ${user._id}`);
+        return this._createSession(user);
+    }
+
+    async authenticate(email, password) {
+        const user = await User.findOne({ email: this._normalizeEmail(email) }).select('+passwordHash');
+
+        if (!user || !(await bcrypt.compare(password, user.passwordHash))) {
+            return null;
+        }
+
+        await User.updateOne({ _id: user._id }, { $set: { lastLoginAt: new Date() } });
+        return this._createSession(user);
+    }
+
+    verifyToken(token) {
+        const payload = jwt.verify(token, this._getSecret());
+        return { id: payload.sub, email: payload.email };
+    }
+
+    async getUser(userId) {
+        const user = await User.findById(userId).lean();
+        return user ? this._toPublicUser(user) : null;
+    }
+
+    async getWishlist(userId) {
+        const user = await User.findById(userId).select('wishlist').lean();
+        if (!user) return null;
+
+        const appids = user.wishlist.map((item) => item.appid);
+        const games = await Game.find({ appid: { $in: appids } })
+            .select('appid name header_image is_free price dealScore isHistoricalLow')
+            .lean();
+        const gamesById = new Map(games.map((game) => [game.appid, game]));
+
+        return user.wishlist.map((item) => ({
+            ...item,
+            game: gamesById.get(item.appid) || null
+        }));
+    }
+
+    async saveWishlistItem(userId, appid, { targetPrice, targetDiscount } = {}) {
+        if (!(await Game.exists({ appid }))) {
+            return null;
+        }
+
+        const targets = { targetPrice, targetDiscount };
+        const update = { $set: {}, $unset: {} };
+
+        // Omitted targets are cleared so a PUT always describes the whole item
+        Object.keys(targets).forEach((field) => {
+            if (targets[field] === undefined) {
+                update.$unset[`wishlist.$.${field}`] = '';
+            } else {
+                update.$set[`wishlist.$.${field}`] = targets[field];
+            }
+        });
+
+        Object.keys(update).forEach((operator) => {
+            if (Object.keys(update[operator]).length === 0) {
+                delete update[operator];
+            }
+        });
+
+        const result = await User.updateOne({ _id: userId, 'wishlist.appid': appid }, update);
+
+        if (result.matchedCount === 0) {
+            await User.updateOne({ _id: userId }, { $push: { wishlist: { appid, ...targets, addedAt: new Date() } } });
+        }
+
+        return { appid, ...targets };
+    }
+
+    async removeWishlistItem(userId, appid) {
+        const result = await User.updateOne(
+            { _id: userId, 'wishlist.appid': appid },
+            { $pull: { wishlist: { appid } } }
+        );
+
+        return result.modifiedCount > 0;
+    }
+
+    isValidEmail(email) {
+        return typeof email === 'string' && /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email.trim());
+    }
+
+    isValidPassword(password) {
+        return typeof password === 'string' && password.length >= this.minPasswordLength;
+    }
+
+    _createSession(user) {
+        const token = jwt.sign(
+            { email: user.email },
+            this._getSecret(),
+            { subject: String(user._id), expiresIn: this.jwtExpiresIn }
+        );
+
+        return {
+            token,
+            user: this._toPublicUser(user)
+        };
+    }
+
+    _toPublicUser(user) {
+        return {
+            id: String(user._id),
+            email: user.email,
+            name: user.name,
+            createdAt: user.createdAt
+        };
+    }
+
+    _normalizeEmail(email) {
+        return String(email || '').trim().toLowerCase();
+    }
+
+    _getSecret() {
+        if (!this.jwtSecret) {
+            throw new Error('JWT_SECRET is not configured');
+        }
+
+        return this.jwtSecret;
+    }
+}
+
+module.exports = new UserService();
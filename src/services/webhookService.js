@@ -0,0 +1,301 @@
+/* eslint-disable class-methods-use-this -- services are singletons that keep every operation on the instance */
+const crypto = require('crypto');
+const cron = require('node-cron');
+const mongoose = require('mongoose');
+const NodeCache = require('node-cache');
+const Webhook = require('../models/Webhook');
+const WebhookDelivery = require('../models/WebhookDelivery');
+const logger = require('../utils/logger');
+const { createHttpClient } = require('../utils/httpClient');
+const { isPublicUrl, publicLookup } = require('../utils/urlGuard');
+const { WEBHOOK_EVENTS } = require('../config/constants');
+
+const SUBSCRIBERS_CACHE_KEY = 'webhook_subscribers';
+
+class WebhookService {
+    constructor() {
+        this.maxAttempts = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS || '6', 10);
+        this.retryDelay = parseInt(process.env.WEBHOOK_RETRY_DELAY || '60000', 10);
+        this.staleDeliveryTimeout = 5 * 60 * 1000;
+        this.retryBatchSize = 100;
+        this.cache = new NodeCache({ stdTTL: 60 });
+        this.client = createHttpClient({
+            timeout: parseInt(process.env.WEBHOOK_TIMEOUT || '10000', 10),
+            headers: { 'Content-Type': 'application/json' },
+            // Webhook URLs come from API users: never connect to private addresses or follow redirects there
+            lookup: publicLookup,
+            maxRedirects: 0
+        });
+    }
+
+    async createWebhook(ownerId, {
+        url, events, secret, description
+    }) {
+        const webhook = await Webhook.create({
+            owner: ownerId,
+            url,
+            events,
+            secret: secret || crypto.randomBytes(24).toString('hex'),
+            description
+        });
+
+        this.cache.del(SUBSCRIBERS_CACHE_KEY);
+        logger.info(`Registered webhook ${webhook._id} for ${events.join(', ')}`);
+
+        // The secret is only returned once, when the webhook is created
+        return { ...this._toPublicWebhook(webhook.toObject()), secret: webhook.secret };
+    }
+
+    async listWebhooks(ownerId) {
+        const webhooks = await Webhook.find({ owner: ownerId }).sort({ createdAt: -1 }).lean();
+        return webhooks.map((webhook) => this._toPublicWebhook(webhook));
+    }
+
+    async getWebhook(ownerId, webhookId) {
+        if (!mongoose.Types.ObjectId.isValid(webhookId)) return null;
+
+        const webhook = await Webhook.findOne({ _id: webhookId, owner: ownerId }).lean();
+        return webhook ? this._toPublicWebhook(webhook) : null;
+    }
+
+    async updateWebhook(ownerId, webhookId, changes) {
+        if (!mongoose.Types.ObjectId.isValid(webhookId)) return null;
+
+        const update = {};
+        ['url', 'events', 'secret', 'description', 'active'].forEach((field) => {
+            if (changes[field] !== undefined) {
+                update[field] = changes[field];
+            }
+        });
+
+        const webhook = await Webhook.findOneAndUpdate(
+            { _id: webhookId, owner: ownerId },
+            { $set: update },
+            { new: true }
+        ).lean();
+
+        this.cache.del(SUBSCRIBERS_CACHE_KEY);
+        return webhook ? this._toPublicWebhook(webhook) : null;
+    }
+
+    async deleteWebhook(ownerId, webhookId) {
+        if (!mongoose.Types.ObjectId.isValid(webhookId)) return false;
+
+        const result = await Webhook.deleteOne({ _id: webhookId, owner: ownerId });
+        if (result.deletedCount === 0) return false;
+
+        await WebhookDelivery.deleteMany({ webhook: webhookId });
+        this.cache.del(SUBSCRIBERS_CACHE_KEY);
+        return true;
+    }
+
+    async getDeliveries(ownerId, webhookId, { status, limit = 50 } = {}) {
+        const webhook = await this.getWebhook(ownerId, webhookId);
+        if (!webhook) return null;
+
+        const query = { webhook: webhook.id };
+        if (status) {
+            query.status = status;
+        }
+
+        return WebhookDelivery.find(query)
+            .select('-webhook -__v')
+            .sort({ createdAt: -1 })
+            .limit(Math.min(limit, 100))
+            .lean();
+    }
+
+    async emit(event, data) {
+        try {
+            const subscribers = (await this._getSubscribers()).filter((webhook) => webhook.events.includes(event));
+            if (subscribers.length === 0) return [];
+
+            const createdAt = new Date();
+            const deliveries = await WebhookDelivery.insertMany(subscribers.map((webhook) => {
+                const _id = new mongoose.Types.ObjectId();
+                return {
+                    _id,
+                    webhook: webhook._id,
+                    event,
+                    payload: {
+                        id: String(_id), event, createdAt, data
+                    }
+                };
+            }));
+
+            const webhooksById = new Map(subscribers.map((webhook) => [String(webhook._id), webhook]));
+
+            // Deliveries are sent in the background so emitters are never slowed down by slow receivers
+            deliveries.forEach((delivery) => {
+                this.deliver(delivery, webhooksById.get(String(delivery.webhook)))
+                    .catch((error) => logger.error(`Error delivering webhook ${delivery._id}: ${error.message}`));
+            });
+
+            return deliveries;
+        } catch (error) {
+            logger.error(`Error emitting ${event} webhooks: ${error.message}`);
+            return [];
+        }
+    }
+
+    async deliver(delivery, webhook) {
+        const body = JSON.stringify(delivery.payload);
+        const timestamp = Math.floor(Date.now() / 1000);
+        const attempts = delivery.attempts + 1;
+        const startTime = Date.now();
+        const result = { attempts, lastAttemptAt: new Date() };
+
+        try {
+            // Literal IPs skip the client lookup, and the host may resolve elsewhere since it was saved
+            if (!(await this.isAllowedUrl(webhook.url))) {
+                throw new Error('URL does not resolve to a public address');
+            }
+
+            const response = await this.client.post(webhook.url, body, {
+                headers: {
+                    'X-Webhook-Id': String(webhook._id),
+                    'X-Webhook-Delivery': String(delivery._id),
+                    'X-Webhook-Event': delivery.event,
+                    'X-Webhook-Timestamp': String(timestamp),
+                    'X-Webhook-Signature': `sha256=${this.sign(webhook.secret, timestamp, body)}`
+                }
+            });
+
+            Object.assign(result, {
+                status: 'succeeded',
+                responseStatus: response.status,
+                deliveredAt: new Date()
+            });
+        } catch (error) {
+            const canRetry = attempts < this.maxAttempts;
+
+            Object.assign(result, {
+                status: canRetry ? 'retrying' : 'failed',
+                responseStatus: error.response ? error.response.status : undefined,
+                error: error.message,
+                nextAttemptAt: canRetry ? new Date(Date.now() + this.getRetryDelay(attempts)) : undefined
+            });
+
+            logger.warn(`Webhook delivery ${delivery._id} to ${webhook.url} failed `
+                + `(attempt ${attempts}/${this.maxAttempts}): ${error.message}`);
+        }
+
+        result.durationMs = Date.now() - startTime;
+        await WebhookDelivery.updateOne({ _id: delivery._id }, { $set: result });
+
+        return result;
+    }
+
+    async retryPendingDeliveries() {
+        const now = new Date();
+        const dueConditions = [
+            { status: 'retrying', nextAttemptAt: { $lte: now } },
+            { status: 'delivering', updatedAt: { $lte: new Date(now - this.staleDeliveryTimeout) } }
+        ];
+        const due = await WebhookDelivery.find({ $or: dueConditions })
+            .select('_id')
+            .limit(this.retryBatchSize)
+            .lean();
+
+        let retried = 0;
+
+        /* eslint-disable no-await-in-loop -- each delivery is claimed right before it is sent */
+        for (let i = 0; i < due.length; i += 1) {
+            if (await this._retryDelivery(due[i]._id, dueConditions)) {
+                retried += 1;
+            }
+        }
+        /* eslint-enable no-await-in-loop */
+
+        if (retried > 0) {
+            logger.info(`Retried ${retried} webhook deliveries`);
+        }
+
+        return retried;
+    }
+
+    startDeliveryWorker() {
+        cron.schedule('* * * * *', () => {
+            this.retryPendingDeliveries()
+                .catch((error) => logger.error(`Error retrying webhook deliveries: ${error.message}`));
+        });
+
+        logger.info('Webhook delivery worker configured to run every minute');
+    }
+
+    sign(secret, timestamp, body) {
+        return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+    }
+
+    getRetryDelay(attempts) {
+        return this.retryDelay * 2 ** (attempts - 1);
+    }
+
+    isValidUrl(url) {
+        try {
+            const { protocol } = new URL(url);
+            return protocol === 'https:' || protocol === 'http:';
+        } catch (error) {
+            return false;
+        }
+    }
+
+    // Whether the URL's host resolves to public addresses only, so webhooks cannot reach internal services
+    async isAllowedUrl(url) {
+        return isPublicUrl(url);
+    }
+
+    isValidEventList(events) {
+        const supported = Object.values(WEBHOOK_EVENTS);
+        return Array.isArray(events) && events.length > 0 && events.every((event) => supported.includes(event));
+    }
+
+    // Returns whether the delivery was sent again
+    async _retryDelivery(_id, dueConditions) {
+        // Claim the delivery only while it is still due: the claim moves updatedAt forward, so an
+        // overlapping run on another instance no longer matches it and does not send it twice
+        const delivery = await WebhookDelivery.findOneAndUpdate(
+            { _id, $or: dueConditions },
+            { $set: { status: 'delivering' } },
+            { new: true }
+        ).lean();
+        if (!delivery) return false;
+
+        const webhook = await Webhook.findOne({ _id: delivery.webhook, active: true }).select('+secret').lean();
+
+        if (!webhook) {
+            await WebhookDelivery.updateOne(
+                { _id },
+                { $set: { status: 'failed', error: 'Webhook was disabled or deleted' } }
+            );
+            return false;
+        }
+
+        await this.deliver(delivery, webhook);
+        return true;
+    }
+
+    async _getSubscribers() {
+        const cached = this.cache.get(SUBSCRIBERS_CACHE_KEY);
+        if (cached) return cached;
+
+        const webhooks = await Webhook.find({ active: true }).select('+secret').lean();
+        this.cache.set(SUBSCRIBERS_CACHE_KEY, webhooks);
+
+        return webhooks;
+    }
+
+    _toPublicWebhook(webhook) {
+        return {
+            id: String(webhook._id),
+            url: webhook.url,
+            events: webhook.events,
+            description: webhook.description,
+            active: webhook.active,
+            createdAt: webhook.createdAt,
+            updatedAt: webhook.updatedAt
+        };
+    }
+}
+
+module.exports = new WebhookService();
@@ -0,0 +1,180 @@
+const logger = require('./logger');
+
+const STATES = {
+    CLOSED: 'closed',
+    OPEN: 'open',
+    HALF_OPEN: 'half_open'
+};
+
+const CIRCUIT_OPEN = 'ECIRCUITOPEN';
+
+// Server errors and requests that never got an answer mean the remote service is down;
+// any other response, even a 404, means it is up
+const isServerFailure = (error) => !error.response || error.response.status >= 500;
+
+// Stops calling a failing service. Closed, it tracks the outcome of the last windowSize calls
+// and opens once the failure rate reaches the threshold. Open, every call fails right away.
+// After openDuration it lets a few probe calls through (half-open): if they all succeed it
+// closes again, a single failure opens it for another openDuration.
+class CircuitBreaker {
+    constructor({
+        name,
+        windowSize = 20,
+        minimumCalls = 10,
+        failureRateThreshold = 0.5,
+        openDuration = 60 * 1000,
+        halfOpenProbes = 2,
+        isFailure = isServerFailure,
+        now = Date.now
+    } = {}) {
+        this.name = name;
+        this.windowSize = windowSize;
+        this.minimumCalls = minimumCalls;
+        this.failureRateThreshold = failureRateThreshold;
+        this.openDuration = openDuration;
+        this.halfOpenProbes = halfOpenProbes;
+        this.isFailure = isFailure;
+        this.now = now;
+
+        this.state = STATES.CLOSED;
+        this.outcomes = [];
+        this.openedAt = null;
+        this.probesInFlight = 0;
+        this.probeSuccesses = 0;
+        this.timesOpened = 0;
+    }
+
+    // True while calls are rejected without reaching the service
+    isOpen() {
+        return this.state === STATES.OPEN && this.now() < this.openedAt + this.openDuration;
+    }
+
+    // Reserves a call; throws when the circuit does not let it through
+    beforeCall() {
+        if (this.state === STATES.OPEN) {
+            if (this.isOpen()) {
+                throw this._openError();
+            }
+
+            this._transition(STATES.HALF_OPEN);
+        }
+
+        if (this.state === STATES.HALF_OPEN) {
+            if (this.probesInFlight + this.probeSuccesses >= this.halfOpenProbes) {
+                throw this._openError();
+            }
+
+            this.probesInFlight += 1;
+        }
+    }
+
+    recordSuccess() {
+        if (this.state === STATES.HALF_OPEN) {
+            this.probesInFlight = Math.max(0, this.probesInFlight - 1);
+            this.probeSuccesses += 1;
+
+            if (this.probeSuccesses >= this.halfOpenProbes) {
+                this._transition(STATES.CLOSED);
+            }
+            return;
+        }
+
+        this._addOutcome(true);
+    }
+
+    recordFailure() {
+        if (this.state === STATES.HALF_OPEN) {
+            this._transition(STATES.OPEN);
+            return;
+        }
+
+        this._addOutcome(false);
+
+        if (this.state === STATES.CLOSED
+            && this.outcomes.length >= this.minimumCalls
+            && this.getFailureRate() >= this.failureRateThreshold) {
+            this._transition(STATES.OPEN);
+        }
+    }
+
+    // Records the outcome of an error; errors that do not count as failures count as successes
+    recordError(error) {
+        if (error && error.code === CIRCUIT_OPEN) return;
+
+        if (this.isFailure(error)) {
+            this.recordFailure();
+        } else {
+            this.recordSuccess();
+        }
+    }
+
+    async execute(fn) {
+        this.beforeCall();
+
+        try {
+            const result = await fn();
+            this.recordSuccess();
+            return result;
+        } catch (error) {
+            this.recordError(error);
+            throw error;
+        }
+    }
+
+    getFailureRate() {
+        if (this.outcomes.length === 0) return 0;
+        return this.outcomes.filter((success) => !success).length / this.outcomes.length;
+    }
+
+    getStatus() {
+        const open = this.state === STATES.OPEN;
+
+        return {
+            name: this.name,
+            state: open && !this.isOpen() ? STATES.HALF_OPEN : this.state,
+            failureRate: Math.round(this.getFailureRate() * 100) / 100,
+            calls: this.outcomes.length,
+            timesOpened: this.timesOpened,
+            openedAt: this.openedAt ? new Date(this.openedAt) : null,
+            retryAt: open ? new Date(this.openedAt + this.openDuration) : null
+        };
+    }
+
+    _addOutcome(success) {
+        this.outcomes.push(success);
+
+        if (this.outcomes.length > this.windowSize) {
+            this.outcomes.shift();
+        }
+    }
+
+    _transition(state) {
+        this.state = state;
+        this.probesInFlight = 0;
+        this.probeSuccesses = 0;
+
+        if (state === STATES.OPEN) {
+            this.openedAt = this.now();
+            this.timesOpened += 1;
+            logger.warn(`Circuit ${this.name} opened (failure rate ${this.getFailureRate().toFixed(2)}), `
+                + `rejecting calls for ${this.openDuration} ms`);
+        } else if (state === STATES.CLOSED) {
+            this.outcomes = [];
+            this.openedAt = null;
+            logger.info(`Circuit ${this.name} closed, calls go through again`);
+        } else {
+            logger.info(`Circuit ${this.name} half-open, letting ${this.halfOpenProbes} probe calls through`);
+        }
+    }
+
+    _openError() {
+        const error = new Error(`Circuit ${this.name} is open, not calling the service`);
+        error.code = CIRCUIT_OPEN;
+        return error;
+    }
+}
+
+CircuitBreaker.STATES = STATES;
+CircuitBreaker.CIRCUIT_OPEN = CIRCUIT_OPEN;
+
+module.exports = CircuitBreaker;
@@ -0,0 +1,89 @@
+const axios = require('axios');
+const logger = require('./logger');
+
+const createHttpClient = ({
+    maxRetries = 3,
+    retryDelay = 2000,
+    timeout = 10000,
+    headers = {},
+    throttle = null,
+    circuitBreaker = null,
+    lookup,
+    maxRedirects
+} = {}) => {
+    const client = axios.create({
+        timeout,
+        ...(lookup && { lookup }),
+        ...(maxRedirects !== undefined && { maxRedirects }),
+        headers: {
+            'User-Agent': 'SalesAllSales/1.0.0',
+            ...headers
+        }
+    });
+
+    // Retries go through the request interceptor again, so they also wait for the throttle
+    // and fail right away once the circuit breaker opens
+    if (throttle || circuitBreaker) {
+        client.interceptors.request.use(async (config) => {
+            if (throttle) await throttle.acquire(config.url);
+            if (circuitBreaker) circuitBreaker.beforeCall();
+            return config;
+        });
+    }
+
+    client.interceptors.response.use(
+        (response) => {
+            if (throttle) throttle.recordSuccess(response.config.url);
+            if (circuitBreaker) circuitBreaker.recordSuccess();
+            return response;
+        },
+        async (error) => {
+            const { config, response } = error;
+            const rateLimited = Boolean(throttle && response && response.status === 429);
+
+            if (circuitBreaker) {
+                circuitBreaker.recordError(error);
+            }
+
+            if (rateLimited) {
+                throttle.recordThrottled(config.url, response.headers && response.headers['retry-after']);
+            }
+
+            if (response && (response.status === 404 || response.status === 403)) {
+                return Promise.reject(error);
+            }
+
+            if (!config || !config.retry) {
+                return Promise.reject(error);
+            }
+
+            if (config.retryCount >= maxRetries) {
+                return Promise.reject(new Error(`Maximum retries (${maxRetries}) exceeded`));
+            }
+
+            config.retryCount = config.retryCount || 0;
+            config.retryCount += 1;
+
+            // After a 429 the throttle already holds the retry back until Retry-After
+            const delay = rateLimited ? 0 : retryDelay * 2 ** (config.retryCount - 1);
+            logger.warn(`Retrying request to ${config.url} (attempt ${config.retryCount}/${maxRetries}) `
+                + `after ${delay}ms`);
+
+            await new Promise((resolve) => { setTimeout(resolve, delay); });
+            return client(config);
+        }
+    );
+
+    return client;
+};
+
+const withRetry = (config = {}) => ({
+    ...config,
+    retry: true,
+    retryCount: 0
+});
+
+module.exports = {
+    createHttpClient,
+    withRetry
+};
@@ -0,0 +1,61 @@
+const RateLimitCounter = require('../models/RateLimitCounter');
+
+const DUPLICATE_KEY_ERROR = 11000;
+
+// express-rate-limit store that keeps fixed-window counters in MongoDB,
+// so limits survive restarts and are shared by every replica
+class MongoRateLimitStore {
+    constructor({ prefix = 'rl:' } = {}) {
+        this.prefix = prefix;
+        this.localKeys = false;
+        this.windowMs = 60 * 1000;
+    }
+
+    init(options) {
+        this.windowMs = options.windowMs;
+    }
+
+    async get(key) {
+        const counter = await RateLimitCounter.findOne({
+            key: this.prefix + key,
+            resetTime: this._getResetTime()
+        }).lean();
+
+        return counter ? { totalHits: counter.hits, resetTime: counter.resetTime } : undefined;
+    }
+
+    async increment(key, retry = true) {
+        try {
+            const counter = await RateLimitCounter.findOneAndUpdate(
+                { key: this.prefix + key, resetTime: this._getResetTime() },
+                { $inc: { hits: 1 } },
+                { upsert: true, new: true }
+            ).lean();
+
+            return { totalHits: counter.hits, resetTime: counter.resetTime };
+        } catch (error) {
+            // Two concurrent upserts of a new window; the second one succeeds as an update
+            if (retry && error.code === DUPLICATE_KEY_ERROR) {
+                return this.increment(key, false);
+            }
+            throw error;
+        }
+    }
+
+    async decrement(key) {
+        await RateLimitCounter.updateOne(
+            { key: this.prefix + key, resetTime: this._getResetTime(), hits: { $gt: 0 } },
+            { $inc: { hits: -1 } }
+        );
+    }
+
+    async resetKey(key) {
+        await RateLimitCounter.deleteMany({ key: this.prefix + key });
+    }
+
+    _getResetTime(now = Date.now()) {
+        return new Date((Math.floor(now / this.windowMs) + 1) * this.windowMs);
+    }
+}
+
+module.exports = MongoRateLimitStore;
@@ -0,0 +1,30 @@
+const { REGIONS } = require('../config/constants');
+
+const isSupportedRegion = (region) => REGIONS.SUPPORTED.includes(String(region || '').toLowerCase());
+
+const resolveRegion = (region) => {
+    if (region === undefined || region === null || region === '') {
+        return REGIONS.DEFAULT;
+    }
+
+    const normalized = String(region).toLowerCase();
+    return isSupportedRegion(normalized) ? normalized : null;
+};
+
+const getRegionalPrice = (game, region) => {
+    if (region === REGIONS.DEFAULT && game.price) {
+        return game.price;
+    }
+
+    const regionalPrices = game.regionalPrices instanceof Map
+        ? Object.fromEntries(game.regionalPrices)
+        : game.regionalPrices || {};
+
+    return regionalPrices[region] || null;
+};
+
+module.exports = {
+    isSupportedRegion,
+    resolveRegion,
+    getRegionalPrice
+};
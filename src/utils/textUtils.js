@@ -0,0 +1,82 @@
+const EDITIONS = ['standard', 'deluxe', 'gold', 'ultimate', 'complete', 'definitive', 'digital', 'premium',
+    'game of the year', 'goty'];
+const EDITION_PATTERN = new RegExp(`\\b(${EDITIONS.join('|')})( edition)?$`);
+const PLATFORM_PATTERN = /\b(pc|windows|xbox (one|series x s)|ps4( and ps5)?|ps5( and ps4)?|playstation ?[45])$/;
+const COMPANY_SUFFIXES = ['inc', 'llc', 'ltd', 'limited', 'corp', 'corporation', 'co', 'gmbh', 's a', 'sa', 'srl', 'bv',
+    'ab', 'studios?', 'games', 'entertainment', 'interactive'];
+const COMPANY_SUFFIX_PATTERN = new RegExp(`\\b(${COMPANY_SUFFIXES.join('|')})\\b`, 'g');
+
+const HTML_ENTITIES = {
+    '&': '&amp;',
+    '<': '&lt;',
+    '>': '&gt;',
+    '"': '&quot;',
+    "'": '&#39;'
+};
+
+const escapeHtml = (value) => String(value === undefined || value === null ? '' : value)
+    .replace(/[&<>"']/g, (character) => HTML_ENTITIES[character]);
+
+const _simplify = (value) => String(value || '')
+    .replace(/[™®©]/g, '')
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/&/g, ' and ')
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim();
+
+const normalizeTitle = (title) => {
+    let normalized = _simplify(title);
+    let previous;
+
+    do {
+        previous = normalized;
+        normalized = normalized
+            .replace(PLATFORM_PATTERN, '')
+            .replace(EDITION_PATTERN, '')
+            .trim();
+    } while (normalized !== previous && normalized.length > 0);
+
+    return normalized || _simplify(title);
+};
+
+const normalizeCompany = (company) => _simplify(company)
+    .replace(COMPANY_SUFFIX_PATTERN, '')
+    .replace(/\s+/g, ' ')
+    .trim();
+
+const _bigrams = (value) => {
+    const compact = value.replace(/\s+/g, ' ');
+    const bigrams = new Map();
+
+    for (let i = 0; i < compact.length - 1; i += 1) {
+        const bigram = compact.substring(i, i + 2);
+        bigrams.set(bigram, (bigrams.get(bigram) || 0) + 1);
+    }
+
+    return bigrams;
+};
+
+const diceCoefficient = (first, second) => {
+    if (!first || !second) return 0;
+    if (first === second) return 1;
+    if (first.length < 2 || second.length < 2) return 0;
+
+    const firstBigrams = _bigrams(first);
+    const secondBigrams = _bigrams(second);
+    let intersection = 0;
+
+    firstBigrams.forEach((count, bigram) => {
+        intersection += Math.min(count, secondBigrams.get(bigram) || 0);
+    });
+
+    return (2 * intersection) / ((first.length - 1) + (second.length - 1));
+};
+
+module.exports = {
+    escapeHtml,
+    normalizeTitle,
+    normalizeCompany,
+    diceCoefficient
+};
@@ -0,0 +1,178 @@
+const logger = require('./logger');
+
+const MINUTE = 60 * 1000;
+
+const sleep = (ms) => new Promise((resolve) => { setTimeout(resolve, ms); });
+
+// Outbound throttle with one token bucket per host. Requests wait their turn in order; a 429
+// pauses the host until Retry-After and halves its rate, which then recovers step by step
+// while requests keep succeeding.
+class TokenBucketThrottle {
+    constructor({
+        hosts = {},
+        defaultRetryAfter = MINUTE,
+        recoveryAfter = 50,
+        now = Date.now,
+        wait = sleep
+    } = {}) {
+        this.defaultRetryAfter = defaultRetryAfter;
+        // Successful requests in a row before the rate is raised again
+        this.recoveryAfter = recoveryAfter;
+        this.now = now;
+        this.wait = wait;
+        this.buckets = new Map();
+
+        Object.keys(hosts).forEach((host) => {
+            const { ratePerMinute, burst = 1, minRatePerMinute = ratePerMinute / 8 } = hosts[host];
+
+            this.buckets.set(host, {
+                host,
+                configuredRate: ratePerMinute,
+                minRate: minRatePerMinute,
+                rate: ratePerMinute,
+                burst,
+                tokens: burst,
+                refilledAt: this.now(),
+                pausedUntil: 0,
+                queued: 0,
+                tail: Promise.resolve(),
+                successStreak: 0,
+                requests: 0,
+                throttled: 0,
+                waitedMs: 0,
+                lastThrottledAt: null
+            });
+        });
+    }
+
+    // Resolves once the request may be sent. Hosts without a budget are not throttled.
+    acquire(url) {
+        const bucket = this._getBucket(url);
+        if (!bucket) return Promise.resolve();
+
+        bucket.queued += 1;
+
+        const turn = bucket.tail.then(() => this._take(bucket));
+        bucket.tail = turn.catch(() => {});
+
+        return turn.finally(() => {
+            bucket.queued -= 1;
+        });
+    }
+
+    recordSuccess(url) {
+        const bucket = this._getBucket(url);
+        if (!bucket || bucket.rate >= bucket.configuredRate) return;
+
+        bucket.successStreak += 1;
+
+        if (bucket.successStreak >= this.recoveryAfter) {
+            bucket.rate = Math.min(bucket.configuredRate, bucket.rate * 1.25);
+            bucket.successStreak = 0;
+            logger.info(`Raised ${bucket.host} rate to ${bucket.rate.toFixed(1)} requests per minute`);
+        }
+    }
+
+    recordThrottled(url, retryAfter) {
+        const bucket = this._getBucket(url);
+        if (!bucket) return;
+
+        const now = this.now();
+        const pauseMs = this.parseRetryAfter(retryAfter, now);
+
+        bucket.pausedUntil = Math.max(bucket.pausedUntil, now + pauseMs);
+        bucket.rate = Math.max(bucket.minRate, bucket.rate / 2);
+        // No tokens pile up during the pause, so requests resume one at a time
+        bucket.tokens = 0;
+        bucket.refilledAt = bucket.pausedUntil;
+        bucket.successStreak = 0;
+        bucket.throttled += 1;
+        bucket.lastThrottledAt = now;
+
+        logger.warn(`${bucket.host} answered 429, pausing for ${pauseMs} ms `
+            + `and slowing down to ${bucket.rate.toFixed(1)} requests per minute`);
+    }
+
+    // Retry-After is either a number of seconds or an HTTP date
+    parseRetryAfter(retryAfter, now = this.now()) {
+        if (retryAfter === undefined || retryAfter === null || retryAfter === '') {
+            return this.defaultRetryAfter;
+        }
+
+        const seconds = Number(retryAfter);
+        if (!Number.isNaN(seconds)) {
+            return Math.max(0, seconds * 1000);
+        }
+
+        const date = Date.parse(retryAfter);
+        return Number.isNaN(date) ? this.defaultRetryAfter : Math.max(0, date - now);
+    }
+
+    getStatus() {
+        const now = this.now();
+
+        return [...this.buckets.values()].map((bucket) => {
+            this._refill(bucket, now);
+
+            return {
+                host: bucket.host,
+                configuredRatePerMinute: bucket.configuredRate,
+                ratePerMinute: Math.round(bucket.rate * 10) / 10,
+                burst: bucket.burst,
+                tokens: Math.floor(bucket.tokens),
+                queued: bucket.queued,
+                requests: bucket.requests,
+                throttled: bucket.throttled,
+                waitedMs: bucket.waitedMs,
+                pausedUntil: bucket.pausedUntil > now ? new Date(bucket.pausedUntil) : null,
+                lastThrottledAt: bucket.lastThrottledAt ? new Date(bucket.lastThrottledAt) : null
+            };
+        });
+    }
+
+    async _take(bucket) {
+        const startedAt = this.now();
+
+        /* eslint-disable no-await-in-loop -- waits until the bucket has a token */
+        for (;;) {
+            const now = this.now();
+
+            if (bucket.pausedUntil > now) {
+                await this.wait(bucket.pausedUntil - now);
+            } else {
+                this._refill(bucket, now);
+
+                if (bucket.tokens >= 1) {
+                    bucket.tokens -= 1;
+                    bucket.requests += 1;
+                    bucket.waitedMs += now - startedAt;
+                    return;
+                }
+
+                await this.wait(Math.ceil(((1 - bucket.tokens) * MINUTE) / bucket.rate));
+            }
+        }
+        /* eslint-enable no-await-in-loop */
+    }
+
+    // eslint-disable-next-line class-methods-use-this -- bucket helper kept next to _take
+    _refill(bucket, now) {
+        // Still paused after a 429
+        if (now <= bucket.refilledAt) return;
+
+        const elapsed = now - bucket.refilledAt;
+
+        bucket.tokens = Math.min(bucket.burst, bucket.tokens + (elapsed * bucket.rate) / MINUTE);
+        bucket.refilledAt = now;
+    }
+
+    _getBucket(url) {
+        try {
+            return this.buckets.get(new URL(url).host) || null;
+        } catch (error) {
+            return null;
+        }
+    }
+}
+
+module.exports = TokenBucketThrottle;
@@ -0,0 +1,79 @@
+const dns = require('dns');
+const net = require('net');
+
+// Loopback, private, link-local (cloud metadata), shared and reserved ranges a webhook must not reach
+const BLOCKED_RANGES = [
+    ['0.0.0.0', 8, 'ipv4'],
+    ['10.0.0.0', 8, 'ipv4'],
+    ['100.64.0.0', 10, 'ipv4'],
+    ['127.0.0.0', 8, 'ipv4'],
+    ['169.254.0.0', 16, 'ipv4'],
+    ['172.16.0.0', 12, 'ipv4'],
+    ['192.0.0.0', 24, 'ipv4'],
+    ['192.168.0.0', 16, 'ipv4'],
+    ['198.18.0.0', 15, 'ipv4'],
+    ['224.0.0.0', 4, 'ipv4'],
+    ['240.0.0.0', 4, 'ipv4'],
+    ['::', 128, 'ipv6'],
+    ['::1', 128, 'ipv6'],
+    ['fc00::', 7, 'ipv6'],
+    ['fe80::', 10, 'ipv6'],
+    ['ff00::', 8, 'ipv6']
+];
+
+const blockList = new net.BlockList();
+BLOCKED_RANGES.forEach(([network, prefix, type]) => blockList.addSubnet(network, prefix, type));
+
+const IPV4_MAPPED_PATTERN = /^::ffff:(\d+\.\d+\.\d+\.\d+)$/i;
+
+const isBlockedAddress = (address) => {
+    const mapped = IPV4_MAPPED_PATTERN.exec(address);
+    if (mapped) return isBlockedAddress(mapped[1]);
+
+    const type = net.isIP(address);
+    if (!type) return true;
+
+    return blockList.check(address, type === 4 ? 'ipv4' : 'ipv6');
+};
+
+// dns.lookup that refuses blocked addresses; given to the HTTP client it also covers a host
+// that resolved to a public address when saved and to a private one when called
+const publicLookup = async (hostname, options = {}) => {
+    const addresses = await dns.promises.lookup(hostname, { ...options, all: true });
+    const blocked = addresses.find(({ address }) => isBlockedAddress(address));
+
+    if (blocked) {
+        throw new Error(`${hostname} resolves to the non-public address ${blocked.address}`);
+    }
+
+    return addresses;
+};
+
+// Resolves to false for anything but an http(s) URL whose host only resolves to public addresses
+const isPublicUrl = async (url) => {
+    let parsed;
+
+    try {
+        parsed = new URL(url);
+    } catch (error) {
+        return false;
+    }
+
+    if (parsed.protocol !== 'https:' && parsed.protocol !== 'http:') return false;
+
+    const hostname = parsed.hostname.replace(/^\[(.*)\]$/, '$1');
+    if (net.isIP(hostname)) return !isBlockedAddress(hostname);
+
+    try {
+        await publicLookup(hostname);
+        return true;
+    } catch (error) {
+        return false;
+    }
+};
+
+module.exports = {
+    isBlockedAddress,
+    publicLookup,
+    isPublicUrl
+};
@@ -0,0 +1,87 @@
+const AlertService = require('../../src/services/alertService');
+const User = require('../../src/models/User');
+const Alert = require('../../src/models/Alert');
+
+// Mock dependencies
+jest.mock('../../src/models/User');
+jest.mock('../../src/models/Alert');
+jest.mock('../../src/utils/logger', () => ({
+  info: jest.fn(),
+  error: jest.fn(),
+  warn: jest.fn()
+}));
+
+const price = (final, discount) => ({
+  currency: 'USD', initial: 20, final, discount_percent: discount
+});
+
+const mockWishlists = (users) => {
+  User.find.mockReturnValue({
+    select: jest.fn().mockReturnThis(),
+    lean: jest.fn().mockResolvedValue(users)
+  });
+};
+
+describe('AlertService', () => {
+  const game = { appid: 10, name: 'Counter-Strike' };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('getTriggeredType', () => {
+    it('should trigger when the target price is reached', () => {
+      expect(AlertService.getTriggeredType({ targetPrice: 10 }, price(20, 0), price(10, 50))).toBe('target_price');
+    });
+
+    it('should trigger again on further drops below the target', () => {
+      expect(AlertService.getTriggeredType({ targetPrice: 10 }, price(10, 50), price(5, 75))).toBe('target_price');
+    });
+
+    it('should not trigger when the price rises but stays below the target', () => {
+      expect(AlertService.getTriggeredType({ targetPrice: 10 }, price(5, 75), price(8, 60))).toBeNull();
+    });
+
+    it('should trigger when the target discount is reached', () => {
+      expect(AlertService.getTriggeredType({ targetDiscount: 50 }, price(20, 0), price(10, 50)))
+        .toBe('target_discount');
+      expect(AlertService.getTriggeredType({ targetDiscount: 50 }, price(20, 0), price(15, 25))).toBeNull();
+    });
+  });
+
+  describe('evaluatePriceChange', () => {
+    it('should store one alert per user whose target was reached', async () => {
+      mockWishlists([
+        { _id: 'user-1', wishlist: [{ appid: 10, targetPrice: 12 }] },
+        { _id: 'user-2', wishlist: [{ appid: 7 }, { appid: 10, targetDiscount: 80 }] }
+      ]);
+      Alert.insertMany.mockResolvedValue([]);
+
+      const alerts = await AlertService.evaluatePriceChange(game, price(20, 0), price(10, 50));
+
+      expect(alerts).toHaveLength(1);
+      expect(Alert.insertMany).toHaveBeenCalledWith([expect.objectContaining({
+        user: 'user-1',
+        appid: 10,
+        name: 'Counter-Strike',
+        type: 'target_price',
+        target: { price: 12, discount: undefined },
+        price: expect.objectContaining({ final: 10, discount_percent: 50 }),
+        previousPrice: expect.objectContaining({ final: 20 })
+      })], { ordered: false });
+    });
+
+    it('should not fail the update when alerts cannot be evaluated', async () => {
+      User.find.mockImplementation(() => {
+        throw new Error('connection lost');
+      });
+
+      expect(await AlertService.evaluatePriceChange(game, price(20, 0), price(10, 50))).toEqual([]);
+    });
+
+    it('should ignore games without a price', async () => {
+      expect(await AlertService.evaluatePriceChange(game, price(20, 0), null)).toEqual([]);
+      expect(User.find).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,123 @@
+const mongoose = require('mongoose');
+const ApiKeyService = require('../../src/services/apiKeyService');
+const ApiKey = require('../../src/models/ApiKey');
+
+// Mock dependencies
+jest.mock('../../src/models/ApiKey');
+jest.mock('../../src/utils/logger', () => ({
+  info: jest.fn(),
+  error: jest.fn(),
+  warn: jest.fn()
+}));
+
+const mockStoredKey = (stored) => {
+  ApiKey.findOne.mockReturnValue({
+    select: jest.fn().mockReturnThis(),
+    lean: jest.fn().mockResolvedValue(stored)
+  });
+};
+
+describe('ApiKeyService', () => {
+  const stored = {
+    _id: new mongoose.Types.ObjectId(),
+    name: 'Partner store',
+    role: 'partner',
+    prefix: 'sas_abcdef',
+    lastUsedAt: new Date()
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    ApiKeyService.cache.flushAll();
+    ApiKey.updateOne.mockResolvedValue({});
+  });
+
+  describe('createKey', () => {
+    it('should store only the hash and return the key once', async () => {
+      ApiKey.create.mockImplementation(async (doc) => ({
+        toObject: () => ({ ...doc, _id: stored._id, createdAt: new Date() })
+      }));
+
+      const result = await ApiKeyService.createKey({ name: 'Deploy', role: 'admin' });
+
+      const [doc] = ApiKey.create.mock.calls[0];
+      expect(result.key).toMatch(/^sas_/);
+      expect(doc.keyHash).toBe(ApiKeyService.hashKey(result.key));
+      expect(doc).not.toHaveProperty('key');
+      expect(result.prefix).toBe(result.key.slice(0, 10));
+      expect(result).not.toHaveProperty('keyHash');
+    });
+  });
+
+  describe('authenticate', () => {
+    it('should look up active keys by hash', async () => {
+      mockStoredKey(stored);
+
+      const apiKey = await ApiKeyService.authenticate('sas_secret-key');
+
+      expect(ApiKey.findOne).toHaveBeenCalledWith({
+        keyHash: ApiKeyService.hashKey('sas_secret-key'),
+        revokedAt: { $exists: false }
+      });
+      expect(apiKey).toEqual({
+        id: String(stored._id), name: 'Partner store', role: 'partner', prefix: 'sas_abcdef'
+      });
+    });
+
+    it('should cache valid keys', async () => {
+      mockStoredKey(stored);
+
+      await ApiKeyService.authenticate('sas_secret-key');
+      await ApiKeyService.authenticate('sas_secret-key');
+
+      expect(ApiKey.findOne).toHaveBeenCalledTimes(1);
+    });
+
+    it('should reject unknown and malformed keys', async () => {
+      mockStoredKey(null);
+
+      expect(await ApiKeyService.authenticate('sas_unknown')).toBeNull();
+      expect(await ApiKeyService.authenticate('not-a-key')).toBeNull();
+      expect(ApiKey.findOne).toHaveBeenCalledTimes(1);
+    });
+
+    it('should reject expired keys', async () => {
+      mockStoredKey({ ...stored, expiresAt: new Date(Date.now() - 1000) });
+
+      expect(await ApiKeyService.authenticate('sas_expired')).toBeNull();
+    });
+
+    it('should record the last use at most every few minutes', async () => {
+      mockStoredKey({ ...stored, lastUsedAt: new Date(Date.now() - 60 * 60 * 1000) });
+
+      await ApiKeyService.authenticate('sas_secret-key');
+      await ApiKeyService.authenticate('sas_secret-key');
+
+      expect(ApiKey.updateOne).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('revokeKey', () => {
+    it('should evict the key from the cache', async () => {
+      mockStoredKey(stored);
+      await ApiKeyService.authenticate('sas_secret-key');
+
+      ApiKey.findOneAndUpdate.mockReturnValue({
+        select: jest.fn().mockReturnThis(),
+        lean: jest.fn().mockResolvedValue({ ...stored, keyHash: ApiKeyService.hashKey('sas_secret-key') })
+      });
+      mockStoredKey(null);
+
+      expect(await ApiKeyService.revokeKey(String(stored._id))).toBe(true);
+      expect(await ApiKeyService.authenticate('sas_secret-key')).toBeNull();
+    });
+  });
+
+  describe('hasRole', () => {
+    it('should rank roles from public to admin', () => {
+      expect(ApiKeyService.hasRole('admin', 'partner')).toBe(true);
+      expect(ApiKeyService.hasRole('partner', 'partner')).toBe(true);
+      expect(ApiKeyService.hasRole('public', 'admin')).toBe(false);
+    });
+  });
+});
@@ -0,0 +1,220 @@
+const CatalogService = require('../../src/services/catalogService');
+const CatalogApp = require('../../src/models/CatalogApp');
+const CatalogChange = require('../../src/models/CatalogChange');
+const CatalogSyncState = require('../../src/models/CatalogSyncState');
+const SteamService = require('../../src/services/steamService');
+
+// Mock dependencies
+jest.mock('../../src/models/CatalogApp');
+jest.mock('../../src/models/CatalogChange');
+jest.mock('../../src/models/CatalogSyncState');
+jest.mock('../../src/services/steamService', () => ({
+  getAppList: jest.fn(),
+  getModifiedApps: jest.fn(),
+  isCatalogGame: (app) => !app.name.toLowerCase().includes('demo')
+}));
+jest.mock('../../src/utils/logger', () => ({
+  info: jest.fn(),
+  error: jest.fn(),
+  warn: jest.fn()
+}));
+
+const leanResult = (value) => ({
+  select: jest.fn().mockReturnThis(),
+  sort: jest.fn().mockReturnThis(),
+  skip: jest.fn().mockReturnThis(),
+  limit: jest.fn().mockReturnThis(),
+  lean: jest.fn().mockResolvedValue(value)
+});
+
+describe('CatalogService', () => {
+  const now = new Date('2024-05-01T12:00:00Z');
+  const known = [
+    { appid: 10, name: 'Portal', removedAt: null },
+    { appid: 20, name: 'Half-Life', removedAt: null },
+    { appid: 30, name: 'Gone Game', removedAt: new Date('2024-04-01T00:00:00Z') }
+  ];
+
+  const mockState = (state) => {
+    CatalogSyncState.findById.mockReturnValue(leanResult(state));
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    CatalogService.pageSize = 10000;
+    CatalogApp.find.mockReturnValue(leanResult(known));
+    CatalogApp.bulkWrite.mockResolvedValue({});
+    CatalogApp.updateMany.mockResolvedValue({});
+    CatalogChange.insertMany.mockResolvedValue([]);
+    CatalogSyncState.updateOne.mockResolvedValue({});
+  });
+
+  describe('applyApps', () => {
+    it('should record new, relisted and renamed apps and skip unchanged ones', async () => {
+      const result = await CatalogService.applyApps([
+        { appid: 10, name: 'Portal' },
+        { appid: 20, name: 'Half-Life: Source' },
+        { appid: 30, name: 'Gone Game' },
+        { appid: 40, name: 'New Game' },
+        { appid: 40, name: 'New Game' }
+      ], now);
+
+      expect(result).toEqual({ processed: 5, added: 2, renamed: 1 });
+      expect(CatalogChange.insertMany).toHaveBeenCalledWith([
+        {
+          type: 'renamed', appid: 20, name: 'Half-Life: Source', previousName: 'Half-Life', detectedAt: now
+        },
+        {
+          type: 'added', appid: 30, name: 'Gone Game', detectedAt: now
+        },
+        {
+          type: 'added', appid: 40, name: 'New Game', detectedAt: now
+        }
+      ], { ordered: false });
+
+      const writes = CatalogApp.bulkWrite.mock.calls[0][0];
+      expect(writes.map((write) => write.updateOne.filter.appid)).toEqual([20, 30, 40]);
+      expect(writes[1].updateOne.update.$set).toEqual({ name: 'Gone Game', removedAt: null });
+    });
+
+    it('should not record changes for the baseline sync', async () => {
+      CatalogApp.find.mockReturnValue(leanResult([]));
+
+      const result = await CatalogService.applyApps([{ appid: 40, name: 'New Game' }], now, true);
+
+      expect(result.added).toBe(1);
+      expect(CatalogApp.bulkWrite).toHaveBeenCalled();
+      expect(CatalogChange.insertMany).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('sync', () => {
+    it('should fetch only modified apps and move the sync point forward', async () => {
+      mockState({
+        lastModified: 1714000000,
+        lastSyncAt: new Date('2024-04-30T12:00:00Z'),
+        lastFullSyncAt: new Date('2024-04-28T12:00:00Z')
+      });
+      SteamService.getModifiedApps
+        .mockResolvedValueOnce({
+          apps: [{ appid: 20, name: 'Half-Life', last_modified: 1714100000 }], haveMore: true, lastAppid: 20
+        })
+        .mockResolvedValueOnce({
+          apps: [{ appid: 40, name: 'New Game', last_modified: 1714200000 }], haveMore: false, lastAppid: 40
+        });
+
+      const summary = await CatalogService.sync(now);
+
+      expect(SteamService.getModifiedApps)
+        .toHaveBeenNthCalledWith(1, { since: 1714000000, lastAppid: 0, limit: 10000 });
+      expect(SteamService.getModifiedApps)
+        .toHaveBeenNthCalledWith(2, { since: 1714000000, lastAppid: 20, limit: 10000 });
+      expect(SteamService.getAppList).not.toHaveBeenCalled();
+      expect(summary).toMatchObject({
+        mode: 'incremental', processed: 2, added: 1, renamed: 0, removed: 0
+      });
+      expect(CatalogSyncState.updateOne).toHaveBeenCalledWith(
+        { _id: 'steam' },
+        { $set: { lastModified: 1714200000, lastMode: 'incremental', lastSyncAt: now } },
+        { upsert: true }
+      );
+    });
+
+    it('should fall back to the full app list when the incremental list fails', async () => {
+      mockState({
+        lastModified: 1714000000,
+        lastSyncAt: new Date('2024-04-30T12:00:00Z'),
+        lastFullSyncAt: new Date('2024-04-28T12:00:00Z')
+      });
+      SteamService.getModifiedApps.mockRejectedValue(new Error('STEAM_API_KEY is required to list modified apps'));
+      SteamService.getAppList.mockResolvedValue([{ appid: 10, name: 'Portal' }, { appid: 40, name: 'New Game' }]);
+      CatalogApp.distinct.mockResolvedValue([10, 20]);
+      CatalogApp.find
+        .mockReturnValueOnce(leanResult(known))
+        .mockReturnValueOnce(leanResult([{ appid: 20, name: 'Half-Life' }]));
+
+      const summary = await CatalogService.sync(now);
+
+      expect(summary).toMatchObject({
+        mode: 'full', processed: 2, added: 1, removed: 1
+      });
+      expect(CatalogApp.updateMany).toHaveBeenCalledWith({ appid: { $in: [20] } }, { $set: { removedAt: now } });
+      expect(CatalogChange.insertMany).toHaveBeenLastCalledWith(
+        [{
+          type: 'removed', appid: 20, name: 'Half-Life', detectedAt: now
+        }],
+        { ordered: false }
+      );
+      expect(CatalogSyncState.updateOne).toHaveBeenCalledWith(
+        { _id: 'steam' },
+        { $set: expect.objectContaining({ lastMode: 'full', lastFullSyncAt: now }) },
+        { upsert: true }
+      );
+    });
+
+    it('should not mark apps as removed when the full list looks truncated', async () => {
+      mockState(null);
+      SteamService.getAppList.mockResolvedValue([{ appid: 10, name: 'Portal' }]);
+      CatalogApp.distinct.mockResolvedValue([10, 20, 40, 50]);
+
+      const summary = await CatalogService.sync(now);
+
+      expect(SteamService.getModifiedApps).not.toHaveBeenCalled();
+      expect(summary.removed).toBe(0);
+      expect(CatalogApp.updateMany).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('getPendingApps', () => {
+    it('should return listed apps not stored as games, leaving out demos', async () => {
+      CatalogApp.find.mockReturnValue(leanResult([
+        { appid: 40, name: 'New Game' },
+        { appid: 41, name: 'New Game Demo' }
+      ]));
+
+      const apps = await CatalogService.getPendingApps();
+
+      expect(CatalogApp.find).toHaveBeenCalledWith({ removedAt: null, gameStoredAt: null });
+      expect(apps).toEqual([{ appid: 40, name: 'New Game' }]);
+    });
+  });
+
+  describe('getRemovedAppids', () => {
+    it('should only return apps marked as removed', async () => {
+      CatalogApp.distinct.mockResolvedValue([30]);
+
+      expect(await CatalogService.getRemovedAppids([10, 30, 99])).toEqual([30]);
+      expect(CatalogApp.distinct).toHaveBeenCalledWith(
+        'appid',
+        { appid: { $in: [10, 30, 99] }, removedAt: { $ne: null } }
+      );
+    });
+  });
+
+  describe('getChanges', () => {
+    it('should filter by date and type, newest first', async () => {
+      const query = leanResult([{
+        type: 'added', appid: 40, name: 'New Game', detectedAt: now
+      }]);
+      CatalogChange.find.mockReturnValue(query);
+      CatalogChange.countDocuments.mockResolvedValue(1);
+      mockState({ lastSyncAt: now });
+      const since = new Date('2024-04-30T00:00:00Z');
+
+      const result = await CatalogService.getChanges({
+        since, type: 'added', page: 2, pageSize: 10
+      });
+
+      expect(CatalogChange.find).toHaveBeenCalledWith({ detectedAt: { $gt: since }, type: 'added' });
+      expect(query.sort).toHaveBeenCalledWith({ detectedAt: -1, appid: 1 });
+      expect(query.skip).toHaveBeenCalledWith(10);
+      expect(result).toEqual({
+        syncedAt: now,
+        total: 1,
+        changes: [{
+          type: 'added', appid: 40, name: 'New Game', detectedAt: now
+        }]
+      });
+    });
+  });
+});
@@ -0,0 +1,160 @@
+const DealService = require('../../src/services/dealService');
+const PriceHistoryService = require('../../src/services/priceHistoryService');
+
+// Mock dependencies
+jest.mock('../../src/models/Game');
+jest.mock('../../src/models/PriceObservation');
+jest.mock('../../src/models/ExchangeRate');
+jest.mock('../../src/utils/logger', () => ({
+  info: jest.fn(),
+  error: jest.fn(),
+  warn: jest.fn()
+}));
+
+const price = (final, discount) => ({
+  currency: 'USD',
+  initial: 20,
+  final,
+  discount_percent: discount,
+  lastChecked: new Date('2024-06-01')
+});
+
+describe('DealService', () => {
+  beforeEach(() => {
+    jest.restoreAllMocks();
+    jest.spyOn(PriceHistoryService, 'getObservations').mockResolvedValue([]);
+  });
+
+  describe('computeScore', () => {
+    it('should rank a well reviewed game at its low above an always-discounted one', () => {
+      const genuine = DealService.computeScore({
+        price: price(10, 50),
+        metacritic: { score: 90 },
+        recommendations: { total: 100000 }
+      }, { final: 10 });
+      const perpetual = DealService.computeScore({
+        price: price(2, 90),
+        metacritic: { score: 40 },
+        recommendations: { total: 10 }
+      }, { final: 2 });
+
+      expect(genuine).toBe(83);
+      expect(perpetual).toBeLessThan(genuine);
+    });
+
+    it('should score an always-discounted game below a rare discount of the same size', () => {
+      const game = { price: price(2, 90), metacritic: { score: 80 } };
+      const rare = DealService.computeScore(game, { final: 2 }, {
+        days: 365, discountedShare: 0.05, typicalSalePrice: 10
+      });
+      const alwaysOn = DealService.computeScore(game, { final: 2 }, {
+        days: 365, discountedShare: 0.95, typicalSalePrice: 2
+      });
+
+      expect(rare).toBe(88);
+      expect(alwaysOn).toBe(24);
+    });
+
+    it('should not hold a short history against the discount', () => {
+      const score = DealService.computeScore({ price: price(10, 50) }, { final: 10 }, {
+        days: 5, discountedShare: 1, typicalSalePrice: 10
+      });
+
+      expect(score).toBe(75);
+    });
+
+    it('should penalize prices far above the historical low', () => {
+      const atLow = DealService.computeScore({ price: price(10, 50) }, { final: 10 });
+      const aboveLow = DealService.computeScore({ price: price(10, 50) }, { final: 5 });
+
+      expect(atLow).toBe(75);
+      expect(aboveLow).toBe(25);
+    });
+
+    it('should ignore missing signals', () => {
+      expect(DealService.computeScore({ price: price(15, 25) })).toBe(25);
+      expect(DealService.computeScore({ price: null })).toBeNull();
+    });
+  });
+
+  describe('evaluate', () => {
+    it('should flag a price below the previous low as a new historical low', async () => {
+      const result = await DealService.evaluate(
+        { appid: 10, historicalLow: { final: 8, currency: 'USD', date: new Date('2024-01-01') } },
+        { price: price(5, 75) }
+      );
+
+      expect(result).toMatchObject({
+        isHistoricalLow: true,
+        isNewLow: true,
+        historicalLow: { final: 5, currency: 'USD', date: new Date('2024-06-01') }
+      });
+    });
+
+    it('should not flag the usual sale price of an always-discounted game as a historical low', async () => {
+      PriceHistoryService.getObservations.mockResolvedValue([
+        { ...price(2, 90), lastChecked: new Date('2023-01-01') },
+        { ...price(20, 0), lastChecked: new Date('2023-12-01') },
+        { ...price(2, 90), lastChecked: new Date('2023-12-08') }
+      ]);
+
+      const result = await DealService.evaluate(
+        { appid: 10, historicalLow: { final: 2, currency: 'USD', date: new Date('2023-01-01') } },
+        { price: price(2, 90) }
+      );
+
+      expect(PriceHistoryService.getObservations).toHaveBeenCalledWith(10, {});
+      expect(result.isHistoricalLow).toBe(false);
+      expect(result.dealScore).toBeLessThan(10);
+    });
+
+    it('should flag a price below the usual sale price as a historical low', async () => {
+      PriceHistoryService.getObservations.mockResolvedValue([
+        { ...price(20, 0), lastChecked: new Date('2023-01-01') },
+        { ...price(10, 50), lastChecked: new Date('2023-11-01') },
+        { ...price(20, 0), lastChecked: new Date('2023-11-08') }
+      ]);
+
+      const result = await DealService.evaluate(
+        { appid: 10, historicalLow: { final: 10, currency: 'USD', date: new Date('2023-11-01') } },
+        { price: price(5, 75) }
+      );
+
+      expect(result.isHistoricalLow).toBe(true);
+    });
+
+    it('should keep the previous low when the price is higher', async () => {
+      const previousLow = { final: 8, currency: 'USD', date: new Date('2024-01-01') };
+
+      const result = await DealService.evaluate({ appid: 10, historicalLow: previousLow }, { price: price(10, 50) });
+
+      expect(result).toMatchObject({ isHistoricalLow: false, isNewLow: false, historicalLow: previousLow });
+    });
+
+    it('should not flag full-price games as historical lows', async () => {
+      const result = await DealService.evaluate(
+        { appid: 10, historicalLow: { final: 20, currency: 'USD' } },
+        { price: price(20, 0) }
+      );
+
+      expect(result.isHistoricalLow).toBe(false);
+    });
+
+    it('should fall back to recorded history when no low is stored', async () => {
+      const spy = jest.spyOn(PriceHistoryService, 'getLowestPrice')
+        .mockResolvedValue({ final: 4, currency: 'USD', date: new Date('2023-11-20') });
+
+      const result = await DealService.evaluate({ appid: 10 }, { price: price(5, 75) });
+
+      expect(spy).toHaveBeenCalledWith(10, 'USD');
+      expect(result.isNewLow).toBe(false);
+      expect(result.historicalLow.final).toBe(4);
+    });
+
+    it('should not score free games', async () => {
+      const result = await DealService.evaluate({ appid: 10 }, { is_free: true, price: null });
+
+      expect(result).toEqual({ dealScore: null, isHistoricalLow: false, isNewLow: false });
+    });
+  });
+});
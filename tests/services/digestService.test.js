@@ -0,0 +1,194 @@
+const DigestService = require('../../src/services/digestService');
+const MailService = require('../../src/services/mailService');
+const Game = require('../../src/models/Game');
+const User = require('../../src/models/User');
+const lockService = require('../../src/services/lockService');
+const { renderDigest } = require('../../src/services/mail/templates/digestTemplate');
+
+// Mock dependencies
+jest.mock('../../src/models/Game');
+jest.mock('../../src/models/User');
+jest.mock('../../src/services/lockService', () => ({
+  runExclusive: jest.fn()
+}));
+jest.mock('../../src/utils/logger', () => ({
+  info: jest.fn(),
+  error: jest.fn(),
+  warn: jest.fn()
+}));
+
+const deal = {
+  appid: 10,
+  name: 'Counter-Strike <Source>',
+  header_image: 'https://cdn.example.com/10.jpg',
+  isHistoricalLow: true,
+  price: {
+    currency: 'USD',
+    initial: 20,
+    final: 5,
+    discount_percent: 75,
+    initial_formatted: '$20.00',
+    final_formatted: '$5.00'
+  }
+};
+
+const mockDeals = (games) => {
+  const query = {
+    select: jest.fn().mockReturnThis(),
+    sort: jest.fn().mockReturnThis(),
+    limit: jest.fn().mockReturnThis(),
+    lean: jest.fn().mockResolvedValue(games)
+  };
+  Game.find.mockReturnValue(query);
+  return query;
+};
+
+describe('DigestService', () => {
+  const transport = { name: 'memory', send: jest.fn() };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.restoreAllMocks();
+    MailService.setTransport(transport);
+  });
+
+  describe('renderDigest', () => {
+    it('should render escaped HTML and a plain text version', () => {
+      const digest = renderDigest({
+        name: 'Ana',
+        frequency: 'weekly',
+        filters: { genre: 'Action', minDiscount: 50 },
+        games: [{ ...deal, url: 'https://store.steampowered.com/app/10' }]
+      });
+
+      expect(digest.subject).toBe('Your weekly deals: 1 games on sale');
+      expect(digest.html).toContain('Counter-Strike &lt;Source&gt;');
+      expect(digest.html).toContain('href="https://store.steampowered.com/app/10"');
+      expect(digest.text).toContain('genre Action, at least 50% off');
+      expect(digest.text).toContain('1. Counter-Strike <Source>: $5.00 (-75%) - lowest price ever');
+    });
+  });
+
+  describe('getTopDeals', () => {
+    it('should reuse the search filters and only return discounted games', async () => {
+      const query = mockDeals([deal]);
+
+      const games = await DigestService.getTopDeals({ genre: 'Action' });
+
+      expect(Game.find.mock.calls[0][0]).toMatchObject({
+        genres: 'Action',
+        is_free: false,
+        'price.discount_percent': { $gte: 1 }
+      });
+      expect(query.sort).toHaveBeenCalledWith({ 'price.discount_percent': -1, dealScore: -1 });
+      expect(games[0].url).toBe('https://store.steampowered.com/app/10');
+    });
+  });
+
+  describe('sendDueDigests', () => {
+    it('should email every subscriber that is due and record the delivery', async () => {
+      User.find.mockReturnValue({
+        select: jest.fn().mockReturnThis(),
+        lean: jest.fn().mockResolvedValue([
+          {
+            _id: 'user-1', email: 'ana@example.com', name: 'Ana', digest: { frequency: 'daily', filters: {} }
+          }
+        ])
+      });
+      mockDeals([deal]);
+      transport.send.mockResolvedValue({ messageId: 'message-1' });
+
+      const result = await DigestService.sendDueDigests(new Date('2024-06-10T09:00:00Z'));
+
+      const [filter] = User.find.mock.calls[0];
+      expect(filter.$or[0]).toEqual({
+        'digest.frequency': 'daily',
+        $or: [
+          { 'digest.lastSentAt': { $exists: false } },
+          { 'digest.lastSentAt': { $lte: new Date('2024-06-09T13:00:00Z') } }
+        ]
+      });
+      expect(transport.send).toHaveBeenCalledWith(expect.objectContaining({
+        to: 'ana@example.com',
+        subject: 'Your daily deals: 1 games on sale',
+        html: expect.stringContaining('<html>'),
+        text: expect.stringContaining('Hi Ana,')
+      }));
+      expect(User.updateOne).toHaveBeenCalledWith(
+        { _id: 'user-1' },
+        { $set: { 'digest.lastSentAt': expect.any(Date) } }
+      );
+      expect(result).toEqual({ total: 1, sent: 1, failed: 0 });
+    });
+
+    it('should not send empty digests', async () => {
+      User.find.mockReturnValue({
+        select: jest.fn().mockReturnThis(),
+        lean: jest.fn().mockResolvedValue([
+          { _id: 'user-1', email: 'ana@example.com', digest: { frequency: 'weekly' } }
+        ])
+      });
+      mockDeals([]);
+
+      const result = await DigestService.sendDueDigests();
+
+      expect(transport.send).not.toHaveBeenCalled();
+      expect(result).toEqual({ total: 1, sent: 0, failed: 0 });
+    });
+
+    it('should keep going when a delivery fails', async () => {
+      User.find.mockReturnValue({
+        select: jest.fn().mockReturnThis(),
+        lean: jest.fn().mockResolvedValue([
+          { _id: 'user-1', email: 'ana@example.com', digest: { frequency: 'daily' } },
+          { _id: 'user-2', email: 'bob@example.com', digest: { frequency: 'daily' } }
+        ])
+      });
+      mockDeals([deal]);
+      transport.send
+        .mockRejectedValueOnce(new Error('Connection refused'))
+        .mockResolvedValueOnce({ messageId: 'message-2' });
+
+      expect(await DigestService.sendDueDigests()).toEqual({ total: 2, sent: 1, failed: 1 });
+    });
+
+    it('should stop once the signal aborts', async () => {
+      User.find.mockReturnValue({
+        select: jest.fn().mockReturnThis(),
+        lean: jest.fn().mockResolvedValue([{ _id: 'user-1', email: 'ana@example.com', digest: { frequency: 'daily' } }])
+      });
+      const controller = new AbortController();
+      controller.abort();
+
+      const result = await DigestService.sendDueDigests(new Date(), controller.signal);
+
+      expect(result).toEqual({ total: 1, sent: 0, failed: 0 });
+      expect(transport.send).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('runScheduledDigests', () => {
+    it('should send the digests under the digest lock', async () => {
+      const { signal } = new AbortController();
+      jest.spyOn(DigestService, 'sendDueDigests').mockResolvedValueOnce({ total: 0, sent: 0, failed: 0 });
+      lockService.runExclusive.mockImplementationOnce(async (name, fn) => ({
+        acquired: true,
+        result: await fn(signal)
+      }));
+
+      await DigestService.runScheduledDigests();
+
+      expect(lockService.runExclusive).toHaveBeenCalledWith('digest', expect.any(Function));
+      expect(DigestService.sendDueDigests).toHaveBeenCalledWith(expect.any(Date), signal);
+    });
+
+    it('should skip the run while another instance holds the lock', async () => {
+      jest.spyOn(DigestService, 'sendDueDigests');
+      lockService.runExclusive.mockResolvedValueOnce({ acquired: false });
+
+      await DigestService.runScheduledDigests();
+
+      expect(DigestService.sendDueDigests).not.toHaveBeenCalled();
+    });
+  });
+});
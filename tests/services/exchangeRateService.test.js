@@ -0,0 +1,118 @@
+const fs = require('fs');
+const ExchangeRateService = require('../../src/services/exchangeRateService');
+const ExchangeRate = require('../../src/models/ExchangeRate');
+
+// Mock dependencies
+jest.mock('fs');
+jest.mock('../../src/models/ExchangeRate');
+jest.mock('../../src/utils/logger', () => ({
+  info: jest.fn(),
+  error: jest.fn(),
+  warn: jest.fn()
+}));
+
+const mockStoredRates = (rates) => {
+  ExchangeRate.find.mockReturnValue({
+    select: jest.fn().mockReturnThis(),
+    lean: jest.fn().mockResolvedValue(rates)
+  });
+};
+
+describe('ExchangeRateService', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    ExchangeRateService.rates = null;
+    ExchangeRateService.loadedAt = 0;
+  });
+
+  describe('importFile', () => {
+    it('should upsert one daily rate per currency and date', async () => {
+      fs.readFileSync.mockReturnValue(
+        'currency,rate,effectiveDate\nEUR,0.92,2024-06-01T15:30:00Z\nBRL,5.1,2024-06-01\n'
+      );
+      ExchangeRate.bulkWrite.mockResolvedValue({ upsertedCount: 1, modifiedCount: 1 });
+
+      const result = await ExchangeRateService.importFile('/tmp/rates.csv');
+
+      const [operations] = ExchangeRate.bulkWrite.mock.calls[0];
+      expect(operations[0].updateOne.filter).toEqual({ currency: 'EUR', date: new Date('2024-06-01T00:00:00Z') });
+      expect(operations[0].updateOne.update.$set).toEqual({ base: 'USD', rate: 0.92, source: 'rates.csv' });
+      expect(operations[0].updateOne.upsert).toBe(true);
+      expect(result).toEqual({ imported: 1, updated: 1 });
+    });
+
+    it('should reject files with another base currency', async () => {
+      fs.readFileSync.mockReturnValue(JSON.stringify({ base: 'EUR', rates: [] }));
+
+      await expect(ExchangeRateService.importFile('/tmp/rates.json'))
+        .rejects.toThrow('Rates must be expressed against USD');
+      expect(ExchangeRate.bulkWrite).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('ensureRates', () => {
+    it('should prefer the stored rate history over the local file', async () => {
+      mockStoredRates([{ currency: 'EUR', rate: 0.9, date: new Date('2024-01-01') }]);
+
+      await ExchangeRateService.ensureRates();
+
+      expect(fs.readFileSync).not.toHaveBeenCalled();
+      expect(ExchangeRateService.getRate('EUR').rate).toBe(0.9);
+    });
+
+    it('should fall back to the local file when no rates are stored', async () => {
+      mockStoredRates([]);
+      fs.readFileSync.mockReturnValue(JSON.stringify({
+        base: 'USD',
+        rates: [{ currency: 'GBP', rate: 0.8, effectiveDate: '2024-01-01' }]
+      }));
+
+      await ExchangeRateService.ensureRates();
+
+      expect(ExchangeRateService.getRate('GBP').rate).toBe(0.8);
+    });
+  });
+
+  describe('convertPrice', () => {
+    beforeEach(async () => {
+      mockStoredRates([
+        { currency: 'EUR', rate: 0.8, date: new Date('2024-01-01') },
+        { currency: 'EUR', rate: 0.9, date: new Date('2024-06-01') }
+      ]);
+      await ExchangeRateService.ensureRates();
+    });
+
+    it('should convert with the rate valid at lastChecked', () => {
+      const oldPrice = {
+        currency: 'USD', initial: 20, final: 10, lastChecked: new Date('2024-02-01')
+      };
+      const newPrice = {
+        currency: 'USD', initial: 20, final: 10, lastChecked: new Date('2024-07-01')
+      };
+
+      expect(ExchangeRateService.convertPrice(oldPrice, 'eur')).toMatchObject({
+        currency: 'EUR',
+        initial: 16,
+        final: 8,
+        final_formatted: '€8.00',
+        original: { currency: 'USD', initial: 20, final: 10 },
+        exchangeRateDate: new Date('2024-01-01')
+      });
+      expect(ExchangeRateService.convertPrice(newPrice, 'EUR').final).toBe(9);
+    });
+
+    it('should leave prices untouched when there is no rate', () => {
+      const price = { currency: 'JPY', final: 1000, lastChecked: new Date('2024-07-01') };
+
+      expect(ExchangeRateService.convertPrice(price, 'EUR')).toMatchObject({
+        currency: 'JPY',
+        final: 1000,
+        conversionError: 'No exchange rate from JPY to EUR'
+      });
+    });
+
+    it('should ignore missing prices', () => {
+      expect(ExchangeRateService.convertPrice(null, 'EUR')).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,116 @@
+const UpdateService = require('../../src/services/updateService');
+const SteamService = require('../../src/services/steamService');
+const searchService = require('../../src/services/searchService');
+const catalogService = require('../../src/services/catalogService');
+const webhookService = require('../../src/services/webhookService');
+const Game = require('../../src/models/Game');
+
+// Mock dependencies
+jest.mock('../../src/services/steamService');
+jest.mock('../../src/models/Game');
+jest.mock('../../src/services/catalogService', () => ({
+  getUnlistedAppids: jest.fn(),
+  getRemovedAppids: jest.fn()
+}));
+jest.mock('../../src/services/webhookService', () => ({
+  emit: jest.fn().mockResolvedValue([])
+}));
+jest.mock('../../src/services/priceHistoryService', () => ({
+  hasPriceChanged: jest.fn().mockReturnValue(false),
+  recordObservations: jest.fn().mockResolvedValue([])
+}));
+jest.mock('../../src/services/dealService', () => ({
+  evaluate: jest.fn().mockResolvedValue({})
+}));
+jest.mock('../../src/utils/logger', () => ({
+  info: jest.fn(),
+  error: jest.fn(),
+  warn: jest.fn()
+}));
+
+describe('Game lifecycle', () => {
+  const now = new Date('2024-05-01T12:00:00Z');
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    Game.updateOne.mockResolvedValue({});
+    Game.updateMany.mockResolvedValue({});
+    Game.upsertOffer = jest.fn().mockResolvedValue({});
+  });
+
+  describe('syncLifecycles', () => {
+    it('should delist games whose app left the list after a full catalog sync', async () => {
+      Game.distinct
+        .mockResolvedValueOnce([])
+        .mockResolvedValueOnce([10, 20, 30]);
+      catalogService.getUnlistedAppids.mockResolvedValueOnce([]);
+      catalogService.getRemovedAppids.mockResolvedValueOnce([20]);
+      Game.find.mockReturnValue({
+        select: jest.fn().mockReturnThis(),
+        lean: jest.fn().mockResolvedValue([{ appid: 20, name: 'Gone Game' }])
+      });
+
+      const result = await UpdateService.syncLifecycles({ mode: 'full' }, now);
+
+      expect(Game.distinct).toHaveBeenLastCalledWith('appid', { lifecycle: { $ne: 'delisted' } });
+      expect(catalogService.getRemovedAppids).toHaveBeenCalledWith([10, 20, 30]);
+      expect(Game.updateMany).toHaveBeenCalledWith(
+        { appid: { $in: [20] } },
+        { $set: { lifecycle: 'delisted', delistedAt: now } }
+      );
+      expect(webhookService.emit)
+        .toHaveBeenCalledWith('game.delisted', { appid: 20, name: 'Gone Game', delistedAt: now });
+      expect(result).toEqual({ delisted: 1, relisted: 0 });
+    });
+
+    it('should reactivate delisted games back on the list without looking for removals', async () => {
+      Game.distinct.mockResolvedValueOnce([20, 30]);
+      catalogService.getUnlistedAppids.mockResolvedValueOnce([30]);
+
+      const result = await UpdateService.syncLifecycles({ mode: 'incremental' }, now);
+
+      expect(Game.updateMany).toHaveBeenCalledWith(
+        { appid: { $in: [20] } },
+        { $set: { lifecycle: 'active', delistedAt: null, 'refresh.nextAt': now } }
+      );
+      expect(Game.distinct).toHaveBeenCalledTimes(1);
+      expect(webhookService.emit).not.toHaveBeenCalled();
+      expect(result).toEqual({ delisted: 0, relisted: 1 });
+    });
+  });
+
+  describe('updateGameDetails', () => {
+    const game = {
+      _id: 'a', appid: 10, name: 'Game 10', lifecycle: 'active'
+    };
+
+    it('should mark a listed game without a store page as unavailable in the region', async () => {
+      SteamService.fetchGameDetails.mockResolvedValue(null);
+
+      expect(await UpdateService.updateGameDetails(game)).toBe(game);
+      expect(Game.updateOne).toHaveBeenCalledWith(
+        { _id: 'a' },
+        { $set: expect.objectContaining({ lifecycle: 'unavailable_in_region' }) }
+      );
+    });
+
+    it('should take the lifecycle from the store page but keep delisted games delisted', async () => {
+      SteamService.fetchGameDetails.mockResolvedValue({
+        appid: 10, name: 'Game 10', is_free: true, lifecycle: 'coming_soon'
+      });
+
+      await UpdateService.updateGameDetails(game);
+      await UpdateService.updateGameDetails({ ...game, lifecycle: 'delisted' });
+
+      expect(Game.updateOne.mock.calls[0][1].$set.lifecycle).toBe('coming_soon');
+      expect(Game.updateOne.mock.calls[1][1].$set).not.toHaveProperty('lifecycle');
+    });
+  });
+
+  describe('search', () => {
+    it('should hide delisted games unless asked for', () => {
+      expect(searchService._buildQuery({}).lifecycle).toEqual({ $ne: 'delisted' });
+      expect(searchService._buildQuery({ includeDelisted: true })).not.toHaveProperty('lifecycle');
+    });
+  });
+});
@@ -0,0 +1,292 @@
+const mongoose = require('mongoose');
+const JobService = require('../../src/services/jobService');
+const Job = require('../../src/models/Job');
+const lockService = require('../../src/services/lockService');
+
+// Mock dependencies
+jest.mock('../../src/models/Job');
+jest.mock('../../src/services/lockService');
+jest.mock('../../src/utils/logger', () => ({
+  info: jest.fn(),
+  error: jest.fn(),
+  warn: jest.fn()
+}));
+
+const mockNextQueued = (job) => {
+  Job.findOne.mockReturnValue({
+    sort: jest.fn().mockReturnThis(),
+    select: jest.fn().mockReturnThis(),
+    lean: jest.fn().mockResolvedValue(job)
+  });
+};
+
+const mockFlush = (job = { cancelRequested: false }) => {
+  Job.findOneAndUpdate.mockReturnValue({
+    select: jest.fn().mockReturnThis(),
+    lean: jest.fn().mockResolvedValue(job)
+  });
+};
+
+describe('JobService', () => {
+  const job = {
+    _id: new mongoose.Types.ObjectId(),
+    type: 'sync_new_games',
+    status: 'running',
+    params: {},
+    startedAt: new Date()
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    JobService.handlers.clear();
+    JobService.locks.clear();
+    Job.updateOne.mockResolvedValue({});
+  });
+
+  describe('enqueue', () => {
+    it('should return the active job instead of queuing a duplicate', async () => {
+      Job.findOne.mockReturnValue({ lean: jest.fn().mockResolvedValue({ ...job, status: 'queued' }) });
+
+      const result = await JobService.enqueue('sync_new_games');
+
+      expect(result.created).toBe(false);
+      expect(result.job).toMatchObject({ id: String(job._id), status: 'queued' });
+      expect(Job.create).not.toHaveBeenCalled();
+    });
+
+    it('should queue a new job', async () => {
+      Job.findOne.mockReturnValue({ lean: jest.fn().mockResolvedValue(null) });
+      Job.create.mockImplementation(async (doc) => ({
+        toObject: () => ({
+          ...doc, _id: job._id, status: 'queued', createdAt: new Date()
+        })
+      }));
+
+      const result = await JobService.enqueue('update_all_games', {}, { requestedBy: 'sas_abcdef' });
+
+      expect(Job.create).toHaveBeenCalledWith({ type: 'update_all_games', params: {}, requestedBy: 'sas_abcdef' });
+      expect(result).toMatchObject({ created: true, job: { status: 'queued', durationMs: null } });
+    });
+  });
+
+  describe('runJob', () => {
+    it('should save the progress and result of a successful job', async () => {
+      mockFlush();
+      JobService.registerHandler('sync_new_games', async (run) => {
+        run.setTotal(3);
+        run.addProgress({ succeeded: 2, failed: 1 });
+        run.addError('Game 30: timeout');
+        return { added: 2 };
+      });
+
+      const result = await JobService.runJob(job);
+
+      expect(result.status).toBe('succeeded');
+      expect(Job.findOneAndUpdate).toHaveBeenCalledWith(
+        { _id: job._id },
+        {
+          $set: expect.objectContaining({
+            progress: {
+              phase: null, total: 3, processed: 3, succeeded: 2, failed: 1
+            }
+          }),
+          $push: { errorLog: { $each: [expect.objectContaining({ message: 'Game 30: timeout' })], $slice: -50 } }
+        },
+        { new: true }
+      );
+      expect(Job.updateOne).toHaveBeenCalledWith(
+        { _id: job._id },
+        { $set: expect.objectContaining({ status: 'succeeded', result: { added: 2 } }) }
+      );
+      expect(JobService.current).toBeNull();
+    });
+
+    it('should mark the job as failed when the handler throws', async () => {
+      mockFlush();
+      JobService.registerHandler('sync_new_games', async () => {
+        throw new Error('Steam is down');
+      });
+
+      const result = await JobService.runJob(job);
+
+      expect(result.status).toBe('failed');
+      const [, update] = Job.findOneAndUpdate.mock.calls[0];
+      expect(update.$push.errorLog.$each[0].message).toBe('Steam is down');
+    });
+
+    it('should stop when a cancellation is picked up by the heartbeat', async () => {
+      mockFlush({ cancelRequested: true });
+      JobService.registerHandler('sync_new_games', async (run) => {
+        await run.flush();
+        return { added: 0, stopped: run.cancelled };
+      });
+
+      const result = await JobService.runJob(job);
+
+      expect(result.status).toBe('cancelled');
+      expect(result.result).toEqual({ added: 0, stopped: true });
+    });
+
+    it('should queue an interrupted job again with its checkpoint', async () => {
+      mockFlush();
+      JobService.registerHandler('update_all_games', async (run) => {
+        await run.saveCheckpoint({ phase: 'update_games', lastGame: { appid: 40 } });
+        run.interrupted = true;
+        return { updated: 1, stopped: run.stopping };
+      });
+
+      const result = await JobService.runJob({ ...job, type: 'update_all_games' });
+
+      expect(result.status).toBe('queued');
+      expect(result.checkpoint).toEqual({ phase: 'update_games', lastGame: { appid: 40 } });
+      expect(Job.updateOne).toHaveBeenCalledWith(
+        { _id: job._id },
+        { $set: { checkpoint: { phase: 'update_games', lastGame: { appid: 40 } } } }
+      );
+      expect(Job.updateOne).toHaveBeenLastCalledWith(
+        { _id: job._id },
+        { $set: { status: 'queued' }, $unset: { workerId: 1 } }
+      );
+    });
+
+    it('should pass the saved checkpoint to a resumed job', async () => {
+      mockFlush();
+      const handler = jest.fn(async (run) => ({ resumedFrom: run.checkpoint.phase }));
+      JobService.registerHandler('update_all_games', handler);
+
+      const result = await JobService.runJob({
+        ...job,
+        type: 'update_all_games',
+        checkpoint: { phase: 'store_offers' }
+      });
+
+      expect(result).toMatchObject({ status: 'succeeded', result: { resumedFrom: 'store_offers' } });
+    });
+  });
+
+  describe('processNext', () => {
+    it('should leave the job queued while another instance holds its lock', async () => {
+      mockNextQueued({ _id: job._id, type: 'update_all_games' });
+      lockService.acquire.mockResolvedValue(null);
+      JobService.registerHandler('update_all_games', jest.fn(), { lock: 'steam_sync' });
+
+      expect(await JobService.processNext()).toBeNull();
+      expect(lockService.acquire).toHaveBeenCalledWith('steam_sync');
+      expect(Job.findOneAndUpdate).not.toHaveBeenCalled();
+    });
+
+    it('should run the job holding its lock and release it afterwards', async () => {
+      mockFlush();
+      mockNextQueued({ _id: job._id, type: 'update_all_games' });
+      lockService.acquire.mockResolvedValue({ _id: 'steam_sync' });
+      lockService.release.mockResolvedValue(true);
+      Job.findOneAndUpdate.mockReturnValueOnce({
+        lean: jest.fn().mockResolvedValue({ ...job, type: 'update_all_games' })
+      });
+      JobService.registerHandler('update_all_games', async () => ({ updated: 0 }), { lock: 'steam_sync' });
+
+      const result = await JobService.processNext();
+
+      expect(result.status).toBe('succeeded');
+      expect(lockService.release).toHaveBeenCalledWith('steam_sync');
+    });
+
+    it('should release the lock when the job was claimed by someone else', async () => {
+      mockNextQueued({ _id: job._id, type: 'update_all_games' });
+      lockService.acquire.mockResolvedValue({ _id: 'steam_sync' });
+      Job.findOneAndUpdate.mockReturnValueOnce({ lean: jest.fn().mockResolvedValue(null) });
+      JobService.registerHandler('update_all_games', jest.fn(), { lock: 'steam_sync' });
+
+      expect(await JobService.processNext()).toBeNull();
+      expect(lockService.release).toHaveBeenCalledWith('steam_sync');
+    });
+  });
+
+  describe('shutdown', () => {
+    it('should interrupt the running job and wait for it', async () => {
+      mockFlush();
+      mockNextQueued({ _id: job._id, type: 'update_all_games' });
+      Job.findOneAndUpdate.mockReturnValueOnce({
+        lean: jest.fn().mockResolvedValue({ ...job, type: 'update_all_games' })
+      });
+      let release;
+      JobService.registerHandler('update_all_games', (run) => new Promise((resolve) => {
+        release = () => resolve({ stopped: run.stopping });
+      }));
+
+      const processing = JobService.processNext();
+      await new Promise(setImmediate);
+      const stopped = JobService.shutdown();
+      expect(JobService.current.interrupted).toBe(true);
+      release();
+      await stopped;
+
+      expect((await processing).status).toBe('queued');
+      expect(JobService.running).toBeNull();
+    });
+  });
+
+  describe('cancelJob', () => {
+    it('should cancel a queued job right away', async () => {
+      Job.findOneAndUpdate.mockReturnValueOnce({
+        lean: jest.fn().mockResolvedValue({ ...job, status: 'cancelled', cancelRequested: true })
+      });
+
+      const result = await JobService.cancelJob(String(job._id));
+
+      expect(Job.findOneAndUpdate).toHaveBeenCalledTimes(1);
+      expect(result).toMatchObject({ status: 'cancelled', cancelRequested: true });
+    });
+
+    it('should flag a running job', async () => {
+      Job.findOneAndUpdate
+        .mockReturnValueOnce({ lean: jest.fn().mockResolvedValue(null) })
+        .mockReturnValueOnce({ lean: jest.fn().mockResolvedValue({ ...job, cancelRequested: true }) });
+
+      const result = await JobService.cancelJob(String(job._id));
+
+      expect(Job.findOneAndUpdate).toHaveBeenLastCalledWith(
+        { _id: String(job._id), status: 'running' },
+        { $set: { cancelRequested: true } },
+        { new: true }
+      );
+      expect(result).toMatchObject({ status: 'running', cancelRequested: true });
+    });
+
+    it('should ignore invalid ids', async () => {
+      expect(await JobService.cancelJob('not-an-id')).toBeNull();
+      expect(Job.findOneAndUpdate).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('failStaleJobs', () => {
+    it('should fail running jobs without a recent heartbeat', async () => {
+      const now = new Date('2024-05-01T12:00:00Z');
+      Job.updateMany.mockResolvedValue({ modifiedCount: 1 });
+
+      expect(await JobService.failStaleJobs(now)).toBe(1);
+      expect(Job.updateMany).toHaveBeenCalledWith(
+        { status: 'running', heartbeatAt: { $lt: new Date('2024-05-01T11:50:00Z') } },
+        expect.objectContaining({ $set: { status: 'failed', finishedAt: now } })
+      );
+    });
+
+    it('should queue stale jobs with a checkpoint again', async () => {
+      const now = new Date('2024-05-01T12:00:00Z');
+      Job.updateMany
+        .mockResolvedValueOnce({ modifiedCount: 2 })
+        .mockResolvedValueOnce({ modifiedCount: 0 });
+
+      expect(await JobService.failStaleJobs(now)).toBe(0);
+      expect(Job.updateMany).toHaveBeenCalledWith(
+        {
+          status: 'running',
+          heartbeatAt: { $lt: new Date('2024-05-01T11:50:00Z') },
+          checkpoint: { $ne: null },
+          attempts: { $lt: 3 }
+        },
+        expect.objectContaining({ $set: { status: 'queued' } })
+      );
+    });
+  });
+});
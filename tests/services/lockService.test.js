@@ -0,0 +1,114 @@
+const LockService = require('../../src/services/lockService');
+const Lock = require('../../src/models/Lock');
+
+// Mock dependencies
+jest.mock('../../src/models/Lock');
+jest.mock('../../src/utils/logger', () => ({
+  info: jest.fn(),
+  error: jest.fn(),
+  warn: jest.fn()
+}));
+
+describe('LockService', () => {
+  const now = new Date('2024-05-01T12:00:00Z');
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    LockService.leaseTtl = 60000;
+  });
+
+  describe('acquire', () => {
+    it('should take a free, expired or own lock with a new lease', async () => {
+      Lock.findOneAndUpdate.mockReturnValue({
+        lean: jest.fn().mockResolvedValue({ _id: 'steam_sync', holder: LockService.holderId })
+      });
+
+      const lock = await LockService.acquire('steam_sync', now);
+
+      expect(lock.holder).toBe(LockService.holderId);
+      expect(Lock.findOneAndUpdate).toHaveBeenCalledWith(
+        {
+          _id: 'steam_sync',
+          $or: [
+            { expiresAt: { $lte: now } },
+            { holder: LockService.holderId }
+          ]
+        },
+        {
+          $set: expect.objectContaining({
+            holder: LockService.holderId,
+            expiresAt: new Date('2024-05-01T12:01:00Z')
+          })
+        },
+        { upsert: true, new: true }
+      );
+    });
+
+    it('should return null when another instance holds the lock', async () => {
+      const duplicateKey = Object.assign(new Error('E11000 duplicate key error'), { code: 11000 });
+      Lock.findOneAndUpdate.mockReturnValue({ lean: jest.fn().mockRejectedValue(duplicateKey) });
+
+      expect(await LockService.acquire('steam_sync', now)).toBeNull();
+    });
+
+    it('should rethrow other errors', async () => {
+      Lock.findOneAndUpdate.mockReturnValue({ lean: jest.fn().mockRejectedValue(new Error('Connection lost')) });
+
+      await expect(LockService.acquire('steam_sync', now)).rejects.toThrow('Connection lost');
+    });
+  });
+
+  describe('renew', () => {
+    it('should report a lease that was taken over', async () => {
+      Lock.updateOne.mockResolvedValue({ matchedCount: 0 });
+
+      expect(await LockService.renew('steam_sync', now)).toBe(false);
+      expect(Lock.updateOne).toHaveBeenCalledWith(
+        { _id: 'steam_sync', holder: LockService.holderId },
+        { $set: { renewedAt: now, expiresAt: new Date('2024-05-01T12:01:00Z') } }
+      );
+    });
+  });
+
+  describe('runExclusive', () => {
+    it('should skip the work when the lock is held elsewhere', async () => {
+      jest.spyOn(LockService, 'acquire').mockResolvedValueOnce(null);
+      const fn = jest.fn();
+
+      expect(await LockService.runExclusive('update_scheduler', fn)).toEqual({ acquired: false });
+      expect(fn).not.toHaveBeenCalled();
+    });
+
+    it('should release the lock even when the work fails', async () => {
+      jest.spyOn(LockService, 'acquire').mockResolvedValueOnce({ _id: 'update_scheduler' });
+      Lock.deleteOne.mockResolvedValue({ deletedCount: 1 });
+
+      await expect(LockService.runExclusive('update_scheduler', async () => {
+        throw new Error('Enqueue failed');
+      })).rejects.toThrow('Enqueue failed');
+      expect(Lock.deleteOne).toHaveBeenCalledWith({ _id: 'update_scheduler', holder: LockService.holderId });
+    });
+
+    it('should abort the work when the lease is lost', async () => {
+      jest.spyOn(LockService, 'acquire').mockResolvedValueOnce({ _id: 'update_scheduler' });
+      Lock.updateOne.mockResolvedValue({ matchedCount: 0 });
+      Lock.deleteOne.mockResolvedValue({ deletedCount: 0 });
+      LockService.leaseTtl = 30;
+
+      const outcome = await LockService.runExclusive('update_scheduler', (signal) => new Promise((resolve) => {
+        signal.addEventListener('abort', () => resolve('stopped'));
+      }));
+
+      expect(outcome).toEqual({ acquired: true, lost: true, result: 'stopped' });
+    });
+  });
+
+  describe('getHolder', () => {
+    it('should ignore expired leases', async () => {
+      Lock.findOne.mockReturnValue({ lean: jest.fn().mockResolvedValue(null) });
+
+      expect(await LockService.getHolder('steam_sync', now)).toBeNull();
+      expect(Lock.findOne).toHaveBeenCalledWith({ _id: 'steam_sync', expiresAt: { $gt: now } });
+    });
+  });
+});
@@ -0,0 +1,46 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createMailTransport } = require('../../src/services/mail');
+
+jest.mock('../../src/utils/logger', () => ({
+  info: jest.fn(),
+  error: jest.fn(),
+  warn: jest.fn()
+}));
+
+const message = {
+  from: 'SalesAllSales <no-reply@salesallsales.com>',
+  to: 'ana@example.com',
+  subject: 'Your weekly deals',
+  html: '<p>Deals</p>',
+  text: 'Deals'
+};
+
+describe('Mail transports', () => {
+  it('should write messages with both parts as .eml files', async () => {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'mail-'));
+    const transport = createMailTransport('file', { directory });
+
+    const result = await transport.send(message);
+
+    const content = fs.readFileSync(result.path, 'utf8');
+    expect(path.extname(result.path)).toBe('.eml');
+    expect(content).toContain('To: ana@example.com');
+    expect(content).toContain('Content-Type: text/plain');
+    expect(content).toContain('Content-Type: text/html');
+
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  it('should build an SMTP transport from the given options', () => {
+    const transport = createMailTransport('smtp', { host: 'localhost', port: 1025, user: '' });
+
+    expect(transport.name).toBe('smtp');
+    expect(transport.transporter.options).toMatchObject({ host: 'localhost', port: 1025, secure: false });
+  });
+
+  it('should reject unknown transports', () => {
+    expect(() => createMailTransport('pigeon')).toThrow('Unknown mail transport: pigeon');
+  });
+});
@@ -0,0 +1,164 @@
+const MatchingService = require('../../src/services/matchingService');
+const Game = require('../../src/models/Game');
+const MatchOverride = require('../../src/models/MatchOverride');
+
+// Mock dependencies
+jest.mock('../../src/models/Game');
+jest.mock('../../src/models/MatchOverride');
+jest.mock('../../src/utils/logger', () => ({
+  info: jest.fn(),
+  error: jest.fn(),
+  warn: jest.fn()
+}));
+
+const mockQuery = (result) => ({
+  select: jest.fn().mockReturnThis(),
+  sort: jest.fn().mockReturnThis(),
+  limit: jest.fn().mockReturnThis(),
+  lean: jest.fn().mockResolvedValue(result)
+});
+
+describe('MatchingService', () => {
+  const steamGame = {
+    _id: 'game-1',
+    appid: 1551360,
+    name: 'Forza Horizon 5',
+    normalizedName: 'forza horizon 5',
+    developers: ['Playground Games'],
+    publishers: ['Xbox Game Studios'],
+    releaseDate: new Date('2021-11-08')
+  };
+
+  const provider = {
+    store: 'xbox',
+    fetchDetails: jest.fn()
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('scoreMatch', () => {
+    it('should give full confidence when name, companies and year agree', () => {
+      const score = MatchingService.scoreMatch(steamGame, {
+        name: 'Forza Horizon 5 Standard Edition',
+        developers: ['Playground Games Ltd.'],
+        publishers: [],
+        releaseDate: new Date('2021-11-09')
+      });
+
+      expect(score).toBe(1);
+    });
+
+    it('should reject same-name products from other companies and years', () => {
+      const score = MatchingService.scoreMatch(steamGame, {
+        name: 'Forza Horizon 5',
+        publishers: ['Another Publisher'],
+        releaseDate: new Date('2018-03-01')
+      });
+
+      expect(score).toBeLessThan(MatchingService.confidenceThreshold);
+    });
+
+    it('should ignore missing signals instead of penalizing them', () => {
+      const score = MatchingService.scoreMatch(steamGame, { name: 'Forza Horizon 5' });
+
+      expect(score).toBe(1);
+    });
+
+    it('should return zero for dissimilar names', () => {
+      const score = MatchingService.scoreMatch(steamGame, {
+        name: 'Halo Infinite',
+        publishers: ['Xbox Game Studios']
+      });
+
+      expect(score).toBe(0);
+    });
+  });
+
+  describe('findMatch', () => {
+    const product = { productId: '9NBLGGH4R315', name: 'Forza Horizon 5' };
+    const details = {
+      name: 'Forza Horizon 5',
+      developers: ['Playground Games'],
+      publishers: ['Xbox Game Studios'],
+      releaseDate: new Date('2021-11-09'),
+      price: { currency: 'USD', final: 29.99 }
+    };
+
+    it('should match the best candidate above the threshold', async () => {
+      MatchOverride.findOne.mockReturnValue({ lean: jest.fn().mockResolvedValue(null) });
+      Game.find.mockReturnValue(mockQuery([steamGame]));
+      provider.fetchDetails.mockResolvedValue(details);
+
+      const result = await MatchingService.findMatch(provider, product);
+
+      expect(result.game).toBe(steamGame);
+      expect(result.details).toBe(details);
+      expect(result.match).toMatchObject({ confidence: 1, method: 'auto' });
+    });
+
+    it('should search the whole title and keep the most relevant candidates', async () => {
+      const query = mockQuery([steamGame]);
+      MatchOverride.findOne.mockReturnValue({ lean: jest.fn().mockResolvedValue(null) });
+      Game.find.mockReturnValue(query);
+      provider.fetchDetails.mockResolvedValue(details);
+
+      await MatchingService.findMatch(provider, { ...product, name: 'Forza Horizon 5 - Xbox Series X|S' });
+
+      expect(Game.find).toHaveBeenCalledWith({
+        $text: { $search: 'forza horizon 5' },
+        'offers.store': { $ne: 'xbox' }
+      });
+      expect(query.sort).toHaveBeenCalledWith({ score: { $meta: 'textScore' } });
+      expect(query.limit).toHaveBeenCalledWith(MatchingService.candidateLimit);
+    });
+
+    it('should not fetch details when there are no candidates', async () => {
+      MatchOverride.findOne.mockReturnValue({ lean: jest.fn().mockResolvedValue(null) });
+      Game.find.mockReturnValue(mockQuery([]));
+
+      const result = await MatchingService.findMatch(provider, product);
+
+      expect(result).toBeNull();
+      expect(provider.fetchDetails).not.toHaveBeenCalled();
+    });
+
+    it('should respect overrides that reject the product', async () => {
+      MatchOverride.findOne.mockReturnValue({
+        lean: jest.fn().mockResolvedValue({ store: 'xbox', productId: product.productId, appid: null })
+      });
+
+      const result = await MatchingService.findMatch(provider, product);
+
+      expect(result).toBeNull();
+      expect(Game.find).not.toHaveBeenCalled();
+    });
+
+    it('should use the overridden game for manual matches', async () => {
+      MatchOverride.findOne.mockReturnValue({
+        lean: jest.fn().mockResolvedValue({ store: 'xbox', productId: product.productId, appid: 1551360 })
+      });
+      Game.findOne.mockReturnValue(mockQuery(steamGame));
+      provider.fetchDetails.mockResolvedValue(details);
+
+      const result = await MatchingService.findMatch(provider, product);
+
+      expect(Game.findOne).toHaveBeenCalledWith({ appid: 1551360 });
+      expect(result.match).toMatchObject({ confidence: 1, method: 'manual' });
+    });
+  });
+
+  describe('setManualMatch', () => {
+    it('should not write anything when the game does not exist', async () => {
+      Game.findOne.mockReturnValue(mockQuery(null));
+
+      const result = await MatchingService.setManualMatch('xbox', '9NBLGGH4R315', 999999, 'Wrong appid');
+
+      expect(result).toBeNull();
+      expect(Game.findOne).toHaveBeenCalledWith({ appid: 999999 });
+      expect(MatchOverride.findOneAndUpdate).not.toHaveBeenCalled();
+      expect(Game.updateMany).not.toHaveBeenCalled();
+    });
+  });
+});
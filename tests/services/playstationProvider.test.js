@@ -0,0 +1,111 @@
+const productFixture = require('../fixtures/playstation/product-retrieve.json');
+const categoryFixture = require('../fixtures/playstation/category-grid.json');
+
+const mockApi = { get: jest.fn() };
+
+// Mock dependencies
+jest.mock('../../src/utils/httpClient', () => ({
+  createHttpClient: () => mockApi,
+  withRetry: (config) => ({ ...config, retry: true, retryCount: 0 })
+}));
+jest.mock('../../src/utils/logger', () => ({
+  info: jest.fn(),
+  error: jest.fn(),
+  warn: jest.fn()
+}));
+
+const PlayStationProvider = require('../../src/services/providers/playstationProvider');
+
+describe('PlayStationProvider', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    PlayStationProvider.cache.flushAll();
+    PlayStationProvider.categoryId = '44d8bb20-653e-431e-8ad0-c0a365f68d2f';
+    PlayStationProvider.productQueryHash = 'product-hash';
+    PlayStationProvider.categoryQueryHash = 'category-hash';
+  });
+
+  describe('fetchDetails', () => {
+    it('should normalize base and discounted prices into the Steam price shape', async () => {
+      mockApi.get.mockResolvedValue({ data: productFixture });
+
+      const result = await PlayStationProvider.fetchDetails('UP9000-PPSA01521_00-RATCHETANDCLANK0');
+
+      expect(result).toMatchObject({
+        productId: 'UP9000-PPSA01521_00-RATCHETANDCLANK0',
+        name: 'Ratchet & Clank: Rift Apart',
+        publishers: ['Sony Interactive Entertainment'],
+        is_free: false
+      });
+      expect(result.price).toMatchObject({
+        currency: 'USD',
+        initial: 69.99,
+        final: 34.99,
+        discount_percent: 50,
+        initial_formatted: '$69.99',
+        final_formatted: '$34.99'
+      });
+    });
+
+    it('should keep the PS Plus price in a separate subscription field', async () => {
+      mockApi.get.mockResolvedValue({ data: productFixture });
+
+      const result = await PlayStationProvider.fetchDetails('UP9000-PPSA01521_00-RATCHETANDCLANK0');
+
+      expect(result.price.subscription).toEqual({
+        service: 'PS_PLUS',
+        final: 27.99,
+        discount_percent: 60,
+        final_formatted: '$27.99'
+      });
+    });
+
+    it('should send the persisted query for the product', async () => {
+      mockApi.get.mockResolvedValue({ data: productFixture });
+
+      await PlayStationProvider.fetchDetails('UP9000-PPSA01521_00-RATCHETANDCLANK0');
+
+      const { params } = mockApi.get.mock.calls[0][1];
+      expect(params.operationName).toBe('productRetrieveForCtasWithPrice');
+      expect(JSON.parse(params.variables)).toEqual({ productId: 'UP9000-PPSA01521_00-RATCHETANDCLANK0' });
+      expect(JSON.parse(params.extensions).persistedQuery.sha256Hash).toBe('product-hash');
+    });
+
+    it('should return null when the query hash is not configured', async () => {
+      PlayStationProvider.productQueryHash = undefined;
+
+      const result = await PlayStationProvider.fetchDetails('UP9000-PPSA01521_00-RATCHETANDCLANK0');
+
+      expect(result).toBeNull();
+      expect(mockApi.get).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('listCatalog', () => {
+    it('should list the products of the configured category', async () => {
+      mockApi.get.mockResolvedValue({ data: categoryFixture });
+
+      const result = await PlayStationProvider.listCatalog();
+
+      expect(result).toEqual([
+        { productId: 'UP9000-PPSA01521_00-RATCHETANDCLANK0', name: 'Ratchet & Clank: Rift Apart' },
+        { productId: 'EP0700-PPSA07784_00-ELDENRING0000000', name: 'ELDEN RING' }
+      ]);
+      expect(mockApi.get).toHaveBeenCalledTimes(1);
+    });
+
+    it('should fail when no category is configured', async () => {
+      PlayStationProvider.categoryId = undefined;
+
+      await expect(PlayStationProvider.listCatalog()).rejects.toThrow('PLAYSTATION_CATEGORY_ID is not configured');
+    });
+  });
+
+  describe('normalizePrice', () => {
+    it('should return null when there is no purchase option', () => {
+      const ctas = productFixture.data.productRetrieve.webctas.filter((cta) => cta.price.isTiedToSubscription);
+
+      expect(PlayStationProvider.normalizePrice(ctas)).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,184 @@
+const PriceHistoryService = require('../../src/services/priceHistoryService');
+const Game = require('../../src/models/Game');
+const PriceObservation = require('../../src/models/PriceObservation');
+
+// Mock dependencies
+jest.mock('../../src/models/Game');
+jest.mock('../../src/models/PriceObservation');
+jest.mock('../../src/models/ExchangeRate');
+jest.mock('../../src/utils/logger', () => ({
+  info: jest.fn(),
+  error: jest.fn(),
+  warn: jest.fn()
+}));
+
+const price = (final, discount, date) => ({
+  currency: 'USD',
+  initial: 20,
+  final,
+  discount_percent: discount,
+  lastChecked: new Date(date)
+});
+
+const mockFindOne = (result) => {
+  Game.findOne.mockReturnValue({
+    select: jest.fn().mockReturnThis(),
+    lean: jest.fn().mockResolvedValue(result)
+  });
+};
+
+const mockObservations = (prices) => {
+  const query = {
+    select: jest.fn().mockReturnThis(),
+    sort: jest.fn().mockReturnThis(),
+    lean: jest.fn().mockResolvedValue(
+      prices.map(({ lastChecked, ...entry }) => ({ ...entry, observedAt: lastChecked }))
+    )
+  };
+  PriceObservation.find.mockReturnValue(query);
+  return query;
+};
+
+describe('PriceHistoryService', () => {
+  const history = [
+    price(20, 0, '2024-01-01'),
+    price(10, 50, '2024-02-01'),
+    price(5, 75, '2024-02-05'),
+    price(20, 0, '2024-03-01'),
+    price(15, 25, '2024-04-01'),
+    price(20, 0, '2024-05-01')
+  ];
+  const game = {
+    appid: 10,
+    name: 'Counter-Strike',
+    is_free: false,
+    price: history[5]
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('getPriceHistory', () => {
+    it('should read the observations of the default Steam region, oldest first', async () => {
+      mockFindOne(game);
+      const query = mockObservations(history);
+
+      const result = await PriceHistoryService.getPriceHistory(10);
+
+      expect(PriceObservation.find).toHaveBeenCalledWith({
+        'meta.appid': 10, 'meta.store': 'steam', 'meta.region': 'us'
+      });
+      expect(query.sort).toHaveBeenCalledWith({ observedAt: 1 });
+      expect(result.history).toHaveLength(6);
+      expect(result.history[5].lastChecked).toEqual(new Date('2024-05-01'));
+      expect(result.currentPrice).toBe(game.price);
+    });
+
+    it('should filter by date range', async () => {
+      const from = new Date('2024-02-01');
+      const to = new Date('2024-03-01');
+      mockFindOne(game);
+      mockObservations(history.slice(1, 4));
+
+      const result = await PriceHistoryService.getPriceHistory(10, { from, to });
+
+      expect(PriceObservation.find.mock.calls[0][0].observedAt).toEqual({ $gte: from, $lte: to });
+      expect(result.history.map((entry) => entry.final)).toEqual([10, 5, 20]);
+      expect(result.statistics.historicalLow.price).toBe(5);
+    });
+
+    it('should return null when the game does not exist', async () => {
+      mockFindOne(null);
+
+      expect(await PriceHistoryService.getPriceHistory(99)).toBeNull();
+      expect(PriceObservation.find).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('recordObservations', () => {
+    it('should key observations by appid, store and region', async () => {
+      PriceObservation.insertMany.mockResolvedValue([]);
+
+      const recorded = await PriceHistoryService.recordObservations([
+        PriceHistoryService.toObservation(10, price(1500, 25, '2024-06-01'), { region: 'ar' }),
+        PriceHistoryService.toObservation(10, null)
+      ]);
+
+      expect(recorded).toBe(1);
+      expect(PriceObservation.insertMany).toHaveBeenCalledWith([{
+        meta: { appid: 10, store: 'steam', region: 'ar' },
+        observedAt: new Date('2024-06-01'),
+        currency: 'USD',
+        initial: 20,
+        final: 1500,
+        discount_percent: 25,
+        initial_formatted: undefined,
+        final_formatted: undefined
+      }], { ordered: false });
+    });
+
+    it('should skip the insert when there is nothing to record', async () => {
+      expect(await PriceHistoryService.recordObservations([null])).toBe(0);
+      expect(PriceObservation.insertMany).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('computeStatistics', () => {
+    it('should compute lows, discounts and sales', () => {
+      const result = PriceHistoryService.computeStatistics(history, new Date('2024-05-11'));
+
+      expect(result).toEqual({
+        historicalLow: { price: 5, currency: 'USD', date: new Date('2024-02-05') },
+        highestDiscount: { discount_percent: 75, price: 5, date: new Date('2024-02-05') },
+        averageSalePrice: 10,
+        numberOfSales: 2,
+        daysSinceLastDiscount: 10,
+        isHistoricalLow: false
+      });
+    });
+
+    it('should report zero days since the last discount while on sale', () => {
+      const result = PriceHistoryService.computeStatistics([price(20, 0, '2024-01-01'), price(5, 75, '2024-02-01')]);
+
+      expect(result.daysSinceLastDiscount).toBe(0);
+      expect(result.isHistoricalLow).toBe(true);
+    });
+
+    it('should count the days since the sale ended rather than since it started', () => {
+      const result = PriceHistoryService.computeStatistics(
+        [price(20, 0, '2024-01-01'), price(10, 50, '2024-03-01'), price(20, 0, '2024-03-08')],
+        new Date('2024-03-11')
+      );
+
+      expect(result.daysSinceLastDiscount).toBe(3);
+    });
+
+    it('should handle games that were never discounted', () => {
+      const result = PriceHistoryService.computeStatistics([price(20, 0, '2024-01-01')]);
+
+      expect(result.highestDiscount).toBeNull();
+      expect(result.averageSalePrice).toBeNull();
+      expect(result.numberOfSales).toBe(0);
+      expect(result.daysSinceLastDiscount).toBeNull();
+    });
+
+    it('should handle an empty history', () => {
+      expect(PriceHistoryService.computeStatistics([])).toMatchObject({ historicalLow: null, numberOfSales: 0 });
+    });
+  });
+
+  describe('computeDiscountProfile', () => {
+    it('should weight each price by how long it lasted', () => {
+      const result = PriceHistoryService.computeDiscountProfile(history, new Date('2024-05-11'));
+
+      expect(result.days).toBe(131);
+      expect(result.discountedShare).toBeCloseTo(59 / 131);
+      expect(result.typicalSalePrice).toBe(10);
+    });
+
+    it('should return null without history', () => {
+      expect(PriceHistoryService.computeDiscountProfile([])).toBeNull();
+    });
+  });
+});
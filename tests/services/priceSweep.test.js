@@ -0,0 +1,262 @@
+const UpdateService = require('../../src/services/updateService');
+const SteamService = require('../../src/services/steamService');
+const Game = require('../../src/models/Game');
+const priceHistoryService = require('../../src/services/priceHistoryService');
+const dealService = require('../../src/services/dealService');
+const alertService = require('../../src/services/alertService');
+const { REGIONS, GAME_LIFECYCLES } = require('../../src/config/constants');
+
+// Mock dependencies
+jest.mock('../../src/services/steamService');
+jest.mock('../../src/models/Game');
+jest.mock('../../src/services/priceHistoryService', () => ({
+  hasPriceChanged: jest.requireActual('../../src/services/priceHistoryService').hasPriceChanged,
+  toObservation: jest.fn((appid, price, { region }) => ({ appid, region, final: price.final })),
+  recordObservations: jest.fn().mockResolvedValue([])
+}));
+jest.mock('../../src/services/dealService', () => ({
+  evaluate: jest.fn().mockResolvedValue({ dealScore: 50, isHistoricalLow: false, isNewLow: false })
+}));
+jest.mock('../../src/services/alertService', () => ({
+  evaluatePriceChange: jest.fn().mockResolvedValue([])
+}));
+jest.mock('../../src/services/webhookService', () => ({
+  emit: jest.fn().mockResolvedValue([])
+}));
+jest.mock('../../src/utils/logger', () => ({
+  info: jest.fn(),
+  error: jest.fn(),
+  warn: jest.fn()
+}));
+
+const price = (final) => ({
+  currency: 'USD', initial: 19.99, final, discount_percent: final < 19.99 ? 50 : 0
+});
+
+const mockGamePages = (...pages) => {
+  const query = {
+    select: jest.fn().mockReturnThis(),
+    sort: jest.fn().mockReturnThis(),
+    limit: jest.fn().mockReturnThis(),
+    lean: jest.fn()
+  };
+  pages.forEach((page) => query.lean.mockResolvedValueOnce(page));
+  query.lean.mockResolvedValue([]);
+  Game.find.mockReturnValue(query);
+  return query;
+};
+
+const createJob = (checkpoint) => ({
+  checkpoint,
+  stopping: false,
+  startPhase: jest.fn(),
+  setTotal: jest.fn(),
+  addProgress: jest.fn(),
+  addError: jest.fn(),
+  saveCheckpoint: jest.fn().mockResolvedValue()
+});
+
+describe('UpdateService price sweep', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    UpdateService.priceSweepBatchSize = 2;
+    UpdateService.priceSweepRegions = ['us'];
+    Game.countDocuments.mockResolvedValue(3);
+    Game.updateOne.mockResolvedValue({});
+    Game.updateMany.mockResolvedValue({});
+    Game.upsertOffer = jest.fn().mockResolvedValue({});
+  });
+
+  it('should walk paid games by appid and only write the prices that changed', async () => {
+    mockGamePages(
+      [
+        {
+          _id: 'a', appid: 10, name: 'Game 10', price: price(19.99)
+        },
+        {
+          _id: 'b', appid: 20, name: 'Game 20', price: price(19.99)
+        }
+      ],
+      [{
+        _id: 'c', appid: 30, name: 'Game 30', price: price(19.99)
+      }]
+    );
+    SteamService.getPricesBatch
+      .mockResolvedValueOnce(new Map([[10, price(9.99)], [20, price(19.99)]]))
+      .mockResolvedValueOnce(new Map());
+    const job = createJob();
+
+    const summary = await UpdateService.sweepPrices(job);
+
+    expect(SteamService.getPricesBatch).toHaveBeenNthCalledWith(1, [10, 20], 'us');
+    expect(SteamService.getPricesBatch).toHaveBeenNthCalledWith(2, [30], 'us');
+    expect(Game.find).toHaveBeenNthCalledWith(2, {
+      is_free: { $ne: true },
+      lifecycle: { $ne: GAME_LIFECYCLES.DELISTED },
+      appid: { $gt: 20 }
+    });
+    expect(Game.updateOne).toHaveBeenCalledTimes(1);
+    expect(Game.updateOne).toHaveBeenCalledWith(
+      { _id: 'a' },
+      {
+        $set: expect.objectContaining({ price: price(9.99), 'regionalPrices.us': price(9.99), dealScore: 50 }),
+        $inc: { 'refresh.priceChanges': 1 }
+      }
+    );
+    expect(Game.updateMany).toHaveBeenCalledWith(
+      { _id: { $in: ['b'] }, price: { $type: 'object' } },
+      { $set: { 'price.lastChecked': expect.any(Date) } }
+    );
+    expect(priceHistoryService.recordObservations).toHaveBeenCalledWith([{ appid: 10, region: 'us', final: 9.99 }]);
+    expect(alertService.evaluatePriceChange).toHaveBeenCalledWith(
+      expect.objectContaining({ appid: 10 }),
+      price(19.99),
+      price(9.99)
+    );
+    expect(Game.upsertOffer).toHaveBeenCalledWith({ _id: 'a' }, expect.objectContaining({ store: 'steam' }));
+    expect(job.saveCheckpoint).toHaveBeenLastCalledWith({
+      lastAppid: 30, checked: 3, changed: 1, missing: 1, failed: 0
+    });
+    expect(summary).toEqual({
+      checked: 3, changed: 1, missing: 1, failed: 0
+    });
+  });
+
+  it('should mark the default price as checked when only another region changed', async () => {
+    UpdateService.priceSweepRegions = ['us', 'ar'];
+    mockGamePages([{
+      _id: 'a',
+      appid: 10,
+      name: 'Game 10',
+      price: price(19.99),
+      regionalPrices: { ar: price(19.99) }
+    }]);
+    SteamService.getPricesBatch
+      .mockResolvedValueOnce(new Map([[10, price(19.99)]]))
+      .mockResolvedValueOnce(new Map([[10, price(9.99)]]));
+
+    await UpdateService.sweepPrices(createJob());
+
+    const [, update] = Game.updateOne.mock.calls[0];
+    expect(update.$set).toMatchObject({ 'regionalPrices.ar': price(9.99), 'price.lastChecked': expect.any(Date) });
+    expect(update.$set).not.toHaveProperty('price');
+    expect(update).not.toHaveProperty('$inc');
+    expect(alertService.evaluatePriceChange).not.toHaveBeenCalled();
+  });
+
+  it('should not mark the default price as checked when the game has none', async () => {
+    UpdateService.priceSweepRegions = ['us', 'ar'];
+    mockGamePages([
+      {
+        _id: 'a',
+        appid: 10,
+        name: 'Game 10',
+        price: null,
+        regionalPrices: { ar: price(19.99) }
+      },
+      {
+        _id: 'b',
+        appid: 20,
+        name: 'Game 20',
+        price: null,
+        regionalPrices: { ar: price(19.99) }
+      }
+    ]);
+    SteamService.getPricesBatch
+      .mockResolvedValueOnce(new Map())
+      .mockResolvedValueOnce(new Map([[10, price(9.99)], [20, price(19.99)]]));
+
+    await UpdateService.sweepPrices(createJob());
+
+    const [, update] = Game.updateOne.mock.calls[0];
+    expect(update.$set).toMatchObject({ 'regionalPrices.ar': price(9.99) });
+    expect(update.$set).not.toHaveProperty(['price.lastChecked']);
+    expect(Game.updateMany).toHaveBeenCalledWith(
+      { _id: { $in: ['b'] }, price: { $type: 'object' } },
+      { $set: { 'price.lastChecked': expect.any(Date) } }
+    );
+  });
+
+  it('should leave games that turned free to the full refresh', async () => {
+    mockGamePages([{
+      _id: 'a', appid: 10, name: 'Game 10', price: price(19.99)
+    }]);
+    SteamService.getPricesBatch.mockResolvedValueOnce(new Map([[10, null]]));
+
+    const summary = await UpdateService.sweepPrices(createJob());
+
+    expect(Game.updateOne).not.toHaveBeenCalled();
+    expect(dealService.evaluate).not.toHaveBeenCalled();
+    expect(summary.missing).toBe(1);
+  });
+
+  it('should resume after the appid saved in the checkpoint', async () => {
+    mockGamePages([]);
+
+    const summary = await UpdateService.sweepPrices(createJob({ lastAppid: 20, checked: 2, changed: 1 }));
+
+    expect(Game.find).toHaveBeenCalledWith({
+      is_free: { $ne: true },
+      lifecycle: { $ne: GAME_LIFECYCLES.DELISTED },
+      appid: { $gt: 20 }
+    });
+    expect(summary).toEqual({
+      checked: 2, changed: 1, missing: 0, failed: 0
+    });
+  });
+
+  it('should skip a batch that fails and keep going', async () => {
+    mockGamePages(
+      [{
+        _id: 'a', appid: 10, name: 'Game 10', price: price(19.99)
+      }],
+      [{
+        _id: 'b', appid: 20, name: 'Game 20', price: price(19.99)
+      }]
+    );
+    SteamService.getPricesBatch
+      .mockRejectedValueOnce(new Error('Invalid response from Steam API'))
+      .mockResolvedValueOnce(new Map([[20, price(19.99)]]));
+    const job = createJob();
+
+    const summary = await UpdateService.sweepPrices(job);
+
+    expect(job.addError).toHaveBeenCalledWith('Prices of appids 10-10: Invalid response from Steam API');
+    expect(summary).toEqual({
+      checked: 1, changed: 0, missing: 0, failed: 1
+    });
+  });
+});
+
+describe('UpdateService regional prices of a refresh batch', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    SteamService.isCircuitOpen.mockReturnValue(false);
+  });
+
+  it('should fetch each extra region once for all the paid games', async () => {
+    SteamService.getPricesBatch.mockImplementation(async (appids, region) => new Map([[10, { region }]]));
+
+    const pricesByAppid = await UpdateService.getRegionalPricesBatch([
+      { appid: 10, is_free: false },
+      { appid: 20, is_free: true }
+    ]);
+
+    const extraRegions = REGIONS.SUPPORTED.filter((region) => region !== REGIONS.DEFAULT);
+    expect(SteamService.getPricesBatch).toHaveBeenCalledTimes(extraRegions.length);
+    expect(SteamService.getPricesBatch).toHaveBeenCalledWith([10], extraRegions[0]);
+    expect(pricesByAppid.get(10)[extraRegions[0]]).toEqual({ region: extraRegions[0] });
+    expect(pricesByAppid.has(20)).toBe(false);
+  });
+
+  it('should use the prices fetched with the batch instead of asking per game', async () => {
+    const prices = await UpdateService.getRegionalPrices(
+      { appid: 10 },
+      { is_free: false, price: price(9.99) },
+      { ar: price(4.99) }
+    );
+
+    expect(SteamService.getRegionalPrices).not.toHaveBeenCalled();
+    expect(prices).toEqual({ ar: price(4.99), [REGIONS.DEFAULT]: price(9.99) });
+  });
+});
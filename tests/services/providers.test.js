@@ -0,0 +1,83 @@
+const providerRegistry = require('../../src/services/providers');
+const StoreProvider = require('../../src/services/providers/storeProvider');
+const steamProvider = require('../../src/services/providers/steamProvider');
+const SteamService = require('../../src/services/steamService');
+
+// Mock dependencies
+jest.mock('../../src/services/steamService');
+jest.mock('../../src/utils/logger', () => ({
+  info: jest.fn(),
+  error: jest.fn(),
+  warn: jest.fn()
+}));
+
+describe('Store providers', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('ProviderRegistry', () => {
+    it('should register Steam as the primary provider', () => {
+      expect(providerRegistry.getPrimary()).toBe(steamProvider);
+      expect(providerRegistry.get('steam')).toBe(steamProvider);
+      expect(providerRegistry.getSecondary()).not.toContain(steamProvider);
+    });
+
+    it('should reject providers that do not extend StoreProvider', () => {
+      expect(() => providerRegistry.register({ store: 'fake' })).toThrow('Providers must extend StoreProvider');
+    });
+
+    it('should return null for unknown stores', () => {
+      expect(providerRegistry.get('unknown')).toBeNull();
+    });
+  });
+
+  describe('StoreProvider', () => {
+    it('should require subclasses to implement the provider interface', async () => {
+      class IncompleteProvider extends StoreProvider {}
+      const provider = new IncompleteProvider('incomplete');
+
+      await expect(provider.listCatalog()).rejects.toThrow('must implement listCatalog()');
+      await expect(provider.fetchDetails('1')).rejects.toThrow('must implement fetchDetails()');
+      expect(() => provider.normalizePrice({})).toThrow('must implement normalizePrice()');
+    });
+  });
+
+  describe('SteamProvider', () => {
+    it('should list the Steam catalog as store products', async () => {
+      SteamService.getGamesList.mockResolvedValue([{ appid: 10, name: 'Counter-Strike' }]);
+
+      const result = await steamProvider.listCatalog();
+
+      expect(result).toEqual([{ productId: '10', name: 'Counter-Strike' }]);
+    });
+
+    it('should fetch details through SteamService using numeric appids', async () => {
+      SteamService.getGameDetails.mockResolvedValue({ appid: 10, name: 'Counter-Strike' });
+
+      await steamProvider.fetchDetails('10', 'Counter-Strike');
+
+      expect(SteamService.getGameDetails).toHaveBeenCalledWith(10, 'Counter-Strike');
+    });
+
+    it('should build an offer from game details', () => {
+      const price = {
+        currency: 'USD', initial: 9.99, final: 4.99, discount_percent: 50
+      };
+
+      const offer = steamProvider.toOffer(10, { name: 'Counter-Strike', price });
+
+      expect(offer).toMatchObject({
+        store: 'steam',
+        productId: '10',
+        name: 'Counter-Strike',
+        url: 'https://store.steampowered.com/app/10',
+        price
+      });
+    });
+
+    it('should not build an offer without details', () => {
+      expect(steamProvider.toOffer(10, null)).toBeNull();
+    });
+  });
+});
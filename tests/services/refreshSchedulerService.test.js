@@ -0,0 +1,130 @@
+const RefreshScheduler = require('../../src/services/refreshSchedulerService');
+const Game = require('../../src/models/Game');
+const User = require('../../src/models/User');
+const { REGIONS, GAME_LIFECYCLES } = require('../../src/config/constants');
+
+// Mock dependencies
+jest.mock('../../src/models/Game');
+jest.mock('../../src/models/User');
+
+const HOUR = 60 * 60 * 1000;
+
+describe('RefreshSchedulerService', () => {
+  const now = new Date('2024-05-01T12:00:00Z');
+  const popularDeal = {
+    appid: 10,
+    is_free: false,
+    recommendations: { total: 100000 },
+    price: { final: 999, discount_percent: 75 },
+    refresh: { priceChanges: 60 },
+    createdAt: new Date('2023-05-01T12:00:00Z')
+  };
+  const assetFlip = {
+    appid: 20,
+    is_free: false,
+    recommendations: { total: 0 },
+    price: { final: 99, discount_percent: 0 },
+    createdAt: new Date('2020-01-01T00:00:00Z')
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('computePriority', () => {
+    it('should give full priority to a popular, wishlisted, discounted and volatile game', () => {
+      const wishlistCounts = new Map([[10, 100]]);
+
+      expect(RefreshScheduler.computePriority(popularDeal, { wishlistCounts }, now)).toBe(1);
+    });
+
+    it('should give no priority to a game without any signal', () => {
+      expect(RefreshScheduler.computePriority(assetFlip, {}, now)).toBe(0);
+    });
+
+    it('should ignore discounts and price changes of free games', () => {
+      const freeGame = { ...popularDeal, is_free: true, recommendations: { total: 0 } };
+
+      expect(RefreshScheduler.computePriority(freeGame, {}, now)).toBe(0);
+    });
+
+    it('should measure price changes per month since the game is tracked', () => {
+      // 2 changes in 1 month is half the cap of 4 per month
+      const game = { ...assetFlip, refresh: { priceChanges: 2 }, createdAt: new Date('2024-04-01T12:00:00Z') };
+
+      expect(RefreshScheduler.computePriority(game, {}, now)).toBe(0.1);
+    });
+  });
+
+  describe('schedule', () => {
+    it('should refresh high priority games at the minimum interval and the rest up to the maximum', () => {
+      expect(RefreshScheduler.schedule(popularDeal, { wishlistCounts: new Map([[10, 100]]) }, now).nextAt)
+        .toEqual(new Date(now.getTime() + 2 * HOUR));
+      expect(RefreshScheduler.schedule(assetFlip, {}, now)).toEqual({
+        priority: 0,
+        nextAt: new Date(now.getTime() + 168 * HOUR)
+      });
+    });
+
+    it('should spread intervals geometrically', () => {
+      expect(RefreshScheduler.computeInterval(0.5)).toBe(Math.round(Math.sqrt(2 * 168) * HOUR));
+    });
+  });
+
+  describe('getDueGames', () => {
+    it('should return unscheduled and overdue games, most overdue first', async () => {
+      const query = {
+        sort: jest.fn().mockReturnThis(),
+        limit: jest.fn().mockReturnThis(),
+        lean: jest.fn().mockResolvedValue([assetFlip])
+      };
+      Game.find.mockReturnValue(query);
+
+      expect(await RefreshScheduler.getDueGames(now, 50)).toEqual([assetFlip]);
+      expect(Game.find).toHaveBeenCalledWith({
+        lifecycle: { $ne: GAME_LIFECYCLES.DELISTED },
+        $or: [
+          { 'refresh.nextAt': { $lte: now } },
+          { 'refresh.nextAt': null }
+        ]
+      });
+      expect(query.sort).toHaveBeenCalledWith({ 'refresh.nextAt': 1, lastUpdated: 1 });
+      expect(query.limit).toHaveBeenCalledWith(50);
+    });
+  });
+
+  describe('postpone', () => {
+    it('should retry a failed game after the minimum interval', async () => {
+      Game.updateOne.mockResolvedValue({});
+
+      await RefreshScheduler.postpone({ _id: 'game-id' }, now);
+
+      expect(Game.updateOne).toHaveBeenCalledWith(
+        { _id: 'game-id' },
+        { $set: { 'refresh.nextAt': new Date(now.getTime() + 2 * HOUR) } }
+      );
+    });
+  });
+
+  describe('requestCost', () => {
+    it('should charge one request per game plus one per extra region for batches with paid games', () => {
+      const extraRegions = REGIONS.SUPPORTED.length - 1;
+
+      expect(RefreshScheduler.requestCost([{ is_free: true }, { is_free: true }])).toBe(2);
+      expect(RefreshScheduler.requestCost([{ is_free: false }, { is_free: true }])).toBe(2 + extraRegions);
+      expect(RefreshScheduler.requestCost([{ is_free: false }, { is_free: false }, { is_free: false }]))
+        .toBe(3 + extraRegions);
+    });
+  });
+
+  describe('getWishlistCounts', () => {
+    it('should count the users wishlisting each game', async () => {
+      User.aggregate.mockResolvedValue([{ _id: 10, count: 3 }, { _id: 20, count: 1 }]);
+
+      const counts = await RefreshScheduler.getWishlistCounts();
+
+      expect(counts.get(10)).toBe(3);
+      expect(counts.get(20)).toBe(1);
+    });
+  });
+});
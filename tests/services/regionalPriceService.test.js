@@ -0,0 +1,139 @@
+const RegionalPriceService = require('../../src/services/regionalPriceService');
+const ExchangeRateService = require('../../src/services/exchangeRateService');
+const Game = require('../../src/models/Game');
+
+// Mock dependencies
+jest.mock('../../src/models/Game');
+jest.mock('../../src/models/ExchangeRate');
+jest.mock('../../src/utils/logger', () => ({
+  info: jest.fn(),
+  error: jest.fn(),
+  warn: jest.fn()
+}));
+
+const RATES_JSON = JSON.stringify({
+  base: 'USD',
+  rates: [
+    { currency: 'ARS', rate: 800, effectiveDate: '2024-01-01' },
+    { currency: 'ARS', rate: 1000, effectiveDate: '2024-06-01' },
+    { currency: 'BRL', rate: 5, effectiveDate: '2024-01-01' }
+  ]
+});
+
+const mockFindOne = (result) => {
+  Game.findOne.mockReturnValue({
+    select: jest.fn().mockReturnThis(),
+    lean: jest.fn().mockResolvedValue(result)
+  });
+};
+
+describe('Regional price comparison', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    const table = ExchangeRateService.parse(RATES_JSON, 'json');
+    ExchangeRateService.baseCurrency = table.base;
+    ExchangeRateService.rates = ExchangeRateService._indexRates(table.rates);
+    ExchangeRateService.loadedAt = Date.now();
+  });
+
+  describe('ExchangeRateService', () => {
+    it('should use the rate effective at the given date', () => {
+      expect(ExchangeRateService.getRate('ARS', new Date('2024-03-01')).rate).toBe(800);
+      expect(ExchangeRateService.getRate('ars', new Date('2024-07-01')).rate).toBe(1000);
+    });
+
+    it('should not convert before the first effective date', () => {
+      expect(ExchangeRateService.convert(100, 'ARS', 'USD', new Date('2023-12-31'))).toBeNull();
+    });
+
+    it('should convert between two non-base currencies', () => {
+      const result = ExchangeRateService.convert(1000, 'ARS', 'BRL', new Date('2024-07-01'));
+
+      expect(result).toEqual({ amount: 5, currency: 'BRL', rateDate: new Date('2024-06-01') });
+    });
+
+    it('should parse CSV rate files', () => {
+      const table = ExchangeRateService.parse('currency,rate,effectiveDate\nEUR,0.92,2024-06-01\n', 'csv');
+
+      expect(table).toEqual({
+        base: 'USD',
+        rates: [{ currency: 'EUR', rate: 0.92, effectiveDate: new Date('2024-06-01') }]
+      });
+    });
+
+    it('should reject invalid entries', () => {
+      expect(() => ExchangeRateService.parse('currency,rate,effectiveDate\nEUR,abc,2024-06-01', 'csv'))
+        .toThrow('Invalid exchange rate entry at position 1');
+    });
+  });
+
+  describe('compareRegionalPrices', () => {
+    it('should sort regions cheapest first with the difference against the reference', async () => {
+      mockFindOne({
+        appid: 10,
+        name: 'Counter-Strike',
+        is_free: false,
+        price: {
+          currency: 'USD', initial: 20, final: 10, lastChecked: new Date('2024-07-01')
+        },
+        regionalPrices: {
+          ar: {
+            currency: 'ARS', initial: 8000, final: 4000, lastChecked: new Date('2024-07-01')
+          },
+          br: {
+            currency: 'BRL', initial: 50, final: 25, lastChecked: new Date('2024-07-01')
+          }
+        }
+      });
+
+      const result = await RegionalPriceService.compareRegionalPrices(10, { currency: 'USD', referenceRegion: 'us' });
+
+      expect(result.cheapestRegion).toBe('ar');
+      expect(result.referencePrice).toBe(10);
+      expect(result.prices.map((entry) => [entry.region, entry.converted.final, entry.differencePercent])).toEqual([
+        ['ar', 4, -60],
+        ['br', 5, -50],
+        ['us', 10, 0]
+      ]);
+    });
+
+    it('should convert with the rate valid when the price was checked', async () => {
+      mockFindOne({
+        appid: 10,
+        name: 'Counter-Strike',
+        regionalPrices: {
+          ar: { currency: 'ARS', final: 4000, lastChecked: new Date('2024-03-01') }
+        }
+      });
+
+      const result = await RegionalPriceService.compareRegionalPrices(10, { currency: 'USD', referenceRegion: 'ar' });
+
+      expect(result.prices[0].converted.final).toBe(5);
+    });
+
+    it('should report regions that cannot be compared', async () => {
+      mockFindOne({
+        appid: 10,
+        name: 'Counter-Strike',
+        regionalPrices: {
+          gb: { currency: 'GBP', final: 8, lastChecked: new Date('2024-07-01') },
+          mx: null
+        }
+      });
+
+      const result = await RegionalPriceService.compareRegionalPrices(10);
+
+      expect(result.prices).toEqual([]);
+      expect(result.unavailable).toEqual([
+        { region: 'gb', reason: 'missing_exchange_rate', currency: 'GBP' },
+        { region: 'mx', reason: 'not_sold' }
+      ]);
+    });
+
+    it('should return null when the game does not exist', async () => {
+      mockFindOne(null);
+
+      expect(await RegionalPriceService.compareRegionalPrices(99)).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,127 @@
+const mockApi = { get: jest.fn() };
+
+// Mock dependencies
+jest.mock('node-cache');
+jest.mock('../../src/utils/httpClient', () => ({
+  createHttpClient: () => mockApi,
+  withRetry: (config) => ({ ...config, retry: true, retryCount: 0 })
+}));
+jest.mock('../../src/utils/logger', () => ({
+  info: jest.fn(),
+  error: jest.fn(),
+  warn: jest.fn()
+}));
+
+const SteamService = require('../../src/services/steamService');
+const { resolveRegion, getRegionalPrice } = require('../../src/utils/regionUtils');
+
+describe('Regional prices', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    SteamService.requestDelay = 0;
+    SteamService.cache.get.mockReturnValue(undefined);
+  });
+
+  describe('SteamService.getRegionalPrices', () => {
+    it('should request price_overview for each region', async () => {
+      mockApi.get
+        .mockResolvedValueOnce({
+          data: {
+            10: {
+              success: true,
+              data: {
+                price_overview: {
+                  currency: 'ARS',
+                  initial: 450000,
+                  final: 225000,
+                  discount_percent: 50,
+                  initial_formatted: 'ARS$ 4.500,00',
+                  final_formatted: 'ARS$ 2.250,00'
+                }
+              }
+            }
+          }
+        })
+        .mockResolvedValueOnce({ data: { 10: { success: true, data: [] } } });
+
+      const result = await SteamService.getRegionalPrices(10, ['ar', 'br']);
+
+      expect(mockApi.get).toHaveBeenCalledWith(
+        expect.stringContaining('appids=10&cc=ar&filters=price_overview'),
+        expect.any(Object)
+      );
+      expect(result.ar).toMatchObject({
+        currency: 'ARS', initial: 4500, final: 2250, discount_percent: 50
+      });
+      expect(result.br).toBeNull();
+    });
+
+    it('should skip regions that fail instead of storing an empty price', async () => {
+      mockApi.get.mockRejectedValue(new Error('API error'));
+
+      const result = await SteamService.getRegionalPrices(10, ['ar']);
+
+      expect(result).toEqual({});
+    });
+
+    it('should request game details for the given region', async () => {
+      mockApi.get.mockResolvedValue({ data: { 10: { success: false } } });
+
+      await SteamService.getGameDetails(10, 'Counter-Strike', 'mx');
+
+      expect(mockApi.get).toHaveBeenCalledWith(expect.stringContaining('cc=mx'), expect.any(Object));
+      expect(SteamService.cache.get).toHaveBeenCalledWith('game_details_10_mx');
+    });
+  });
+
+  describe('SteamService.getPricesBatch', () => {
+    it('should request the prices of many games at once', async () => {
+      mockApi.get.mockResolvedValue({
+        data: {
+          10: {
+            success: true,
+            data: {
+              price_overview: {
+                currency: 'USD', initial: 999, final: 499, discount_percent: 50
+              }
+            }
+          },
+          20: { success: true, data: [] },
+          30: { success: false }
+        }
+      });
+
+      const result = await SteamService.getPricesBatch([10, 20, 30, 40], 'ar');
+
+      expect(mockApi.get).toHaveBeenCalledWith(
+        expect.stringContaining('appids=10,20,30,40&cc=ar&filters=price_overview'),
+        expect.any(Object)
+      );
+      expect(result.get(10)).toMatchObject({
+        currency: 'USD', initial: 9.99, final: 4.99, discount_percent: 50
+      });
+      expect(result.get(20)).toBeNull();
+      expect(result.has(30)).toBe(false);
+      expect(result.has(40)).toBe(false);
+    });
+  });
+
+  describe('regionUtils', () => {
+    it('should default to the default region', () => {
+      expect(resolveRegion(undefined)).toBe('us');
+    });
+
+    it('should normalize supported regions and reject unknown ones', () => {
+      expect(resolveRegion('AR')).toBe('ar');
+      expect(resolveRegion('zz')).toBeNull();
+    });
+
+    it('should read regional prices from plain objects and maps', () => {
+      const price = { currency: 'BRL', final: 20 };
+
+      expect(getRegionalPrice({ regionalPrices: { br: price } }, 'br')).toBe(price);
+      expect(getRegionalPrice({ regionalPrices: new Map([['br', price]]) }, 'br')).toBe(price);
+      expect(getRegionalPrice({ regionalPrices: {} }, 'br')).toBeNull();
+    });
+  });
+});
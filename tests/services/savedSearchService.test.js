@@ -0,0 +1,186 @@
+const mongoose = require('mongoose');
+const SavedSearchService = require('../../src/services/savedSearchService');
+const Game = require('../../src/models/Game');
+const Alert = require('../../src/models/Alert');
+const SavedSearch = require('../../src/models/SavedSearch');
+const SavedSearchMatch = require('../../src/models/SavedSearchMatch');
+
+// Mock dependencies
+jest.mock('../../src/models/Game');
+jest.mock('../../src/models/Alert');
+jest.mock('../../src/models/SavedSearch');
+jest.mock('../../src/models/SavedSearchMatch');
+jest.mock('../../src/utils/logger', () => ({
+  info: jest.fn(),
+  error: jest.fn(),
+  warn: jest.fn()
+}));
+
+const mockQuery = (result) => ({
+  select: jest.fn().mockReturnThis(),
+  sort: jest.fn().mockReturnThis(),
+  limit: jest.fn().mockReturnThis(),
+  lean: jest.fn().mockResolvedValue(result)
+});
+
+describe('SavedSearchService', () => {
+  const owner = new mongoose.Types.ObjectId();
+  const search = {
+    _id: new mongoose.Types.ObjectId(),
+    owner,
+    name: 'Cheap RPGs',
+    filters: { genre: 'RPG', minDiscount: 50 },
+    lastEvaluatedAt: new Date('2024-01-01T00:00:00Z')
+  };
+
+  const mockMatches = (currentAppids, trackedAppids) => {
+    Game.find.mockReturnValue(mockQuery(currentAppids.map((appid) => ({ appid }))));
+    SavedSearchMatch.find.mockReturnValue(mockQuery(trackedAppids.map((appid) => ({ appid }))));
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('evaluateSearch', () => {
+    it('should query games with the saved filters', async () => {
+      mockMatches([], []);
+
+      await SavedSearchService.evaluateSearch(search);
+
+      expect(Game.find).toHaveBeenCalledWith(expect.objectContaining({
+        genres: 'RPG',
+        is_free: false,
+        'price.discount_percent': { $gte: 50 }
+      }));
+    });
+
+    it('should record new matches and raise an alert', async () => {
+      mockMatches([10, 20, 30], [10, 40]);
+
+      const result = await SavedSearchService.evaluateSearch(search);
+
+      expect(result).toEqual({ added: 2, removed: 1, total: 3 });
+      expect(SavedSearchMatch.deleteMany).toHaveBeenCalledWith({ search: search._id, appid: { $in: [40] } });
+      expect(SavedSearchMatch.insertMany).toHaveBeenCalledWith(
+        [
+          expect.objectContaining({ search: search._id, appid: 20, seen: false }),
+          expect.objectContaining({ search: search._id, appid: 30, seen: false })
+        ],
+        { ordered: false }
+      );
+      expect(Alert.create).toHaveBeenCalledWith(expect.objectContaining({
+        user: owner,
+        type: 'saved_search',
+        savedSearch: search._id,
+        name: 'Cheap RPGs',
+        matchCount: 2
+      }));
+    });
+
+    it('should treat the first evaluation as a baseline', async () => {
+      mockMatches([10, 20], []);
+
+      const result = await SavedSearchService.evaluateSearch({ ...search, lastEvaluatedAt: undefined });
+
+      expect(result.added).toBe(0);
+      expect(SavedSearchMatch.insertMany).toHaveBeenCalledWith(
+        [
+          expect.objectContaining({ appid: 10, seen: true }),
+          expect.objectContaining({ appid: 20, seen: true })
+        ],
+        { ordered: false }
+      );
+      expect(Alert.create).not.toHaveBeenCalled();
+    });
+
+    it('should not raise an alert when nothing new matches', async () => {
+      mockMatches([10], [10, 20]);
+
+      const result = await SavedSearchService.evaluateSearch(search);
+
+      expect(result).toEqual({ added: 0, removed: 1, total: 1 });
+      expect(SavedSearchMatch.insertMany).not.toHaveBeenCalled();
+      expect(Alert.create).not.toHaveBeenCalled();
+      expect(SavedSearch.updateOne).toHaveBeenCalledWith(
+        { _id: search._id },
+        { $set: expect.objectContaining({ matchCount: 1 }) }
+      );
+    });
+  });
+
+  describe('evaluateSearch over the match limit', () => {
+    afterEach(() => {
+      SavedSearchService.maxTrackedMatches = 5000;
+    });
+
+    it('should flag the search instead of diffing a truncated list', async () => {
+      SavedSearchService.maxTrackedMatches = 2;
+      mockMatches([10, 20, 30], [10, 40]);
+      Game.countDocuments.mockResolvedValue(12000);
+
+      const result = await SavedSearchService.evaluateSearch(search);
+
+      expect(result).toEqual({
+        added: 0,
+        removed: 0,
+        total: 12000,
+        overLimit: true
+      });
+      expect(SavedSearchMatch.insertMany).not.toHaveBeenCalled();
+      expect(SavedSearchMatch.deleteMany).toHaveBeenCalledWith({ search: search._id });
+      expect(SavedSearch.updateOne).toHaveBeenCalledWith(
+        { _id: search._id },
+        { $set: { matchCount: 12000, overLimit: true }, $unset: { lastEvaluatedAt: '' } }
+      );
+      expect(Alert.create).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('createSearch', () => {
+    it('should refuse to go over the per-user limit', async () => {
+      SavedSearch.countDocuments.mockResolvedValue(SavedSearchService.maxSearchesPerUser);
+
+      const result = await SavedSearchService.createSearch(owner, { name: 'Too many', filters: {} });
+
+      expect(result).toBeNull();
+      expect(SavedSearch.create).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('getNewMatches', () => {
+    it('should return null for a search of another user', async () => {
+      SavedSearch.findOne.mockReturnValue({ lean: jest.fn().mockResolvedValue(null) });
+
+      expect(await SavedSearchService.getNewMatches(owner, search._id.toString())).toBeNull();
+      expect(SavedSearch.findOne).toHaveBeenCalledWith({ _id: search._id.toString(), owner });
+    });
+
+    it('should join the unseen matches with their games', async () => {
+      const matchedAt = new Date();
+      SavedSearch.findOne.mockReturnValue({ lean: jest.fn().mockResolvedValue(search) });
+      SavedSearchMatch.find.mockReturnValue(mockQuery([{ appid: 20, matchedAt }, { appid: 30, matchedAt }]));
+      Game.find.mockReturnValue(mockQuery([{ appid: 20, name: 'Game 20' }]));
+
+      const result = await SavedSearchService.getNewMatches(owner, search._id.toString());
+
+      expect(result.total).toBe(2);
+      expect(result.search).toMatchObject({ id: search._id.toString(), newMatches: 2 });
+      expect(result.matches).toEqual([
+        { appid: 20, matchedAt, game: { appid: 20, name: 'Game 20' } },
+        { appid: 30, matchedAt, game: null }
+      ]);
+    });
+  });
+
+  describe('pickFilters', () => {
+    it('should keep only known, non-empty filters', () => {
+      expect(SavedSearchService.pickFilters({
+        genre: 'Action',
+        isFree: false,
+        publisher: '',
+        page: 2
+      })).toEqual({ genre: 'Action', isFree: false });
+    });
+  });
+});
@@ -0,0 +1,41 @@
+const searchService = require('../../src/services/searchService');
+
+// Mock dependencies
+jest.mock('../../src/models/Game');
+jest.mock('../../src/services/steamService');
+jest.mock('../../src/utils/logger', () => ({
+  info: jest.fn(),
+  error: jest.fn(),
+  warn: jest.fn()
+}));
+
+describe('SearchService', () => {
+  describe('_buildQuery', () => {
+    it('should accept isFree as a boolean or as the query string', () => {
+      expect(searchService._buildQuery({ isFree: true }).is_free).toBe(true);
+      expect(searchService._buildQuery({ isFree: 'true' }).is_free).toBe(true);
+      expect(searchService._buildQuery({ isFree: false }).is_free).toBe(false);
+    });
+
+    it('should filter by exact discount, also under its former name', () => {
+      expect(searchService._buildQuery({ discountPercent: 75 })['price.discount_percent']).toBe(75);
+      expect(searchService._buildQuery({ discountPercentage: '75' })['price.discount_percent']).toBe(75);
+    });
+
+    it('should combine minDiscount and maxDiscount into a range', () => {
+      expect(searchService._buildQuery({ minDiscount: 20, maxDiscount: 60 })['price.discount_percent'])
+        .toEqual({ $gte: 20, $lte: 60 });
+      expect(searchService._buildQuery({ discountPercent: 75, minDiscount: 20 })['price.discount_percent']).toBe(75);
+    });
+
+    it('should filter discounts on the stored price, or on the regional price of another region', () => {
+      expect(searchService._buildQuery({ minDiscount: 50 })).toMatchObject({
+        is_free: false,
+        'price.discount_percent': { $gte: 50 }
+      });
+      expect(searchService._buildQuery({ minDiscount: 50, region: 'ar' })).toMatchObject({
+        'regionalPrices.ar.discount_percent': { $gte: 50 }
+      });
+    });
+  });
+});
@@ -0,0 +1,149 @@
+const http = require('http');
+const CircuitBreaker = require('../../src/utils/circuitBreaker');
+
+// Mock dependencies
+jest.mock('../../src/models/Game');
+jest.mock('../../src/utils/logger', () => ({
+  info: jest.fn(),
+  error: jest.fn(),
+  warn: jest.fn()
+}));
+
+// The service reads its retry and circuit settings when it is created
+const originalEnv = { ...process.env };
+Object.assign(process.env, {
+  STEAM_API_MAX_RETRIES: '1',
+  STEAM_API_RETRY_DELAY: '1',
+  STEAM_CIRCUIT_WINDOW: '4',
+  STEAM_CIRCUIT_MIN_CALLS: '4',
+  STEAM_CIRCUIT_OPEN_DURATION: '500'
+});
+const steamService = require('../../src/services/steamService');
+
+process.env = originalEnv;
+
+describe('CircuitBreaker', () => {
+  let clock;
+  let breaker;
+
+  const serverError = Object.assign(new Error('Request failed with status code 500'), { response: { status: 500 } });
+  const notFound = Object.assign(new Error('Request failed with status code 404'), { response: { status: 404 } });
+
+  beforeEach(() => {
+    clock = 0;
+    breaker = new CircuitBreaker({
+      name: 'steam',
+      windowSize: 4,
+      minimumCalls: 4,
+      failureRateThreshold: 0.5,
+      openDuration: 1000,
+      halfOpenProbes: 2,
+      now: () => clock
+    });
+  });
+
+  it('should open once the failure rate of the window reaches the threshold', () => {
+    breaker.recordSuccess();
+    breaker.recordSuccess();
+    breaker.recordFailure();
+    expect(breaker.getStatus().state).toBe('closed');
+
+    breaker.recordFailure();
+
+    expect(breaker.getStatus()).toMatchObject({ state: 'open', failureRate: 0.5, timesOpened: 1 });
+    expect(() => breaker.beforeCall()).toThrow(expect.objectContaining({ code: CircuitBreaker.CIRCUIT_OPEN }));
+  });
+
+  it('should not count client errors as failures', () => {
+    [1, 2, 3, 4].forEach(() => breaker.recordError(notFound));
+
+    expect(breaker.getStatus()).toMatchObject({ state: 'closed', failureRate: 0 });
+  });
+
+  it('should close after the half-open probes succeed', () => {
+    [1, 2, 3, 4].forEach(() => breaker.recordError(serverError));
+    clock = 1000;
+
+    breaker.beforeCall();
+    breaker.beforeCall();
+    // Only halfOpenProbes calls go through until they finish
+    expect(() => breaker.beforeCall()).toThrow('Circuit steam is open');
+
+    breaker.recordSuccess();
+    breaker.recordSuccess();
+
+    expect(breaker.getStatus()).toMatchObject({ state: 'closed', calls: 0, retryAt: null });
+  });
+
+  it('should open again when a half-open probe fails', () => {
+    [1, 2, 3, 4].forEach(() => breaker.recordError(serverError));
+    clock = 1500;
+
+    breaker.beforeCall();
+    breaker.recordError(serverError);
+
+    expect(breaker.getStatus()).toMatchObject({ state: 'open', timesOpened: 2, retryAt: new Date(2500) });
+  });
+});
+
+describe('SteamService with a flaky Steam', () => {
+  let server;
+  let healthy;
+  let hits;
+
+  beforeAll(async () => {
+    server = http.createServer((req, res) => {
+      hits += 1;
+
+      if (!healthy) {
+        res.writeHead(500);
+        res.end();
+        return;
+      }
+
+      const appid = new URL(req.url, 'http://localhost').searchParams.get('appids');
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({
+        [appid]: { success: true, data: { type: 'game', name: `Game ${appid}`, is_free: true } }
+      }));
+    });
+    await new Promise((resolve) => { server.listen(0, '127.0.0.1', resolve); });
+
+    const url = `http://127.0.0.1:${server.address().port}`;
+    steamService.storeUrl = url;
+    steamService.webApiUrl = url;
+  });
+
+  afterAll(async () => {
+    await new Promise((resolve) => { server.close(resolve); });
+  });
+
+  beforeEach(() => {
+    healthy = true;
+    hits = 0;
+  });
+
+  it('should stop calling Steam while it fails and resume once it recovers', async () => {
+    expect(await steamService.getGameDetails(1)).toMatchObject({ appid: 1, name: 'Game 1' });
+
+    healthy = false;
+    // Each call fails twice (request and retry), so the window of 4 fills with failures
+    expect(await steamService.getGameDetails(2)).toBeNull();
+    expect(await steamService.getGameDetails(3)).toBeNull();
+    expect(steamService.getCircuitStatus().state).toBe('open');
+    expect(steamService.isCircuitOpen()).toBe(true);
+
+    const hitsWhenOpened = hits;
+    expect(await steamService.getGameDetails(4)).toBeNull();
+    await expect(steamService.getGamesList()).rejects.toThrow('Circuit steam is open');
+    expect(hits).toBe(hitsWhenOpened);
+
+    healthy = true;
+    await new Promise((resolve) => { setTimeout(resolve, 600); });
+    expect(steamService.getCircuitStatus().state).toBe('half_open');
+
+    expect(await steamService.getGameDetails(5)).toMatchObject({ appid: 5 });
+    expect(await steamService.getGameDetails(6)).toMatchObject({ appid: 6 });
+    expect(steamService.getCircuitStatus()).toMatchObject({ state: 'closed', timesOpened: 1 });
+  });
+});
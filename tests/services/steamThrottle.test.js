@@ -0,0 +1,122 @@
+const axios = require('axios');
+const TokenBucketThrottle = require('../../src/utils/tokenBucketThrottle');
+const { createHttpClient, withRetry } = require('../../src/utils/httpClient');
+
+// Mock dependencies
+jest.mock('../../src/utils/logger', () => ({
+  info: jest.fn(),
+  error: jest.fn(),
+  warn: jest.fn()
+}));
+
+const STORE_URL = 'https://store.steampowered.com/api/appdetails?appids=10';
+
+describe('TokenBucketThrottle', () => {
+  let clock;
+  let waits;
+  let throttle;
+
+  beforeEach(() => {
+    clock = 0;
+    waits = [];
+    throttle = new TokenBucketThrottle({
+      hosts: {
+        'store.steampowered.com': { ratePerMinute: 60, burst: 2 }
+      },
+      recoveryAfter: 2,
+      now: () => clock,
+      wait: async (ms) => {
+        waits.push(ms);
+        clock += ms;
+      }
+    });
+  });
+
+  describe('acquire', () => {
+    it('should let the burst through and then space requests by the rate', async () => {
+      await Promise.all([1, 2, 3, 4].map(() => throttle.acquire(STORE_URL)));
+
+      // 60 per minute is one token per second once the burst of 2 is spent
+      expect(waits).toEqual([1000, 1000]);
+      expect(throttle.getStatus()[0]).toMatchObject({ requests: 4, queued: 0, waitedMs: 2000 });
+    });
+
+    it('should not throttle hosts without a budget', async () => {
+      await throttle.acquire('https://example.com/feed');
+      await throttle.acquire('not a url');
+
+      expect(waits).toEqual([]);
+    });
+  });
+
+  describe('recordThrottled', () => {
+    it('should pause the host until Retry-After and halve the rate', async () => {
+      await throttle.acquire(STORE_URL);
+      throttle.recordThrottled(STORE_URL, '30');
+
+      expect(throttle.getStatus()[0]).toMatchObject({
+        ratePerMinute: 30,
+        throttled: 1,
+        tokens: 0,
+        pausedUntil: new Date(30000)
+      });
+
+      await throttle.acquire(STORE_URL);
+      await throttle.acquire(STORE_URL);
+
+      // Nothing accumulates during the pause, so the next token takes 2 s at the halved rate
+      expect(waits).toEqual([30000, 2000, 2000]);
+    });
+
+    it('should raise the rate again after enough successful requests', () => {
+      throttle.recordThrottled(STORE_URL);
+      throttle.recordThrottled(STORE_URL);
+      expect(throttle.getStatus()[0].ratePerMinute).toBe(15);
+
+      throttle.recordSuccess(STORE_URL);
+      throttle.recordSuccess(STORE_URL);
+
+      expect(throttle.getStatus()[0].ratePerMinute).toBe(18.8);
+    });
+  });
+
+  describe('parseRetryAfter', () => {
+    it('should accept seconds and HTTP dates, and fall back to the default', () => {
+      expect(throttle.parseRetryAfter('120', 0)).toBe(120000);
+      expect(throttle.parseRetryAfter('Thu, 01 Jan 1970 00:01:00 GMT', 0)).toBe(60000);
+      expect(throttle.parseRetryAfter(undefined, 0)).toBe(60000);
+      expect(throttle.parseRetryAfter('soon', 0)).toBe(60000);
+    });
+  });
+});
+
+describe('createHttpClient with a throttle', () => {
+  it('should retry a 429 once the throttle lets it through', async () => {
+    const throttle = {
+      acquire: jest.fn().mockResolvedValue(),
+      recordSuccess: jest.fn(),
+      recordThrottled: jest.fn()
+    };
+    const client = createHttpClient({ maxRetries: 2, retryDelay: 5000, throttle });
+    let calls = 0;
+    client.defaults.adapter = async (config) => {
+      calls += 1;
+      if (calls === 1) {
+        const response = {
+          status: 429, headers: { 'retry-after': '5' }, config, data: {}
+        };
+        throw new axios.AxiosError('Too Many Requests', 'ERR_BAD_REQUEST', config, null, response);
+      }
+      return {
+        status: 200, statusText: 'OK', headers: {}, config, data: { ok: true }
+      };
+    };
+
+    const response = await client.get(STORE_URL, withRetry({}));
+
+    expect(response.data).toEqual({ ok: true });
+    expect(throttle.acquire).toHaveBeenCalledTimes(2);
+    expect(throttle.recordThrottled).toHaveBeenCalledWith(STORE_URL, '5');
+    expect(throttle.recordSuccess).toHaveBeenCalledWith(STORE_URL);
+  });
+});
@@ -0,0 +1,51 @@
+const UpdateService = require('../../src/services/updateService');
+const SteamService = require('../../src/services/steamService');
+const catalogService = require('../../src/services/catalogService');
+const Game = require('../../src/models/Game');
+
+// Mock dependencies
+jest.mock('../../src/services/steamService');
+jest.mock('../../src/models/Game');
+jest.mock('../../src/services/catalogService', () => ({
+  sync: jest.fn().mockResolvedValue({ mode: 'incremental' }),
+  getPendingApps: jest.fn(),
+  markStored: jest.fn().mockResolvedValue()
+}));
+jest.mock('../../src/services/webhookService', () => ({
+  emit: jest.fn().mockResolvedValue([])
+}));
+jest.mock('../../src/services/priceHistoryService', () => ({
+  toObservation: jest.fn(),
+  recordObservations: jest.fn().mockResolvedValue([])
+}));
+jest.mock('../../src/utils/logger', () => ({
+  info: jest.fn(),
+  error: jest.fn(),
+  warn: jest.fn()
+}));
+
+describe('UpdateService syncNewGames', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(UpdateService, 'syncLifecycles').mockResolvedValue({ delisted: 0, relisted: 0 });
+    SteamService.isCircuitOpen.mockReturnValue(false);
+    SteamService.getGameDetails.mockImplementation(async (appid, name) => ({ appid, name, is_free: true }));
+    Game.distinct.mockResolvedValue([]);
+  });
+
+  it('should only fetch as many new games as the request budget allows', async () => {
+    catalogService.getPendingApps.mockResolvedValue([
+      { appid: 10, name: 'Game 10' },
+      { appid: 20, name: 'Game 20' },
+      { appid: 30, name: 'Game 30' }
+    ]);
+
+    const { games, requests } = await UpdateService.syncNewGames(null, 2);
+
+    expect(SteamService.getGameDetails).toHaveBeenCalledTimes(2);
+    expect(SteamService.getGameDetails).not.toHaveBeenCalledWith(30, 'Game 30');
+    expect(catalogService.markStored).not.toHaveBeenCalledWith([30]);
+    expect(games).toHaveLength(2);
+    expect(requests).toBe(2);
+  });
+});
@@ -0,0 +1,125 @@
+const mongoose = require('mongoose');
+const UsageService = require('../../src/services/usageService');
+const ApiKeyUsage = require('../../src/models/ApiKeyUsage');
+const RateLimitCounter = require('../../src/models/RateLimitCounter');
+const MongoRateLimitStore = require('../../src/utils/mongoRateLimitStore');
+
+// Mock dependencies
+jest.mock('../../src/models/ApiKeyUsage');
+jest.mock('../../src/models/RateLimitCounter');
+jest.mock('../../src/utils/logger', () => ({
+  info: jest.fn(),
+  error: jest.fn(),
+  warn: jest.fn()
+}));
+
+describe('UsageService', () => {
+  const apiKeyId = new mongoose.Types.ObjectId().toString();
+  const now = new Date('2024-05-15T12:00:00Z');
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    UsageService.pending = new Map();
+  });
+
+  describe('flush', () => {
+    it('should write the buffered counts per key and day', async () => {
+      ApiKeyUsage.bulkWrite.mockResolvedValue({});
+      UsageService.record(apiKeyId, now);
+      UsageService.record(apiKeyId, now);
+      UsageService.record(apiKeyId, new Date('2024-05-16T00:30:00Z'));
+
+      expect(await UsageService.flush()).toBe(2);
+
+      const [operations] = ApiKeyUsage.bulkWrite.mock.calls[0];
+      expect(operations[0].updateOne).toMatchObject({
+        filter: { apiKey: apiKeyId, day: '2024-05-15' },
+        update: { $inc: { requests: 2 } },
+        upsert: true
+      });
+      expect(operations[1].updateOne.filter.day).toBe('2024-05-16');
+      expect(UsageService.pending.size).toBe(0);
+    });
+
+    it('should keep the counts when the write fails', async () => {
+      ApiKeyUsage.bulkWrite.mockRejectedValue(new Error('connection lost'));
+      UsageService.record(apiKeyId, now);
+
+      await UsageService.flush();
+
+      expect(UsageService.pending.get(`${apiKeyId}|2024-05-15`)).toBe(1);
+    });
+
+    it('should not touch the database when nothing was recorded', async () => {
+      expect(await UsageService.flush()).toBe(0);
+      expect(ApiKeyUsage.bulkWrite).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('getUsage', () => {
+    it('should report daily and monthly counts including buffered requests', async () => {
+      ApiKeyUsage.find.mockReturnValue({
+        select: jest.fn().mockReturnThis(),
+        sort: jest.fn().mockReturnThis(),
+        lean: jest.fn().mockResolvedValue([{ day: '2024-05-14', requests: 40 }])
+      });
+      ApiKeyUsage.aggregate.mockResolvedValue([
+        { _id: '2024-05', requests: 100 },
+        { _id: '2024-04', requests: 500 }
+      ]);
+      UsageService.record(apiKeyId, now);
+
+      const usage = await UsageService.getUsage(apiKeyId, { days: 7, months: 2 }, now);
+
+      expect(ApiKeyUsage.find).toHaveBeenCalledWith({
+        apiKey: new mongoose.Types.ObjectId(apiKeyId),
+        day: { $gte: '2024-05-09' }
+      });
+      expect(ApiKeyUsage.aggregate.mock.calls[0][0][0].$match.day).toEqual({ $gte: '2024-04-01' });
+      expect(usage).toEqual({
+        today: 1,
+        thisMonth: 101,
+        daily: [{ day: '2024-05-15', requests: 1 }, { day: '2024-05-14', requests: 40 }],
+        monthly: [{ month: '2024-05', requests: 101 }, { month: '2024-04', requests: 500 }]
+      });
+    });
+  });
+});
+
+describe('MongoRateLimitStore', () => {
+  let store;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    store = new MongoRateLimitStore();
+    store.init({ windowMs: 60 * 1000 });
+  });
+
+  it('should count hits in fixed windows', async () => {
+    RateLimitCounter.findOneAndUpdate.mockImplementation((filter) => ({
+      lean: jest.fn().mockResolvedValue({ hits: 3, resetTime: filter.resetTime })
+    }));
+
+    const result = await store.increment('key:1');
+
+    const [filter, update, options] = RateLimitCounter.findOneAndUpdate.mock.calls[0];
+    expect(filter.key).toBe('rl:key:1');
+    expect(filter.resetTime.getTime() % 60000).toBe(0);
+    expect(filter.resetTime.getTime()).toBeGreaterThan(Date.now());
+    expect(update).toEqual({ $inc: { hits: 1 } });
+    expect(options).toMatchObject({ upsert: true });
+    expect(result).toEqual({ totalHits: 3, resetTime: filter.resetTime });
+  });
+
+  it('should retry once when two requests open the same window', async () => {
+    const duplicate = Object.assign(new Error('E11000 duplicate key error'), { code: 11000 });
+    RateLimitCounter.findOneAndUpdate
+      .mockReturnValueOnce({ lean: jest.fn().mockRejectedValue(duplicate) })
+      .mockReturnValueOnce({ lean: jest.fn().mockResolvedValue({ hits: 2, resetTime: new Date() }) });
+
+    const result = await store.increment('ip:127.0.0.1');
+
+    expect(RateLimitCounter.findOneAndUpdate).toHaveBeenCalledTimes(2);
+    expect(result.totalHits).toBe(2);
+  });
+});
@@ -0,0 +1,118 @@
+const bcrypt = require('bcryptjs');
+const jwt = require('jsonwebtoken');
+const UserService = require('../../src/services/userService');
+const User = require('../../src/models/User');
+const Game = require('../../src/models/Game');
+
+// Mock dependencies
+jest.mock('../../src/models/User');
+jest.mock('../../src/models/Game');
+jest.mock('../../src/utils/logger', () => ({
+  info: jest.fn(),
+  error: jest.fn(),
+  warn: jest.fn()
+}));
+
+describe('UserService', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    UserService.jwtSecret = 'test-secret';
+    UserService.saltRounds = 4;
+  });
+
+  describe('register', () => {
+    it('should store a password hash and return a session token', async () => {
+      User.exists.mockResolvedValue(null);
+      User.create.mockImplementation(async (data) => ({ _id: 'user-1', ...data }));
+
+      const session = await UserService.register({ email: ' Ana@Example.com ', password: 'secret-password' });
+
+      const [created] = User.create.mock.calls[0];
+      expect(created.email).toBe('ana@example.com');
+      expect(created.passwordHash).not.toBe('secret-password');
+      expect(session.user).toEqual({
+        id: 'user-1', email: 'ana@example.com', name: undefined, createdAt: undefined
+      });
+      expect(UserService.verifyToken(session.token)).toEqual({ id: 'user-1', email: 'ana@example.com' });
+    });
+
+    it('should reject an email that is already registered', async () => {
+      User.exists.mockResolvedValue({ _id: 'user-1' });
+
+      expect(await UserService.register({ email: 'ana@example.com', password: 'secret-password' })).toBeNull();
+      expect(User.create).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('authenticate', () => {
+    const mockStoredUser = async (password) => {
+      const passwordHash = await bcrypt.hash(password, 4);
+      User.findOne.mockReturnValue({
+        select: jest.fn().mockResolvedValue({ _id: 'user-1', email: 'ana@example.com', passwordHash })
+      });
+    };
+
+    it('should return a session for valid credentials', async () => {
+      await mockStoredUser('secret-password');
+
+      const session = await UserService.authenticate('ana@example.com', 'secret-password');
+
+      expect(session.user.id).toBe('user-1');
+      expect(User.updateOne).toHaveBeenCalled();
+    });
+
+    it('should reject a wrong password', async () => {
+      await mockStoredUser('secret-password');
+
+      expect(await UserService.authenticate('ana@example.com', 'wrong-password')).toBeNull();
+    });
+  });
+
+  describe('verifyToken', () => {
+    it('should reject tokens signed with another secret', () => {
+      const token = jwt.sign({ email: 'ana@example.com' }, 'other-secret', { subject: 'user-1' });
+
+      expect(() => UserService.verifyToken(token)).toThrow('invalid signature');
+    });
+
+    it('should refuse to work without a configured secret', () => {
+      UserService.jwtSecret = undefined;
+
+      expect(() => UserService.verifyToken('token')).toThrow('JWT_SECRET is not configured');
+    });
+  });
+
+  describe('saveWishlistItem', () => {
+    it('should update the targets of an existing item and clear omitted ones', async () => {
+      Game.exists.mockResolvedValue({ _id: 'game-1' });
+      User.updateOne.mockResolvedValue({ matchedCount: 1 });
+
+      const item = await UserService.saveWishlistItem('user-1', 10, { targetPrice: 5 });
+
+      expect(User.updateOne).toHaveBeenCalledTimes(1);
+      expect(User.updateOne).toHaveBeenCalledWith(
+        { _id: 'user-1', 'wishlist.appid': 10 },
+        { $set: { 'wishlist.$.targetPrice': 5 }, $unset: { 'wishlist.$.targetDiscount': '' } }
+      );
+      expect(item).toEqual({ appid: 10, targetPrice: 5, targetDiscount: undefined });
+    });
+
+    it('should push new items', async () => {
+      Game.exists.mockResolvedValue({ _id: 'game-1' });
+      User.updateOne.mockResolvedValue({ matchedCount: 0 });
+
+      await UserService.saveWishlistItem('user-1', 10, { targetDiscount: 50 });
+
+      const [filter, update] = User.updateOne.mock.calls[1];
+      expect(filter).toEqual({ _id: 'user-1' });
+      expect(update.$push.wishlist).toMatchObject({ appid: 10, targetDiscount: 50 });
+    });
+
+    it('should not add unknown games', async () => {
+      Game.exists.mockResolvedValue(null);
+
+      expect(await UserService.saveWishlistItem('user-1', 99)).toBeNull();
+      expect(User.updateOne).not.toHaveBeenCalled();
+    });
+  });
+});
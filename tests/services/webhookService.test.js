@@ -0,0 +1,183 @@
+const crypto = require('crypto');
+const dns = require('dns');
+const mongoose = require('mongoose');
+
+const mockClient = { post: jest.fn() };
+
+// Mock dependencies
+jest.mock('../../src/utils/httpClient', () => ({
+  createHttpClient: () => mockClient
+}));
+jest.mock('../../src/models/Webhook');
+jest.mock('../../src/models/WebhookDelivery');
+jest.mock('../../src/utils/logger', () => ({
+  info: jest.fn(),
+  error: jest.fn(),
+  warn: jest.fn()
+}));
+
+const WebhookService = require('../../src/services/webhookService');
+const Webhook = require('../../src/models/Webhook');
+const WebhookDelivery = require('../../src/models/WebhookDelivery');
+
+describe('WebhookService', () => {
+  const webhook = {
+    _id: new mongoose.Types.ObjectId(),
+    url: 'https://hooks.example.com/prices',
+    secret: 'super-secret-value',
+    events: ['price.changed']
+  };
+
+  const delivery = {
+    _id: new mongoose.Types.ObjectId(),
+    event: 'price.changed',
+    payload: { id: 'delivery-1', event: 'price.changed', data: { appid: 10 } },
+    attempts: 0
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    WebhookService.cache.flushAll();
+    WebhookService.retryDelay = 1000;
+    WebhookService.maxAttempts = 3;
+    jest.spyOn(dns.promises, 'lookup').mockResolvedValue([{ address: '93.184.216.34', family: 4 }]);
+  });
+
+  describe('deliver', () => {
+    it('should sign the body with the webhook secret', async () => {
+      mockClient.post.mockResolvedValue({ status: 204 });
+
+      const result = await WebhookService.deliver(delivery, webhook);
+
+      const [url, body, { headers }] = mockClient.post.mock.calls[0];
+      const expected = crypto.createHmac('sha256', webhook.secret)
+        .update(`${headers['X-Webhook-Timestamp']}.${body}`)
+        .digest('hex');
+
+      expect(url).toBe(webhook.url);
+      expect(JSON.parse(body)).toEqual(delivery.payload);
+      expect(headers['X-Webhook-Signature']).toBe(`sha256=${expected}`);
+      expect(headers['X-Webhook-Event']).toBe('price.changed');
+      expect(result).toMatchObject({ status: 'succeeded', attempts: 1, responseStatus: 204 });
+      expect(WebhookDelivery.updateOne).toHaveBeenCalledWith(
+        { _id: delivery._id },
+        { $set: expect.objectContaining({ status: 'succeeded' }) }
+      );
+    });
+
+    it('should schedule a retry with exponential backoff', async () => {
+      const error = new Error('Request failed with status code 503');
+      error.response = { status: 503 };
+      mockClient.post.mockRejectedValue(error);
+
+      const before = Date.now();
+      const result = await WebhookService.deliver({ ...delivery, attempts: 1 }, webhook);
+
+      expect(result).toMatchObject({ status: 'retrying', attempts: 2, responseStatus: 503 });
+      expect(result.nextAttemptAt.getTime()).toBeGreaterThanOrEqual(before + 2000);
+    });
+
+    it('should not post to a URL that now resolves to a private address', async () => {
+      dns.promises.lookup.mockResolvedValue([{ address: '10.0.0.5', family: 4 }]);
+
+      const result = await WebhookService.deliver(delivery, webhook);
+
+      expect(mockClient.post).not.toHaveBeenCalled();
+      expect(result).toMatchObject({ status: 'retrying', error: 'URL does not resolve to a public address' });
+    });
+
+    it('should give up after the last attempt', async () => {
+      mockClient.post.mockRejectedValue(new Error('connect ECONNREFUSED'));
+
+      const result = await WebhookService.deliver({ ...delivery, attempts: 2 }, webhook);
+
+      expect(result).toMatchObject({ status: 'failed', attempts: 3, error: 'connect ECONNREFUSED' });
+      expect(result.nextAttemptAt).toBeUndefined();
+    });
+  });
+
+  describe('retryPendingDeliveries', () => {
+    it('should only send deliveries it claimed while they were still due', async () => {
+      WebhookDelivery.find.mockReturnValue({
+        select: jest.fn().mockReturnThis(),
+        limit: jest.fn().mockReturnThis(),
+        lean: jest.fn().mockResolvedValue([{ _id: delivery._id }])
+      });
+      WebhookDelivery.findOneAndUpdate.mockReturnValue({ lean: jest.fn().mockResolvedValue(null) });
+
+      expect(await WebhookService.retryPendingDeliveries()).toBe(0);
+
+      const [dueFilter] = WebhookDelivery.find.mock.calls[0];
+      expect(WebhookDelivery.findOneAndUpdate).toHaveBeenCalledWith(
+        { _id: delivery._id, $or: dueFilter.$or },
+        { $set: { status: 'delivering' } },
+        { new: true }
+      );
+      expect(Webhook.findOne).not.toHaveBeenCalled();
+      expect(mockClient.post).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('emit', () => {
+    it('should create a delivery for each subscribed webhook', async () => {
+      const other = { ...webhook, _id: new mongoose.Types.ObjectId(), events: ['game.added'] };
+      Webhook.find.mockReturnValue({
+        select: jest.fn().mockReturnThis(),
+        lean: jest.fn().mockResolvedValue([webhook, other])
+      });
+      WebhookDelivery.insertMany.mockImplementation(async (docs) => docs.map((doc) => ({ ...doc, attempts: 0 })));
+      mockClient.post.mockResolvedValue({ status: 200 });
+
+      const deliveries = await WebhookService.emit('price.changed', { appid: 10 });
+
+      expect(deliveries).toHaveLength(1);
+      expect(deliveries[0]).toMatchObject({
+        webhook: webhook._id,
+        event: 'price.changed',
+        payload: { event: 'price.changed', data: { appid: 10 } }
+      });
+      expect(deliveries[0].payload.id).toBe(String(deliveries[0]._id));
+    });
+
+    it('should not query the database when nothing is subscribed', async () => {
+      Webhook.find.mockReturnValue({
+        select: jest.fn().mockReturnThis(),
+        lean: jest.fn().mockResolvedValue([])
+      });
+
+      expect(await WebhookService.emit('game.added', {})).toEqual([]);
+      expect(WebhookDelivery.insertMany).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('validation', () => {
+    it('should only accept http and https URLs', () => {
+      expect(WebhookService.isValidUrl('https://hooks.example.com')).toBe(true);
+      expect(WebhookService.isValidUrl('ftp://hooks.example.com')).toBe(false);
+      expect(WebhookService.isValidUrl('not a url')).toBe(false);
+    });
+
+    it('should reject URLs that reach loopback, private or link-local addresses', async () => {
+      expect(await WebhookService.isAllowedUrl('https://hooks.example.com')).toBe(true);
+      expect(await WebhookService.isAllowedUrl('http://127.0.0.1:27017')).toBe(false);
+      expect(await WebhookService.isAllowedUrl('http://169.254.169.254/latest/meta-data')).toBe(false);
+      expect(await WebhookService.isAllowedUrl('http://[::ffff:192.168.1.1]/')).toBe(false);
+      expect(await WebhookService.isAllowedUrl('http://[::1]/')).toBe(false);
+
+      dns.promises.lookup.mockResolvedValue([
+        { address: '93.184.216.34', family: 4 },
+        { address: 'fd00::1', family: 6 }
+      ]);
+      expect(await WebhookService.isAllowedUrl('https://internal.example.com')).toBe(false);
+
+      dns.promises.lookup.mockRejectedValue(new Error('getaddrinfo ENOTFOUND'));
+      expect(await WebhookService.isAllowedUrl('https://missing.example.com')).toBe(false);
+    });
+
+    it('should only accept known events', () => {
+      expect(WebhookService.isValidEventList(['price.changed', 'game.added'])).toBe(true);
+      expect(WebhookService.isValidEventList(['price.dropped'])).toBe(false);
+      expect(WebhookService.isValidEventList([])).toBe(false);
+    });
+  });
+});
@@ -0,0 +1,117 @@
+const productsFixture = require('../fixtures/xbox/displaycatalog-products.json');
+const catalogFixture = require('../fixtures/xbox/displaycatalog-catalog.json');
+const topPaidFixture = require('../fixtures/xbox/reco-top-paid.json');
+
+const mockApi = { get: jest.fn() };
+
+// Mock dependencies
+jest.mock('../../src/utils/httpClient', () => ({
+  createHttpClient: () => mockApi,
+  withRetry: (config) => ({ ...config, retry: true, retryCount: 0 })
+}));
+jest.mock('../../src/utils/logger', () => ({
+  info: jest.fn(),
+  error: jest.fn(),
+  warn: jest.fn()
+}));
+
+const XboxProvider = require('../../src/services/providers/xboxProvider');
+
+describe('XboxProvider', () => {
+  const { catalogLists } = XboxProvider;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    XboxProvider.cache.flushAll();
+  });
+
+  afterEach(() => {
+    XboxProvider.catalogLists = catalogLists;
+  });
+
+  describe('fetchDetails', () => {
+    it('should normalize a DisplayCatalog product', async () => {
+      mockApi.get.mockResolvedValue({ data: productsFixture });
+
+      const result = await XboxProvider.fetchDetails('9NBLGGH4R315');
+
+      expect(mockApi.get).toHaveBeenCalledWith(
+        expect.stringContaining('displaycatalog'),
+        expect.objectContaining({ params: expect.objectContaining({ bigIds: '9NBLGGH4R315' }) })
+      );
+      expect(result).toMatchObject({
+        productId: '9NBLGGH4R315',
+        name: 'Forza Horizon 5',
+        developers: ['Playground Games'],
+        publishers: ['Xbox Game Studios'],
+        is_free: false
+      });
+      expect(result.releaseDate.getUTCFullYear()).toBe(2021);
+    });
+
+    it('should use the purchase price and ignore subscription-only availabilities', async () => {
+      mockApi.get.mockResolvedValue({ data: productsFixture });
+
+      const result = await XboxProvider.fetchDetails('9NBLGGH4R315');
+
+      expect(result.price).toMatchObject({
+        currency: 'USD',
+        initial: 59.99,
+        final: 29.99,
+        discount_percent: 50,
+        initial_formatted: '$59.99',
+        final_formatted: '$29.99'
+      });
+    });
+
+    it('should return null when the product does not exist', async () => {
+      mockApi.get.mockResolvedValue({ data: { Products: [] } });
+
+      const result = await XboxProvider.fetchDetails('9XXXXXXXXXXX');
+
+      expect(result).toBeNull();
+    });
+
+    it('should return null on API errors', async () => {
+      mockApi.get.mockRejectedValue(new Error('API error'));
+
+      const result = await XboxProvider.fetchDetails('9NBLGGH4R315');
+
+      expect(result).toBeNull();
+    });
+  });
+
+  describe('listCatalog', () => {
+    it('should collect product ids from the recommendation lists and resolve their names', async () => {
+      XboxProvider.catalogLists = ['TopPaid'];
+      mockApi.get
+        .mockResolvedValueOnce({ data: topPaidFixture })
+        .mockResolvedValueOnce({ data: catalogFixture });
+
+      const result = await XboxProvider.listCatalog();
+
+      expect(result).toEqual([
+        { productId: '9NBLGGH4R315', name: 'Forza Horizon 5' },
+        { productId: '9PNJXVCVWD4K', name: "Hellblade: Senua's Sacrifice" }
+      ]);
+    });
+
+    it('should handle API errors', async () => {
+      mockApi.get.mockRejectedValue(new Error('API error'));
+
+      await expect(XboxProvider.listCatalog()).rejects.toThrow('Failed to fetch Xbox catalog');
+    });
+  });
+
+  describe('normalizePrice', () => {
+    it('should report no discount when the list price equals the MSRP', () => {
+      const result = XboxProvider.normalizePrice({ CurrencyCode: 'USD', ListPrice: 19.99, MSRP: 19.99 });
+
+      expect(result).toMatchObject({ initial: 19.99, final: 19.99, discount_percent: 0 });
+    });
+
+    it('should return null without a price', () => {
+      expect(XboxProvider.normalizePrice(null)).toBeNull();
+    });
+  });
+});